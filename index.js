@@ -25,6 +25,82 @@
 /** @typedef {import('@tetherto/wdk-wallet/protocols').RepayOptions} RepayOptions */
 /** @typedef {import('@tetherto/wdk-wallet/protocols').RepayResult} RepayResult */
 
+/** @typedef {import('./src/aave-protocol-evm.js').AaveMarket} AaveMarket */
+/** @typedef {import('./src/aave-protocol-evm.js').AaveMarketAddresses} AaveMarketAddresses */
+/** @typedef {import('./src/aave-protocol-evm.js').AaveProtocolConfig} AaveProtocolConfig */
 /** @typedef {import('./src/aave-protocol-evm.js').AccountData} AccountData */
+/** @typedef {import('./src/aave-protocol-evm.js').AccountSummary} AccountSummary */
+/** @typedef {import('./src/aave-protocol-evm.js').ApprovalOptions} ApprovalOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').ApprovalResult} ApprovalResult */
+/** @typedef {import('./src/aave-protocol-evm.js').BaseCurrencyInfo} BaseCurrencyInfo */
+/** @typedef {import('./src/aave-protocol-evm.js').BorrowAllowanceOptions} BorrowAllowanceOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').ClaimAllRewardsOptions} ClaimAllRewardsOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').ClaimRewardsOptions} ClaimRewardsOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').ClosePositionResult} ClosePositionResult */
+/** @typedef {import('./src/aave-protocol-evm.js').CreditDelegationResult} CreditDelegationResult */
+/** @typedef {import('./src/aave-protocol-evm.js').DecimalAmountOptions} DecimalAmountOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').DelegationOptions} DelegationOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').EModeCategory} EModeCategory */
+/** @typedef {import('./src/aave-protocol-evm.js').FaucetMintOptions} FaucetMintOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').FlashLoanOptions} FlashLoanOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').FlashLoanSimpleOptions} FlashLoanSimpleOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').IsolationStatus} IsolationStatus */
+/** @typedef {import('./src/aave-protocol-evm.js').LiquidatablePosition} LiquidatablePosition */
+/** @typedef {import('./src/aave-protocol-evm.js').LiquidatablePositionsResult} LiquidatablePositionsResult */
+/** @typedef {import('./src/aave-protocol-evm.js').LiquidationOpportunity} LiquidationOpportunity */
+/** @typedef {import('./src/aave-protocol-evm.js').LiquidationOptions} LiquidationOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').LiquidationScanFailure} LiquidationScanFailure */
+/** @typedef {import('./src/aave-protocol-evm.js').MaxAmountOptions} MaxAmountOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').PermitOptions} PermitOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').RegisteredMarket} RegisteredMarket */
+/** @typedef {import('./src/aave-protocol-evm.js').Reserve} Reserve */
+/** @typedef {import('./src/aave-protocol-evm.js').ReservesData} ReservesData */
+/** @typedef {import('./src/aave-protocol-evm.js').SignedDelegation} SignedDelegation */
+/** @typedef {import('./src/aave-protocol-evm.js').SimulationOptions} SimulationOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').UserEMode} UserEMode */
+/** @typedef {import('./src/aave-protocol-evm.js').UserPosition} UserPosition */
+/** @typedef {import('./src/aave-protocol-evm.js').UserPositions} UserPositions */
+/** @typedef {import('./src/aave-protocol-evm.js').UserReward} UserReward */
+/** @typedef {import('./src/aave-protocol-evm.js').ValidationOptions} ValidationOptions */
+/** @typedef {import('./src/aave-protocol-evm.js').ValidationResult} ValidationResult */
+
+/** @typedef {import('./src/rate-model.js').InterestRatePoint} InterestRatePoint */
+/** @typedef {import('./src/rate-model.js').InterestRateProjection} InterestRateProjection */
+/** @typedef {import('./src/rate-model.js').InterestRateProjectionOptions} InterestRateProjectionOptions */
+/** @typedef {import('./src/rate-model.js').InterestRates} InterestRates */
+/** @typedef {import('./src/rate-model.js').ReserveLiquidity} ReserveLiquidity */
 
 export { default } from './src/aave-protocol-evm.js'
+
+export { AaveError, AavePoolRevertError, AaveReserveError, AaveValidationError } from './src/errors.js'
+
+export {
+  calculateInterestRates,
+  calculateInterestRatesAtUsage,
+  calculateTotalDebt,
+  getInterestRateCurve,
+  getReserveLiquidity,
+  projectInterestRates
+} from './src/rate-model.js'
+
+export {
+  aprToApy,
+  bpsToPercent,
+  calculateCompoundedInterest,
+  calculateLinearInterest,
+  formatHealthFactor,
+  PERCENTAGE_FACTOR,
+  percentDiv,
+  percentMul,
+  percentToBps,
+  RAY,
+  rayDiv,
+  rayMul,
+  rayPow,
+  rayToWad,
+  SECONDS_PER_YEAR,
+  WAD,
+  wadDiv,
+  wadMul,
+  wadToRay
+} from './src/math.js'
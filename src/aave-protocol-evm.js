@@ -19,11 +19,20 @@ import { WalletAccountEvm } from '@tetherto/wdk-wallet-evm'
 import { WalletAccountEvmErc4337, WalletAccountReadOnlyEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337'
 
 // eslint-disable-next-line camelcase
-import { IPool_ABI } from '@bgd-labs/aave-address-book/abis'
-import { BrowserProvider, Contract, isAddress, JsonRpcProvider, ZeroAddress } from 'ethers'
+import { IAToken_ABI, IERC20_ABI, IPool_ABI, IPoolAddressesProvider_ABI, IRewardsController_ABI, IWrappedTokenGatewayV3_ABI } from '@bgd-labs/aave-address-book/abis'
+import { BrowserProvider, Contract, formatUnits, isAddress, isHexString, JsonRpcProvider, MaxUint256, parseUnits, Signature, TypedDataEncoder, ZeroAddress } from 'ethers'
 import AAVE_V3_ADDRESS_MAP from './aave-v3-address-map.js'
 
+import { AaveError, AaveReserveError, AaveValidationError, decodePoolRevert } from './errors.js'
+import { aprToApy, bpsToPercent, calculateCompoundedInterest, calculateLinearInterest, formatHealthFactor, min, PERCENTAGE_FACTOR, percentDiv, percentMul, rayMul, toWad, WAD, wadDiv } from './math.js'
+import { getReserveLiquidity } from './rate-model.js'
+
+import Erc20PermitAbi from './erc20-permit.js'
+import FaucetAbi from './faucet.js'
+import Multicall3Abi from './multicall3.js'
+import PoolAddressesProviderRegistryAbi from './pool-addresses-provider-registry.js'
 import UiPoolDataProviderAbi from './ui-pool-data-provider.js'
+import VariableDebtTokenAbi from './variable-debt-token.js'
 
 /** @typedef {import('@tetherto/wdk-wallet').TransactionResult} TransactionResult */
 
@@ -40,6 +49,57 @@ import UiPoolDataProviderAbi from './ui-pool-data-provider.js'
 
 /** @typedef {import('@tetherto/wdk-wallet-evm-erc-4337').EvmErc4337WalletConfig} EvmErc4337WalletConfig */
 
+/**
+ * @typedef {Object} AaveMarketAddresses
+ * @property {string} pool - The address of the market's pool.
+ * @property {string} poolAddressesProvider - The address of the market's pool addresses provider.
+ * @property {string} [poolAddressesProviderRegistry] - The address of the registry where the market's pool addresses provider is registered.
+ * @property {string} uiPoolDataProvider - The address of the ui pool data provider used to read the market's reserves.
+ * @property {string} [poolDataProvider] - The address of the market's protocol data provider.
+ * @property {string} [priceOracle] - The address of the market's price oracle.
+ * @property {string} [wrappedTokenGateway] - The address of the market's wrapped token gateway (required by the native token operations).
+ * @property {string} [rewardsController] - The address of the market's rewards controller (required by the liquidity mining rewards).
+ * @property {string} [faucet] - The address of the faucet that mints the market's reserve tokens (testnet markets only).
+ * @property {string} [multicall] - The address of the multicall3 contract used to batch reads (default: its canonical address).
+ */
+
+/**
+ * @typedef {Object} AaveMarket
+ * @property {string} name - The market's name (e.g., 'AaveV3EthereumLido').
+ * @property {number} chainId - The id of the market's blockchain.
+ * @property {boolean} testnet - True if the market is deployed on a testnet.
+ * @property {AaveMarketAddresses} addresses - The market's addresses.
+ */
+
+/**
+ * @typedef {Object} RegisteredMarket
+ * @property {string} registry - The address of the registry where the market is registered.
+ * @property {number} id - The market's id in the registry.
+ * @property {string} marketId - The market's id, as set in its pool addresses provider (e.g., 'Aave Ethereum Market').
+ * @property {string} [name] - If the market is a built-in market, its name (e.g., 'AaveV3Ethereum').
+ * @property {boolean} testnet - True if the market is a built-in testnet market.
+ * @property {AaveMarketAddresses} addresses - The market's addresses, resolved from its pool addresses provider.
+ */
+
+/**
+ * @typedef {Object} AaveProtocolConfig
+ * @property {string} [market] - The name of the built-in market to use (e.g., 'AaveV3EthereumLido'). If not set, the default (core) market
+ *   of the blockchain is used.
+ * @property {Partial<AaveMarketAddresses>} [addresses] - Overrides the addresses of the built-in market. If 'pool' is set,
+ *   the addresses describe a different market (e.g., a fork of aave v3) and must also include 'poolAddressesProvider' and 'uiPoolDataProvider'.
+ *   If only 'poolAddressesProvider' is set, the market's pool, price oracle and data provider are resolved on-chain from it at first use.
+ *   Otherwise, they are merged into the built-in market's addresses.
+ */
+
+/**
+ * The amount of an operation, in base unit or as a decimal string. The 'token' option can also be the symbol of the token's reserve
+ * in the market (e.g., 'USDT').
+ *
+ * @typedef {Object} DecimalAmountOptions
+ * @property {number | bigint | string} amount - The amount of tokens: in base unit, or as a decimal string (e.g., '12.5') if 'decimals' is true.
+ * @property {boolean} [decimals] - True if 'amount' is a decimal string to convert with the token's decimals (default: false).
+ */
+
 /**
  * @typedef {Object} AccountData
  * @property {bigint} totalCollateralBase - The account's total collateral base.
@@ -50,12 +110,376 @@ import UiPoolDataProviderAbi from './ui-pool-data-provider.js'
  * @property {bigint} healthFactor - The account's health factor.
  */
 
+/**
+ * @typedef {Object} AccountSummary
+ * @property {string} totalCollateralUsd - The value of the account's collateral (in usd, as a decimal string).
+ * @property {string} totalDebtUsd - The value of the account's debt (in usd, as a decimal string).
+ * @property {string} availableBorrowsUsd - The value the account can still borrow (in usd, as a decimal string).
+ * @property {number} ltv - The account's loan-to-value (in percent, e.g. 82.5).
+ * @property {number} liquidationThreshold - The account's liquidation threshold (in percent, e.g. 86).
+ * @property {string} healthFactor - The account's health factor (as a decimal string, e.g. '1.23'), or 'infinite' if the account has no debt.
+ */
+
+/**
+ * @typedef {Object} Reserve
+ * @property {string} token - The address of the reserve's underlying token.
+ * @property {string} name - The underlying token's name.
+ * @property {string} symbol - The underlying token's symbol.
+ * @property {number} decimals - The underlying token's decimals.
+ * @property {bigint} ltv - The reserve's loan-to-value as collateral (in basis points).
+ * @property {bigint} liquidationThreshold - The reserve's liquidation threshold (in basis points).
+ * @property {bigint} liquidationBonus - The reserve's liquidation bonus (in basis points, e.g. 10500 for a 5% bonus).
+ * @property {bigint} reserveFactor - The share of the interests that goes to the treasury (in basis points).
+ * @property {boolean} usageAsCollateralEnabled - True if the reserve can be used as collateral.
+ * @property {boolean} borrowingEnabled - True if the reserve can be borrowed.
+ * @property {boolean} isActive - True if the reserve is active.
+ * @property {boolean} isFrozen - True if the reserve is frozen.
+ * @property {boolean} isPaused - True if the reserve is paused.
+ * @property {boolean} isSiloedBorrowing - True if the reserve can only be borrowed in isolation from other assets.
+ * @property {boolean} flashLoanEnabled - True if the reserve can be flash-loaned.
+ * @property {boolean} borrowableInIsolation - True if the reserve can be borrowed against an isolated collateral.
+ * @property {bigint} liquidityIndex - The reserve's liquidity index (in ray).
+ * @property {bigint} variableBorrowIndex - The reserve's variable borrow index (in ray).
+ * @property {bigint} liquidityRate - The reserve's current supply rate (in ray).
+ * @property {bigint} variableBorrowRate - The reserve's current variable borrow rate (in ray).
+ * @property {bigint} supplyAPY - The reserve's current supply rate, compounded every second over a year (in ray).
+ * @property {bigint} borrowAPY - The reserve's current variable borrow rate, compounded every second over a year (in ray).
+ * @property {number} lastUpdateTimestamp - The timestamp (in seconds) of the reserve's last update.
+ * @property {string} aTokenAddress - The address of the reserve's a-token.
+ * @property {string} variableDebtTokenAddress - The address of the reserve's variable debt token.
+ * @property {string} interestRateStrategyAddress - The address of the reserve's interest rate strategy.
+ * @property {bigint} availableLiquidity - The amount of tokens that can currently be borrowed or withdrawn (in base unit).
+ * @property {bigint} totalScaledVariableDebt - The reserve's total scaled variable debt.
+ * @property {bigint} priceInMarketReferenceCurrency - The underlying token's price in the market's reference currency.
+ * @property {string} priceOracle - The address of the underlying token's price oracle.
+ * @property {bigint} variableRateSlope1 - The variable rate's slope below the optimal usage ratio (in ray).
+ * @property {bigint} variableRateSlope2 - The variable rate's slope above the optimal usage ratio (in ray).
+ * @property {bigint} baseVariableBorrowRate - The variable rate at zero usage (in ray).
+ * @property {bigint} optimalUsageRatio - The reserve's optimal usage ratio (in ray).
+ * @property {bigint} accruedToTreasury - The amount of scaled a-tokens accrued to the treasury.
+ * @property {bigint} unbacked - The amount of unbacked a-tokens.
+ * @property {bigint} isolationModeTotalDebt - The total debt borrowed against the reserve as isolated collateral.
+ * @property {bigint} debtCeiling - The reserve's debt ceiling in isolation mode (0 if the reserve is not isolated).
+ * @property {number} debtCeilingDecimals - The debt ceiling's decimals.
+ * @property {bigint} borrowCap - The reserve's borrow cap (in whole tokens, 0 if there is no cap).
+ * @property {bigint} supplyCap - The reserve's supply cap (in whole tokens, 0 if there is no cap).
+ * @property {boolean} virtualAccActive - True if the reserve's virtual accounting is active.
+ * @property {bigint} virtualUnderlyingBalance - The reserve's virtual underlying balance.
+ */
+
+/**
+ * @typedef {Object} BaseCurrencyInfo
+ * @property {bigint} marketReferenceCurrencyUnit - The unit of the market's reference currency (e.g. 10^8 for usd).
+ * @property {bigint} marketReferenceCurrencyPriceInUsd - The market's reference currency's price in usd.
+ * @property {bigint} networkBaseTokenPriceInUsd - The blockchain's native token's price in usd.
+ * @property {number} networkBaseTokenPriceDecimals - The decimals of the native token's price in usd.
+ */
+
+/**
+ * @typedef {Object} ReservesData
+ * @property {Reserve[]} reserves - The market's reserves.
+ * @property {BaseCurrencyInfo} baseCurrency - The market's base currency info.
+ */
+
+/**
+ * @typedef {Object} UserPosition
+ * @property {string} token - The address of the reserve's underlying token.
+ * @property {bigint} supplied - The amount of tokens supplied to the reserve (in base unit).
+ * @property {bigint} variableDebt - The amount of tokens borrowed from the reserve at a variable rate (in base unit).
+ * @property {boolean} usageAsCollateralEnabled - True if the account uses the supplied tokens as collateral.
+ * @property {bigint} scaledATokenBalance - The account's scaled a-token balance.
+ * @property {bigint} scaledVariableDebt - The account's scaled variable debt.
+ */
+
+/**
+ * @typedef {Object} UserPositions
+ * @property {UserPosition[]} positions - The account's positions (only the reserves where the account has supplied or borrowed tokens).
+ * @property {number} eModeCategoryId - The account's current eMode category id (0 if the account is not in efficiency mode).
+ */
+
+/**
+ * @typedef {Object} EModeCategory
+ * @property {number} id - The category id.
+ * @property {string} label - The category label (e.g., 'ETH correlated').
+ * @property {bigint} ltv - The loan to value of the category's collaterals (in basis points).
+ * @property {bigint} liquidationThreshold - The liquidation threshold of the category's collaterals (in basis points).
+ * @property {bigint} liquidationBonus - The liquidation bonus of the category's collaterals (in basis points, e.g., 10_100n = 1% bonus).
+ * @property {bigint} collateralBitmap - The bitmap of the reserves that use the category's risk parameters as collateral (bit i = reserve id i).
+ * @property {bigint} borrowableBitmap - The bitmap of the reserves that can be borrowed in the category (bit i = reserve id i).
+ * @property {string[]} collateralTokens - The addresses of the tokens that use the category's risk parameters as collateral.
+ * @property {string[]} borrowableTokens - The addresses of the tokens that can be borrowed in the category.
+ */
+
+/**
+ * @typedef {Object} UserEMode
+ * @property {number} categoryId - The account's current eMode category id (0 if the account is not in efficiency mode).
+ * @property {EModeCategory} [category] - The account's current eMode category (if the account is in efficiency mode).
+ */
+
+/**
+ * @typedef {Object} IsolationStatus
+ * @property {boolean} isolated - True if the account is in isolation mode (its only collateral is an isolated asset, i.e., a reserve with a
+ *   debt ceiling). In isolation mode, the account can only borrow the tokens borrowable in isolation, up to the collateral's debt ceiling.
+ * @property {string} [collateralToken] - In isolation mode, the address of the isolated collateral.
+ * @property {bigint} [debtCeiling] - In isolation mode, the collateral's debt ceiling (in usd, with 'debtCeilingDecimals' decimals).
+ * @property {bigint} [isolationModeTotalDebt] - In isolation mode, the total debt backed by the collateral, across all the accounts (in usd, with
+ *   'debtCeilingDecimals' decimals).
+ * @property {bigint} [remainingDebtCeiling] - In isolation mode, the debt that can still be backed by the collateral (in usd, with
+ *   'debtCeilingDecimals' decimals).
+ * @property {number} [debtCeilingDecimals] - In isolation mode, the decimals of the debt ceiling.
+ * @property {string[]} [borrowableTokens] - In isolation mode, the addresses of the tokens borrowable in isolation.
+ * @property {string} [siloedToken] - If the account borrows a token with siloed borrowing, its address. The account can't borrow other tokens.
+ */
+
+/**
+ * @typedef {Object} SimulationOptions
+ * @property {'supply' | 'withdraw' | 'borrow' | 'repay' | 'setUseReserveAsCollateral' | 'setUserEMode'} action - The operation to simulate.
+ * @property {string} [token] - The token's address or its reserve's symbol (for all the actions except 'setUserEMode').
+ * @property {number | bigint | string} [amount] - The amount of tokens, in base unit or as a decimal string if 'decimals' is true (for
+ *   'supply', 'withdraw', 'borrow' and 'repay').
+ * @property {boolean} [decimals] - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+ * @property {boolean} [useAsCollateral] - True if the token should be a valid collateral (for 'setUseReserveAsCollateral').
+ * @property {number} [categoryId] - The eMode category id (for 'setUserEMode').
+ */
+
+/**
+ * @typedef {Object} ValidationOptions
+ * @property {'supply' | 'withdraw' | 'borrow' | 'repay'} action - The operation to validate.
+ * @property {string} token - The token's address or its reserve's symbol.
+ * @property {number | bigint | string} amount - The amount of tokens, in base unit or as a decimal string if 'decimals' is true.
+ * @property {boolean} [decimals] - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+ * @property {string} [onBehalfOf] - For 'borrow', the address of the account that incurs the debt (default: the account's address).
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - True if the operation passes the checks.
+ * @property {string} [code] - If the operation doesn't pass the checks, the code of the error it would fail with (e.g., 'SUPPLY_CAP_EXCEEDED').
+ * @property {string} [error] - If the operation doesn't pass the checks, the reason why.
+ */
+
+/**
+ * @typedef {Object} MaxAmountOptions
+ * @property {number} [minHealthFactor] - The minimum health factor to keep after the operation, as a safety buffer against
+ *   price moves (default: 1.01).
+ */
+
+/**
+ * @typedef {Object} ClosePositionResult
+ * @property {string} hash - The hash of the last transaction (or of the user operation, with an erc-4337 account).
+ * @property {bigint} fee - The total fee of the transactions.
+ * @property {string[]} [hashes] - If the protocol has been initialized with a non erc-4337 account, the hashes of all the transactions sent, in order.
+ */
+
+/**
+ * @typedef {Object} FlashLoanSimpleOptions
+ * @property {string} receiver - The address of the contract receiving the tokens (it must implement aave's IFlashLoanSimpleReceiver interface).
+ * @property {string} token - The address of the token to flash-borrow, or its reserve's symbol.
+ * @property {number | bigint | string} amount - The amount of tokens to flash-borrow, in base unit or as a decimal string if 'decimals' is true.
+ * @property {boolean} [decimals] - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+ * @property {string} [params] - The abi-encoded parameters passed to the receiver (default: '0x').
+ */
+
+/**
+ * @typedef {Object} FlashLoanOptions
+ * @property {string} receiver - The address of the contract receiving the tokens (it must implement aave's IFlashLoanReceiver interface).
+ * @property {string[]} tokens - The addresses of the tokens to flash-borrow, or their reserves' symbols.
+ * @property {Array<number | bigint | string>} amounts - The amounts of tokens to flash-borrow, in base unit or as decimal strings if 'decimals'
+ *   is true, in the same order as 'tokens'.
+ * @property {boolean} [decimals] - True if 'amounts' are decimal strings (e.g., '12.5') to convert with the tokens' decimals (default: false).
+ * @property {Array<0 | 2>} [interestRateModes] - For each token, 0 to repay the flash loan within the transaction (plus the premium), or 2 to
+ *   keep the borrowed tokens as a variable rate debt of 'onBehalfOf' (default: 0 for all the tokens).
+ * @property {string} [onBehalfOf] - The address of the account that incurs the debts opened with the interest rate mode 2. If not set,
+ *   the account's address is used. Another account must have delegated enough borrowing power to the account.
+ * @property {string} [params] - The abi-encoded parameters passed to the receiver (default: '0x').
+ */
+
+/**
+ * @typedef {Object} DelegationOptions
+ * @property {string} token - The address of the token whose borrowing power is delegated, or its reserve's symbol.
+ * @property {string} delegatee - The address of the account allowed to borrow on behalf of the delegator.
+ * @property {number | bigint | string} amount - The max amount of tokens the delegatee can borrow, in base unit or as a decimal string if
+ *   'decimals' is true. Zero revokes the delegation.
+ * @property {boolean} [decimals] - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+ */
+
+/**
+ * @typedef {Object} BorrowAllowanceOptions
+ * @property {string} token - The address of the token.
+ * @property {string} [delegator] - The address of the account that delegates its borrowing power. If not set, the account's address is used.
+ * @property {string} delegatee - The address of the account allowed to borrow on behalf of the delegator.
+ */
+
+/**
+ * @typedef {Object} SignedDelegation
+ * @property {string} token - The address of the token whose borrowing power is delegated.
+ * @property {string} delegator - The address of the account that signed the delegation.
+ * @property {string} delegatee - The address of the account allowed to borrow on behalf of the delegator.
+ * @property {bigint} amount - The max amount of tokens the delegatee can borrow (in base unit).
+ * @property {number} deadline - The timestamp (in seconds) after which the signature expires.
+ * @property {number} v - The 'v' component of the signature.
+ * @property {string} r - The 'r' component of the signature.
+ * @property {string} s - The 's' component of the signature.
+ */
+
+/**
+ * @typedef {Object} FaucetMintOptions
+ * @property {string} token - The address of the token to mint, or its reserve's symbol.
+ * @property {number | bigint | string} amount - The amount of tokens to mint, in base unit or as a decimal string if 'decimals' is true.
+ * @property {boolean} [decimals] - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+ * @property {string} [to] - The address that receives the tokens. If not set, the tokens are sent to the account.
+ */
+
+/**
+ * @typedef {Object} UserReward
+ * @property {string} reward - The address of the reward token.
+ * @property {bigint} unclaimed - The amount of reward tokens the account can claim (in base unit), including the rewards accrued since
+ *   its last interaction with the reserves.
+ * @property {bigint} accrued - The part of the unclaimed rewards already accrued by the rewards controller (in base unit), i.e., at the
+ *   account's last interaction with the reserves.
+ */
+
+/**
+ * @typedef {Object} ClaimRewardsOptions
+ * @property {string} reward - The address of the reward token to claim.
+ * @property {number | bigint} amount - The amount of reward tokens to claim (in base unit). Use the max uint256 value to claim all of them.
+ * @property {string[]} [assets] - The a-tokens and variable debt tokens to claim the rewards of. If not set, claims the rewards of all
+ *   the market's reserves.
+ * @property {string} [to] - The address that receives the rewards. If not set, the rewards are sent to the account.
+ */
+
+/**
+ * @typedef {Object} ClaimAllRewardsOptions
+ * @property {string[]} [assets] - The a-tokens and variable debt tokens to claim the rewards of. If not set, claims the rewards of all
+ *   the market's reserves.
+ * @property {string} [to] - The address that receives the rewards. If not set, the rewards are sent to the account.
+ */
+
+/**
+ * @typedef {Object} LiquidationOptions
+ * @property {string} collateralToken - The address of the collateral token to seize, or its reserve's symbol.
+ * @property {string} debtToken - The address of the debt token to repay on behalf of the user, or its reserve's symbol.
+ * @property {string} user - The address of the account to liquidate.
+ * @property {number | bigint | string} debtToCover - The amount of debt tokens to repay, in base unit or as a decimal string if 'decimals'
+ *   is true. The max uint256 value repays as much debt as the close factor allows.
+ * @property {boolean} [decimals] - True if 'debtToCover' is a decimal string (e.g., '12.5') to convert with the debt token's decimals
+ *   (default: false).
+ * @property {boolean} [receiveAToken] - True to receive the seized collateral as a-tokens instead of the underlying tokens (default: false).
+ */
+
+/**
+ * @typedef {Object} LiquidationOpportunity
+ * @property {string} collateralToken - The address of the collateral token to seize.
+ * @property {string} debtToken - The address of the debt token to repay.
+ * @property {bigint} debtToCover - The max amount of debt tokens that can be repaid (in base unit).
+ * @property {bigint} collateralToReceive - The amount of collateral tokens seized when repaying 'debtToCover' (in base unit), including the
+ *   liquidation bonus but before the protocol fee taken from it.
+ * @property {bigint} liquidationBonus - The liquidation bonus of the collateral (in basis points, e.g., 10_500n = 5% bonus).
+ * @property {bigint} bonusBase - The value of the liquidation bonus (in the market's base currency).
+ */
+
+/**
+ * @typedef {Object} LiquidatablePosition
+ * @property {string} user - The address of the account.
+ * @property {bigint} healthFactor - The account's health factor (below 1e18).
+ * @property {bigint} totalCollateralBase - The account's total collateral (in the market's base currency).
+ * @property {bigint} totalDebtBase - The account's total debt (in the market's base currency).
+ * @property {LiquidationOpportunity[]} opportunities - The account's liquidable collateral and debt pairs, by descending bonus value.
+ */
+
+/**
+ * @typedef {Object} LiquidationScanFailure
+ * @property {string} user - The address of the account.
+ * @property {Error} error - The error thrown while reading the account's data.
+ */
+
+/**
+ * @typedef {Object} LiquidatablePositionsResult
+ * @property {LiquidatablePosition[]} positions - The liquidatable positions, by ascending health factor.
+ * @property {LiquidationScanFailure[]} failures - The accounts whose data couldn't be read, which may or may not be liquidatable.
+ */
+
+/**
+ * @typedef {Object} PermitOptions
+ * @property {number} [deadline] - The timestamp (in seconds) after which the permit expires. If not set, the permit expires after one hour.
+ */
+
+/**
+ * @typedef {Object} ApprovalOptions
+ * @property {'exact' | 'unlimited'} [approval] - If the aave protocol needs to be approved to spend the account's tokens, whether to approve the exact amount
+ *   of the operation or an unlimited amount (default: 'exact').
+ */
+
+/**
+ * @typedef {Object} CreditDelegationResult
+ * @property {string} [approveDelegationHash] - If the protocol has been initialized with a non erc-4337 account, the hash of the credit delegation
+ *   to the wrapped token gateway sent before the operation (if any).
+ */
+
+/**
+ * @typedef {Object} ApprovalResult
+ * @property {string} [approveHash] - If the protocol has been initialized with a non erc-4337 account, the hash of the approval sent before the operation (if any).
+ * @property {string} [resetAllowanceHash] - If the protocol has been initialized with a non erc-4337 account, the hash of the transaction that reset the
+ *   allowance to zero before the approval (only for usdts on ethereum).
+ */
+
+const MARKET_ADDRESS_KEYS = ['pool', 'poolAddressesProvider', 'poolAddressesProviderRegistry', 'uiPoolDataProvider', 'poolDataProvider', 'priceOracle',
+  'wrappedTokenGateway', 'rewardsController', 'faucet', 'multicall']
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'
+
+const MULTICALL_BATCH_SIZE = 500
+
+const MAX_CONCURRENT_CALLS = 10
+
+const USDT_MAINNET_ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+const PERMIT_VALIDITY = 3_600
+
+const DEFAULT_MIN_HEALTH_FACTOR = 1.01
+
+const DEFAULT_LIQUIDATION_CLOSE_FACTOR = 5_000n
+
+const CLOSE_FACTOR_HF_THRESHOLD = 95n * 10n ** 16n
+
+const MIN_BASE_MAX_CLOSE_FACTOR_THRESHOLD = 2_000n * 10n ** 8n
+
+const USD_PRICE_DECIMALS = 8
+
+const NATIVE_TOKEN_DECIMALS = 18
+
+const DECIMAL_AMOUNT_PATTERN = /^\d+(\.\d+)?$/
+
+const SIMULATION_ACTIONS = ['supply', 'withdraw', 'borrow', 'repay', 'setUseReserveAsCollateral', 'setUserEMode']
+
+const VALIDATION_ACTIONS = ['supply', 'withdraw', 'borrow', 'repay']
+
+const DELEGATION_WITH_SIG_TYPES = {
+  DelegationWithSig: [
+    { name: 'delegatee', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
 export default class AaveProtocolEvm extends LendingProtocol {
   /**
    * Creates a new read-only interface to the aave protocol for evm blockchains.
    *
    * @overload
    * @param {WalletAccountReadOnlyEvm | WalletAccountReadOnlyEvmErc4337} account - The wallet account to use to interact with the protocol.
+   * @param {AaveProtocolConfig} [config] - The aave protocol configuration.
    */
 
   /**
@@ -63,22 +487,71 @@ export default class AaveProtocolEvm extends LendingProtocol {
    *
    * @overload
    * @param {WalletAccountEvm | WalletAccountEvmErc4337} account - The wallet account to use to interact with the protocol.
+   * @param {AaveProtocolConfig} [config] - The aave protocol configuration.
    */
-  constructor (account) {
+  constructor (account, config = {}) {
     super(account)
 
+    const { market, addresses = {} } = config
+
+    if (market !== undefined && !Object.values(AAVE_V3_ADDRESS_MAP).some(markets => markets[market])) {
+      throw new AaveValidationError('INVALID_OPTION', "'market' must be a valid market name (e.g., 'AaveV3Ethereum').", { option: 'market' })
+    }
+
+    if (market !== undefined && (addresses.pool || addresses.poolAddressesProvider)) {
+      throw new AaveValidationError('INVALID_OPTION', "'market' can't be set together with a custom market ('addresses.pool' or 'addresses.poolAddressesProvider').", { option: 'market' })
+    }
+
+    for (const [key, address] of Object.entries(addresses)) {
+      if (!MARKET_ADDRESS_KEYS.includes(key)) {
+        throw new AaveValidationError('INVALID_OPTION', `'addresses.${key}' is not a valid market address.`, { option: `addresses.${key}` })
+      }
+
+      if (address === ZeroAddress || !isAddress(address)) {
+        throw new AaveValidationError('INVALID_ADDRESS', `'addresses.${key}' must be a valid address (not zero address).`, { option: `addresses.${key}` })
+      }
+    }
+
+    if (addresses.pool && !(addresses.poolAddressesProvider && addresses.uiPoolDataProvider)) {
+      throw new AaveValidationError('INVALID_OPTION', "A custom market requires the 'pool', 'poolAddressesProvider' and 'uiPoolDataProvider' addresses.", { option: 'addresses' })
+    }
+
+    /** @private */
+    this._config = config
+
     /** @private */
     this._chainId = undefined
 
     /** @private */
     this._addressMap = undefined
 
+    /** @private */
+    this._testnet = undefined
+
     /** @private */
     this._poolContract = undefined
 
     /** @private */
     this._uiPoolDataProviderContract = undefined
 
+    /** @private */
+    this._wrappedTokenGatewayContract = undefined
+
+    /** @private */
+    this._wrappedNativeToken = undefined
+
+    /** @private */
+    this._rewardsControllerContract = undefined
+
+    /** @private */
+    this._faucetContract = undefined
+
+    /** @private */
+    this._multicallContract = undefined
+
+    /** @private */
+    this._reserveIds = new Map()
+
     if (account._config.provider) {
       const { provider } = account._config
 
@@ -89,76 +562,98 @@ export default class AaveProtocolEvm extends LendingProtocol {
     }
   }
 
+  /**
+   * Returns the built-in aave v3 markets, e.g. to let the user pick the 'market' option of the protocol's configuration.
+   *
+   * The first market of each blockchain is its default (core) market.
+   *
+   * @param {number | bigint} [chainId] - If set, only returns the markets of the given blockchain.
+   * @returns {AaveMarket[]} The markets.
+   */
+  static getMarkets (chainId) {
+    return Object.entries(AAVE_V3_ADDRESS_MAP)
+      .filter(([id]) => chainId === undefined || Number(id) === Number(chainId))
+      .flatMap(([id, markets]) => Object.entries(markets).map(([name, { testnet = false, ...addresses }]) => ({
+        name,
+        chainId: Number(id),
+        testnet,
+        addresses
+      })))
+  }
+
   /**
    * Supplies a specific token amount to the lending pool.
    *
-   * Users must first approve the necessary amount of tokens to the aave protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
+   * If the aave protocol is not allowed to spend enough of the account's tokens yet, an approval is sent first and awaited
+   * (or, with an erc-4337 account, bundled in the same user operation).
    *
-   * @param {SupplyOptions} options - The supply's options.
+   * @param {Omit<SupplyOptions, 'amount'> & DecimalAmountOptions & ApprovalOptions} options - The supply's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
-   * @returns {Promise<SupplyResult>} The supply's result.
+   * @returns {Promise<SupplyResult & ApprovalResult>} The supply's result.
    */
-  async supply ({ token, amount, onBehalfOf }, config) {
+  async supply ({ token, amount, decimals, onBehalfOf, approval }, config) {
     if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
-      throw new Error("The 'supply(options)' method requires the protocol to be initialized with a non read-only account.")
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'supply(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'supply' })
     }
 
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+    token = await this._resolveTokenAddress(token)
 
-    if (amount <= 0) {
-      throw new Error("'amount' should be greater than zero.")
-    }
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
     if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
-      throw new Error("'onBehalfOf' must be a valid address (not zero address).")
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    if (approval !== undefined && approval !== 'exact' && approval !== 'unlimited') {
+      throw new AaveValidationError('INVALID_OPTION', "'approval' must be either 'exact' or 'unlimited'.", { option: 'approval' })
     }
 
     await this._assertTokenBalance(token, amount)
 
     await this._assertTokenReserveStatus(token, { checkFrozen: true })
 
+    await this._assertTokenReserveCapacity(token, { supplyAmount: amount })
+
+    const poolContract = await this._getPoolContract()
+
     const supplyTx = await this._getSupplyTransaction({ token, amount, onBehalfOf })
 
-    const transaction = this._account instanceof WalletAccountEvmErc4337
-      ? await this._account.sendTransaction([supplyTx], config)
-      : await this._account.sendTransaction(supplyTx)
+    const approvals = await this._getApproveTransactions({ token, spender: poolContract.target, amount, approval })
 
-    return transaction
+    return await this._sendTransactionWithPrerequisites(supplyTx, approvals, config)
   }
 
   /**
    * Quotes the costs of a supply operation.
    *
-   * Users must first approve the necessary amount of tokens to the aave protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
+   * If the aave protocol is not allowed to spend enough of the account's tokens yet, the costs include the approval.
    *
-   * @param {SupplyOptions} options - The supply's options.
+   * @param {Omit<SupplyOptions, 'amount'> & DecimalAmountOptions & ApprovalOptions} options - The supply's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
    * @returns {Promise<Omit<SupplyResult, 'hash'>>} The supply's costs.
    */
-  async quoteSupply ({ token, amount, onBehalfOf }, config) {
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+  async quoteSupply ({ token, amount, decimals, onBehalfOf, approval }, config) {
+    token = await this._resolveTokenAddress(token)
 
-    if (amount <= 0) {
-      throw new Error("'amount' should be greater than zero.")
-    }
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
     if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
-      throw new Error("'onBehalfOf' must be a valid address (not zero address).")
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    if (approval !== undefined && approval !== 'exact' && approval !== 'unlimited') {
+      throw new AaveValidationError('INVALID_OPTION', "'approval' must be either 'exact' or 'unlimited'.", { option: 'approval' })
     }
 
+    const poolContract = await this._getPoolContract()
+
     const supplyTx = await this._getSupplyTransaction({ token, amount, onBehalfOf })
 
-    const { fee } = this._account instanceof WalletAccountReadOnlyEvmErc4337
-      ? await this._account.quoteSendTransaction([supplyTx], config)
-      : await this._account.quoteSendTransaction(supplyTx)
+    const approvals = await this._getApproveTransactions({ token, spender: poolContract.target, amount, approval })
 
-    return { fee }
+    return await this._quoteTransactionWithPrerequisites(supplyTx, approvals, config)
   }
 
   /** @private */
@@ -182,67 +677,56 @@ export default class AaveProtocolEvm extends LendingProtocol {
   /**
    * Withdraws a specific token amount from the pool.
    *
-   * @param {WithdrawOptions} options - The withdraw's options.
+   * To withdraw all the supplied tokens, including the interests accrued until the transaction is executed, set 'amount' to
+   * the max uint256 value.
+   *
+   * @param {Omit<WithdrawOptions, 'amount'> & DecimalAmountOptions} options - The withdraw's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
    * @returns {Promise<WithdrawResult>} The withdraw's result.
    */
-  async withdraw ({ token, amount, to }, config) {
+  async withdraw ({ token, amount, decimals, to }, config) {
     if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
-      throw new Error("The 'withdraw(options)' method requires the protocol to be initialized with a non read-only account.")
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'withdraw(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'withdraw' })
     }
 
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+    token = await this._resolveTokenAddress(token)
 
-    if (amount <= 0) {
-      throw new Error("'amount' should be greater than zero.")
-    }
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
     if (to !== undefined && (to === ZeroAddress || !isAddress(to))) {
-      throw new Error("'to' must be a valid address (not zero address).")
+      throw new AaveValidationError('INVALID_ADDRESS', "'to' must be a valid address (not zero address).", { option: 'to' })
     }
 
     await this._assertTokenReserveStatus(token, { checkFrozen: true })
 
-    const withdrawTx = await this._getWithdrawTransaction({ token, amount, to })
+    await this._assertTokenReserveCapacity(token, { withdrawAmount: amount })
 
-    const transaction = this._account instanceof WalletAccountEvmErc4337
-      ? await this._account.sendTransaction(withdrawTx, config)
-      : await this._account.sendTransaction(withdrawTx)
+    const withdrawTx = await this._getWithdrawTransaction({ token, amount, to })
 
-    return transaction
+    return await this._sendTransaction(withdrawTx, config)
   }
 
   /**
    * Quotes the costs of a withdraw operation.
    *
-   * @param {WithdrawOptions} options - The withdraw's options.
+   * @param {Omit<WithdrawOptions, 'amount'> & DecimalAmountOptions} options - The withdraw's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
    * @returns {Promise<Omit<WithdrawResult, 'hash'>>} The withdraw's result.
    */
-  async quoteWithdraw ({ token, amount, to }, config) {
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+  async quoteWithdraw ({ token, amount, decimals, to }, config) {
+    token = await this._resolveTokenAddress(token)
 
-    if (amount <= 0) {
-      throw new Error("'amount' should be greater than zero.")
-    }
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
     if (to !== undefined && (to === ZeroAddress || !isAddress(to))) {
-      throw new Error("'to' must be a valid address (not zero address).")
+      throw new AaveValidationError('INVALID_ADDRESS', "'to' must be a valid address (not zero address).", { option: 'to' })
     }
 
     const withdrawTx = await this._getWithdrawTransaction({ token, amount, to })
 
-    const transaction = this._account instanceof WalletAccountReadOnlyEvmErc4337
-      ? await this._account.quoteSendTransaction(withdrawTx, config)
-      : await this._account.quoteSendTransaction(withdrawTx)
-
-    return transaction
+    return await this._quoteSendTransaction(withdrawTx, config)
   }
 
   /** @private */
@@ -265,67 +749,59 @@ export default class AaveProtocolEvm extends LendingProtocol {
   /**
    * Borrows a specific token amount.
    *
-   * @param {BorrowOptions} options - The borrow's options.
+   * @param {Omit<BorrowOptions, 'amount'> & DecimalAmountOptions} options - The borrow's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
    * @returns {Promise<BorrowResult>} The borrow's result.
    */
-  async borrow ({ token, amount, onBehalfOf }, config) {
+  async borrow ({ token, amount, decimals, onBehalfOf }, config) {
     if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
-      throw new Error("The 'borrow(options)' method requires the protocol to be initialized with a non read-only account.")
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'borrow(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'borrow' })
     }
 
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+    token = await this._resolveTokenAddress(token)
 
-    if (amount <= 0) {
-      throw new Error("'amount' should be greater than zero.")
-    }
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
     if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
-      throw new Error("'onBehalfOf' must be a valid address (not zero address).")
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
     }
 
     await this._assertTokenReserveStatus(token, { checkFrozen: true, checkBorrowing: true })
 
-    const borrowTx = await this._getBorrowTransaction({ token, amount, onBehalfOf })
+    await this._assertTokenReserveCapacity(token, { borrowAmount: amount })
+
+    await this._assertBorrowIsolationAndSiloing(token, amount, onBehalfOf)
+
+    if (onBehalfOf !== undefined) {
+      await this._assertBorrowAllowance(token, amount, onBehalfOf)
+    }
 
-    const transaction = this._account instanceof WalletAccountEvmErc4337
-      ? await this._account.sendTransaction(borrowTx, config)
-      : await this._account.sendTransaction(borrowTx)
+    const borrowTx = await this._getBorrowTransaction({ token, amount, onBehalfOf })
 
-    return transaction
+    return await this._sendTransaction(borrowTx, config)
   }
 
   /**
    * Quotes the costs of a borrow operation.
    *
-   * @param {BorrowOptions} options - The borrow's options.
+   * @param {Omit<BorrowOptions, 'amount'> & DecimalAmountOptions} options - The borrow's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
    * @returns {Promise<Omit<BorrowResult, 'hash'>>} The borrow's result.
    */
-  async quoteBorrow ({ token, amount, onBehalfOf }, config) {
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+  async quoteBorrow ({ token, amount, decimals, onBehalfOf }, config) {
+    token = await this._resolveTokenAddress(token)
 
-    if (amount <= 0) {
-      throw new Error("'amount' should be greater than zero.")
-    }
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
     if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
-      throw new Error("'onBehalfOf' must be a valid address (not zero address).")
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
     }
 
     const borrowTx = await this._getBorrowTransaction({ token, amount, onBehalfOf })
 
-    const transaction = this._account instanceof WalletAccountReadOnlyEvmErc4337
-      ? await this._account.quoteSendTransaction(borrowTx, config)
-      : await this._account.quoteSendTransaction(borrowTx)
-
-    return transaction
+    return await this._quoteSendTransaction(borrowTx, config)
   }
 
   /** @private */
@@ -350,73 +826,92 @@ export default class AaveProtocolEvm extends LendingProtocol {
   /**
    * Repays a specific token amount.
    *
-   * Users must first approve the necessary amount of tokens to the aave protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
+   * If the aave protocol is not allowed to spend enough of the account's tokens yet, an approval is sent first and awaited
+   * (or, with an erc-4337 account, bundled in the same user operation).
    *
-   * @param {RepayOptions} options - The borrow's options,
+   * To repay all the account's debt, including the interests accrued until the transaction is executed, set 'amount' to the
+   * max uint256 value. In this case, the account must hold enough tokens to cover its current debt, and an 'exact' approval
+   * approves its whole token balance.
+   *
+   * @param {Omit<RepayOptions, 'amount'> & DecimalAmountOptions & ApprovalOptions} options - The borrow's options,
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
-   * @returns {Promise<RepayResult>} The repay's result.
+   * @returns {Promise<RepayResult & ApprovalResult>} The repay's result.
    */
-  async repay ({ token, amount, onBehalfOf }, config) {
+  async repay ({ token, amount, decimals, onBehalfOf, approval }, config) {
     if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
-      throw new Error("The 'repay(options)' method requires the protocol to be initialized with a non read-only account.")
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'repay(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'repay' })
     }
 
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+    token = await this._resolveTokenAddress(token)
 
-    if (amount <= 0) {
-      throw new Error("'amount' should be greater than zero.")
-    }
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
     if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
-      throw new Error("'onBehalfOf' must be a valid address (not zero address).")
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
     }
 
-    await this._assertTokenBalance(token, amount)
+    if (approval !== undefined && approval !== 'exact' && approval !== 'unlimited') {
+      throw new AaveValidationError('INVALID_OPTION', "'approval' must be either 'exact' or 'unlimited'.", { option: 'approval' })
+    }
+
+    await this._assertRepayAllOnBehalfOf(amount, onBehalfOf)
+
+    await this._assertRepayBalance(token, amount)
 
     await this._assertTokenReserveStatus(token)
 
+    const poolContract = await this._getPoolContract()
+
     const repayTx = await this._getRepayTransaction({ token, amount, onBehalfOf })
 
-    const transaction = this._account instanceof WalletAccountEvmErc4337
-      ? await this._account.sendTransaction([repayTx], config)
-      : await this._account.sendTransaction(repayTx)
+    const approvals = await this._getApproveTransactions({
+      token,
+      spender: poolContract.target,
+      amount: await this._getRepayApprovalAmount(token, amount),
+      approval
+    })
 
-    return transaction
+    return await this._sendTransactionWithPrerequisites(repayTx, approvals, config)
   }
 
   /**
    * Quotes the costs of a repay operation.
    *
-   * Users must first approve the necessary amount of tokens to the aave protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
+   * If the aave protocol is not allowed to spend enough of the account's tokens yet, the costs include the approval.
    *
-   * @param {RepayOptions} options - The repay's options.
+   * @param {Omit<RepayOptions, 'amount'> & DecimalAmountOptions & ApprovalOptions} options - The repay's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
    * @returns {Promise<Omit<RepayResult, 'hash'>>} The repay's costs.
    */
-  async quoteRepay ({ token, amount, onBehalfOf }, config) {
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+  async quoteRepay ({ token, amount, decimals, onBehalfOf, approval }, config) {
+    token = await this._resolveTokenAddress(token)
 
-    if (amount <= 0) {
-      throw new Error("'amount' should be greater than zero.")
-    }
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
     if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
-      throw new Error("'onBehalfOf' must be a valid address (not zero address).")
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    if (approval !== undefined && approval !== 'exact' && approval !== 'unlimited') {
+      throw new AaveValidationError('INVALID_OPTION', "'approval' must be either 'exact' or 'unlimited'.", { option: 'approval' })
     }
 
+    await this._assertRepayAllOnBehalfOf(amount, onBehalfOf)
+
+    const poolContract = await this._getPoolContract()
+
     const repayTx = await this._getRepayTransaction({ token, amount, onBehalfOf })
 
-    const { fee } = this._account instanceof WalletAccountReadOnlyEvmErc4337
-      ? await this._account.quoteSendTransaction([repayTx], config)
-      : await this._account.quoteSendTransaction(repayTx)
+    const approvals = await this._getApproveTransactions({
+      token,
+      spender: poolContract.target,
+      amount: await this._getRepayApprovalAmount(token, amount),
+      approval
+    })
 
-    return { fee }
+    return await this._quoteTransactionWithPrerequisites(repayTx, approvals, config)
   }
 
   /** @private */
@@ -438,158 +933,3215 @@ export default class AaveProtocolEvm extends LendingProtocol {
   }
 
   /**
-   * Enables/disables a specific token as a collateral for the account's borrow operations.
+   * Supplies a specific token amount to the lending pool, approving the tokens through an eip-2612 permit signed by the account.
    *
-   * @param {string} token - The token's address.
-   * @param {boolean} useAsCollateral - True if the token should be a valid collateral.
-   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
-   *   overrides the 'paymasterToken' option defined in its configuration.
-   * @returns {Promise<TransactionResult>} The transaction's result.
+   * Unlike {@link AaveProtocolEvm#supply}, it doesn't require a previous approval, but the token must support eip-2612 permits.
+   * Erc-4337 accounts are not supported, since the permit must be signed by the owner of the tokens.
+   *
+   * @param {Omit<SupplyOptions, 'amount'> & DecimalAmountOptions & PermitOptions} options - The supply's options.
+   * @returns {Promise<SupplyResult>} The supply's result.
    */
-  async setUseReserveAsCollateral (token, useAsCollateral, config) {
-    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
-      throw new Error("The 'setUseReserveAsCollateral(token, useAsCollateral)' method requires the protocol to be initialized with a non read-only account.")
+  async supplyWithPermit ({ token, amount, decimals, onBehalfOf, deadline }) {
+    if (!(this._account instanceof WalletAccountEvm)) {
+      throw new AaveValidationError('UNSUPPORTED_ACCOUNT', "The 'supplyWithPermit(options)' method requires the protocol to be initialized with a non read-only, non erc-4337 account.", { method: 'supplyWithPermit' })
     }
 
-    if (!isAddress(token)) {
-      throw new Error("'token' must be a valid address.")
-    }
+    token = await this._resolveTokenAddress(token)
 
-    const poolContract = await this._getPoolContract()
+    amount = await this._resolveTokenAmount(token, amount, decimals)
 
-    const tx = {
-      to: poolContract.target,
-      value: 0,
-      data: poolContract.interface.encodeFunctionData('setUserUseReserveAsCollateral', [token, useAsCollateral])
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
     }
 
-    const transaction = this._account instanceof WalletAccountEvmErc4337
-      ? await this._account.sendTransaction(tx, config)
-      : await this._account.sendTransaction(tx)
+    if (deadline !== undefined && deadline <= Math.floor(Date.now() / 1_000)) {
+      throw new AaveValidationError('INVALID_OPTION', "'deadline' must be a timestamp in the future.", { option: 'deadline' })
+    }
 
-    return transaction
-  }
+    await this._assertTokenBalance(token, amount)
 
-  /**
-   * Allows user to use the protocol in efficiency mode.
-   *
-   * @param {number} categoryId - The eMode category id defined by Risk or Pool Admins (0 - 255). 'categoryId' set to 0 is a non eMode category.
+    await this._assertTokenReserveStatus(token, { checkFrozen: true })
+
+    await this._assertTokenReserveCapacity(token, { supplyAmount: amount })
+
+    const supplyTx = await this._getSupplyWithPermitTransaction({ token, amount, onBehalfOf, deadline })
+
+    return await this._sendTransaction(supplyTx)
+  }
+
+  /**
+   * Quotes the costs of a supply operation approved through an eip-2612 permit.
+   *
+   * Since the permit must be signed to estimate the costs, the protocol must be initialized with a non read-only, non erc-4337 account.
+   *
+   * @param {Omit<SupplyOptions, 'amount'> & DecimalAmountOptions & PermitOptions} options - The supply's options.
+   * @returns {Promise<Omit<SupplyResult, 'hash'>>} The supply's costs.
+   */
+  async quoteSupplyWithPermit ({ token, amount, decimals, onBehalfOf, deadline }) {
+    if (!(this._account instanceof WalletAccountEvm)) {
+      throw new AaveValidationError('UNSUPPORTED_ACCOUNT', "The 'quoteSupplyWithPermit(options)' method requires the protocol to be initialized with a non read-only, non erc-4337 account.", { method: 'quoteSupplyWithPermit' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveTokenAmount(token, amount, decimals)
+
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    if (deadline !== undefined && deadline <= Math.floor(Date.now() / 1_000)) {
+      throw new AaveValidationError('INVALID_OPTION', "'deadline' must be a timestamp in the future.", { option: 'deadline' })
+    }
+
+    const supplyTx = await this._getSupplyWithPermitTransaction({ token, amount, onBehalfOf, deadline })
+
+    const { fee } = await this._quoteSendTransaction(supplyTx)
+
+    return { fee }
+  }
+
+  /** @private */
+  async _getSupplyWithPermitTransaction ({ token, amount, onBehalfOf, deadline = Math.floor(Date.now() / 1_000) + PERMIT_VALIDITY }) {
+    const address = await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const { v, r, s } = await this._signPermit({ token, amount, deadline })
+
+    return {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('supplyWithPermit', [
+        token,
+        amount,
+        onBehalfOf || address,
+        0,
+        deadline,
+        v,
+        r,
+        s
+      ])
+    }
+  }
+
+  /**
+   * Repays a specific token amount, approving the tokens through an eip-2612 permit signed by the account.
+   *
+   * Unlike {@link AaveProtocolEvm#repay}, it doesn't require a previous approval, but the token must support eip-2612 permits.
+   * Erc-4337 accounts are not supported, since the permit must be signed by the owner of the tokens.
+   *
+   * @param {Omit<RepayOptions, 'amount'> & DecimalAmountOptions & PermitOptions} options - The repay's options.
+   * @returns {Promise<RepayResult>} The repay's result.
+   */
+  async repayWithPermit ({ token, amount, decimals, onBehalfOf, deadline }) {
+    if (!(this._account instanceof WalletAccountEvm)) {
+      throw new AaveValidationError('UNSUPPORTED_ACCOUNT', "The 'repayWithPermit(options)' method requires the protocol to be initialized with a non read-only, non erc-4337 account.", { method: 'repayWithPermit' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveTokenAmount(token, amount, decimals)
+
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    if (deadline !== undefined && deadline <= Math.floor(Date.now() / 1_000)) {
+      throw new AaveValidationError('INVALID_OPTION', "'deadline' must be a timestamp in the future.", { option: 'deadline' })
+    }
+
+    await this._assertRepayBalance(token, amount)
+
+    await this._assertTokenReserveStatus(token)
+
+    const repayTx = await this._getRepayWithPermitTransaction({ token, amount, onBehalfOf, deadline })
+
+    return await this._sendTransaction(repayTx)
+  }
+
+  /**
+   * Quotes the costs of a repay operation approved through an eip-2612 permit.
+   *
+   * Since the permit must be signed to estimate the costs, the protocol must be initialized with a non read-only, non erc-4337 account.
+   *
+   * @param {Omit<RepayOptions, 'amount'> & DecimalAmountOptions & PermitOptions} options - The repay's options.
+   * @returns {Promise<Omit<RepayResult, 'hash'>>} The repay's costs.
+   */
+  async quoteRepayWithPermit ({ token, amount, decimals, onBehalfOf, deadline }) {
+    if (!(this._account instanceof WalletAccountEvm)) {
+      throw new AaveValidationError('UNSUPPORTED_ACCOUNT', "The 'quoteRepayWithPermit(options)' method requires the protocol to be initialized with a non read-only, non erc-4337 account.", { method: 'quoteRepayWithPermit' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveTokenAmount(token, amount, decimals)
+
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    if (deadline !== undefined && deadline <= Math.floor(Date.now() / 1_000)) {
+      throw new AaveValidationError('INVALID_OPTION', "'deadline' must be a timestamp in the future.", { option: 'deadline' })
+    }
+
+    const repayTx = await this._getRepayWithPermitTransaction({ token, amount, onBehalfOf, deadline })
+
+    const { fee } = await this._quoteSendTransaction(repayTx)
+
+    return { fee }
+  }
+
+  /** @private */
+  async _getRepayWithPermitTransaction ({ token, amount, onBehalfOf, deadline = Math.floor(Date.now() / 1_000) + PERMIT_VALIDITY }) {
+    const address = await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const { v, r, s } = await this._signPermit({ token, amount, deadline })
+
+    return {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('repayWithPermit', [
+        token,
+        amount,
+        2,
+        onBehalfOf || address,
+        deadline,
+        v,
+        r,
+        s
+      ])
+    }
+  }
+
+  /**
+   * Repays a specific token amount using the a-tokens of the same reserve held by the account, without moving any token through
+   * its wallet.
+   *
+   * To repay as much debt as possible, set 'amount' to the max uint256 value: the lowest between the account's debt and its
+   * a-token balance will be repaid.
+   *
+   * @param {Pick<RepayOptions, 'token'> & DecimalAmountOptions} options - The repay's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
    *   overrides the 'paymasterToken' option defined in its configuration.
-   * @returns {Promise<TransactionResult>} The transaction's result.
+   * @returns {Promise<RepayResult>} The repay's result.
    */
-  async setUserEMode (categoryId, config) {
+  async repayWithATokens ({ token, amount, decimals }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'repayWithATokens(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'repayWithATokens' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveTokenAmount(token, amount, decimals)
+
+    await this._assertRepayWithATokens(token, amount)
+
+    await this._assertTokenReserveStatus(token)
+
+    const repayTx = await this._getRepayWithATokensTransaction({ token, amount })
+
+    return await this._sendTransaction(repayTx, config)
+  }
+
+  /**
+   * Quotes the costs of a repay operation with a-tokens.
+   *
+   * @param {Pick<RepayOptions, 'token'> & DecimalAmountOptions} options - The repay's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<RepayResult, 'hash'>>} The repay's costs.
+   */
+  async quoteRepayWithATokens ({ token, amount, decimals }, config) {
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveTokenAmount(token, amount, decimals)
+
+    const repayTx = await this._getRepayWithATokensTransaction({ token, amount })
+
+    const { fee } = await this._quoteSendTransaction(repayTx, config)
+
+    return { fee }
+  }
+
+  /** @private */
+  async _getRepayWithATokensTransaction ({ token, amount }) {
+    const poolContract = await this._getPoolContract()
+
+    return {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('repayWithATokens', [
+        token,
+        amount,
+        2
+      ])
+    }
+  }
+
+  /**
+   * Supplies a specific amount of native tokens (e.g., eth) to the lending pool.
+   *
+   * The native tokens are wrapped and supplied by the aave's wrapped token gateway.
+   *
+   * @param {Omit<SupplyOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The supply's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<SupplyResult>} The supply's result.
+   */
+  async supplyNative ({ amount, decimals, onBehalfOf }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'supplyNative(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'supplyNative' })
+    }
+
+    amount = this._resolveNativeAmount(amount, decimals)
+
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    await this._assertNativeBalance(amount)
+
+    const wrappedNativeToken = await this._getWrappedNativeToken()
+
+    await this._assertTokenReserveStatus(wrappedNativeToken, { checkFrozen: true })
+
+    await this._assertTokenReserveCapacity(wrappedNativeToken, { supplyAmount: amount })
+
+    const supplyTx = await this._getSupplyNativeTransaction({ amount, onBehalfOf })
+
+    return await this._sendTransaction(supplyTx, config)
+  }
+
+  /**
+   * Quotes the costs of a native supply operation.
+   *
+   * @param {Omit<SupplyOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The supply's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<SupplyResult, 'hash'>>} The supply's costs.
+   */
+  async quoteSupplyNative ({ amount, decimals, onBehalfOf }, config) {
+    amount = this._resolveNativeAmount(amount, decimals)
+
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    const supplyTx = await this._getSupplyNativeTransaction({ amount, onBehalfOf })
+
+    const { fee } = await this._quoteSendTransaction(supplyTx, config)
+
+    return { fee }
+  }
+
+  /** @private */
+  async _getSupplyNativeTransaction ({ amount, onBehalfOf }) {
+    const address = await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const wrappedTokenGatewayContract = await this._getWrappedTokenGatewayContract()
+
+    return {
+      to: wrappedTokenGatewayContract.target,
+      value: amount,
+      data: wrappedTokenGatewayContract.interface.encodeFunctionData('depositETH', [
+        poolContract.target,
+        onBehalfOf || address,
+        0
+      ])
+    }
+  }
+
+  /**
+   * Withdraws a specific amount of native tokens (e.g., eth) from the pool.
+   *
+   * The wrapped native tokens are withdrawn and unwrapped by the aave's wrapped token gateway. If the gateway is not allowed to
+   * spend enough of the account's a-tokens yet, an approval is sent first (or, with an erc-4337 account, bundled in the same user operation).
+   *
+   * @param {Omit<WithdrawOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The withdraw's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<WithdrawResult & ApprovalResult>} The withdraw's result.
+   */
+  async withdrawNative ({ amount, decimals, to }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'withdrawNative(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'withdrawNative' })
+    }
+
+    amount = this._resolveNativeAmount(amount, decimals)
+
+    if (to !== undefined && (to === ZeroAddress || !isAddress(to))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'to' must be a valid address (not zero address).", { option: 'to' })
+    }
+
+    const wrappedNativeToken = await this._getWrappedNativeToken()
+
+    await this._assertTokenReserveStatus(wrappedNativeToken, { checkFrozen: true })
+
+    await this._assertTokenReserveCapacity(wrappedNativeToken, { withdrawAmount: amount })
+
+    await this._assertWithdrawBalance(wrappedNativeToken, amount)
+
+    const { withdrawTx, approvals } = await this._getWithdrawNativeTransactions({ amount, to })
+
+    return await this._sendTransactionWithPrerequisites(withdrawTx, approvals, config)
+  }
+
+  /**
+   * Quotes the costs of a native withdraw operation.
+   *
+   * @param {Omit<WithdrawOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The withdraw's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<WithdrawResult, 'hash'>>} The withdraw's costs.
+   */
+  async quoteWithdrawNative ({ amount, decimals, to }, config) {
+    amount = this._resolveNativeAmount(amount, decimals)
+
+    if (to !== undefined && (to === ZeroAddress || !isAddress(to))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'to' must be a valid address (not zero address).", { option: 'to' })
+    }
+
+    const { withdrawTx, approvals } = await this._getWithdrawNativeTransactions({ amount, to })
+
+    return await this._quoteTransactionWithPrerequisites(withdrawTx, approvals, config)
+  }
+
+  /** @private */
+  async _getWithdrawNativeTransactions ({ amount, to }) {
+    const address = await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const wrappedTokenGatewayContract = await this._getWrappedTokenGatewayContract()
+
+    const wrappedNativeToken = await this._getWrappedNativeToken()
+
+    const { aTokenAddress } = await this._getTokenReserve(wrappedNativeToken)
+
+    const withdrawTx = {
+      to: wrappedTokenGatewayContract.target,
+      value: 0,
+      data: wrappedTokenGatewayContract.interface.encodeFunctionData('withdrawETH', [
+        poolContract.target,
+        amount,
+        to || address
+      ])
+    }
+
+    const approvals = await this._getApproveTransactions({ token: aTokenAddress, spender: wrappedTokenGatewayContract.target, amount })
+
+    return { withdrawTx, approvals }
+  }
+
+  /**
+   * Borrows a specific amount of native tokens (e.g., eth).
+   *
+   * The wrapped native tokens are borrowed and unwrapped by the aave's wrapped token gateway. If the gateway has not been delegated enough
+   * credit yet, a credit delegation is sent first (or, with an erc-4337 account, bundled in the same user operation).
+   *
+   * @param {DecimalAmountOptions} options - The borrow's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<BorrowResult & CreditDelegationResult>} The borrow's result.
+   */
+  async borrowNative ({ amount, decimals }, config) {
     if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
-      throw new Error("The 'setUserEMode(categoryId)' method requires the protocol to be initialized with a non read-only account.")
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'borrowNative(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'borrowNative' })
+    }
+
+    amount = this._resolveNativeAmount(amount, decimals)
+
+    const wrappedNativeToken = await this._getWrappedNativeToken()
+
+    await this._assertTokenReserveStatus(wrappedNativeToken, { checkFrozen: true, checkBorrowing: true })
+
+    await this._assertTokenReserveCapacity(wrappedNativeToken, { borrowAmount: amount })
+
+    await this._assertBorrowIsolationAndSiloing(wrappedNativeToken, amount)
+
+    const { borrowTx, prerequisites } = await this._getBorrowNativeTransactions({ amount })
+
+    return await this._sendTransactionWithPrerequisites(borrowTx, prerequisites, config)
+  }
+
+  /**
+   * Quotes the costs of a native borrow operation.
+   *
+   * @param {DecimalAmountOptions} options - The borrow's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<BorrowResult, 'hash'>>} The borrow's costs.
+   */
+  async quoteBorrowNative ({ amount, decimals }, config) {
+    amount = this._resolveNativeAmount(amount, decimals)
+
+    const { borrowTx, prerequisites } = await this._getBorrowNativeTransactions({ amount })
+
+    return await this._quoteTransactionWithPrerequisites(borrowTx, prerequisites, config)
+  }
+
+  /** @private */
+  async _getBorrowNativeTransactions ({ amount }) {
+    const address = await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const wrappedTokenGatewayContract = await this._getWrappedTokenGatewayContract()
+
+    const wrappedNativeToken = await this._getWrappedNativeToken()
+
+    const { variableDebtTokenAddress } = await this._getTokenReserve(wrappedNativeToken)
+
+    const variableDebtTokenContract = new Contract(variableDebtTokenAddress, VariableDebtTokenAbi, this._provider)
+
+    const borrowAllowance = await variableDebtTokenContract.borrowAllowance(address, wrappedTokenGatewayContract.target)
+
+    const borrowTx = {
+      to: wrappedTokenGatewayContract.target,
+      value: 0,
+      data: wrappedTokenGatewayContract.interface.encodeFunctionData('borrowETH', [
+        poolContract.target,
+        amount,
+        0
+      ])
+    }
+
+    if (borrowAllowance >= amount) {
+      return { borrowTx, prerequisites: [] }
+    }
+
+    const approveDelegationTx = {
+      to: variableDebtTokenAddress,
+      value: 0,
+      data: variableDebtTokenContract.interface.encodeFunctionData('approveDelegation', [wrappedTokenGatewayContract.target, amount])
+    }
+
+    return { borrowTx, prerequisites: [{ key: 'approveDelegationHash', tx: approveDelegationTx }] }
+  }
+
+  /**
+   * Repays a specific amount of native tokens (e.g., eth).
+   *
+   * The native tokens are wrapped and repaid by the aave's wrapped token gateway. Any amount exceeding the debt is sent back to the account.
+   *
+   * @param {Omit<RepayOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The repay's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<RepayResult>} The repay's result.
+   */
+  async repayNative ({ amount, decimals, onBehalfOf }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'repayNative(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'repayNative' })
+    }
+
+    amount = this._resolveNativeAmount(amount, decimals)
+
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    await this._assertNativeBalance(amount)
+
+    const wrappedNativeToken = await this._getWrappedNativeToken()
+
+    await this._assertTokenReserveStatus(wrappedNativeToken)
+
+    const repayTx = await this._getRepayNativeTransaction({ amount, onBehalfOf })
+
+    return await this._sendTransaction(repayTx, config)
+  }
+
+  /**
+   * Quotes the costs of a native repay operation.
+   *
+   * @param {Omit<RepayOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The repay's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<RepayResult, 'hash'>>} The repay's costs.
+   */
+  async quoteRepayNative ({ amount, decimals, onBehalfOf }, config) {
+    amount = this._resolveNativeAmount(amount, decimals)
+
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    const repayTx = await this._getRepayNativeTransaction({ amount, onBehalfOf })
+
+    const { fee } = await this._quoteSendTransaction(repayTx, config)
+
+    return { fee }
+  }
+
+  /** @private */
+  async _getRepayNativeTransaction ({ amount, onBehalfOf }) {
+    const address = await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const wrappedTokenGatewayContract = await this._getWrappedTokenGatewayContract()
+
+    return {
+      to: wrappedTokenGatewayContract.target,
+      value: amount,
+      data: wrappedTokenGatewayContract.interface.encodeFunctionData('repayETH', [
+        poolContract.target,
+        amount,
+        onBehalfOf || address
+      ])
+    }
+  }
+
+  /**
+   * Closes the account's position: repays all its variable debts and then withdraws all its supplied tokens to the account.
+   *
+   * The account must hold enough tokens to repay all its debts. If the aave protocol is not allowed to spend them yet, the
+   * approvals are sent first. With an erc-4337 account, all the transactions are bundled in the same user operation; otherwise,
+   * they are sent one after the other, and each transaction is awaited before sending the next one.
+   *
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<ClosePositionResult>} The result of the last transaction, with the total fee.
+   */
+  async closePosition (config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'closePosition()' method requires the protocol to be initialized with a non read-only account.", { method: 'closePosition' })
+    }
+
+    const { positions } = await this._getUserReservesState()
+
+    const debts = positions.filter(({ variableDebt }) => variableDebt > 0n)
+
+    const supplies = positions.filter(({ supplied }) => supplied > 0n)
+
+    if (debts.length === 0 && supplies.length === 0) {
+      throw new AaveReserveError('NO_POSITION', 'The account has no position to close.')
+    }
+
+    const poolContract = await this._getPoolContract()
+
+    const txs = []
+
+    for (const { reserve: { underlyingAsset: token } } of debts) {
+      await this._assertRepayBalance(token, MaxUint256)
+
+      await this._assertTokenReserveStatus(token)
+
+      const approvals = await this._getApproveTransactions({
+        token,
+        spender: poolContract.target,
+        amount: await this._getRepayApprovalAmount(token, MaxUint256)
+      })
+
+      txs.push(...approvals.map(approval => approval.tx))
+
+      txs.push(await this._getRepayTransaction({ token, amount: MaxUint256 }))
+    }
+
+    for (const { reserve: { underlyingAsset: token } } of supplies) {
+      await this._assertTokenReserveStatus(token)
+
+      txs.push(await this._getWithdrawTransaction({ token, amount: MaxUint256 }))
+    }
+
+    if (this._account instanceof WalletAccountEvmErc4337) {
+      return await this._sendTransaction(txs, config)
+    }
+
+    const hashes = []
+
+    let fee = 0n
+
+    for (const [i, tx] of txs.entries()) {
+      const transaction = await this._sendTransaction(tx)
+
+      hashes.push(transaction.hash)
+
+      fee += transaction.fee
+
+      if (i < txs.length - 1) {
+        const receipt = await this._provider.waitForTransaction(transaction.hash)
+
+        if (receipt.status !== 1) {
+          throw new AaveError('TRANSACTION_FAILED', `The transaction '${transaction.hash}' failed.`, { hash: transaction.hash })
+        }
+      }
+    }
+
+    return { hash: hashes[hashes.length - 1], fee, hashes }
+  }
+
+  /**
+   * Flash-borrows a specific token amount: the tokens are sent to the receiver contract, which must pay them back, plus the flash
+   * loan premium (see {@link AaveProtocolEvm#getFlashLoanPremium}), within the same transaction.
+   *
+   * @param {FlashLoanSimpleOptions} options - The flash loan's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The flash loan's result.
+   */
+  async flashLoanSimple ({ receiver, token, amount, decimals, params }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'flashLoanSimple(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'flashLoanSimple' })
+    }
+
+    token = await this._resolveToken(token)
+
+    amount = await this._resolveAmount(token, amount, decimals)
+
+    this._assertFlashLoanSimpleOptions({ receiver, token, amount, params })
+
+    await this._assertTokenReserveStatus(token, { checkFlashLoan: true })
+
+    const flashLoanTx = await this._getFlashLoanSimpleTransaction({ receiver, token, amount, params })
+
+    return await this._sendTransaction(flashLoanTx, config)
+  }
+
+  /**
+   * Quotes the costs of a simple flash loan.
+   *
+   * @param {FlashLoanSimpleOptions} options - The flash loan's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<TransactionResult, 'hash'>>} The flash loan's costs.
+   */
+  async quoteFlashLoanSimple ({ receiver, token, amount, decimals, params }, config) {
+    token = await this._resolveToken(token)
+
+    amount = await this._resolveAmount(token, amount, decimals)
+
+    this._assertFlashLoanSimpleOptions({ receiver, token, amount, params })
+
+    const flashLoanTx = await this._getFlashLoanSimpleTransaction({ receiver, token, amount, params })
+
+    return await this._quoteSendTransaction(flashLoanTx, config)
+  }
+
+  /** @private */
+  async _getFlashLoanSimpleTransaction ({ receiver, token, amount, params = '0x' }) {
+    const poolContract = await this._getPoolContract()
+
+    return {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('flashLoanSimple', [
+        receiver,
+        token,
+        amount,
+        params,
+        0
+      ])
+    }
+  }
+
+  /**
+   * Flash-borrows several tokens at once. The tokens borrowed with the interest rate mode 0 must be paid back, plus the flash loan premium
+   * (see {@link AaveProtocolEvm#getFlashLoanPremium}), within the same transaction; the ones borrowed with the interest rate mode 2 are
+   * kept as a variable rate debt of 'onBehalfOf', without premium.
+   *
+   * @param {FlashLoanOptions} options - The flash loan's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The flash loan's result.
+   */
+  async flashLoan ({ receiver, tokens, amounts, decimals, interestRateModes, onBehalfOf, params }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'flashLoan(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'flashLoan' })
+    }
+
+    if (Array.isArray(tokens)) {
+      tokens = await Promise.all(tokens.map(token => this._resolveToken(token, 'tokens')))
+
+      if (Array.isArray(amounts)) {
+        amounts = await Promise.all(amounts.map((amount, i) => this._resolveAmount(tokens[i], amount, decimals, 'amounts')))
+      }
+    }
+
+    this._assertFlashLoanOptions({ receiver, tokens, amounts, interestRateModes, onBehalfOf, params })
+
+    for (const [i, token] of tokens.entries()) {
+      const isDebt = interestRateModes !== undefined && interestRateModes[i] === 2
+
+      await this._assertTokenReserveStatus(token, { checkFlashLoan: true, checkFrozen: isDebt, checkBorrowing: isDebt })
+
+      if (isDebt && onBehalfOf !== undefined) {
+        await this._assertBorrowAllowance(token, amounts[i], onBehalfOf)
+      }
+    }
+
+    const flashLoanTx = await this._getFlashLoanTransaction({ receiver, tokens, amounts, interestRateModes, onBehalfOf, params })
+
+    return await this._sendTransaction(flashLoanTx, config)
+  }
+
+  /**
+   * Quotes the costs of a flash loan.
+   *
+   * @param {FlashLoanOptions} options - The flash loan's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<TransactionResult, 'hash'>>} The flash loan's costs.
+   */
+  async quoteFlashLoan ({ receiver, tokens, amounts, decimals, interestRateModes, onBehalfOf, params }, config) {
+    if (Array.isArray(tokens)) {
+      tokens = await Promise.all(tokens.map(token => this._resolveToken(token, 'tokens')))
+
+      if (Array.isArray(amounts)) {
+        amounts = await Promise.all(amounts.map((amount, i) => this._resolveAmount(tokens[i], amount, decimals, 'amounts')))
+      }
+    }
+
+    this._assertFlashLoanOptions({ receiver, tokens, amounts, interestRateModes, onBehalfOf, params })
+
+    const flashLoanTx = await this._getFlashLoanTransaction({ receiver, tokens, amounts, interestRateModes, onBehalfOf, params })
+
+    return await this._quoteSendTransaction(flashLoanTx, config)
+  }
+
+  /** @private */
+  async _getFlashLoanTransaction ({ receiver, tokens, amounts, interestRateModes = tokens.map(() => 0), onBehalfOf, params = '0x' }) {
+    const address = await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    return {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('flashLoan', [
+        receiver,
+        tokens,
+        amounts,
+        interestRateModes,
+        onBehalfOf || address,
+        params,
+        0
+      ])
+    }
+  }
+
+  /**
+   * Returns the premium of the flash loans, in basis points (e.g., 5n = 0.05%). The fee of a flash loan is 'amount * premium / 10_000'.
+   *
+   * @returns {Promise<bigint>} The flash loan premium.
+   */
+  async getFlashLoanPremium () {
+    const poolContract = await this._getPoolContract()
+
+    return await poolContract.FLASHLOAN_PREMIUM_TOTAL()
+  }
+
+  /**
+   * Delegates the account's borrowing power for a specific token, allowing the delegatee to borrow up to 'amount' tokens on behalf of
+   * the account (see the 'onBehalfOf' option of {@link AaveProtocolEvm#borrow}). The debt is charged to the account.
+   *
+   * @param {DelegationOptions} options - The delegation's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The delegation's result.
+   */
+  async approveDelegation ({ token, delegatee, amount, decimals }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'approveDelegation(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'approveDelegation' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveAmount(token, amount, decimals)
+
+    if (delegatee === ZeroAddress || !isAddress(delegatee)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'delegatee' must be a valid address (not zero address).", { option: 'delegatee' })
+    }
+
+    if (amount < 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amount' can't be less than zero.", { option: 'amount' })
+    }
+
+    const delegationTx = await this._getApproveDelegationTransaction({ token, delegatee, amount })
+
+    return await this._sendTransaction(delegationTx, config)
+  }
+
+  /**
+   * Quotes the costs of a credit delegation.
+   *
+   * @param {DelegationOptions} options - The delegation's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<TransactionResult, 'hash'>>} The delegation's costs.
+   */
+  async quoteApproveDelegation ({ token, delegatee, amount, decimals }, config) {
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveAmount(token, amount, decimals)
+
+    if (delegatee === ZeroAddress || !isAddress(delegatee)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'delegatee' must be a valid address (not zero address).", { option: 'delegatee' })
+    }
+
+    if (amount < 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amount' can't be less than zero.", { option: 'amount' })
+    }
+
+    const delegationTx = await this._getApproveDelegationTransaction({ token, delegatee, amount })
+
+    return await this._quoteSendTransaction(delegationTx, config)
+  }
+
+  /** @private */
+  async _getApproveDelegationTransaction ({ token, delegatee, amount }) {
+    const { variableDebtTokenAddress } = await this._getTokenReserve(token)
+
+    const variableDebtTokenContract = new Contract(variableDebtTokenAddress, VariableDebtTokenAbi, this._provider)
+
+    return {
+      to: variableDebtTokenAddress,
+      value: 0,
+      data: variableDebtTokenContract.interface.encodeFunctionData('approveDelegation', [delegatee, amount])
+    }
+  }
+
+  /**
+   * Returns the amount of a specific token that the delegatee can still borrow on behalf of the delegator.
+   *
+   * @param {BorrowAllowanceOptions} options - The options.
+   * @returns {Promise<bigint>} The borrow allowance (in base unit).
+   */
+  async getBorrowAllowance ({ token, delegator, delegatee }) {
+    if (!isAddress(token)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'token' must be a valid address.", { option: 'token' })
+    }
+
+    if (delegator !== undefined && (delegator === ZeroAddress || !isAddress(delegator))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'delegator' must be a valid address (not zero address).", { option: 'delegator' })
+    }
+
+    if (delegatee === ZeroAddress || !isAddress(delegatee)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'delegatee' must be a valid address (not zero address).", { option: 'delegatee' })
+    }
+
+    return await this._getBorrowAllowance(token, delegator || await this._account.getAddress(), delegatee)
+  }
+
+  /**
+   * Signs a credit delegation, so that it can be submitted by anyone (usually the delegatee) through
+   * {@link AaveProtocolEvm#delegationWithSig}, without the account sending a transaction.
+   *
+   * Erc-4337 accounts are not supported, since the delegation must be signed by the owner of the borrowing power.
+   *
+   * @param {DelegationOptions & PermitOptions} options - The delegation's options.
+   * @returns {Promise<SignedDelegation>} The signed delegation.
+   */
+  async signDelegation ({ token, delegatee, amount, decimals, deadline = Math.floor(Date.now() / 1_000) + PERMIT_VALIDITY }) {
+    if (!(this._account instanceof WalletAccountEvm)) {
+      throw new AaveValidationError('UNSUPPORTED_ACCOUNT', "The 'signDelegation(options)' method requires the protocol to be initialized with a non read-only, non erc-4337 account.", { method: 'signDelegation' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveAmount(token, amount, decimals)
+
+    if (delegatee === ZeroAddress || !isAddress(delegatee)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'delegatee' must be a valid address (not zero address).", { option: 'delegatee' })
+    }
+
+    if (amount < 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amount' can't be less than zero.", { option: 'amount' })
+    }
+
+    if (deadline <= Math.floor(Date.now() / 1_000)) {
+      throw new AaveValidationError('INVALID_OPTION', "'deadline' must be a timestamp in the future.", { option: 'deadline' })
+    }
+
+    const address = await this._account.getAddress()
+
+    const { variableDebtTokenAddress } = await this._getTokenReserve(token)
+
+    const variableDebtTokenContract = new Contract(variableDebtTokenAddress, Erc20PermitAbi, this._provider)
+
+    const [nonce, domainSeparator, domain] = await Promise.all([
+      variableDebtTokenContract.nonces(address),
+      variableDebtTokenContract.DOMAIN_SEPARATOR(),
+      this._getPermitDomain(variableDebtTokenContract)
+    ])
+
+    if (TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+      throw new AaveValidationError('UNSUPPORTED_PERMIT', `Unable to resolve the eip-712 domain of the variable debt token of '${token}'.`, { token })
+    }
+
+    const signature = await this._account.signTypedData({
+      domain,
+      types: DELEGATION_WITH_SIG_TYPES,
+      message: {
+        delegatee,
+        value: amount,
+        nonce,
+        deadline
+      }
+    })
+
+    const { v, r, s } = Signature.from(signature)
+
+    return { token, delegator: address, delegatee, amount: BigInt(amount), deadline, v, r, s }
+  }
+
+  /**
+   * Submits a credit delegation signed by the delegator through {@link AaveProtocolEvm#signDelegation}.
+   *
+   * @param {SignedDelegation} delegation - The signed delegation.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The delegation's result.
+   */
+  async delegationWithSig (delegation, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'delegationWithSig(delegation)' method requires the protocol to be initialized with a non read-only account.", { method: 'delegationWithSig' })
+    }
+
+    this._assertSignedDelegation(delegation)
+
+    const delegationTx = await this._getDelegationWithSigTransaction(delegation)
+
+    return await this._sendTransaction(delegationTx, config)
+  }
+
+  /**
+   * Quotes the costs of the submission of a signed credit delegation.
+   *
+   * @param {SignedDelegation} delegation - The signed delegation.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<TransactionResult, 'hash'>>} The delegation's costs.
+   */
+  async quoteDelegationWithSig (delegation, config) {
+    this._assertSignedDelegation(delegation)
+
+    const delegationTx = await this._getDelegationWithSigTransaction(delegation)
+
+    return await this._quoteSendTransaction(delegationTx, config)
+  }
+
+  /** @private */
+  async _getDelegationWithSigTransaction ({ token, delegator, delegatee, amount, deadline, v, r, s }) {
+    const { variableDebtTokenAddress } = await this._getTokenReserve(token)
+
+    const variableDebtTokenContract = new Contract(variableDebtTokenAddress, VariableDebtTokenAbi, this._provider)
+
+    return {
+      to: variableDebtTokenAddress,
+      value: 0,
+      data: variableDebtTokenContract.interface.encodeFunctionData('delegationWithSig', [
+        delegator,
+        delegatee,
+        amount,
+        deadline,
+        v,
+        r,
+        s
+      ])
+    }
+  }
+
+  /**
+   * Mints a specific token amount from the faucet of a testnet market, e.g. to fund a test account with the market's reserve tokens.
+   *
+   * @param {FaucetMintOptions} options - The mint's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The mint's result.
+   */
+  async mintFromFaucet ({ token, amount, decimals, to }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'mintFromFaucet(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'mintFromFaucet' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveTokenAmount(token, amount, decimals)
+
+    if (to !== undefined && (to === ZeroAddress || !isAddress(to))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'to' must be a valid address (not zero address).", { option: 'to' })
+    }
+
+    await this._assertFaucetMintAmount(token, amount)
+
+    const mintTx = await this._getMintFromFaucetTransaction({ token, amount, to })
+
+    return await this._sendTransaction(mintTx, config)
+  }
+
+  /**
+   * Quotes the costs of a mint from the faucet of a testnet market.
+   *
+   * @param {FaucetMintOptions} options - The mint's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<TransactionResult, 'hash'>>} The mint's costs.
+   */
+  async quoteMintFromFaucet ({ token, amount, decimals, to }, config) {
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveTokenAmount(token, amount, decimals)
+
+    if (to !== undefined && (to === ZeroAddress || !isAddress(to))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'to' must be a valid address (not zero address).", { option: 'to' })
+    }
+
+    const mintTx = await this._getMintFromFaucetTransaction({ token, amount, to })
+
+    return await this._quoteSendTransaction(mintTx, config)
+  }
+
+  /** @private */
+  async _getMintFromFaucetTransaction ({ token, amount, to }) {
+    const address = await this._account.getAddress()
+
+    const faucetContract = await this._getFaucetContract()
+
+    return {
+      to: faucetContract.target,
+      value: 0,
+      data: faucetContract.interface.encodeFunctionData('mint', [
+        token,
+        to || address,
+        amount
+      ])
+    }
+  }
+
+  /**
+   * Returns the liquidity mining rewards of this or another account, for each reward token with unclaimed rewards. The rewards of the
+   * a-tokens and variable debt tokens of all the market's reserves are included.
+   *
+   * @param {string} [account] - If set, returns the rewards of the given address.
+   * @returns {Promise<UserReward[]>} The account's rewards.
+   */
+  async getUserRewards (account) {
+    if (account !== undefined && (account === ZeroAddress || !isAddress(account))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'account' must be a valid address (not zero address).", { option: 'account' })
+    }
+
+    const address = account || await this._account.getAddress()
+
+    const rewardsControllerContract = await this._getRewardsControllerContract()
+
+    const assets = await this._getRewardedAssets()
+
+    const [rewardsList, unclaimedAmounts] = await rewardsControllerContract.getAllUserRewards(assets, address)
+
+    const rewards = rewardsList
+      .map((reward, index) => ({ reward, unclaimed: unclaimedAmounts[index] }))
+      .filter(({ unclaimed }) => unclaimed > 0n)
+
+    const accruedAmounts = await Promise.all(
+      rewards.map(({ reward }) => rewardsControllerContract.getUserAccruedRewards(address, reward))
+    )
+
+    return rewards.map(({ reward, unclaimed }, index) => ({ reward, unclaimed, accrued: accruedAmounts[index] }))
+  }
+
+  /**
+   * Claims the liquidity mining rewards of the account for a specific reward token.
+   *
+   * @param {ClaimRewardsOptions} options - The claim's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The claim's result.
+   */
+  async claimRewards ({ assets, reward, amount, to }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'claimRewards(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'claimRewards' })
+    }
+
+    this._assertClaimRewardsOptions({ assets, reward, amount, to })
+
+    const claimTx = await this._getClaimRewardsTransaction({ assets, reward, amount, to })
+
+    return await this._sendTransaction(claimTx, config)
+  }
+
+  /**
+   * Quotes the costs of a claim of the liquidity mining rewards for a specific reward token.
+   *
+   * @param {ClaimRewardsOptions} options - The claim's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<TransactionResult, 'hash'>>} The claim's costs.
+   */
+  async quoteClaimRewards ({ assets, reward, amount, to }, config) {
+    this._assertClaimRewardsOptions({ assets, reward, amount, to })
+
+    const claimTx = await this._getClaimRewardsTransaction({ assets, reward, amount, to })
+
+    return await this._quoteSendTransaction(claimTx, config)
+  }
+
+  /** @private */
+  async _getClaimRewardsTransaction ({ assets, reward, amount, to }) {
+    const address = await this._account.getAddress()
+
+    const rewardsControllerContract = await this._getRewardsControllerContract()
+
+    return {
+      to: rewardsControllerContract.target,
+      value: 0,
+      data: rewardsControllerContract.interface.encodeFunctionData('claimRewards', [
+        assets || await this._getRewardedAssets(),
+        amount,
+        to || address,
+        reward
+      ])
+    }
+  }
+
+  /**
+   * Claims all the liquidity mining rewards of the account, for every reward token.
+   *
+   * @param {ClaimAllRewardsOptions} [options] - The claim's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The claim's result.
+   */
+  async claimAllRewards ({ assets, to } = {}, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'claimAllRewards(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'claimAllRewards' })
+    }
+
+    this._assertClaimAllRewardsOptions({ assets, to })
+
+    const claimTx = await this._getClaimAllRewardsTransaction({ assets, to })
+
+    return await this._sendTransaction(claimTx, config)
+  }
+
+  /**
+   * Quotes the costs of a claim of all the liquidity mining rewards.
+   *
+   * @param {ClaimAllRewardsOptions} [options] - The claim's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<TransactionResult, 'hash'>>} The claim's costs.
+   */
+  async quoteClaimAllRewards ({ assets, to } = {}, config) {
+    this._assertClaimAllRewardsOptions({ assets, to })
+
+    const claimTx = await this._getClaimAllRewardsTransaction({ assets, to })
+
+    return await this._quoteSendTransaction(claimTx, config)
+  }
+
+  /** @private */
+  async _getClaimAllRewardsTransaction ({ assets, to }) {
+    const address = await this._account.getAddress()
+
+    const rewardsControllerContract = await this._getRewardsControllerContract()
+
+    return {
+      to: rewardsControllerContract.target,
+      value: 0,
+      data: rewardsControllerContract.interface.encodeFunctionData('claimAllRewards', [
+        assets || await this._getRewardedAssets(),
+        to || address
+      ])
+    }
+  }
+
+  /**
+   * Liquidates an account whose health factor is below 1: repays part of its debt and seizes the same value of its collateral, plus the
+   * liquidation bonus (see {@link AaveProtocolEvm#findLiquidatablePositions}).
+   *
+   * If the aave protocol is not allowed to spend enough of the account's debt tokens yet, an approval is sent first and awaited
+   * (or, with an erc-4337 account, bundled in the same user operation). If 'debtToCover' is the max uint256 value, an 'exact'
+   * approval approves the account's whole debt token balance.
+   *
+   * @param {LiquidationOptions & ApprovalOptions} options - The liquidation's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult & ApprovalResult>} The liquidation's result.
+   */
+  async liquidate ({ collateralToken, debtToken, user, debtToCover, decimals, receiveAToken, approval }, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'liquidate(options)' method requires the protocol to be initialized with a non read-only account.", { method: 'liquidate' })
+    }
+
+    collateralToken = await this._resolveToken(collateralToken, 'collateralToken')
+
+    debtToken = await this._resolveToken(debtToken, 'debtToken')
+
+    debtToCover = await this._resolveAmount(debtToken, debtToCover, decimals, 'debtToCover')
+
+    this._assertLiquidationOptions({ collateralToken, debtToken, user, debtToCover, receiveAToken, approval })
+
+    await this._assertTokenReserveStatus(collateralToken)
+
+    await this._assertTokenReserveStatus(debtToken)
+
+    await this._assertLiquidation({ collateralToken, debtToken, user })
+
+    const tokenBalance = await this._account.getTokenBalance(debtToken)
+
+    if (tokenBalance === 0n || (debtToCover !== MaxUint256 && tokenBalance < debtToCover)) {
+      throw new AaveReserveError('INSUFFICIENT_BALANCE', 'Not enough funds to fulfill the operation.')
+    }
+
+    const poolContract = await this._getPoolContract()
+
+    const liquidationTx = await this._getLiquidationTransaction({ collateralToken, debtToken, user, debtToCover, receiveAToken })
+
+    const approvals = await this._getApproveTransactions({
+      token: debtToken,
+      spender: poolContract.target,
+      amount: await this._getRepayApprovalAmount(debtToken, debtToCover),
+      approval
+    })
+
+    return await this._sendTransactionWithPrerequisites(liquidationTx, approvals, config)
+  }
+
+  /**
+   * Quotes the costs of a liquidation, to weigh them against its bonus (see {@link AaveProtocolEvm#findLiquidatablePositions}).
+   *
+   * If the aave protocol is not allowed to spend enough of the account's tokens yet, the costs include the approval.
+   *
+   * @param {LiquidationOptions & ApprovalOptions} options - The liquidation's options.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<Omit<TransactionResult, 'hash'>>} The liquidation's costs.
+   */
+  async quoteLiquidate ({ collateralToken, debtToken, user, debtToCover, decimals, receiveAToken, approval }, config) {
+    collateralToken = await this._resolveToken(collateralToken, 'collateralToken')
+
+    debtToken = await this._resolveToken(debtToken, 'debtToken')
+
+    debtToCover = await this._resolveAmount(debtToken, debtToCover, decimals, 'debtToCover')
+
+    this._assertLiquidationOptions({ collateralToken, debtToken, user, debtToCover, receiveAToken, approval })
+
+    const poolContract = await this._getPoolContract()
+
+    const liquidationTx = await this._getLiquidationTransaction({ collateralToken, debtToken, user, debtToCover, receiveAToken })
+
+    const approvals = await this._getApproveTransactions({
+      token: debtToken,
+      spender: poolContract.target,
+      amount: await this._getRepayApprovalAmount(debtToken, debtToCover),
+      approval
+    })
+
+    return await this._quoteTransactionWithPrerequisites(liquidationTx, approvals, config)
+  }
+
+  /** @private */
+  async _getLiquidationTransaction ({ collateralToken, debtToken, user, debtToCover, receiveAToken = false }) {
+    const poolContract = await this._getPoolContract()
+
+    return {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('liquidationCall', [
+        collateralToken,
+        debtToken,
+        user,
+        debtToCover,
+        receiveAToken
+      ])
+    }
+  }
+
+  /**
+   * Returns the accounts, among the given ones, whose health factor is below 1, with the debt each of their collateral and debt pairs
+   * allows to cover (according to the close factor) and the collateral it would seize.
+   *
+   * The accounts' data is read in batches through the multicall3 contract. The accounts whose data couldn't be read are returned
+   * as failures, instead of failing the whole scan.
+   *
+   * @param {string[]} addresses - The addresses of the accounts (e.g., the market's borrowers).
+   * @returns {Promise<LiquidatablePositionsResult>} The liquidatable positions and the accounts that couldn't be checked.
+   */
+  async findLiquidatablePositions (addresses) {
+    if (!Array.isArray(addresses) || addresses.some(address => address === ZeroAddress || !isAddress(address))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'addresses' must be an array of valid addresses (not zero address).", { option: 'addresses' })
+    }
+
+    const poolContract = await this._getPoolContract()
+
+    const accountsData = await this._aggregate(poolContract, 'getUserAccountData', addresses.map(address => [address]))
+
+    const failures = []
+
+    const liquidatables = []
+
+    for (const [i, user] of addresses.entries()) {
+      const { result, error } = accountsData[i]
+
+      if (error) {
+        failures.push({ user, error })
+
+        continue
+      }
+
+      const [totalCollateralBase, totalDebtBase, , , , healthFactor] = result
+
+      if (totalDebtBase > 0n && healthFactor < WAD) {
+        liquidatables.push({ user, totalCollateralBase, totalDebtBase, healthFactor })
+      }
+    }
+
+    if (liquidatables.length === 0) {
+      return { positions: [], failures }
+    }
+
+    liquidatables.sort((a, b) => a.healthFactor < b.healthFactor ? -1 : a.healthFactor > b.healthFactor ? 1 : 0)
+
+    const { poolAddressesProvider } = await this._getAddressMap()
+
+    const uiPoolDataProviderContract = await this._getUiPoolDataProviderContract()
+
+    const [[reserves], eModes] = await Promise.all([this._getReservesData(), this._getEModes()])
+
+    const reserveIds = await this._getReserveIds(reserves)
+
+    const usersReservesData = await this._mapInChunks(liquidatables, ({ user }) =>
+      uiPoolDataProviderContract.getUserReservesData(poolAddressesProvider, user))
+
+    const positions = []
+
+    for (const [i, liquidatable] of liquidatables.entries()) {
+      const { result, error } = usersReservesData[i]
+
+      if (error) {
+        failures.push({ user: liquidatable.user, error })
+
+        continue
+      }
+
+      const [userReserves, eModeCategoryId] = result
+
+      const eMode = eModes.find(({ id }) => Number(id) === Number(eModeCategoryId))
+
+      const userPositions = this._getPositions(reserves, reserveIds, userReserves)
+
+      positions.push({
+        ...liquidatable,
+        opportunities: this._getLiquidationOpportunities(userPositions, eMode && eMode.eMode, liquidatable)
+      })
+    }
+
+    return { positions, failures }
+  }
+
+  /**
+   * Enables/disables a specific token as a collateral for the account's borrow operations.
+   *
+   * An isolated asset (i.e., a reserve with a debt ceiling) can only be enabled as the account's only collateral, and no other
+   * collateral can be enabled while the account is in isolation mode (see {@link AaveProtocolEvm#getIsolationStatus}).
+   *
+   * @param {string} token - The token's address or its reserve's symbol.
+   * @param {boolean} useAsCollateral - True if the token should be a valid collateral.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The transaction's result.
+   */
+  async setUseReserveAsCollateral (token, useAsCollateral, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'setUseReserveAsCollateral(token, useAsCollateral)' method requires the protocol to be initialized with a non read-only account.", { method: 'setUseReserveAsCollateral' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    if (useAsCollateral) {
+      await this._assertUseAsCollateral(token)
+    }
+
+    const poolContract = await this._getPoolContract()
+
+    const tx = {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('setUserUseReserveAsCollateral', [token, useAsCollateral])
+    }
+
+    return await this._sendTransaction(tx, config)
+  }
+
+  /**
+   * Allows user to use the protocol in efficiency mode.
+   *
+   * The category must exist, all the tokens currently borrowed by the account must be borrowable in it, and the account's health
+   * factor must stay above 1 with the category's risk parameters (see {@link AaveProtocolEvm#getEModeCategories}).
+   *
+   * @param {number} categoryId - The eMode category id defined by Risk or Pool Admins (0 - 255). 'categoryId' set to 0 is a non eMode category.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+   *   overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<TransactionResult>} The transaction's result.
+   */
+  async setUserEMode (categoryId, config) {
+    if (!(this._account instanceof WalletAccountEvm || this._account instanceof WalletAccountEvmErc4337)) {
+      throw new AaveValidationError('READ_ONLY_ACCOUNT', "The 'setUserEMode(categoryId)' method requires the protocol to be initialized with a non read-only account.", { method: 'setUserEMode' })
+    }
+
+    if (categoryId < 0 || categoryId > 255) {
+      throw new AaveValidationError('INVALID_OPTION', "'categoryId' must be a valid category id.", { option: 'categoryId' })
+    }
+
+    await this._assertUserEMode(categoryId)
+
+    const poolContract = await this._getPoolContract()
+
+    const tx = {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('setUserEMode', [categoryId])
+    }
+
+    return await this._sendTransaction(tx, config)
+  }
+
+  /**
+   * Returns this or another account's isolation mode and siloed borrowing status, i.e., the restrictions on the tokens it can borrow.
+   *
+   * @param {string} [account] - If set, returns the status of the given address.
+   * @returns {Promise<IsolationStatus>} The account's isolation status.
+   */
+  async getIsolationStatus (account) {
+    if (account !== undefined && (account === ZeroAddress || !isAddress(account))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'account' must be a valid address (not zero address).", { option: 'account' })
+    }
+
+    const { positions } = await this._getUserReservesState(account)
+
+    const siloedPosition = positions.find(({ reserve, variableDebt }) => variableDebt > 0n && reserve.isSiloedBorrowing)
+
+    const siloedToken = siloedPosition && siloedPosition.reserve.underlyingAsset
+
+    const isolatedCollateral = this._getIsolatedCollateral(positions)
+
+    if (!isolatedCollateral) {
+      return { isolated: false, siloedToken }
+    }
+
+    const { underlyingAsset, debtCeiling, isolationModeTotalDebt, debtCeilingDecimals } = isolatedCollateral.reserve
+
+    return {
+      isolated: true,
+      collateralToken: underlyingAsset,
+      debtCeiling,
+      isolationModeTotalDebt,
+      remainingDebtCeiling: debtCeiling > isolationModeTotalDebt ? debtCeiling - isolationModeTotalDebt : 0n,
+      debtCeilingDecimals: Number(debtCeilingDecimals),
+      borrowableTokens: positions
+        .filter(({ reserve }) => reserve.borrowableInIsolation)
+        .map(({ reserve }) => reserve.underlyingAsset),
+      siloedToken
+    }
+  }
+
+  /**
+   * Returns the market's eMode categories.
+   *
+   * Since aave v3.2, each category lists the reserves that use its risk parameters as collateral and the reserves that can be borrowed
+   * in it. The other collaterals keep their own risk parameters.
+   *
+   * @returns {Promise<EModeCategory[]>} The eMode categories.
+   */
+  async getEModeCategories () {
+    const [[reserves], eModes] = await Promise.all([
+      this._getReservesData(),
+      this._getEModes()
+    ])
+
+    const reserveIds = await this._getReserveIds(reserves)
+
+    return eModes.map(eMode => this._formatEModeCategory(eMode, reserves, reserveIds))
+  }
+
+  /**
+   * Returns this or another account's eMode category.
+   *
+   * @param {string} [account] - If set, returns the eMode category of the given address.
+   * @returns {Promise<UserEMode>} The account's eMode category.
+   */
+  async getUserEMode (account) {
+    if (account !== undefined && (account === ZeroAddress || !isAddress(account))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'account' must be a valid address (not zero address).", { option: 'account' })
+    }
+
+    const address = account || await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const categoryId = Number(await poolContract.getUserEMode(address))
+
+    if (categoryId === 0) {
+      return { categoryId }
+    }
+
+    const categories = await this.getEModeCategories()
+
+    return { categoryId, category: categories.find(({ id }) => id === categoryId) }
+  }
+
+  /**
+   * Returns this or another account's data.
+   *
+   * @param {string} [account] - If set, returns the account's data for the given address.
+   * @returns {Promise<AccountData>} The account's data.
+   */
+  async getAccountData (account) {
+    if (account !== undefined && (account === ZeroAddress || !isAddress(account))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'account' must be a valid address (not zero address).", { option: 'account' })
+    }
+
+    const address = account || await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const accountData = await poolContract.getUserAccountData(address)
+
+    return {
+      totalCollateralBase: accountData[0],
+      totalDebtBase: accountData[1],
+      availableBorrowsBase: accountData[2],
+      currentLiquidationThreshold: accountData[3],
+      ltv: accountData[4],
+      healthFactor: accountData[5]
+    }
+  }
+
+  /**
+   * Returns this or another account's data in a human-readable form: values in usd (whatever the market's base currency is),
+   * ratios in percent and the health factor as a decimal.
+   *
+   * @param {string} [account] - If set, returns the summary of the given address.
+   * @returns {Promise<AccountSummary>} The account's summary.
+   */
+  async getAccountSummary (account) {
+    const [accountData, [, baseCurrency]] = await Promise.all([
+      this.getAccountData(account),
+      this._getReservesData()
+    ])
+
+    const { marketReferenceCurrencyUnit, marketReferenceCurrencyPriceInUsd } = baseCurrency
+
+    const toUsd = value => formatUnits(value * marketReferenceCurrencyPriceInUsd / marketReferenceCurrencyUnit, USD_PRICE_DECIMALS)
+
+    return {
+      totalCollateralUsd: toUsd(accountData.totalCollateralBase),
+      totalDebtUsd: toUsd(accountData.totalDebtBase),
+      availableBorrowsUsd: toUsd(accountData.availableBorrowsBase),
+      ltv: bpsToPercent(accountData.ltv),
+      liquidationThreshold: bpsToPercent(accountData.currentLiquidationThreshold),
+      healthFactor: formatHealthFactor(accountData.healthFactor)
+    }
+  }
+
+  /**
+   * Returns this or another account's positions, reserve by reserve.
+   *
+   * @param {string} [account] - If set, returns the positions of the given address.
+   * @returns {Promise<UserPositions>} The account's positions.
+   */
+  async getUserPositions (account) {
+    if (account !== undefined && (account === ZeroAddress || !isAddress(account))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'account' must be a valid address (not zero address).", { option: 'account' })
+    }
+
+    const address = account || await this._account.getAddress()
+
+    const { poolAddressesProvider } = await this._getAddressMap()
+
+    const uiPoolDataProviderContract = await this._getUiPoolDataProviderContract()
+
+    const [[reserves], [userReserves, eModeCategoryId]] = await Promise.all([
+      this._getReservesData(),
+      uiPoolDataProviderContract.getUserReservesData(poolAddressesProvider, address)
+    ])
+
+    const positions = userReserves
+      .filter(({ scaledATokenBalance, scaledVariableDebt }) => scaledATokenBalance > 0n || scaledVariableDebt > 0n)
+      .map(userReserve => {
+        const reserve = reserves.find(({ underlyingAsset }) => underlyingAsset.toLowerCase() === userReserve.underlyingAsset.toLowerCase())
+
+        return {
+          token: userReserve.underlyingAsset,
+          supplied: rayMul(userReserve.scaledATokenBalance, reserve.liquidityIndex),
+          variableDebt: rayMul(userReserve.scaledVariableDebt, reserve.variableBorrowIndex),
+          usageAsCollateralEnabled: userReserve.usageAsCollateralEnabledOnUser,
+          scaledATokenBalance: userReserve.scaledATokenBalance,
+          scaledVariableDebt: userReserve.scaledVariableDebt
+        }
+      })
+
+    return {
+      positions,
+      eModeCategoryId: Number(eModeCategoryId)
+    }
+  }
+
+  /**
+   * Runs the checks made before an operation (reserve status, supply and borrow caps, available liquidity and, for borrows, isolation
+   * mode and siloed borrowing) without sending any transaction, e.g., to validate a form's input. The account's balance isn't checked.
+   *
+   * @param {ValidationOptions} options - The validation's options.
+   * @returns {Promise<ValidationResult>} The validation's result.
+   */
+  async validate ({ action, token, amount, decimals, onBehalfOf }) {
+    if (!VALIDATION_ACTIONS.includes(action)) {
+      throw new AaveValidationError('INVALID_OPTION', `'action' must be one of: ${VALIDATION_ACTIONS.map(action => `'${action}'`).join(', ')}.`, { option: 'action' })
+    }
+
+    token = await this._resolveTokenAddress(token)
+
+    amount = await this._resolveTokenAmount(token, amount, decimals)
+
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    try {
+      switch (action) {
+        case 'supply':
+          await this._assertTokenReserveStatus(token, { checkFrozen: true })
+
+          await this._assertTokenReserveCapacity(token, { supplyAmount: amount })
+
+          break
+
+        case 'withdraw':
+          await this._assertTokenReserveStatus(token, { checkFrozen: true })
+
+          await this._assertTokenReserveCapacity(token, { withdrawAmount: amount })
+
+          break
+
+        case 'borrow':
+          await this._assertTokenReserveStatus(token, { checkFrozen: true, checkBorrowing: true })
+
+          await this._assertTokenReserveCapacity(token, { borrowAmount: amount })
+
+          await this._assertBorrowIsolationAndSiloing(token, amount, onBehalfOf)
+
+          break
+
+        case 'repay':
+          await this._assertTokenReserveStatus(token)
+
+          break
+      }
+    } catch (error) {
+      if (!(error instanceof AaveReserveError)) {
+        throw error
+      }
+
+      return { valid: false, code: error.code, error: error.message }
+    }
+
+    return { valid: true }
+  }
+
+  /**
+   * Simulates an operation and returns the account's data as it would be after its execution, without sending any transaction.
+   *
+   * The projection applies the same math as the aave protocol, using the current user reserves, reserve parameters, eMode
+   * overrides and oracle prices.
+   *
+   * @param {SimulationOptions} options - The simulation's options.
+   * @returns {Promise<AccountData>} The projected account's data.
+   */
+  async simulate ({ action, token, amount, decimals, useAsCollateral, categoryId }) {
+    if (!SIMULATION_ACTIONS.includes(action)) {
+      throw new AaveValidationError('INVALID_OPTION', `'action' must be one of: ${SIMULATION_ACTIONS.map(action => `'${action}'`).join(', ')}.`, { option: 'action' })
+    }
+
+    token = await this._resolveToken(token)
+
+    amount = await this._resolveAmount(token, amount, decimals)
+
+    if (action === 'setUserEMode') {
+      if (categoryId < 0 || categoryId > 255) {
+        throw new AaveValidationError('INVALID_OPTION', "'categoryId' must be a valid category id.", { option: 'categoryId' })
+      }
+    } else {
+      if (!isAddress(token)) {
+        throw new AaveValidationError('INVALID_ADDRESS', "'token' must be a valid address.", { option: 'token' })
+      }
+
+      if (action !== 'setUseReserveAsCollateral' && amount <= 0) {
+        throw new AaveValidationError('INVALID_AMOUNT', "'amount' must be greater than 0.", { option: 'amount' })
+      }
+    }
+
+    const { positions, eModeCategoryId } = await this._getUserReservesState()
+
+    const position = action !== 'setUserEMode' ? this._findPosition(positions, token) : undefined
+
+    let userEModeCategoryId = eModeCategoryId
+
+    switch (action) {
+      case 'supply':
+        if (position.supplied === 0n && this._canBeAutomaticCollateral(position, positions)) {
+          position.usageAsCollateralEnabled = true
+        }
+
+        position.supplied += BigInt(amount)
+
+        break
+
+      case 'withdraw':
+        if (position.supplied < BigInt(amount)) {
+          throw new AaveReserveError('INSUFFICIENT_BALANCE', 'Not enough funds to fulfill the operation.')
+        }
+
+        position.supplied -= BigInt(amount)
+
+        if (position.supplied === 0n) {
+          position.usageAsCollateralEnabled = false
+        }
+
+        break
+
+      case 'borrow':
+        position.variableDebt += BigInt(amount)
+
+        break
+
+      case 'repay':
+        position.variableDebt -= BigInt(amount) < position.variableDebt ? BigInt(amount) : position.variableDebt
+
+        break
+
+      case 'setUseReserveAsCollateral':
+        position.usageAsCollateralEnabled = useAsCollateral
+
+        break
+
+      case 'setUserEMode':
+        userEModeCategoryId = categoryId
+
+        break
+    }
+
+    const eMode = await this._getEModeCategory(userEModeCategoryId)
+
+    return this._calculateAccountData(positions, eMode)
+  }
+
+  /**
+   * Returns the maximum amount of a token that the account can currently borrow.
+   *
+   * The amount is limited by the account's borrowing power, the reserve's available liquidity and borrow cap, the isolation
+   * mode's debt ceiling (if the account is in isolation mode) and the minimum health factor to keep after the borrow.
+   *
+   * @param {string} token - The token's address.
+   * @param {MaxAmountOptions} [options] - The options.
+   * @returns {Promise<bigint>} The maximum amount (in base unit).
+   */
+  async getMaxBorrow (token, { minHealthFactor = DEFAULT_MIN_HEALTH_FACTOR } = {}) {
+    if (!isAddress(token)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'token' must be a valid address.", { option: 'token' })
+    }
+
+    if (minHealthFactor < 1) {
+      throw new AaveValidationError('INVALID_OPTION', "'minHealthFactor' must be greater than or equal to 1.", { option: 'minHealthFactor' })
+    }
+
+    const { positions, eModeCategoryId } = await this._getUserReservesState()
+
+    const position = this._findPosition(positions, token)
+
+    const { reserve, id, normalizedDebt } = position
+
+    if (reserve.isPaused || !reserve.isActive || reserve.isFrozen || !reserve.borrowingEnabled) {
+      return 0n
+    }
+
+    const eMode = await this._getEModeCategory(eModeCategoryId)
+
+    if (eMode && !((BigInt(eMode.borrowableBitmap) >> BigInt(id)) & 1n)) {
+      return 0n
+    }
+
+    const { totalCollateralBase, totalDebtBase, availableBorrowsBase, currentLiquidationThreshold } = this._calculateAccountData(positions, eMode)
+
+    const maxDebtBase = percentMul(totalCollateralBase, currentLiquidationThreshold) * WAD / toWad(minHealthFactor)
+
+    const headroomBase = maxDebtBase > totalDebtBase ? maxDebtBase - totalDebtBase : 0n
+
+    const unit = 10n ** BigInt(reserve.decimals)
+
+    let maxBorrow = min(availableBorrowsBase, headroomBase) * unit / reserve.priceInMarketReferenceCurrency
+
+    maxBorrow = min(maxBorrow, reserve.virtualAccActive ? reserve.virtualUnderlyingBalance : reserve.availableLiquidity)
+
+    if (reserve.borrowCap > 0n) {
+      const totalDebt = rayMul(reserve.totalScaledVariableDebt, normalizedDebt)
+
+      const borrowCap = reserve.borrowCap * unit
+
+      maxBorrow = min(maxBorrow, borrowCap > totalDebt ? borrowCap - totalDebt : 0n)
+    }
+
+    if (this._getSiloedBorrowingConflict(position, positions)) {
+      return 0n
+    }
+
+    const isolatedCollateral = this._getIsolatedCollateral(positions)
+
+    if (isolatedCollateral) {
+      if (!reserve.borrowableInIsolation) {
+        return 0n
+      }
+
+      const { debtCeiling, isolationModeTotalDebt, debtCeilingDecimals } = isolatedCollateral.reserve
+
+      const remainingDebtCeiling = debtCeiling > isolationModeTotalDebt ? debtCeiling - isolationModeTotalDebt : 0n
+
+      maxBorrow = min(maxBorrow, remainingDebtCeiling * unit / 10n ** BigInt(debtCeilingDecimals))
+    }
+
+    return maxBorrow
+  }
+
+  /**
+   * Returns the maximum amount of a token that the account can currently withdraw.
+   *
+   * The amount is limited by the account's supplied balance, the reserve's available liquidity and, if the tokens are used
+   * as collateral, the minimum health factor to keep after the withdrawal.
+   *
+   * @param {string} token - The token's address.
+   * @param {MaxAmountOptions} [options] - The options.
+   * @returns {Promise<bigint>} The maximum amount (in base unit).
+   */
+  async getMaxWithdraw (token, { minHealthFactor = DEFAULT_MIN_HEALTH_FACTOR } = {}) {
+    if (!isAddress(token)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'token' must be a valid address.", { option: 'token' })
+    }
+
+    if (minHealthFactor < 1) {
+      throw new AaveValidationError('INVALID_OPTION', "'minHealthFactor' must be greater than or equal to 1.", { option: 'minHealthFactor' })
+    }
+
+    const { positions, eModeCategoryId } = await this._getUserReservesState()
+
+    const position = this._findPosition(positions, token)
+
+    const { reserve, supplied, usageAsCollateralEnabled } = position
+
+    if (reserve.isPaused || !reserve.isActive) {
+      return 0n
+    }
+
+    let maxWithdraw = min(supplied, reserve.virtualAccActive ? reserve.virtualUnderlyingBalance : reserve.availableLiquidity)
+
+    const eMode = await this._getEModeCategory(eModeCategoryId)
+
+    const { liquidationThreshold } = this._getRiskParameters(position, eMode)
+
+    if (usageAsCollateralEnabled && liquidationThreshold !== 0n) {
+      const { totalCollateralBase, totalDebtBase, currentLiquidationThreshold } = this._calculateAccountData(positions, eMode)
+
+      if (totalDebtBase > 0n) {
+        const weightedLiquidationThreshold = totalCollateralBase * currentLiquidationThreshold
+
+        const minWeightedLiquidationThreshold = totalDebtBase * toWad(minHealthFactor) * PERCENTAGE_FACTOR / WAD
+
+        const headroomBase = weightedLiquidationThreshold > minWeightedLiquidationThreshold
+          ? (weightedLiquidationThreshold - minWeightedLiquidationThreshold) / liquidationThreshold
+          : 0n
+
+        const unit = 10n ** BigInt(reserve.decimals)
+
+        maxWithdraw = min(maxWithdraw, headroomBase * unit / reserve.priceInMarketReferenceCurrency)
+      }
+    }
+
+    return maxWithdraw
+  }
+
+  /**
+   * Returns the maximum amount of a token that the account can currently repay, i.e., the lowest between its debt and its
+   * token balance.
+   *
+   * @param {string} token - The token's address.
+   * @returns {Promise<bigint>} The maximum amount (in base unit).
+   */
+  async getMaxRepay (token) {
+    if (!isAddress(token)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'token' must be a valid address.", { option: 'token' })
+    }
+
+    const { positions } = await this._getUserReservesState()
+
+    const { variableDebt } = this._findPosition(positions, token)
+
+    if (variableDebt === 0n) {
+      return 0n
+    }
+
+    const tokenBalance = await this._account.getTokenBalance(token)
+
+    return min(variableDebt, tokenBalance)
+  }
+
+  /**
+   * Returns the reserves of the market, together with its base currency info.
+   *
+   * @returns {Promise<ReservesData>} The market's reserves.
+   */
+  async getReserves () {
+    const [reserves, baseCurrency] = await this._getReservesData()
+
+    return {
+      reserves: reserves.map(reserve => this._formatReserve(reserve)),
+      baseCurrency: {
+        marketReferenceCurrencyUnit: baseCurrency.marketReferenceCurrencyUnit,
+        marketReferenceCurrencyPriceInUsd: baseCurrency.marketReferenceCurrencyPriceInUsd,
+        networkBaseTokenPriceInUsd: baseCurrency.networkBaseTokenPriceInUsd,
+        networkBaseTokenPriceDecimals: Number(baseCurrency.networkBaseTokenPriceDecimals)
+      }
+    }
+  }
+
+  /**
+   * Returns the reserve of a token.
+   *
+   * @param {string} token - The token's address.
+   * @returns {Promise<Reserve>} The token's reserve.
+   */
+  async getReserve (token) {
+    if (!isAddress(token)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'token' must be a valid address.", { option: 'token' })
+    }
+
+    const tokenReserve = await this._getTokenReserve(token)
+
+    return this._formatReserve(tokenReserve)
+  }
+
+  /**
+   * Returns the addresses of the market the protocol is connected to (including the addresses resolved on-chain, if the protocol
+   * has been configured with only a pool addresses provider).
+   *
+   * @returns {Promise<AaveMarketAddresses>} The market's addresses.
+   */
+  async getMarketAddresses () {
+    const addressMap = await this._getAddressMap()
+
+    return { ...addressMap }
+  }
+
+  /**
+   * Returns the markets registered on-chain in a pool addresses provider registry, with their addresses resolved from their pool
+   * addresses providers. Any of them can be used through the 'addresses.poolAddressesProvider' option of the protocol's configuration.
+   *
+   * @param {string} [registry] - The registry's address. If not set, returns the markets of the registries of the blockchain's built-in markets.
+   * @returns {Promise<RegisteredMarket[]>} The registered markets.
+   */
+  async getRegisteredMarkets (registry) {
+    if (registry !== undefined && (registry === ZeroAddress || !isAddress(registry))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'registry' must be a valid address (not zero address).", { option: 'registry' })
+    }
+
+    let registries = [registry]
+
+    if (registry === undefined) {
+      const chainId = await this._getChainId()
+
+      const markets = Object.values(AAVE_V3_ADDRESS_MAP[chainId] || {})
+
+      registries = [...new Set(markets.map(({ poolAddressesProviderRegistry }) => poolAddressesProviderRegistry).filter(Boolean))]
+
+      if (registries.length === 0) {
+        throw new AaveValidationError('UNSUPPORTED_CHAIN', `The blockchain with id ${chainId} has no built-in pool addresses provider registry.`, { chainId })
+      }
+    }
+
+    const registeredMarkets = []
+
+    for (const registry of registries) {
+      const registryContract = new Contract(registry, PoolAddressesProviderRegistryAbi, this._provider)
+
+      const poolAddressesProviders = await registryContract.getAddressesProvidersList()
+
+      for (const poolAddressesProvider of poolAddressesProviders) {
+        if (registeredMarkets.some(({ addresses }) => addresses.poolAddressesProvider.toLowerCase() === poolAddressesProvider.toLowerCase())) {
+          continue
+        }
+
+        const poolAddressesProviderContract = new Contract(poolAddressesProvider, IPoolAddressesProvider_ABI, this._provider)
+
+        const [id, marketId, { name, testnet, addresses }] = await Promise.all([
+          registryContract.getAddressesProviderIdByAddress(poolAddressesProvider),
+          poolAddressesProviderContract.getMarketId(),
+          this._discoverMarket(poolAddressesProvider)
+        ])
+
+        registeredMarkets.push({
+          registry,
+          id: Number(id),
+          marketId,
+          ...(name && { name }),
+          testnet,
+          addresses: { ...addresses, poolAddressesProviderRegistry: registry }
+        })
+      }
+    }
+
+    return registeredMarkets
+  }
+
+  /**
+   * Returns true if the protocol is connected to a testnet market. Production code can use it to refuse testnet markets.
+   *
+   * Custom markets (set through the 'addresses.pool' option) are never considered testnet markets.
+   *
+   * @returns {Promise<boolean>} True if the market is a testnet market.
+   */
+  async isTestnet () {
+    await this._getAddressMap()
+
+    return this._testnet
+  }
+
+  /** @private */
+  async _getChainId () {
+    if (this._chainId === undefined) {
+      const { chainId } = await this._provider.getNetwork()
+
+      this._chainId = chainId
+    }
+
+    return this._chainId
+  }
+
+  /** @private */
+  async _getAddressMap () {
+    if (!this._addressMap) {
+      const { addresses = {} } = this._config
+
+      if (addresses.pool) {
+        this._addressMap = { ...addresses }
+
+        this._testnet = false
+      } else if (addresses.poolAddressesProvider) {
+        const { testnet, addresses: marketAddresses } = await this._discoverMarket(addresses.poolAddressesProvider)
+
+        this._addressMap = { ...marketAddresses, ...addresses }
+
+        if (!this._addressMap.uiPoolDataProvider) {
+          const chainId = await this._getChainId()
+
+          throw new AaveValidationError('UNSUPPORTED_CHAIN', `The blockchain with id ${chainId} is not supported yet: the 'addresses.uiPoolDataProvider' option is required to discover its markets.`, { chainId })
+        }
+
+        this._testnet = testnet
+      } else {
+        const chainId = await this._getChainId()
+
+        const markets = AAVE_V3_ADDRESS_MAP[chainId]
+
+        if (!markets) {
+          throw new AaveValidationError('UNSUPPORTED_CHAIN', `The blockchain with id ${chainId} is not supported yet.`, { chainId })
+        }
+
+        const { market = Object.keys(markets)[0] } = this._config
+
+        if (!markets[market]) {
+          throw new AaveValidationError('UNSUPPORTED_MARKET', `The market '${market}' is not available on the blockchain with id ${chainId}.`, { market, chainId })
+        }
+
+        const { testnet = false, ...marketAddresses } = markets[market]
+
+        this._addressMap = { ...marketAddresses, ...addresses }
+
+        this._testnet = testnet
+      }
+    }
+
+    return this._addressMap
+  }
+
+  /** @private */
+  async _discoverMarket (poolAddressesProvider) {
+    const chainId = await this._getChainId()
+
+    const markets = Object.entries(AAVE_V3_ADDRESS_MAP[chainId] || {})
+
+    const builtInMarket = markets.find(([, market]) => market.poolAddressesProvider.toLowerCase() === poolAddressesProvider.toLowerCase())
+
+    const poolAddressesProviderContract = new Contract(poolAddressesProvider, IPoolAddressesProvider_ABI, this._provider)
+
+    const [pool, priceOracle, poolDataProvider] = await Promise.all([
+      poolAddressesProviderContract.getPool(),
+      poolAddressesProviderContract.getPriceOracle(),
+      poolAddressesProviderContract.getPoolDataProvider()
+    ])
+
+    if (pool === ZeroAddress) {
+      throw new AaveValidationError('UNSUPPORTED_MARKET', `The pool addresses provider '${poolAddressesProvider}' has no pool.`, { poolAddressesProvider })
+    }
+
+    // The ui pool data provider is shared by all the markets of a blockchain, while the other periphery contracts (e.g., the wrapped
+    // token gateway) are bound to a specific pool, so they can only be reused if the pool addresses provider belongs to a built-in market.
+    const [name, { testnet = false, ...builtInAddresses }] = builtInMarket ||
+      [undefined, markets.length > 0 ? { uiPoolDataProvider: markets[0][1].uiPoolDataProvider } : {}]
+
+    return {
+      name,
+      testnet,
+      addresses: { ...builtInAddresses, poolAddressesProvider, pool, priceOracle, poolDataProvider }
+    }
+  }
+
+  /** @private */
+  async _getPoolContract () {
+    if (!this._poolContract) {
+      const { pool } = await this._getAddressMap()
+
+      this._poolContract = new Contract(pool, IPool_ABI, this._provider)
+    }
+
+    return this._poolContract
+  }
+
+  /** @private */
+  async _getUiPoolDataProviderContract () {
+    if (!this._uiPoolDataProviderContract) {
+      const { uiPoolDataProvider } = await this._getAddressMap()
+
+      this._uiPoolDataProviderContract = new Contract(uiPoolDataProvider, UiPoolDataProviderAbi, this._provider)
+    }
+
+    return this._uiPoolDataProviderContract
+  }
+
+  /** @private */
+  async _getWrappedTokenGatewayContract () {
+    if (!this._wrappedTokenGatewayContract) {
+      const { wrappedTokenGateway } = await this._getAddressMap()
+
+      if (!wrappedTokenGateway) {
+        const chainId = await this._getChainId()
+
+        throw new AaveValidationError('UNSUPPORTED_NATIVE_TOKEN', `Native token operations are not supported on the blockchain with id ${chainId}.`, { chainId })
+      }
+
+      this._wrappedTokenGatewayContract = new Contract(wrappedTokenGateway, IWrappedTokenGatewayV3_ABI, this._provider)
+    }
+
+    return this._wrappedTokenGatewayContract
+  }
+
+  /** @private */
+  async _getWrappedNativeToken () {
+    if (!this._wrappedNativeToken) {
+      const wrappedTokenGatewayContract = await this._getWrappedTokenGatewayContract()
+
+      this._wrappedNativeToken = await wrappedTokenGatewayContract.WETH()
+    }
+
+    return this._wrappedNativeToken
+  }
+
+  /** @private */
+  async _getMulticallContract () {
+    if (!this._multicallContract) {
+      const { multicall = MULTICALL3_ADDRESS } = await this._getAddressMap()
+
+      this._multicallContract = new Contract(multicall, Multicall3Abi, this._provider)
+    }
+
+    return this._multicallContract
+  }
+
+  /** @private */
+  async _getRewardsControllerContract () {
+    if (!this._rewardsControllerContract) {
+      const { rewardsController } = await this._getAddressMap()
+
+      if (!rewardsController) {
+        throw new AaveValidationError('UNSUPPORTED_REWARDS', "The market has no rewards controller (set the 'addresses.rewardsController' option).")
+      }
+
+      this._rewardsControllerContract = new Contract(rewardsController, IRewardsController_ABI, this._provider)
+    }
+
+    return this._rewardsControllerContract
+  }
+
+  /** @private */
+  async _getRewardedAssets () {
+    const [reserves] = await this._getReservesData()
+
+    return reserves
+      .flatMap(({ aTokenAddress, variableDebtTokenAddress }) => [aTokenAddress, variableDebtTokenAddress])
+      .filter(asset => asset && asset !== ZeroAddress)
+  }
+
+  /** @private */
+  async _getFaucetContract () {
+    if (!this._faucetContract) {
+      const { faucet } = await this._getAddressMap()
+
+      if (!faucet) {
+        throw new AaveValidationError('UNSUPPORTED_FAUCET', 'The market has no faucet (faucets are only available on some testnet markets).')
+      }
+
+      this._faucetContract = new Contract(faucet, FaucetAbi, this._provider)
+    }
+
+    return this._faucetContract
+  }
+
+  /** @private */
+  async _signPermit ({ token, amount, deadline }) {
+    const address = await this._account.getAddress()
+
+    const poolContract = await this._getPoolContract()
+
+    const tokenContract = new Contract(token, Erc20PermitAbi, this._provider)
+
+    let nonce, domainSeparator
+
+    try {
+      [nonce, domainSeparator] = await Promise.all([
+        tokenContract.nonces(address),
+        tokenContract.DOMAIN_SEPARATOR()
+      ])
+    } catch {
+      throw new AaveValidationError('UNSUPPORTED_PERMIT', `The token '${token}' doesn't support eip-2612 permits.`, { token })
+    }
+
+    const domain = await this._getPermitDomain(tokenContract)
+
+    if (TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+      throw new AaveValidationError('UNSUPPORTED_PERMIT', `Unable to resolve the eip-712 domain of the token '${token}'.`, { token })
+    }
+
+    const signature = await this._account.signTypedData({
+      domain,
+      types: PERMIT_TYPES,
+      message: {
+        owner: address,
+        spender: poolContract.target,
+        value: amount,
+        nonce,
+        deadline
+      }
+    })
+
+    return Signature.from(signature)
+  }
+
+  /** @private */
+  async _getPermitDomain (tokenContract) {
+    try {
+      const { name, version, chainId, verifyingContract } = await tokenContract.eip712Domain()
+
+      return { name, version, chainId, verifyingContract }
+    } catch {
+      // Tokens that don't implement eip-5267 usually expose their name and, sometimes, their version.
+      const name = await tokenContract.name()
+
+      const version = await tokenContract.version().catch(() => '1')
+
+      const chainId = await this._getChainId()
+
+      return { name, version, chainId, verifyingContract: tokenContract.target }
+    }
+  }
+
+  /** @private */
+  async _getApproveTransactions ({ token, spender, amount, approval = 'exact' }) {
+    const address = await this._account.getAddress()
+
+    const tokenContract = new Contract(token, IERC20_ABI, this._provider)
+
+    const allowance = await tokenContract.allowance(address, spender)
+
+    if (allowance >= amount) {
+      return []
+    }
+
+    const chainId = await this._getChainId()
+
+    const getApproveTransaction = (value) => ({
+      to: token,
+      value: 0,
+      data: tokenContract.interface.encodeFunctionData('approve', [spender, value])
+    })
+
+    // Usdts on ethereum require the allowance to be reset to zero before setting a new non-zero value.
+    const requiresAllowanceReset = chainId === 1n && allowance > 0n && token.toLowerCase() === USDT_MAINNET_ADDRESS.toLowerCase()
+
+    const approveTxs = [{ key: 'approveHash', tx: getApproveTransaction(approval === 'unlimited' ? MaxUint256 : amount) }]
+
+    return requiresAllowanceReset
+      ? [{ key: 'resetAllowanceHash', tx: getApproveTransaction(0) }, ...approveTxs]
+      : approveTxs
+  }
+
+  /** @private */
+  async _sendTransaction (tx, config) {
+    // The 'config' option (i.e., the paymaster token) only applies to erc-4337 accounts.
+    try {
+      return this._account instanceof WalletAccountEvmErc4337
+        ? await this._account.sendTransaction(tx, config)
+        : await this._account.sendTransaction(tx)
+    } catch (error) {
+      throw await this._decodeRevert(tx, error)
+    }
+  }
+
+  /** @private */
+  async _quoteSendTransaction (tx, config) {
+    try {
+      return this._account instanceof WalletAccountReadOnlyEvmErc4337
+        ? await this._account.quoteSendTransaction(tx, config)
+        : await this._account.quoteSendTransaction(tx)
+    } catch (error) {
+      throw await this._decodeRevert(tx, error)
+    }
+  }
+
+  /** @private */
+  async _decodeRevert (tx, error) {
+    const { pool, wrappedTokenGateway } = await this._getAddressMap()
+
+    // The wrapped token gateway forwards the reverts of the pool it calls.
+    const poolAddresses = [pool, wrappedTokenGateway]
+      .filter(address => address)
+      .map(address => address.toLowerCase())
+
+    const txs = Array.isArray(tx) ? tx : [tx]
+
+    const isPoolTransaction = txs.some(({ to }) => typeof to === 'string' && poolAddresses.includes(to.toLowerCase()))
+
+    return isPoolTransaction ? decodePoolRevert(error) : error
+  }
+
+  /** @private */
+  async _sendTransactionWithPrerequisites (tx, prerequisites, config) {
+    // The prerequisites (e.g., approvals or credit delegations) are sent in order, and the hash of each one is returned under its key.
+    if (this._account instanceof WalletAccountEvmErc4337) {
+      return await this._sendTransaction([...prerequisites.map(prerequisite => prerequisite.tx), tx], config)
+    }
+
+    const prerequisiteHashes = { }
+
+    let prerequisiteFees = 0n
+
+    for (const prerequisite of prerequisites) {
+      const { hash, fee } = await this._sendTransaction(prerequisite.tx)
+
+      const receipt = await this._provider.waitForTransaction(hash)
+
+      if (receipt.status !== 1) {
+        throw new AaveError('TRANSACTION_FAILED', `The approval transaction '${hash}' failed.`, { hash })
+      }
+
+      prerequisiteHashes[prerequisite.key] = hash
+
+      prerequisiteFees += fee
+    }
+
+    const { hash, fee } = await this._sendTransaction(tx)
+
+    return { hash, fee: fee + prerequisiteFees, ...prerequisiteHashes }
+  }
+
+  /** @private */
+  async _quoteTransactionWithPrerequisites (tx, prerequisites, config) {
+    const txs = [...prerequisites.map(prerequisite => prerequisite.tx), tx]
+
+    if (this._account instanceof WalletAccountReadOnlyEvmErc4337) {
+      const { fee } = await this._quoteSendTransaction(txs, config)
+
+      return { fee }
+    }
+
+    let fee = 0n
+
+    for (const quotedTx of txs) {
+      const quote = await this._quoteSendTransaction(quotedTx)
+
+      fee += quote.fee
+    }
+
+    return { fee }
+  }
+
+  /** @private */
+  async _aggregate (contract, method, argsList) {
+    // Batches the calls through multicall3, letting each call fail on its own, so that one account can't fail a whole batch.
+    const multicallContract = await this._getMulticallContract()
+
+    const results = []
+
+    for (let i = 0; i < argsList.length; i += MULTICALL_BATCH_SIZE) {
+      const calls = argsList.slice(i, i + MULTICALL_BATCH_SIZE).map(args => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args)
+      }))
+
+      try {
+        const returnData = await multicallContract.aggregate3(calls)
+
+        results.push(...returnData.map(([success, data]) => success
+          ? { result: contract.interface.decodeFunctionResult(method, data) }
+          : { error: new AaveError('CALL_FAILED', `The '${method}' call failed.`, { data }) }))
+      } catch (error) {
+        results.push(...calls.map(() => ({ error })))
+      }
+    }
+
+    return results
+  }
+
+  /** @private */
+  async _mapInChunks (items, callback) {
+    // Bounds the number of concurrent calls to the provider, and settles each one on its own.
+    const results = []
+
+    for (let i = 0; i < items.length; i += MAX_CONCURRENT_CALLS) {
+      const settled = await Promise.allSettled(items.slice(i, i + MAX_CONCURRENT_CALLS).map(callback))
+
+      results.push(...settled.map(({ status, value, reason }) => status === 'fulfilled' ? { result: value } : { error: reason }))
+    }
+
+    return results
+  }
+
+  /** @private */
+  async _getReservesData () {
+    const { poolAddressesProvider } = await this._getAddressMap()
+    const uiPoolDataProviderContract = await this._getUiPoolDataProviderContract()
+
+    return await uiPoolDataProviderContract.getReservesData(poolAddressesProvider)
+  }
+
+  /** @private */
+  async _getReserveIds (reserves) {
+    // The ids of the reserves (i.e., their bits in the eMode bitmaps) don't always match their positions in the reserves list,
+    // e.g. after a reserve has been dropped, so they're read from the pool (and cached, since a reserve's id never changes).
+    const poolContract = await this._getPoolContract()
+
+    return await Promise.all(reserves.map(async ({ underlyingAsset }) => {
+      const key = underlyingAsset.toLowerCase()
+
+      if (!this._reserveIds.has(key)) {
+        const { id } = await poolContract.getReserveData(underlyingAsset)
+
+        this._reserveIds.set(key, Number(id))
+      }
+
+      return this._reserveIds.get(key)
+    }))
+  }
+
+  /** @private */
+  async _getEModes () {
+    const { poolAddressesProvider } = await this._getAddressMap()
+    const uiPoolDataProviderContract = await this._getUiPoolDataProviderContract()
+
+    return await uiPoolDataProviderContract.getEModes(poolAddressesProvider)
+  }
+
+  /** @private */
+  async _getUserReservesState (account) {
+    const address = account || await this._account.getAddress()
+
+    const { poolAddressesProvider } = await this._getAddressMap()
+
+    const uiPoolDataProviderContract = await this._getUiPoolDataProviderContract()
+
+    const [[reserves], [userReserves, eModeCategoryId]] = await Promise.all([
+      this._getReservesData(),
+      uiPoolDataProviderContract.getUserReservesData(poolAddressesProvider, address)
+    ])
+
+    const reserveIds = await this._getReserveIds(reserves)
+
+    const positions = this._getPositions(reserves, reserveIds, userReserves)
+
+    return { positions, eModeCategoryId: Number(eModeCategoryId) }
+  }
+
+  /** @private */
+  _getPositions (reserves, reserveIds, userReserves) {
+    const timestamp = BigInt(Math.floor(Date.now() / 1_000))
+
+    return reserves.map((reserve, index) => {
+      const id = reserveIds[index]
+
+      const userReserve = userReserves.find(({ underlyingAsset }) => underlyingAsset.toLowerCase() === reserve.underlyingAsset.toLowerCase())
+
+      const lastUpdateTimestamp = BigInt(reserve.lastUpdateTimestamp)
+
+      const normalizedIncome = rayMul(calculateLinearInterest(reserve.liquidityRate, lastUpdateTimestamp, timestamp), reserve.liquidityIndex)
+
+      const normalizedDebt = rayMul(calculateCompoundedInterest(reserve.variableBorrowRate, lastUpdateTimestamp, timestamp), reserve.variableBorrowIndex)
+
+      return {
+        id,
+        reserve,
+        normalizedIncome,
+        normalizedDebt,
+        supplied: userReserve ? rayMul(userReserve.scaledATokenBalance, normalizedIncome) : 0n,
+        variableDebt: userReserve ? rayMul(userReserve.scaledVariableDebt, normalizedDebt) : 0n,
+        usageAsCollateralEnabled: userReserve ? userReserve.usageAsCollateralEnabledOnUser : false
+      }
+    })
+  }
+
+  /** @private */
+  async _getEModeCategory (categoryId) {
+    if (categoryId === 0) {
+      return undefined
+    }
+
+    const eModes = await this._getEModes()
+
+    const eMode = eModes.find(({ id }) => Number(id) === categoryId)
+
+    return eMode && eMode.eMode
+  }
+
+  /** @private */
+  _formatEModeCategory ({ id, eMode }, reserves, reserveIds) {
+    const collateralBitmap = BigInt(eMode.collateralBitmap)
+
+    const borrowableBitmap = BigInt(eMode.borrowableBitmap)
+
+    const getTokens = (bitmap) => reserves
+      .filter((_, i) => (bitmap >> BigInt(reserveIds[i])) & 1n)
+      .map(({ underlyingAsset }) => underlyingAsset)
+
+    return {
+      id: Number(id),
+      label: eMode.label,
+      ltv: BigInt(eMode.ltv),
+      liquidationThreshold: BigInt(eMode.liquidationThreshold),
+      liquidationBonus: BigInt(eMode.liquidationBonus),
+      collateralBitmap,
+      borrowableBitmap,
+      collateralTokens: getTokens(collateralBitmap),
+      borrowableTokens: getTokens(borrowableBitmap)
+    }
+  }
+
+  /** @private */
+  _findPosition (positions, token) {
+    const position = positions.find(({ reserve }) => reserve.underlyingAsset.toLowerCase() === token.toLowerCase())
+
+    if (!position) {
+      throw new AaveReserveError('RESERVE_NOT_FOUND', `Token reserve not found for token '${token}'.`, { token })
+    }
+
+    return position
+  }
+
+  /** @private */
+  _getIsolatedCollateral (positions) {
+    const collaterals = positions.filter(({ supplied, usageAsCollateralEnabled }) => usageAsCollateralEnabled && supplied > 0n)
+
+    if (collaterals.length === 1 && collaterals[0].reserve.debtCeiling !== 0n) {
+      return collaterals[0]
+    }
+
+    return undefined
+  }
+
+  /** @private */
+  _getSiloedBorrowingConflict (position, positions) {
+    const borrowedPositions = positions.filter(({ variableDebt }) => variableDebt > 0n)
+
+    const siloedPosition = borrowedPositions.find(({ reserve }) => reserve.isSiloedBorrowing)
+
+    if (siloedPosition && siloedPosition !== position) {
+      return new AaveReserveError('SILOED_BORROWING_VIOLATION', `The account borrows the token '${siloedPosition.reserve.underlyingAsset}', which has siloed borrowing: ` +
+        "it can't borrow other tokens.", { token: position.reserve.underlyingAsset, siloedToken: siloedPosition.reserve.underlyingAsset })
+    }
+
+    if (position.reserve.isSiloedBorrowing && borrowedPositions.some(borrowedPosition => borrowedPosition !== position)) {
+      return new AaveReserveError('SILOED_BORROWING_VIOLATION', `The token '${position.reserve.underlyingAsset}' has siloed borrowing: it can't be borrowed together ` +
+        'with other tokens.', { token: position.reserve.underlyingAsset, siloedToken: position.reserve.underlyingAsset })
+    }
+
+    return undefined
+  }
+
+  /** @private */
+  _canBeAutomaticCollateral ({ reserve }, positions) {
+    if (reserve.baseLTVasCollateral === 0n) {
+      return false
+    }
+
+    if (!positions.some(({ supplied, usageAsCollateralEnabled }) => usageAsCollateralEnabled && supplied > 0n)) {
+      return true
+    }
+
+    return !this._getIsolatedCollateral(positions) && reserve.debtCeiling === 0n
+  }
+
+  /** @private */
+  _getRiskParameters ({ id, reserve }, eMode) {
+    if (eMode && (BigInt(eMode.collateralBitmap) >> BigInt(id)) & 1n) {
+      return {
+        ltv: BigInt(eMode.ltv),
+        liquidationThreshold: BigInt(eMode.liquidationThreshold),
+        liquidationBonus: BigInt(eMode.liquidationBonus)
+      }
+    }
+
+    return {
+      ltv: reserve.baseLTVasCollateral,
+      liquidationThreshold: reserve.reserveLiquidationThreshold,
+      liquidationBonus: reserve.reserveLiquidationBonus
+    }
+  }
+
+  /** @private */
+  _calculateAccountData (positions, eMode) {
+    let totalCollateralBase = 0n
+    let totalDebtBase = 0n
+    let weightedLtv = 0n
+    let weightedLiquidationThreshold = 0n
+
+    for (const position of positions) {
+      const { reserve, supplied, variableDebt, usageAsCollateralEnabled } = position
+
+      const unit = 10n ** BigInt(reserve.decimals)
+
+      const { ltv, liquidationThreshold } = this._getRiskParameters(position, eMode)
+
+      if (usageAsCollateralEnabled && liquidationThreshold !== 0n && supplied > 0n) {
+        const collateralBase = supplied * reserve.priceInMarketReferenceCurrency / unit
+
+        totalCollateralBase += collateralBase
+        weightedLtv += collateralBase * ltv
+        weightedLiquidationThreshold += collateralBase * liquidationThreshold
+      }
+
+      if (variableDebt > 0n) {
+        totalDebtBase += variableDebt * reserve.priceInMarketReferenceCurrency / unit
+      }
+    }
+
+    const ltv = totalCollateralBase > 0n ? weightedLtv / totalCollateralBase : 0n
+
+    const currentLiquidationThreshold = totalCollateralBase > 0n ? weightedLiquidationThreshold / totalCollateralBase : 0n
+
+    const maxBorrowsBase = percentMul(totalCollateralBase, ltv)
+
+    return {
+      totalCollateralBase,
+      totalDebtBase,
+      availableBorrowsBase: maxBorrowsBase > totalDebtBase ? maxBorrowsBase - totalDebtBase : 0n,
+      currentLiquidationThreshold,
+      ltv,
+      healthFactor: totalDebtBase > 0n
+        ? wadDiv(percentMul(totalCollateralBase, currentLiquidationThreshold), totalDebtBase)
+        : MaxUint256
+    }
+  }
+
+  /** @private */
+  _getLiquidationOpportunities (positions, eMode, { totalDebtBase, healthFactor }) {
+    const collaterals = positions.filter(position => position.usageAsCollateralEnabled && position.supplied > 0n &&
+      this._getRiskParameters(position, eMode).liquidationThreshold !== 0n)
+
+    const debts = positions.filter(({ variableDebt }) => variableDebt > 0n)
+
+    return collaterals
+      .flatMap(collateral => debts.map(debt => this._getLiquidationOpportunity(collateral, debt, eMode, { totalDebtBase, healthFactor })))
+      .sort((a, b) => a.bonusBase > b.bonusBase ? -1 : a.bonusBase < b.bonusBase ? 1 : 0)
+  }
+
+  /** @private */
+  _getLiquidationOpportunity (collateral, debt, eMode, { totalDebtBase, healthFactor }) {
+    const collateralUnit = 10n ** BigInt(collateral.reserve.decimals)
+    const debtUnit = 10n ** BigInt(debt.reserve.decimals)
+
+    const collateralPrice = collateral.reserve.priceInMarketReferenceCurrency
+    const debtPrice = debt.reserve.priceInMarketReferenceCurrency
+
+    const collateralBase = collateral.supplied * collateralPrice / collateralUnit
+    const debtBase = debt.variableDebt * debtPrice / debtUnit
+
+    let debtToCover = debt.variableDebt
+
+    // Same close factor as aave's LiquidationLogic: at most half of the total debt can be covered, unless the health factor is at or below
+    // 0.95, or the collateral or the debt is worth less than 2,000 units of the base currency.
+    if (collateralBase >= MIN_BASE_MAX_CLOSE_FACTOR_THRESHOLD && debtBase >= MIN_BASE_MAX_CLOSE_FACTOR_THRESHOLD &&
+        healthFactor > CLOSE_FACTOR_HF_THRESHOLD) {
+      const maxDebtToCoverBase = percentMul(totalDebtBase, DEFAULT_LIQUIDATION_CLOSE_FACTOR)
+
+      if (debtBase > maxDebtToCoverBase) {
+        debtToCover = maxDebtToCoverBase * debtUnit / debtPrice
+      }
+    }
+
+    const { liquidationBonus } = this._getRiskParameters(collateral, eMode)
+
+    let collateralToReceive = percentMul(debtPrice * debtToCover * collateralUnit / (collateralPrice * debtUnit), liquidationBonus)
+
+    if (collateralToReceive > collateral.supplied) {
+      collateralToReceive = collateral.supplied
+
+      debtToCover = percentDiv(collateralPrice * collateralToReceive * debtUnit / (debtPrice * collateralUnit), liquidationBonus)
+    }
+
+    return {
+      collateralToken: collateral.reserve.underlyingAsset,
+      debtToken: debt.reserve.underlyingAsset,
+      debtToCover,
+      collateralToReceive,
+      liquidationBonus,
+      bonusBase: collateralToReceive * collateralPrice / collateralUnit - debtToCover * debtPrice / debtUnit
+    }
+  }
+
+  /** @private */
+  async _resolveToken (token, option = 'token') {
+    if (typeof token !== 'string' || token.startsWith('0x')) {
+      return token
+    }
+
+    const [reserves] = await this._getReservesData()
+
+    const matches = reserves.filter(({ symbol }) => typeof symbol === 'string' && symbol.toLowerCase() === token.toLowerCase())
+
+    if (matches.length > 1) {
+      const tokens = matches.map(({ underlyingAsset }) => underlyingAsset)
+
+      throw new AaveValidationError('AMBIGUOUS_TOKEN', `'${option}' matches the symbol of several reserves (${tokens.join(', ')}); use the token's address instead.`, { option, tokens })
+    }
+
+    if (matches.length === 0) {
+      throw new AaveValidationError('RESERVE_NOT_FOUND', `'${option}' is neither a valid address nor the symbol of a reserve of the market.`, { option, symbol: token })
+    }
+
+    return matches[0].underlyingAsset
+  }
+
+  /** @private */
+  async _resolveTokenAddress (token, option = 'token') {
+    token = await this._resolveToken(token, option)
+
+    if (!isAddress(token)) {
+      throw new AaveValidationError('INVALID_ADDRESS', `'${option}' must be a valid address.`, { option })
+    }
+
+    return token
+  }
+
+  /** @private */
+  async _resolveTokenAmount (token, amount, decimals, option = 'amount') {
+    amount = await this._resolveAmount(token, amount, decimals, option)
+
+    if (amount <= 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', `'${option}' should be greater than zero.`, { option })
+    }
+
+    return amount
+  }
+
+  /** @private */
+  _resolveNativeAmount (amount, decimals) {
+    if (decimals) {
+      amount = this._parseAmount(amount, NATIVE_TOKEN_DECIMALS)
+    }
+
+    if (amount <= 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amount' should be greater than zero.", { option: 'amount' })
+    }
+
+    return amount
+  }
+
+  /** @private */
+  async _resolveAmount (token, amount, decimals, option = 'amount') {
+    if (!decimals || !isAddress(token)) {
+      return amount
     }
 
-    if (categoryId < 0 || categoryId > 255) {
-      throw new Error("'categoryId' must be a valid category id.")
+    const reserve = await this._getTokenReserve(token)
+
+    return this._parseAmount(amount, Number(reserve.decimals), option)
+  }
+
+  /** @private */
+  _parseAmount (amount, decimals, option = 'amount') {
+    if (typeof amount !== 'string' || !DECIMAL_AMOUNT_PATTERN.test(amount)) {
+      throw new AaveValidationError('INVALID_AMOUNT', `'${option}' must be a decimal string (e.g., '12.5') if 'decimals' is true.`, { option })
     }
 
-    const poolContract = await this._getPoolContract()
+    const [, fraction = ''] = amount.split('.')
 
-    const tx = {
-      to: poolContract.target,
-      value: 0,
-      data: poolContract.interface.encodeFunctionData('setUserEMode', [categoryId])
+    if (fraction.length > decimals) {
+      throw new AaveValidationError('INVALID_AMOUNT', `'${option}' has more decimals than the token (${decimals}).`, { option, decimals })
     }
 
-    const transaction = this._account instanceof WalletAccountEvmErc4337
-      ? await this._account.sendTransaction(tx, config)
-      : await this._account.sendTransaction(tx)
+    return parseUnits(amount, decimals)
+  }
+
+  /** @private */
+  async _getTokenReserve (token) {
+    const [reserves] = await this._getReservesData()
+
+    const tokenReserve = reserves.find(({ underlyingAsset }) => underlyingAsset.toLowerCase() === token.toLowerCase())
+
+    if (!tokenReserve) {
+      throw new AaveReserveError('RESERVE_NOT_FOUND', `Token reserve not found for token '${token}'.`, { token })
+    }
 
-    return transaction
+    return tokenReserve
   }
 
-  /**
-   * Returns this or another account's data.
-   *
-   * @param {string} [account] - If set, returns the account's data for the given address.
-   * @returns {Promise<AccountData>} The account's data.
-   */
-  async getAccountData (account) {
-    if (account !== undefined && (account === ZeroAddress || !isAddress(account))) {
-      throw new Error("'account' must be a valid address (not zero address).")
+  /** @private */
+  async _getVariableDebt (token) {
+    const { variableDebtTokenAddress } = await this._getTokenReserve(token)
+
+    const address = await this._account.getAddress()
+
+    const variableDebtTokenContract = new Contract(variableDebtTokenAddress, IERC20_ABI, this._provider)
+
+    return await variableDebtTokenContract.balanceOf(address)
+  }
+
+  /** @private */
+  async _getRepayApprovalAmount (token, amount) {
+    // The debt keeps growing until the repay is executed, so the whole balance is approved to repay all the debt.
+    if (amount === MaxUint256) {
+      return await this._account.getTokenBalance(token)
     }
 
-    const address = account || await this._account.getAddress()
+    return amount
+  }
+
+  /** @private */
+  _formatReserve (reserve) {
+    return {
+      token: reserve.underlyingAsset,
+      name: reserve.name,
+      symbol: reserve.symbol,
+      decimals: Number(reserve.decimals),
+      ltv: reserve.baseLTVasCollateral,
+      liquidationThreshold: reserve.reserveLiquidationThreshold,
+      liquidationBonus: reserve.reserveLiquidationBonus,
+      reserveFactor: reserve.reserveFactor,
+      usageAsCollateralEnabled: reserve.usageAsCollateralEnabled,
+      borrowingEnabled: reserve.borrowingEnabled,
+      isActive: reserve.isActive,
+      isFrozen: reserve.isFrozen,
+      isPaused: reserve.isPaused,
+      isSiloedBorrowing: reserve.isSiloedBorrowing,
+      flashLoanEnabled: reserve.flashLoanEnabled,
+      borrowableInIsolation: reserve.borrowableInIsolation,
+      liquidityIndex: reserve.liquidityIndex,
+      variableBorrowIndex: reserve.variableBorrowIndex,
+      liquidityRate: reserve.liquidityRate,
+      variableBorrowRate: reserve.variableBorrowRate,
+      supplyAPY: aprToApy(reserve.liquidityRate),
+      borrowAPY: aprToApy(reserve.variableBorrowRate),
+      lastUpdateTimestamp: Number(reserve.lastUpdateTimestamp),
+      aTokenAddress: reserve.aTokenAddress,
+      variableDebtTokenAddress: reserve.variableDebtTokenAddress,
+      interestRateStrategyAddress: reserve.interestRateStrategyAddress,
+      availableLiquidity: reserve.availableLiquidity,
+      totalScaledVariableDebt: reserve.totalScaledVariableDebt,
+      priceInMarketReferenceCurrency: reserve.priceInMarketReferenceCurrency,
+      priceOracle: reserve.priceOracle,
+      variableRateSlope1: reserve.variableRateSlope1,
+      variableRateSlope2: reserve.variableRateSlope2,
+      baseVariableBorrowRate: reserve.baseVariableBorrowRate,
+      optimalUsageRatio: reserve.optimalUsageRatio,
+      accruedToTreasury: reserve.accruedToTreasury,
+      unbacked: reserve.unbacked,
+      isolationModeTotalDebt: reserve.isolationModeTotalDebt,
+      debtCeiling: reserve.debtCeiling,
+      debtCeilingDecimals: Number(reserve.debtCeilingDecimals),
+      borrowCap: reserve.borrowCap,
+      supplyCap: reserve.supplyCap,
+      virtualAccActive: reserve.virtualAccActive,
+      virtualUnderlyingBalance: reserve.virtualUnderlyingBalance
+    }
+  }
+
+  /** @private */
+  _assertFlashLoanSimpleOptions ({ receiver, token, amount, params }) {
+    if (receiver === ZeroAddress || !isAddress(receiver)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'receiver' must be a valid address (not zero address).", { option: 'receiver' })
+    }
+
+    if (!isAddress(token)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'token' must be a valid address.", { option: 'token' })
+    }
+
+    if (amount <= 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amount' should be greater than zero.", { option: 'amount' })
+    }
+
+    if (params !== undefined && !isHexString(params)) {
+      throw new AaveValidationError('INVALID_OPTION', "'params' must be a hex string.", { option: 'params' })
+    }
+  }
+
+  /** @private */
+  _assertFlashLoanOptions ({ receiver, tokens, amounts, interestRateModes, onBehalfOf, params }) {
+    if (receiver === ZeroAddress || !isAddress(receiver)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'receiver' must be a valid address (not zero address).", { option: 'receiver' })
+    }
+
+    if (!Array.isArray(tokens) || tokens.length === 0 || !tokens.every(token => isAddress(token))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'tokens' must be a non-empty list of valid addresses.", { option: 'tokens' })
+    }
+
+    if (!Array.isArray(amounts) || amounts.length !== tokens.length || !amounts.every(amount => amount > 0)) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amounts' must contain an amount greater than zero for each token.", { option: 'amounts' })
+    }
+
+    if (interestRateModes !== undefined && (!Array.isArray(interestRateModes) || interestRateModes.length !== tokens.length ||
+      !interestRateModes.every(mode => mode === 0 || mode === 2))) {
+      throw new AaveValidationError('INVALID_OPTION', "'interestRateModes' must contain an interest rate mode (0 or 2) for each token.", { option: 'interestRateModes' })
+    }
 
+    if (onBehalfOf !== undefined && (onBehalfOf === ZeroAddress || !isAddress(onBehalfOf))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'onBehalfOf' must be a valid address (not zero address).", { option: 'onBehalfOf' })
+    }
+
+    if (params !== undefined && !isHexString(params)) {
+      throw new AaveValidationError('INVALID_OPTION', "'params' must be a hex string.", { option: 'params' })
+    }
+  }
+
+  /** @private */
+  _assertClaimRewardsOptions ({ assets, reward, amount, to }) {
+    if (!isAddress(reward)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'reward' must be a valid address.", { option: 'reward' })
+    }
+
+    if (amount <= 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amount' should be greater than zero.", { option: 'amount' })
+    }
+
+    this._assertClaimAllRewardsOptions({ assets, to })
+  }
+
+  /** @private */
+  _assertClaimAllRewardsOptions ({ assets, to }) {
+    if (assets !== undefined && (!Array.isArray(assets) || assets.length === 0 || !assets.every(asset => isAddress(asset)))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'assets' must be a non-empty list of valid addresses.", { option: 'assets' })
+    }
+
+    if (to !== undefined && (to === ZeroAddress || !isAddress(to))) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'to' must be a valid address (not zero address).", { option: 'to' })
+    }
+  }
+
+  /** @private */
+  _assertLiquidationOptions ({ collateralToken, debtToken, user, debtToCover, receiveAToken, approval }) {
+    if (!isAddress(collateralToken)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'collateralToken' must be a valid address.", { option: 'collateralToken' })
+    }
+
+    if (!isAddress(debtToken)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'debtToken' must be a valid address.", { option: 'debtToken' })
+    }
+
+    if (user === ZeroAddress || !isAddress(user)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'user' must be a valid address (not zero address).", { option: 'user' })
+    }
+
+    if (debtToCover <= 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'debtToCover' should be greater than zero.", { option: 'debtToCover' })
+    }
+
+    if (receiveAToken !== undefined && typeof receiveAToken !== 'boolean') {
+      throw new AaveValidationError('INVALID_OPTION', "'receiveAToken' must be a boolean.", { option: 'receiveAToken' })
+    }
+
+    if (approval !== undefined && approval !== 'exact' && approval !== 'unlimited') {
+      throw new AaveValidationError('INVALID_OPTION', "'approval' must be either 'exact' or 'unlimited'.", { option: 'approval' })
+    }
+  }
+
+  /** @private */
+  async _assertLiquidation ({ collateralToken, debtToken, user }) {
     const poolContract = await this._getPoolContract()
 
-    const accountData = await poolContract.getUserAccountData(address)
+    const [accountData, { positions, eModeCategoryId }] = await Promise.all([
+      poolContract.getUserAccountData(user),
+      this._getUserReservesState(user)
+    ])
 
-    return {
-      totalCollateralBase: accountData[0],
-      totalDebtBase: accountData[1],
-      availableBorrowsBase: accountData[2],
-      currentLiquidationThreshold: accountData[3],
-      ltv: accountData[4],
-      healthFactor: accountData[5]
+    if (accountData[5] >= WAD) {
+      throw new AaveReserveError('HEALTH_FACTOR_NOT_BELOW_THRESHOLD', `The account '${user}' can't be liquidated: its health factor isn't below 1.`, { user })
+    }
+
+    const collateral = this._findPosition(positions, collateralToken)
+
+    const eMode = await this._getEModeCategory(eModeCategoryId)
+
+    if (!collateral.usageAsCollateralEnabled || collateral.supplied === 0n || this._getRiskParameters(collateral, eMode).liquidationThreshold === 0n) {
+      throw new AaveReserveError('NO_COLLATERAL', `The account '${user}' has no collateral to seize for token '${collateralToken}'.`, { user, token: collateralToken })
+    }
+
+    if (this._findPosition(positions, debtToken).variableDebt === 0n) {
+      throw new AaveReserveError('NO_DEBT', `The account '${user}' has no debt to cover for token '${debtToken}'.`, { user, token: debtToken })
     }
   }
 
   /** @private */
-  async _getChainId () {
-    if (!this._addressMap) {
-      const { chainId } = await this._provider.getNetwork()
+  async _getBorrowAllowance (token, delegator, delegatee) {
+    const { variableDebtTokenAddress } = await this._getTokenReserve(token)
 
-      this._chainId = chainId
+    const variableDebtTokenContract = new Contract(variableDebtTokenAddress, VariableDebtTokenAbi, this._provider)
+
+    return await variableDebtTokenContract.borrowAllowance(delegator, delegatee)
+  }
+
+  /** @private */
+  async _assertBorrowAllowance (token, amount, onBehalfOf) {
+    const address = await this._account.getAddress()
+
+    if (onBehalfOf.toLowerCase() === address.toLowerCase()) {
+      return
     }
 
-    return this._chainId
+    const borrowAllowance = await this._getBorrowAllowance(token, onBehalfOf, address)
+
+    if (borrowAllowance < BigInt(amount)) {
+      throw new AaveReserveError('INSUFFICIENT_BORROW_ALLOWANCE', `The account '${onBehalfOf}' hasn't delegated enough borrowing power to the account for token '${token}' ` +
+        `(borrow allowance: ${borrowAllowance}).`, { token, onBehalfOf })
+    }
   }
 
   /** @private */
-  async _getAddressMap () {
-    if (!this._addressMap) {
-      const chainId = await this._getChainId()
+  _assertSignedDelegation ({ token, delegator, delegatee, amount, deadline, v, r, s }) {
+    if (!isAddress(token)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'token' must be a valid address.", { option: 'token' })
+    }
 
-      if (!AAVE_V3_ADDRESS_MAP[chainId]) {
-        throw new Error(`The blockchain with id ${chainId} is not supported yet.`)
-      }
+    if (delegator === ZeroAddress || !isAddress(delegator)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'delegator' must be a valid address (not zero address).", { option: 'delegator' })
+    }
 
-      this._addressMap = AAVE_V3_ADDRESS_MAP[chainId]
+    if (delegatee === ZeroAddress || !isAddress(delegatee)) {
+      throw new AaveValidationError('INVALID_ADDRESS', "'delegatee' must be a valid address (not zero address).", { option: 'delegatee' })
     }
 
-    return this._addressMap
+    if (amount < 0) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amount' can't be less than zero.", { option: 'amount' })
+    }
+
+    if (deadline <= Math.floor(Date.now() / 1_000)) {
+      throw new AaveValidationError('DELEGATION_EXPIRED', 'The delegation has expired.')
+    }
+
+    if (v === undefined || r === undefined || s === undefined) {
+      throw new AaveValidationError('INVALID_SIGNATURE', "The delegation must include its signature ('v', 'r' and 's').")
+    }
   }
 
   /** @private */
-  async _getPoolContract () {
-    if (!this._poolContract) {
-      const { pool } = await this._getAddressMap()
+  async _assertBorrowIsolationAndSiloing (token, amount, onBehalfOf) {
+    const { positions } = await this._getUserReservesState(onBehalfOf)
 
-      this._poolContract = new Contract(pool, IPool_ABI, this._provider)
+    const position = this._findPosition(positions, token)
+
+    const isolatedCollateral = this._getIsolatedCollateral(positions)
+
+    if (isolatedCollateral) {
+      const { underlyingAsset, debtCeiling, isolationModeTotalDebt, debtCeilingDecimals } = isolatedCollateral.reserve
+
+      if (!position.reserve.borrowableInIsolation) {
+        throw new AaveReserveError('ASSET_NOT_BORROWABLE_IN_ISOLATION', `The account is in isolation mode (collateral: '${underlyingAsset}') and the token '${token}' isn't borrowable in isolation.`, { token, collateralToken: underlyingAsset })
+      }
+
+      const debt = BigInt(amount) / 10n ** (BigInt(position.reserve.decimals) - BigInt(debtCeilingDecimals))
+
+      if (isolationModeTotalDebt + debt > debtCeiling) {
+        throw new AaveReserveError('DEBT_CEILING_EXCEEDED', `The amount exceeds the remaining debt ceiling of the isolated collateral '${underlyingAsset}'.`, { collateralToken: underlyingAsset })
+      }
     }
 
-    return this._poolContract
+    const siloedBorrowingConflict = this._getSiloedBorrowingConflict(position, positions)
+
+    if (siloedBorrowingConflict) {
+      throw siloedBorrowingConflict
+    }
   }
 
   /** @private */
-  async _getUiPoolDataProviderContract () {
-    if (!this._uiPoolDataProviderContract) {
-      const { uiPoolDataProvider } = await this._getAddressMap()
+  async _assertUseAsCollateral (token) {
+    const { positions } = await this._getUserReservesState()
 
-      this._uiPoolDataProviderContract = new Contract(uiPoolDataProvider, UiPoolDataProviderAbi, this._provider)
+    const position = this._findPosition(positions, token)
+
+    if (position.reserve.baseLTVasCollateral === 0n) {
+      throw new AaveReserveError('COLLATERAL_NOT_ENABLED', "The token's reserve can't be used as collateral.")
     }
 
-    return this._uiPoolDataProviderContract
+    const isolatedCollateral = this._getIsolatedCollateral(positions)
+
+    if (isolatedCollateral && isolatedCollateral !== position) {
+      throw new AaveReserveError('USER_IN_ISOLATION_MODE', `The account is in isolation mode (collateral: '${isolatedCollateral.reserve.underlyingAsset}'): no other token can be enabled as collateral.`, { token, collateralToken: isolatedCollateral.reserve.underlyingAsset })
+    }
+
+    const otherCollaterals = positions.filter(({ supplied, usageAsCollateralEnabled }) => usageAsCollateralEnabled && supplied > 0n)
+      .filter(collateral => collateral !== position)
+
+    if (position.reserve.debtCeiling !== 0n && otherCollaterals.length > 0) {
+      throw new AaveReserveError('ISOLATED_COLLATERAL_VIOLATION', `The token '${token}' is an isolated asset: it can only be enabled as the account's only collateral.`, { token })
+    }
   }
 
   /** @private */
-  async _getTokenReserve (token) {
-    const { poolAddressesProvider } = await this._getAddressMap()
-    const uiPoolDataProviderContract = await this._getUiPoolDataProviderContract()
-    const [reserves] = await uiPoolDataProviderContract.getReservesData(poolAddressesProvider)
+  async _assertUserEMode (categoryId) {
+    const { positions } = await this._getUserReservesState()
 
-    const tokenReserve = reserves.find(({ underlyingAsset }) => underlyingAsset.toLowerCase() === token.toLowerCase())
+    const eMode = await this._getEModeCategory(categoryId)
 
-    if (!tokenReserve) {
-      throw new Error(`Token reserve not found for token '${token}'.`)
+    if (categoryId !== 0 && !eMode) {
+      throw new AaveReserveError('EMODE_CATEGORY_NOT_FOUND', `The eMode category ${categoryId} doesn't exist.`, { categoryId })
     }
 
-    return tokenReserve
+    if (eMode) {
+      const borrowableBitmap = BigInt(eMode.borrowableBitmap)
+
+      for (const { id, reserve, variableDebt } of positions) {
+        if (variableDebt > 0n && !((borrowableBitmap >> BigInt(id)) & 1n)) {
+          throw new AaveReserveError('NOT_BORROWABLE_IN_EMODE', `The token '${reserve.underlyingAsset}' is borrowed by the account but isn't borrowable in the eMode category ${categoryId}.`, { token: reserve.underlyingAsset, categoryId })
+        }
+      }
+    }
+
+    const { healthFactor } = this._calculateAccountData(positions, eMode)
+
+    if (healthFactor < WAD) {
+      throw new AaveReserveError('HEALTH_FACTOR_TOO_LOW', "The operation would lower the account's health factor below 1.")
+    }
+  }
+
+  /** @private */
+  async _assertFaucetMintAmount (token, amount) {
+    const faucetContract = await this._getFaucetContract()
+
+    const { decimals } = await this._getTokenReserve(token)
+
+    const maximumMintAmount = await faucetContract.getMaximumMintAmount()
+
+    if (BigInt(amount) > maximumMintAmount * 10n ** decimals) {
+      throw new AaveReserveError('FAUCET_MINT_LIMIT_EXCEEDED', `The faucet can't mint more than ${maximumMintAmount} tokens per transaction.`, { maximumMintAmount })
+    }
   }
 
   /** @private */
@@ -597,28 +4149,168 @@ export default class AaveProtocolEvm extends LendingProtocol {
     const tokenBalance = await this._account.getTokenBalance(token)
 
     if (tokenBalance < amount) {
-      throw new Error('Not enough funds to fulfill the operation.')
+      throw new AaveReserveError('INSUFFICIENT_BALANCE', 'Not enough funds to fulfill the operation.')
+    }
+  }
+
+  /** @private */
+  async _assertWithdrawBalance (token, amount) {
+    // The amount withdrawn with the max uint256 value (the whole balance) is only known when the transaction is executed.
+    if (amount === MaxUint256) {
+      return
+    }
+
+    const { aTokenAddress } = await this._getTokenReserve(token)
+
+    await this._assertTokenBalance(aTokenAddress, amount)
+  }
+
+  /** @private */
+  async _assertRepayBalance (token, amount) {
+    if (amount !== MaxUint256) {
+      return await this._assertTokenBalance(token, amount)
+    }
+
+    const variableDebt = await this._getVariableDebt(token)
+
+    if (variableDebt === 0n) {
+      throw new AaveReserveError('NO_DEBT', `The account has no debt to repay for token '${token}'.`, { token })
+    }
+
+    await this._assertTokenBalance(token, variableDebt)
+  }
+
+  /** @private */
+  async _assertRepayWithATokens (token, amount) {
+    const { positions, eModeCategoryId } = await this._getUserReservesState()
+
+    const position = this._findPosition(positions, token)
+
+    if (position.supplied === 0n) {
+      throw new AaveReserveError('NO_SUPPLY', `The account has no a-tokens to repay with for token '${token}'.`, { token })
+    }
+
+    if (position.variableDebt === 0n) {
+      throw new AaveReserveError('NO_DEBT', `The account has no debt to repay for token '${token}'.`, { token })
+    }
+
+    if (amount !== MaxUint256 && position.supplied < amount) {
+      throw new AaveReserveError('INSUFFICIENT_BALANCE', 'Not enough funds to fulfill the operation.')
+    }
+
+    const eMode = await this._getEModeCategory(eModeCategoryId)
+
+    const { healthFactor } = this._calculateAccountData(positions, eMode)
+
+    const repayAmount = min(amount === MaxUint256 ? position.supplied : BigInt(amount), position.variableDebt)
+
+    position.supplied -= repayAmount
+
+    position.variableDebt -= repayAmount
+
+    const { healthFactor: projectedHealthFactor } = this._calculateAccountData(positions, eMode)
+
+    if (projectedHealthFactor < WAD && projectedHealthFactor < healthFactor) {
+      throw new AaveReserveError('HEALTH_FACTOR_TOO_LOW', "The operation would lower the account's health factor below 1.")
+    }
+  }
+
+  /** @private */
+  async _assertRepayAllOnBehalfOf (amount, onBehalfOf) {
+    if (amount !== MaxUint256 || onBehalfOf === undefined) {
+      return
+    }
+
+    const address = await this._account.getAddress()
+
+    if (onBehalfOf.toLowerCase() !== address.toLowerCase()) {
+      throw new AaveValidationError('INVALID_AMOUNT', "'amount' can't be the max uint256 value when repaying on behalf of another account.", { option: 'amount' })
     }
   }
 
   /** @private */
-  async _assertTokenReserveStatus (token, { checkFrozen, checkBorrowing } = {}) {
+  async _assertNativeBalance (amount) {
+    const balance = await this._account.getBalance()
+
+    if (balance < amount) {
+      throw new AaveReserveError('INSUFFICIENT_BALANCE', 'Not enough funds to fulfill the operation.')
+    }
+  }
+
+  /** @private */
+  async _assertTokenReserveCapacity (token, { supplyAmount, borrowAmount, withdrawAmount }) {
+    const tokenReserve = await this._getTokenReserve(token)
+
+    const unit = 10n ** BigInt(tokenReserve.decimals)
+
+    const { totalDebt, availableLiquidity, unbacked } = getReserveLiquidity(tokenReserve)
+
+    if (supplyAmount !== undefined && tokenReserve.supplyCap > 0n) {
+      // Like aave's validation logic, the supply cap covers the a-tokens and the treasury's accruals (both scaled by the reserve's
+      // liquidity index, accrued until now), plus the unbacked a-tokens.
+      const aTokenContract = new Contract(tokenReserve.aTokenAddress, IAToken_ABI, this._provider)
+
+      const scaledTotalSupply = await aTokenContract.scaledTotalSupply()
+
+      const timestamp = BigInt(Math.floor(Date.now() / 1_000))
+
+      const liquidityIndex = rayMul(calculateLinearInterest(tokenReserve.liquidityRate, BigInt(tokenReserve.lastUpdateTimestamp), timestamp), tokenReserve.liquidityIndex)
+
+      const totalSupply = rayMul(scaledTotalSupply + BigInt(tokenReserve.accruedToTreasury), liquidityIndex) + unbacked
+
+      const supplyCap = tokenReserve.supplyCap * unit
+
+      const remainingSupply = supplyCap > totalSupply ? supplyCap - totalSupply : 0n
+
+      if (BigInt(supplyAmount) > remainingSupply) {
+        throw new AaveReserveError('SUPPLY_CAP_EXCEEDED', `The amount exceeds the reserve's supply cap (remaining: ${remainingSupply}).`, { remaining: remainingSupply })
+      }
+    }
+
+    if (borrowAmount !== undefined) {
+      if (BigInt(borrowAmount) > availableLiquidity) {
+        throw new AaveReserveError('INSUFFICIENT_LIQUIDITY', `The amount exceeds the reserve's available liquidity (available: ${availableLiquidity}).`, { available: availableLiquidity })
+      }
+
+      if (tokenReserve.borrowCap > 0n) {
+        const borrowCap = tokenReserve.borrowCap * unit
+
+        const remainingBorrow = borrowCap > totalDebt ? borrowCap - totalDebt : 0n
+
+        if (BigInt(borrowAmount) > remainingBorrow) {
+          throw new AaveReserveError('BORROW_CAP_EXCEEDED', `The amount exceeds the reserve's borrow cap (remaining: ${remainingBorrow}).`, { remaining: remainingBorrow })
+        }
+      }
+    }
+
+    // The amount withdrawn with the max uint256 value (the whole balance) is only known when the transaction is executed.
+    if (withdrawAmount !== undefined && withdrawAmount !== MaxUint256 && BigInt(withdrawAmount) > availableLiquidity) {
+      throw new AaveReserveError('INSUFFICIENT_LIQUIDITY', `The amount exceeds the reserve's available liquidity (available: ${availableLiquidity}).`, { available: availableLiquidity })
+    }
+  }
+
+  /** @private */
+  async _assertTokenReserveStatus (token, { checkFrozen, checkBorrowing, checkFlashLoan } = {}) {
     const tokenReserve = await this._getTokenReserve(token)
 
     if (tokenReserve.isPaused) {
-      throw new Error("The token's reserve is currently paused.")
+      throw new AaveReserveError('RESERVE_PAUSED', "The token's reserve is currently paused.")
     }
 
     if (!tokenReserve.isActive) {
-      throw new Error("The token's reserve is currently not active.")
+      throw new AaveReserveError('RESERVE_INACTIVE', "The token's reserve is currently not active.")
     }
 
     if (checkFrozen && tokenReserve.isFrozen) {
-      throw new Error("The token's reserve is currently frozen.")
+      throw new AaveReserveError('RESERVE_FROZEN', "The token's reserve is currently frozen.")
     }
 
     if (checkBorrowing && !tokenReserve.borrowingEnabled) {
-      throw new Error("The token's reserve doesn't currently allow borrows.")
+      throw new AaveReserveError('BORROWING_NOT_ENABLED', "The token's reserve doesn't currently allow borrows.")
+    }
+
+    if (checkFlashLoan && !tokenReserve.flashLoanEnabled) {
+      throw new AaveReserveError('FLASHLOAN_DISABLED', "The token's reserve doesn't currently allow flash loans.")
     }
   }
 }
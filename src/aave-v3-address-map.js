@@ -14,98 +14,291 @@
 
 'use strict'
 
-import { AaveV3Arbitrum, AaveV3Avalanche, AaveV3Base, AaveV3BNB, AaveV3Celo, AaveV3Ethereum, AaveV3Gnosis, AaveV3Linea, AaveV3Metis, AaveV3Optimism, AaveV3Polygon, AaveV3Scroll, AaveV3Soneium, AaveV3Sonic, AaveV3ZkSync } from '@bgd-labs/aave-address-book'
+import { AaveV3Arbitrum, AaveV3ArbitrumSepolia, AaveV3Avalanche, AaveV3Base, AaveV3BaseSepolia, AaveV3BaseSepoliaLido, AaveV3BNB, AaveV3Celo, AaveV3Ethereum, AaveV3EthereumEtherFi, AaveV3EthereumLido, AaveV3Gnosis, AaveV3Linea, AaveV3Metis, AaveV3Optimism, AaveV3OptimismSepolia, AaveV3Polygon, AaveV3Scroll, AaveV3ScrollSepolia, AaveV3Sepolia, AaveV3Soneium, AaveV3Sonic, AaveV3ZkSync } from '@bgd-labs/aave-address-book'
 
-/** @internal */
+/**
+ * The built-in aave v3 markets, grouped by chain id. The first market of each chain is its default (core) market.
+ *
+ * Testnet markets are flagged with 'testnet: true' and, when aave deployed one, include the address of the faucet that mints their reserve tokens.
+ *
+ * Markets only set 'multicall' when the chain's multicall3 contract isn't deployed at its canonical address (e.g., zksync).
+ *
+ * @internal
+ */
 export default {
   [AaveV3Ethereum.CHAIN_ID]: {
-    pool: AaveV3Ethereum.POOL,
-    uiPoolDataProvider: AaveV3Ethereum.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Ethereum.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Ethereum.ORACLE
+    AaveV3Ethereum: {
+      pool: AaveV3Ethereum.POOL,
+      uiPoolDataProvider: AaveV3Ethereum.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Ethereum.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Ethereum.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Ethereum.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Ethereum.ORACLE,
+      rewardsController: AaveV3Ethereum.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Ethereum.WETH_GATEWAY
+    },
+    AaveV3EthereumLido: {
+      pool: AaveV3EthereumLido.POOL,
+      uiPoolDataProvider: AaveV3EthereumLido.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3EthereumLido.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3EthereumLido.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3EthereumLido.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3EthereumLido.ORACLE,
+      rewardsController: AaveV3EthereumLido.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3EthereumLido.WETH_GATEWAY
+    },
+    AaveV3EthereumEtherFi: {
+      pool: AaveV3EthereumEtherFi.POOL,
+      uiPoolDataProvider: AaveV3EthereumEtherFi.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3EthereumEtherFi.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3EthereumEtherFi.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3EthereumEtherFi.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3EthereumEtherFi.ORACLE,
+      rewardsController: AaveV3EthereumEtherFi.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3EthereumEtherFi.WETH_GATEWAY
+    }
   },
   [AaveV3Arbitrum.CHAIN_ID]: {
-    pool: AaveV3Arbitrum.POOL,
-    uiPoolDataProvider: AaveV3Arbitrum.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Arbitrum.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Arbitrum.ORACLE
+    AaveV3Arbitrum: {
+      pool: AaveV3Arbitrum.POOL,
+      uiPoolDataProvider: AaveV3Arbitrum.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Arbitrum.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Arbitrum.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Arbitrum.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Arbitrum.ORACLE,
+      rewardsController: AaveV3Arbitrum.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Arbitrum.WETH_GATEWAY
+    }
   },
   [AaveV3Base.CHAIN_ID]: {
-    pool: AaveV3Base.POOL,
-    uiPoolDataProvider: AaveV3Base.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Base.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Base.ORACLE
+    AaveV3Base: {
+      pool: AaveV3Base.POOL,
+      uiPoolDataProvider: AaveV3Base.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Base.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Base.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Base.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Base.ORACLE,
+      rewardsController: AaveV3Base.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Base.WETH_GATEWAY
+    }
   },
   [AaveV3Optimism.CHAIN_ID]: {
-    pool: AaveV3Optimism.POOL,
-    uiPoolDataProvider: AaveV3Optimism.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Optimism.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Optimism.ORACLE
+    AaveV3Optimism: {
+      pool: AaveV3Optimism.POOL,
+      uiPoolDataProvider: AaveV3Optimism.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Optimism.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Optimism.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Optimism.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Optimism.ORACLE,
+      rewardsController: AaveV3Optimism.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Optimism.WETH_GATEWAY
+    }
   },
   [AaveV3Polygon.CHAIN_ID]: {
-    pool: AaveV3Polygon.POOL,
-    uiPoolDataProvider: AaveV3Polygon.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Polygon.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Polygon.ORACLE
+    AaveV3Polygon: {
+      pool: AaveV3Polygon.POOL,
+      uiPoolDataProvider: AaveV3Polygon.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Polygon.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Polygon.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Polygon.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Polygon.ORACLE,
+      rewardsController: AaveV3Polygon.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Polygon.WETH_GATEWAY
+    }
   },
   [AaveV3Avalanche.CHAIN_ID]: {
-    pool: AaveV3Avalanche.POOL,
-    uiPoolDataProvider: AaveV3Avalanche.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Avalanche.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Avalanche.ORACLE
+    AaveV3Avalanche: {
+      pool: AaveV3Avalanche.POOL,
+      uiPoolDataProvider: AaveV3Avalanche.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Avalanche.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Avalanche.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Avalanche.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Avalanche.ORACLE,
+      rewardsController: AaveV3Avalanche.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Avalanche.WETH_GATEWAY
+    }
   },
   [AaveV3BNB.CHAIN_ID]: {
-    pool: AaveV3BNB.POOL,
-    uiPoolDataProvider: AaveV3BNB.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3BNB.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3BNB.ORACLE
+    AaveV3BNB: {
+      pool: AaveV3BNB.POOL,
+      uiPoolDataProvider: AaveV3BNB.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3BNB.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3BNB.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3BNB.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3BNB.ORACLE,
+      rewardsController: AaveV3BNB.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3BNB.WETH_GATEWAY
+    }
   },
   [AaveV3Celo.CHAIN_ID]: {
-    pool: AaveV3Celo.POOL,
-    uiPoolDataProvider: AaveV3Celo.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Celo.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Celo.ORACLE
+    AaveV3Celo: {
+      pool: AaveV3Celo.POOL,
+      uiPoolDataProvider: AaveV3Celo.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Celo.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Celo.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Celo.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Celo.ORACLE,
+      rewardsController: AaveV3Celo.DEFAULT_INCENTIVES_CONTROLLER
+    }
   },
   [AaveV3Gnosis.CHAIN_ID]: {
-    pool: AaveV3Gnosis.POOL,
-    uiPoolDataProvider: AaveV3Gnosis.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Gnosis.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Gnosis.ORACLE
+    AaveV3Gnosis: {
+      pool: AaveV3Gnosis.POOL,
+      uiPoolDataProvider: AaveV3Gnosis.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Gnosis.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Gnosis.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Gnosis.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Gnosis.ORACLE,
+      rewardsController: AaveV3Gnosis.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Gnosis.WETH_GATEWAY
+    }
   },
   [AaveV3Linea.CHAIN_ID]: {
-    pool: AaveV3Linea.POOL,
-    uiPoolDataProvider: AaveV3Linea.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Linea.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Linea.ORACLE
+    AaveV3Linea: {
+      pool: AaveV3Linea.POOL,
+      uiPoolDataProvider: AaveV3Linea.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Linea.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Linea.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Linea.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Linea.ORACLE,
+      rewardsController: AaveV3Linea.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Linea.WETH_GATEWAY
+    }
   },
   [AaveV3Scroll.CHAIN_ID]: {
-    pool: AaveV3Scroll.POOL,
-    uiPoolDataProvider: AaveV3Scroll.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Scroll.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Scroll.ORACLE
+    AaveV3Scroll: {
+      pool: AaveV3Scroll.POOL,
+      uiPoolDataProvider: AaveV3Scroll.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Scroll.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Scroll.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Scroll.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Scroll.ORACLE,
+      rewardsController: AaveV3Scroll.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Scroll.WETH_GATEWAY
+    }
   },
   [AaveV3Soneium.CHAIN_ID]: {
-    pool: AaveV3Soneium.POOL,
-    uiPoolDataProvider: AaveV3Soneium.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Soneium.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Soneium.ORACLE
+    AaveV3Soneium: {
+      pool: AaveV3Soneium.POOL,
+      uiPoolDataProvider: AaveV3Soneium.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Soneium.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Soneium.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Soneium.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Soneium.ORACLE,
+      rewardsController: AaveV3Soneium.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Soneium.WETH_GATEWAY
+    }
   },
   [AaveV3Sonic.CHAIN_ID]: {
-    pool: AaveV3Sonic.POOL,
-    uiPoolDataProvider: AaveV3Sonic.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Sonic.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Sonic.ORACLE
+    AaveV3Sonic: {
+      pool: AaveV3Sonic.POOL,
+      uiPoolDataProvider: AaveV3Sonic.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Sonic.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Sonic.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Sonic.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Sonic.ORACLE,
+      rewardsController: AaveV3Sonic.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Sonic.WETH_GATEWAY
+    }
   },
   [AaveV3ZkSync.CHAIN_ID]: {
-    pool: AaveV3ZkSync.POOL,
-    uiPoolDataProvider: AaveV3ZkSync.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3ZkSync.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3ZkSync.ORACLE
+    AaveV3ZkSync: {
+      pool: AaveV3ZkSync.POOL,
+      uiPoolDataProvider: AaveV3ZkSync.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3ZkSync.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3ZkSync.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3ZkSync.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3ZkSync.ORACLE,
+      rewardsController: AaveV3ZkSync.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3ZkSync.WETH_GATEWAY,
+      multicall: '0xF9cda624FBC7e059355ce98a31693d299FACd963'
+    }
   },
   [AaveV3Metis.CHAIN_ID]: {
-    pool: AaveV3Metis.POOL,
-    uiPoolDataProvider: AaveV3Metis.UI_POOL_DATA_PROVIDER,
-    poolAddressesProvider: AaveV3Metis.POOL_ADDRESSES_PROVIDER,
-    priceOracle: AaveV3Metis.ORACLE
+    AaveV3Metis: {
+      pool: AaveV3Metis.POOL,
+      uiPoolDataProvider: AaveV3Metis.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Metis.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3Metis.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3Metis.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Metis.ORACLE,
+      rewardsController: AaveV3Metis.DEFAULT_INCENTIVES_CONTROLLER
+    }
+  },
+  [AaveV3Sepolia.CHAIN_ID]: {
+    AaveV3Sepolia: {
+      testnet: true,
+      pool: AaveV3Sepolia.POOL,
+      uiPoolDataProvider: AaveV3Sepolia.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3Sepolia.POOL_ADDRESSES_PROVIDER,
+      poolDataProvider: AaveV3Sepolia.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3Sepolia.ORACLE,
+      rewardsController: AaveV3Sepolia.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3Sepolia.WETH_GATEWAY,
+      faucet: AaveV3Sepolia.FAUCET
+    }
+  },
+  [AaveV3BaseSepolia.CHAIN_ID]: {
+    AaveV3BaseSepolia: {
+      testnet: true,
+      pool: AaveV3BaseSepolia.POOL,
+      uiPoolDataProvider: AaveV3BaseSepolia.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3BaseSepolia.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3BaseSepolia.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3BaseSepolia.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3BaseSepolia.ORACLE,
+      rewardsController: AaveV3BaseSepolia.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3BaseSepolia.WETH_GATEWAY
+    },
+    AaveV3BaseSepoliaLido: {
+      testnet: true,
+      pool: AaveV3BaseSepoliaLido.POOL,
+      uiPoolDataProvider: AaveV3BaseSepoliaLido.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3BaseSepoliaLido.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3BaseSepoliaLido.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3BaseSepoliaLido.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3BaseSepoliaLido.ORACLE,
+      rewardsController: AaveV3BaseSepoliaLido.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3BaseSepoliaLido.WETH_GATEWAY
+    }
+  },
+  [AaveV3ArbitrumSepolia.CHAIN_ID]: {
+    AaveV3ArbitrumSepolia: {
+      testnet: true,
+      pool: AaveV3ArbitrumSepolia.POOL,
+      uiPoolDataProvider: AaveV3ArbitrumSepolia.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3ArbitrumSepolia.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3ArbitrumSepolia.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3ArbitrumSepolia.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3ArbitrumSepolia.ORACLE,
+      rewardsController: AaveV3ArbitrumSepolia.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3ArbitrumSepolia.WETH_GATEWAY
+    }
+  },
+  [AaveV3OptimismSepolia.CHAIN_ID]: {
+    AaveV3OptimismSepolia: {
+      testnet: true,
+      pool: AaveV3OptimismSepolia.POOL,
+      uiPoolDataProvider: AaveV3OptimismSepolia.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3OptimismSepolia.POOL_ADDRESSES_PROVIDER,
+      poolAddressesProviderRegistry: AaveV3OptimismSepolia.POOL_ADDRESSES_PROVIDER_REGISTRY,
+      poolDataProvider: AaveV3OptimismSepolia.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3OptimismSepolia.ORACLE,
+      rewardsController: AaveV3OptimismSepolia.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3OptimismSepolia.WETH_GATEWAY
+    }
+  },
+  [AaveV3ScrollSepolia.CHAIN_ID]: {
+    AaveV3ScrollSepolia: {
+      testnet: true,
+      pool: AaveV3ScrollSepolia.POOL,
+      uiPoolDataProvider: AaveV3ScrollSepolia.UI_POOL_DATA_PROVIDER,
+      poolAddressesProvider: AaveV3ScrollSepolia.POOL_ADDRESSES_PROVIDER,
+      poolDataProvider: AaveV3ScrollSepolia.AAVE_PROTOCOL_DATA_PROVIDER,
+      priceOracle: AaveV3ScrollSepolia.ORACLE,
+      rewardsController: AaveV3ScrollSepolia.DEFAULT_INCENTIVES_CONTROLLER,
+      wrappedTokenGateway: AaveV3ScrollSepolia.WETH_GATEWAY,
+      faucet: AaveV3ScrollSepolia.FAUCET
+    }
   }
 }
@@ -0,0 +1,108 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+/** @internal */
+export default [
+  {
+    type: 'function',
+    name: 'name',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [
+      {
+        type: 'string',
+        name: ''
+      }
+    ]
+  },
+  {
+    type: 'function',
+    name: 'version',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [
+      {
+        type: 'string',
+        name: ''
+      }
+    ]
+  },
+  {
+    type: 'function',
+    name: 'nonces',
+    stateMutability: 'view',
+    inputs: [
+      {
+        type: 'address',
+        name: 'owner'
+      }
+    ],
+    outputs: [
+      {
+        type: 'uint256',
+        name: ''
+      }
+    ]
+  },
+  {
+    type: 'function',
+    name: 'DOMAIN_SEPARATOR',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [
+      {
+        type: 'bytes32',
+        name: ''
+      }
+    ]
+  },
+  {
+    type: 'function',
+    name: 'eip712Domain',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [
+      {
+        type: 'bytes1',
+        name: 'fields'
+      },
+      {
+        type: 'string',
+        name: 'name'
+      },
+      {
+        type: 'string',
+        name: 'version'
+      },
+      {
+        type: 'uint256',
+        name: 'chainId'
+      },
+      {
+        type: 'address',
+        name: 'verifyingContract'
+      },
+      {
+        type: 'bytes32',
+        name: 'salt'
+      },
+      {
+        type: 'uint256[]',
+        name: 'extensions'
+      }
+    ]
+  }
+]
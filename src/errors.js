@@ -0,0 +1,263 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { AbiCoder, dataSlice } from 'ethers'
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'
+
+// Erc-4337 bundlers only report the revert reason of a user operation in the message of their simulation error.
+const USER_OPERATION_REVERT_PATTERN = /^UserOperation reverted during simulation with reason: (\d{1,3}|0x[0-9a-fA-F]*)$/
+
+const MAX_ERROR_DEPTH = 5
+
+/**
+ * The error codes of aave v3's Errors.sol library (v3.0 to v3.3), mapped to their names and messages.
+ *
+ * @internal
+ * @type {Record<string, [string, string]>}
+ */
+export const POOL_ERRORS = {
+  1: ['CALLER_NOT_POOL_ADMIN', 'The caller of the function is not a pool admin.'],
+  2: ['CALLER_NOT_EMERGENCY_ADMIN', 'The caller of the function is not an emergency admin.'],
+  3: ['CALLER_NOT_POOL_OR_EMERGENCY_ADMIN', 'The caller of the function is not a pool or emergency admin.'],
+  4: ['CALLER_NOT_RISK_OR_POOL_ADMIN', 'The caller of the function is not a risk or pool admin.'],
+  5: ['CALLER_NOT_ASSET_LISTING_OR_POOL_ADMIN', 'The caller of the function is not an asset listing or pool admin.'],
+  6: ['CALLER_NOT_BRIDGE', 'The caller of the function is not a bridge.'],
+  7: ['ADDRESSES_PROVIDER_NOT_REGISTERED', 'The pool addresses provider is not registered.'],
+  8: ['INVALID_ADDRESSES_PROVIDER_ID', 'The pool addresses provider id is invalid.'],
+  9: ['NOT_CONTRACT', 'The address is not a contract.'],
+  10: ['CALLER_NOT_POOL_CONFIGURATOR', 'The caller of the function is not the pool configurator.'],
+  11: ['CALLER_NOT_ATOKEN', 'The caller of the function is not an a-token.'],
+  12: ['INVALID_ADDRESSES_PROVIDER', 'The address of the pool addresses provider is invalid.'],
+  13: ['INVALID_FLASHLOAN_EXECUTOR_RETURN', 'The flash loan receiver returned an invalid value.'],
+  14: ['RESERVE_ALREADY_ADDED', 'The reserve has already been added to the reserve list.'],
+  15: ['NO_MORE_RESERVES_ALLOWED', 'The maximum number of reserves has been reached.'],
+  16: ['EMODE_CATEGORY_RESERVED', 'The zero eMode category is reserved for volatile heterogeneous assets.'],
+  17: ['INVALID_EMODE_CATEGORY_ASSIGNMENT', 'The eMode category assignment to the asset or user is invalid.'],
+  18: ['RESERVE_LIQUIDITY_NOT_ZERO', 'The liquidity of the reserve needs to be 0.'],
+  19: ['FLASHLOAN_PREMIUM_INVALID', 'The flash loan premium is invalid.'],
+  20: ['INVALID_RESERVE_PARAMS', 'The risk parameters of the reserve are invalid.'],
+  21: ['INVALID_EMODE_CATEGORY_PARAMS', 'The risk parameters of the eMode category are invalid.'],
+  22: ['BRIDGE_PROTOCOL_FEE_INVALID', 'The bridge protocol fee is invalid.'],
+  23: ['CALLER_MUST_BE_POOL', 'The caller of this function must be a pool.'],
+  24: ['INVALID_MINT_AMOUNT', 'The amount to mint is invalid.'],
+  25: ['INVALID_BURN_AMOUNT', 'The amount to burn is invalid.'],
+  26: ['INVALID_AMOUNT', 'The amount must be greater than 0.'],
+  27: ['RESERVE_INACTIVE', 'The action requires an active reserve.'],
+  28: ['RESERVE_FROZEN', 'The action cannot be performed because the reserve is frozen.'],
+  29: ['RESERVE_PAUSED', 'The action cannot be performed because the reserve is paused.'],
+  30: ['BORROWING_NOT_ENABLED', 'Borrowing is not enabled.'],
+  31: ['STABLE_BORROWING_NOT_ENABLED', 'Stable borrowing is not enabled.'],
+  32: ['NOT_ENOUGH_AVAILABLE_USER_BALANCE', 'The user cannot withdraw more than the available balance.'],
+  33: ['INVALID_INTEREST_RATE_MODE_SELECTED', 'The interest rate mode selected is invalid.'],
+  34: ['COLLATERAL_BALANCE_IS_ZERO', 'The collateral balance is 0.'],
+  35: ['HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD', 'The health factor is lower than the liquidation threshold.'],
+  36: ['COLLATERAL_CANNOT_COVER_NEW_BORROW', 'There is not enough collateral to cover a new borrow.'],
+  37: ['COLLATERAL_SAME_AS_BORROWING_CURRENCY', 'The collateral is the same asset that is being borrowed.'],
+  38: ['AMOUNT_BIGGER_THAN_MAX_LOAN_SIZE_STABLE', 'The requested amount is greater than the max loan size in stable rate mode.'],
+  39: ['NO_DEBT_OF_SELECTED_TYPE', 'The user needs to have debt of the selected type to repay it.'],
+  40: ['NO_EXPLICIT_AMOUNT_TO_REPAY_ON_BEHALF', 'An explicit amount is required to repay on behalf of another user.'],
+  41: ['NO_OUTSTANDING_STABLE_DEBT', 'The user doesn\'t have any outstanding stable rate debt.'],
+  42: ['NO_OUTSTANDING_VARIABLE_DEBT', 'The user doesn\'t have any outstanding variable rate debt.'],
+  43: ['UNDERLYING_BALANCE_ZERO', 'The underlying balance needs to be greater than 0.'],
+  44: ['INTEREST_RATE_REBALANCE_CONDITIONS_NOT_MET', 'The interest rate rebalance conditions were not met.'],
+  45: ['HEALTH_FACTOR_NOT_BELOW_THRESHOLD', 'The health factor is not below the liquidation threshold.'],
+  46: ['COLLATERAL_CANNOT_BE_LIQUIDATED', 'The collateral chosen cannot be liquidated.'],
+  47: ['SPECIFIED_CURRENCY_NOT_BORROWED_BY_USER', 'The user did not borrow the specified currency.'],
+  48: ['INCONSISTENT_FLASHLOAN_PARAMS', 'The flash loan parameters are inconsistent.'],
+  49: ['BORROW_CAP_EXCEEDED', 'The borrow cap is exceeded.'],
+  50: ['SUPPLY_CAP_EXCEEDED', 'The supply cap is exceeded.'],
+  51: ['UNBACKED_MINT_CAP_EXCEEDED', 'The unbacked mint cap is exceeded.'],
+  52: ['DEBT_CEILING_EXCEEDED', 'The debt ceiling is exceeded.'],
+  53: ['UNDERLYING_CLAIMABLE_RIGHTS_NOT_ZERO', 'The claimable rights over the underlying are not zero (a-token supply or accrued to the treasury).'],
+  54: ['STABLE_DEBT_NOT_ZERO', 'The stable debt supply is not zero.'],
+  55: ['VARIABLE_DEBT_SUPPLY_NOT_ZERO', 'The variable debt supply is not zero.'],
+  56: ['LTV_VALIDATION_FAILED', 'The ltv validation failed.'],
+  57: ['INCONSISTENT_EMODE_CATEGORY', 'The eMode category is inconsistent.'],
+  58: ['PRICE_ORACLE_SENTINEL_CHECK_FAILED', 'The price oracle sentinel validation failed.'],
+  59: ['ASSET_NOT_BORROWABLE_IN_ISOLATION', 'The asset is not borrowable in isolation mode.'],
+  60: ['RESERVE_ALREADY_INITIALIZED', 'The reserve has already been initialized.'],
+  61: ['USER_IN_ISOLATION_MODE_OR_LTV_ZERO', 'The user is in isolation mode or the ltv is zero.'],
+  62: ['INVALID_LTV', 'The ltv parameter of the reserve is invalid.'],
+  63: ['INVALID_LIQ_THRESHOLD', 'The liquidation threshold of the reserve is invalid.'],
+  64: ['INVALID_LIQ_BONUS', 'The liquidation bonus of the reserve is invalid.'],
+  65: ['INVALID_DECIMALS', 'The decimals of the reserve are invalid.'],
+  66: ['INVALID_RESERVE_FACTOR', 'The reserve factor of the reserve is invalid.'],
+  67: ['INVALID_BORROW_CAP', 'The borrow cap of the reserve is invalid.'],
+  68: ['INVALID_SUPPLY_CAP', 'The supply cap of the reserve is invalid.'],
+  69: ['INVALID_LIQUIDATION_PROTOCOL_FEE', 'The liquidation protocol fee of the reserve is invalid.'],
+  70: ['INVALID_EMODE_CATEGORY', 'The eMode category of the reserve is invalid.'],
+  71: ['INVALID_UNBACKED_MINT_CAP', 'The unbacked mint cap of the reserve is invalid.'],
+  72: ['INVALID_DEBT_CEILING', 'The debt ceiling of the reserve is invalid.'],
+  73: ['INVALID_RESERVE_INDEX', 'The reserve index is invalid.'],
+  74: ['ACL_ADMIN_CANNOT_BE_ZERO', 'The acl admin cannot be set to the zero address.'],
+  75: ['INCONSISTENT_PARAMS_LENGTH', 'The array parameters that should be equal length are not.'],
+  76: ['ZERO_ADDRESS_NOT_VALID', 'The zero address is not valid.'],
+  77: ['INVALID_EXPIRATION', 'The expiration is invalid.'],
+  78: ['INVALID_SIGNATURE', 'The signature is invalid.'],
+  79: ['OPERATION_NOT_SUPPORTED', 'The operation is not supported.'],
+  80: ['DEBT_CEILING_NOT_ZERO', 'The debt ceiling is not zero.'],
+  81: ['ASSET_NOT_LISTED', 'The asset is not listed.'],
+  82: ['INVALID_OPTIMAL_USAGE_RATIO', 'The optimal usage ratio is invalid.'],
+  83: ['INVALID_OPTIMAL_STABLE_TO_TOTAL_DEBT_RATIO', 'The optimal stable to total debt ratio is invalid.'],
+  84: ['UNDERLYING_CANNOT_BE_RESCUED', 'The underlying cannot be rescued.'],
+  85: ['ADDRESSES_PROVIDER_ALREADY_ADDED', 'The pool addresses provider is already added.'],
+  86: ['POOL_ADDRESSES_DO_NOT_MATCH', 'The token implementation pool address and the pool address provided by the initializing pool do not match.'],
+  87: ['STABLE_BORROWING_ENABLED', 'Stable borrowing is enabled.'],
+  88: ['SILOED_BORROWING_VIOLATION', 'The user is trying to borrow multiple assets including a siloed one.'],
+  89: ['RESERVE_DEBT_NOT_ZERO', 'The total debt of the reserve is not zero.'],
+  90: ['FLASHLOAN_DISABLED', 'Flash loans are disabled for this asset.'],
+  91: ['INVALID_MAX_RATE', 'The max rate is invalid.'],
+  92: ['WITHDRAW_TO_ATOKEN', 'Withdrawing to the a-token is not allowed.'],
+  93: ['SUPPLY_TO_ATOKEN', 'Supplying to the a-token is not allowed.'],
+  94: ['SLOPE_2_MUST_BE_GTE_SLOPE_1', 'The variable interest rate slope 2 can\'t be less than slope 1.'],
+  95: ['CALLER_NOT_RISK_OR_POOL_OR_EMERGENCY_ADMIN', 'The caller of the function is not a risk, pool or emergency admin.'],
+  96: ['LIQUIDATION_GRACE_SENTINEL_CHECK_FAILED', 'The liquidation grace period of the reserve hasn\'t ended yet.'],
+  97: ['INVALID_GRACE_PERIOD', 'The grace period is invalid.'],
+  98: ['INVALID_FREEZE_STATE', 'The reserve is already in the passed freeze state.'],
+  99: ['NOT_BORROWABLE_IN_EMODE', 'The asset is not borrowable in the user\'s eMode category.'],
+  100: ['CALLER_NOT_UMBRELLA', 'The caller of the function is not the umbrella contract.'],
+  101: ['RESERVE_NOT_IN_DEFICIT', 'The reserve has no deficit.'],
+  102: ['MUST_NOT_LEAVE_DUST', 'The operation must not leave dust below the minimum leftover.'],
+  103: ['USER_CANNOT_HAVE_DEBT', 'The user can\'t have debt.']
+}
+
+/**
+ * The base class of all the errors thrown by the protocol.
+ */
+export class AaveError extends Error {
+  /**
+   * Creates a new aave error.
+   *
+   * @param {string} code - A stable, machine-readable code identifying the error (e.g., 'INVALID_AMOUNT').
+   * @param {string} message - The error's message.
+   * @param {Record<string, unknown>} [details] - The values the error refers to (e.g., the name of an invalid option).
+   * @param {{ cause?: unknown }} [options] - The error's options (e.g., the error that caused it).
+   */
+  constructor (code, message, details = {}, options = undefined) {
+    super(message, options)
+
+    this.name = new.target.name
+
+    /**
+     * A stable, machine-readable code identifying the error.
+     *
+     * @type {string}
+     */
+    this.code = code
+
+    /**
+     * The values the error refers to (e.g., the name of an invalid option).
+     *
+     * @type {Record<string, unknown>}
+     */
+    this.details = details
+  }
+}
+
+/**
+ * Thrown when the options or arguments of a method, the configuration of the protocol or the type of its account are invalid.
+ */
+export class AaveValidationError extends AaveError {}
+
+/**
+ * Thrown when the current state of a reserve or of an account doesn't allow an operation (e.g., a paused reserve, a
+ * reached supply cap or a health factor that would drop below 1).
+ */
+export class AaveReserveError extends AaveError {}
+
+/**
+ * Thrown when a transaction sent to (or simulated against) the pool reverts with one of the error codes of aave v3's
+ * Errors.sol library. The error's code is the name of the library's error (e.g., 'HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD').
+ */
+export class AavePoolRevertError extends AaveError {
+  /**
+   * Creates a new pool revert error.
+   *
+   * @param {string} revertCode - The numeric error code the pool reverted with (e.g., '35').
+   * @param {{ cause?: unknown }} [options] - The error's options (e.g., the error that caused it).
+   */
+  constructor (revertCode, options = undefined) {
+    const [code, message] = POOL_ERRORS[revertCode]
+
+    super(code, message, { revertCode }, options)
+
+    /**
+     * The numeric error code the pool reverted with (e.g., '35').
+     *
+     * @type {string}
+     */
+    this.revertCode = revertCode
+  }
+}
+
+function decodeErrorString (data) {
+  if (typeof data !== 'string' || !data.startsWith(ERROR_STRING_SELECTOR)) {
+    return undefined
+  }
+
+  try {
+    const [reason] = AbiCoder.defaultAbiCoder().decode(['string'], dataSlice(data, 4))
+
+    return reason
+  } catch {
+    return undefined
+  }
+}
+
+function getRevertReasons (error) {
+  const reasons = [error.reason, decodeErrorString(error.data)]
+
+  if (error.revert && Array.isArray(error.revert.args)) {
+    reasons.push(error.revert.args[0])
+  }
+
+  if (typeof error.message === 'string') {
+    const match = error.message.match(USER_OPERATION_REVERT_PATTERN)
+
+    if (match) {
+      reasons.push(match[1].startsWith('0x') ? decodeErrorString(match[1]) : match[1])
+    }
+  }
+
+  return reasons
+}
+
+/**
+ * Decodes the aave v3 error code a transaction reverted with. Looks for the revert reason in the error (and in the errors
+ * it wraps) as decoded by ethers, as raw Error(string) revert data or in the simulation error of an erc-4337 bundler. The
+ * reason must be exactly one of the numeric codes of aave v3's Errors.sol library. Only use it for transactions sent to the pool.
+ *
+ * @internal
+ * @param {unknown} error - The error thrown while sending or simulating the transaction.
+ * @returns {unknown} The pool revert error, or the original error if it isn't an aave v3 revert.
+ */
+export function decodePoolRevert (error) {
+  let current = error
+
+  for (let depth = 0; current && typeof current === 'object' && depth < MAX_ERROR_DEPTH; depth++) {
+    const revertCode = getRevertReasons(current)
+      .find(reason => typeof reason === 'string' && Object.hasOwn(POOL_ERRORS, reason))
+
+    if (revertCode) {
+      return new AavePoolRevertError(revertCode, { cause: error })
+    }
+
+    current = current.error || (current.info && current.info.error) || current.cause
+  }
+
+  return error
+}
@@ -0,0 +1,282 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+/** One, in ray (27 decimals): the unit of aave's rates, indexes and usage ratios. */
+export const RAY = 10n ** 27n
+
+/** @internal */
+export const HALF_RAY = RAY / 2n
+
+/** One, in wad (18 decimals): the unit of aave's health factors. */
+export const WAD = 10n ** 18n
+
+/** @internal */
+export const HALF_WAD = WAD / 2n
+
+/** @internal */
+export const WAD_RAY_RATIO = 10n ** 9n
+
+/** One hundred percent, in basis points: the unit of aave's ltvs, liquidation thresholds and reserve factors. */
+export const PERCENTAGE_FACTOR = 10_000n
+
+/** @internal */
+export const HALF_PERCENTAGE_FACTOR = PERCENTAGE_FACTOR / 2n
+
+/** @internal */
+export const MAX_UINT256 = 2n ** 256n - 1n
+
+/** The number of seconds in a year, as used by aave to turn its yearly rates into per-second rates. */
+export const SECONDS_PER_YEAR = 31_536_000n
+
+/**
+ * Multiplies two ray values, rounding half up (same as aave's WadRayMath.rayMul).
+ *
+ * @param {bigint} a - The first value.
+ * @param {bigint} b - The second value (in ray).
+ * @returns {bigint} The product.
+ */
+export function rayMul (a, b) {
+  return (a * b + HALF_RAY) / RAY
+}
+
+/**
+ * Divides a value by a ray value, rounding half up (same as aave's WadRayMath.rayDiv).
+ *
+ * @param {bigint} a - The dividend.
+ * @param {bigint} b - The divisor (in ray).
+ * @returns {bigint} The quotient (in ray).
+ */
+export function rayDiv (a, b) {
+  return (a * RAY + b / 2n) / b
+}
+
+/**
+ * Raises a ray value to an integer power, by squaring and rounding half up at each step.
+ *
+ * @param {bigint} a - The base (in ray).
+ * @param {bigint} exponent - The exponent.
+ * @returns {bigint} The power (in ray).
+ */
+export function rayPow (a, exponent) {
+  let result = exponent % 2n !== 0n ? a : RAY
+
+  for (let n = exponent / 2n; n !== 0n; n /= 2n) {
+    a = rayMul(a, a)
+
+    if (n % 2n !== 0n) {
+      result = rayMul(result, a)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Multiplies two wad values, rounding half up (same as aave's WadRayMath.wadMul).
+ *
+ * @param {bigint} a - The first value.
+ * @param {bigint} b - The second value (in wad).
+ * @returns {bigint} The product.
+ */
+export function wadMul (a, b) {
+  return (a * b + HALF_WAD) / WAD
+}
+
+/**
+ * Divides a value by a wad value, rounding half up (same as aave's WadRayMath.wadDiv).
+ *
+ * @param {bigint} a - The dividend.
+ * @param {bigint} b - The divisor (in wad).
+ * @returns {bigint} The quotient (in wad).
+ */
+export function wadDiv (a, b) {
+  return (a * WAD + b / 2n) / b
+}
+
+/**
+ * Converts a wad value to a ray value (same as aave's WadRayMath.wadToRay).
+ *
+ * @param {bigint} a - The value (in wad).
+ * @returns {bigint} The value (in ray).
+ */
+export function wadToRay (a) {
+  return a * WAD_RAY_RATIO
+}
+
+/**
+ * Converts a ray value to a wad value, rounding half up (same as aave's WadRayMath.rayToWad).
+ *
+ * @param {bigint} a - The value (in ray).
+ * @returns {bigint} The value (in wad).
+ */
+export function rayToWad (a) {
+  return (a + WAD_RAY_RATIO / 2n) / WAD_RAY_RATIO
+}
+
+/**
+ * Applies a percentage to a value, rounding half up (same as aave's PercentageMath.percentMul).
+ *
+ * @param {bigint} value - The value.
+ * @param {bigint} percentage - The percentage (in basis points).
+ * @returns {bigint} The result.
+ */
+export function percentMul (value, percentage) {
+  return (value * percentage + HALF_PERCENTAGE_FACTOR) / PERCENTAGE_FACTOR
+}
+
+/**
+ * Divides a value by a percentage, rounding half up (same as aave's PercentageMath.percentDiv).
+ *
+ * @param {bigint} value - The value.
+ * @param {bigint} percentage - The percentage (in basis points).
+ * @returns {bigint} The result.
+ */
+export function percentDiv (value, percentage) {
+  return (value * PERCENTAGE_FACTOR + percentage / 2n) / percentage
+}
+
+/**
+ * Converts a value in basis points (e.g., a reserve's ltv or liquidation threshold) to a percentage.
+ *
+ * @example
+ * bpsToPercent(8_250n) // 82.5
+ *
+ * @param {number | bigint} bps - The value (in basis points).
+ * @returns {number} The percentage.
+ */
+export function bpsToPercent (bps) {
+  return Number(bps) / 100
+}
+
+/**
+ * Converts a percentage to a value in basis points, rounded to the nearest basis point.
+ *
+ * @example
+ * percentToBps(82.5) // 8_250n
+ *
+ * @param {number} percent - The percentage.
+ * @returns {bigint} The value (in basis points).
+ */
+export function percentToBps (percent) {
+  return BigInt(Math.round(percent * 100))
+}
+
+/**
+ * Computes the interest accumulated at a linear rate between two timestamps (same as aave's MathUtils.calculateLinearInterest).
+ *
+ * @param {bigint} rate - The interest rate (in ray).
+ * @param {bigint} lastUpdateTimestamp - The timestamp (in seconds) of the last update.
+ * @param {bigint} currentTimestamp - The current timestamp (in seconds).
+ * @returns {bigint} The interest factor (in ray).
+ */
+export function calculateLinearInterest (rate, lastUpdateTimestamp, currentTimestamp) {
+  return RAY + rate * (currentTimestamp - lastUpdateTimestamp) / SECONDS_PER_YEAR
+}
+
+/**
+ * Computes the interest accumulated at a compounded rate between two timestamps, using the same binomial approximation as
+ * aave's MathUtils.calculateCompoundedInterest.
+ *
+ * @param {bigint} rate - The interest rate (in ray).
+ * @param {bigint} lastUpdateTimestamp - The timestamp (in seconds) of the last update.
+ * @param {bigint} currentTimestamp - The current timestamp (in seconds).
+ * @returns {bigint} The interest factor (in ray).
+ */
+export function calculateCompoundedInterest (rate, lastUpdateTimestamp, currentTimestamp) {
+  const exp = currentTimestamp - lastUpdateTimestamp
+
+  if (exp <= 0n) {
+    return RAY
+  }
+
+  const expMinusOne = exp - 1n
+
+  const expMinusTwo = exp > 2n ? exp - 2n : 0n
+
+  const basePowerTwo = rayMul(rate, rate) / (SECONDS_PER_YEAR * SECONDS_PER_YEAR)
+
+  const basePowerThree = rayMul(basePowerTwo, rate) / SECONDS_PER_YEAR
+
+  const secondTerm = exp * expMinusOne * basePowerTwo / 2n
+
+  const thirdTerm = exp * expMinusOne * expMinusTwo * basePowerThree / 6n
+
+  return RAY + rate * exp / SECONDS_PER_YEAR + secondTerm + thirdTerm
+}
+
+/**
+ * Converts a yearly rate (e.g., a reserve's 'liquidityRate' or 'variableBorrowRate') to its annual percentage yield, compounding it
+ * every second like the aave protocol does.
+ *
+ * @example
+ * aprToApy(5n * 10n ** 25n) // ≈ 5.127% (in ray)
+ *
+ * @param {bigint} apr - The yearly rate (in ray).
+ * @returns {bigint} The annual percentage yield (in ray).
+ */
+export function aprToApy (apr) {
+  return rayPow(RAY + apr / SECONDS_PER_YEAR, SECONDS_PER_YEAR) - RAY
+}
+
+/**
+ * Formats a health factor as a decimal string, truncated to the given number of decimals so that it never shows an account as
+ * safer than it is. Accounts without debt (whose health factor is the maximum uint256 value) return 'infinite'.
+ *
+ * @example
+ * formatHealthFactor(1_234_567_890_000_000_000n) // '1.23'
+ *
+ * @param {bigint} healthFactor - The health factor (in wad).
+ * @param {number} [decimals] - The number of decimals (default: 2).
+ * @returns {string} The formatted health factor.
+ */
+export function formatHealthFactor (healthFactor, decimals = 2) {
+  if (healthFactor === MAX_UINT256) {
+    return 'infinite'
+  }
+
+  const integer = (healthFactor / WAD).toString()
+
+  if (decimals <= 0) {
+    return integer
+  }
+
+  const fraction = (healthFactor % WAD).toString().padStart(18, '0').slice(0, decimals).padEnd(decimals, '0')
+
+  return `${integer}.${fraction}`
+}
+
+/**
+ * Converts a decimal number to a wad value (with four decimals of precision).
+ *
+ * @internal
+ * @param {number} value - The number.
+ * @returns {bigint} The wad value.
+ */
+export function toWad (value) {
+  return BigInt(Math.round(value * 10_000)) * 10n ** 14n
+}
+
+/**
+ * Returns the lowest of two values.
+ *
+ * @internal
+ * @param {bigint} a - The first value.
+ * @param {bigint} b - The second value.
+ * @returns {bigint} The lowest value.
+ */
+export function min (a, b) {
+  return a < b ? a : b
+}
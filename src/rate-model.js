@@ -0,0 +1,216 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { AaveReserveError, AaveValidationError } from './errors.js'
+import { calculateCompoundedInterest, min, PERCENTAGE_FACTOR, percentMul, RAY, rayDiv, rayMul } from './math.js'
+
+/** @typedef {import('./aave-protocol-evm.js').Reserve} Reserve */
+
+/**
+ * @typedef {Object} ReserveLiquidity
+ * @property {bigint} totalDebt - The reserve's total variable debt (in base unit).
+ * @property {bigint} availableLiquidity - The amount of tokens that can be borrowed or withdrawn (in base unit).
+ * @property {bigint} unbacked - The amount of unbacked a-tokens (in base unit).
+ */
+
+/**
+ * @typedef {Object} InterestRates
+ * @property {bigint} borrowUsageRatio - The share of the reserve's liquidity that is borrowed (in ray).
+ * @property {bigint} supplyUsageRatio - The share of the reserve's supply (including the unbacked a-tokens) that is borrowed (in ray).
+ * @property {bigint} variableBorrowRate - The variable borrow rate (apr, in ray).
+ * @property {bigint} liquidityRate - The supply rate (apr, in ray).
+ */
+
+/**
+ * @typedef {Object} InterestRatePoint
+ * @property {bigint} usageRatio - The reserve's usage ratio (in ray).
+ * @property {bigint} variableBorrowRate - The variable borrow rate at this usage ratio (apr, in ray).
+ * @property {bigint} liquidityRate - The supply rate at this usage ratio (apr, in ray).
+ */
+
+/**
+ * @typedef {Object} InterestRateProjectionOptions
+ * @property {'supply' | 'withdraw' | 'borrow' | 'repay'} action - The operation to project.
+ * @property {number | bigint} amount - The operation's amount (in base unit).
+ */
+
+/**
+ * @typedef {Object} InterestRateProjection
+ * @property {InterestRates} current - The reserve's rates before the operation.
+ * @property {InterestRates} projected - The reserve's rates after the operation.
+ */
+
+const PROJECTION_ACTIONS = ['supply', 'withdraw', 'borrow', 'repay']
+
+function getCurrentTimestamp () {
+  return BigInt(Math.floor(Date.now() / 1_000))
+}
+
+/**
+ * Computes the total variable debt of a reserve, including the interests accrued since its last update.
+ *
+ * @param {Reserve} reserve - The reserve.
+ * @param {number | bigint} [timestamp] - The timestamp (in seconds) to compute the debt at. If not set, uses the current time.
+ * @returns {bigint} The reserve's total debt (in base unit).
+ */
+export function calculateTotalDebt (reserve, timestamp = getCurrentTimestamp()) {
+  const interest = calculateCompoundedInterest(reserve.variableBorrowRate, BigInt(reserve.lastUpdateTimestamp), BigInt(timestamp))
+
+  return rayMul(reserve.totalScaledVariableDebt, rayMul(interest, reserve.variableBorrowIndex))
+}
+
+/**
+ * Returns the liquidity and the debt of a reserve, as used by its interest rate strategy.
+ *
+ * @param {Reserve} reserve - The reserve.
+ * @param {number | bigint} [timestamp] - The timestamp (in seconds) to compute the debt at. If not set, uses the current time.
+ * @returns {ReserveLiquidity} The reserve's liquidity.
+ */
+export function getReserveLiquidity (reserve, timestamp = getCurrentTimestamp()) {
+  return {
+    totalDebt: calculateTotalDebt(reserve, timestamp),
+    availableLiquidity: reserve.virtualAccActive ? reserve.virtualUnderlyingBalance : reserve.availableLiquidity,
+    unbacked: reserve.unbacked || 0n
+  }
+}
+
+/**
+ * Computes the rates of a reserve for a given liquidity and debt, with the same math as aave's default interest rate strategy: the
+ * variable borrow rate grows with 'variableRateSlope1' up to the optimal usage ratio, then with 'variableRateSlope2'; the supply
+ * rate is the share of the borrow interests paid to the suppliers, net of the reserve factor.
+ *
+ * @param {Reserve} reserve - The reserve whose strategy to use ('baseVariableBorrowRate', 'variableRateSlope1', 'variableRateSlope2',
+ *   'optimalUsageRatio' and 'reserveFactor').
+ * @param {ReserveLiquidity} [liquidity] - The reserve's liquidity. If not set, uses the reserve's current liquidity.
+ * @returns {InterestRates} The rates.
+ */
+export function calculateInterestRates (reserve, liquidity = getReserveLiquidity(reserve)) {
+  const { totalDebt, availableLiquidity, unbacked = 0n } = liquidity
+
+  let borrowUsageRatio = 0n
+
+  let supplyUsageRatio = 0n
+
+  if (totalDebt > 0n) {
+    borrowUsageRatio = rayDiv(totalDebt, availableLiquidity + totalDebt)
+
+    supplyUsageRatio = rayDiv(totalDebt, availableLiquidity + totalDebt + unbacked)
+  }
+
+  const variableBorrowRate = calculateVariableBorrowRate(reserve, borrowUsageRatio)
+
+  const liquidityRate = percentMul(rayMul(variableBorrowRate, supplyUsageRatio), PERCENTAGE_FACTOR - reserve.reserveFactor)
+
+  return { borrowUsageRatio, supplyUsageRatio, variableBorrowRate, liquidityRate }
+}
+
+function calculateVariableBorrowRate (reserve, usageRatio) {
+  const { baseVariableBorrowRate, variableRateSlope1, variableRateSlope2, optimalUsageRatio } = reserve
+
+  if (usageRatio > optimalUsageRatio) {
+    const excessUsageRatio = rayDiv(usageRatio - optimalUsageRatio, RAY - optimalUsageRatio)
+
+    return baseVariableBorrowRate + variableRateSlope1 + rayMul(variableRateSlope2, excessUsageRatio)
+  }
+
+  return baseVariableBorrowRate + rayDiv(rayMul(variableRateSlope1, usageRatio), optimalUsageRatio)
+}
+
+/**
+ * Computes the rates of a reserve at a given usage ratio (assuming no unbacked a-tokens).
+ *
+ * @param {Reserve} reserve - The reserve whose strategy to use.
+ * @param {bigint} usageRatio - The usage ratio (in ray, e.g. 8n * 10n ** 26n for 80%).
+ * @returns {InterestRatePoint} The rates.
+ */
+export function calculateInterestRatesAtUsage (reserve, usageRatio) {
+  if (usageRatio < 0n || usageRatio > RAY) {
+    throw new AaveValidationError('INVALID_OPTION', "'usageRatio' must be between 0 and 1 ray.", { option: 'usageRatio' })
+  }
+
+  const variableBorrowRate = calculateVariableBorrowRate(reserve, usageRatio)
+
+  const liquidityRate = percentMul(rayMul(variableBorrowRate, usageRatio), PERCENTAGE_FACTOR - reserve.reserveFactor)
+
+  return { usageRatio, variableBorrowRate, liquidityRate }
+}
+
+/**
+ * Returns the rate curve of a reserve, e.g. to chart it: its rates at evenly spaced usage ratios from 0% to 100%, plus the optimal
+ * usage ratio (where the curve's slope changes).
+ *
+ * @param {Reserve} reserve - The reserve whose strategy to use.
+ * @param {number} [points] - The number of evenly spaced usage ratios (default: 101, i.e., one per percent).
+ * @returns {InterestRatePoint[]} The curve's points, sorted by usage ratio.
+ */
+export function getInterestRateCurve (reserve, points = 101) {
+  if (!Number.isInteger(points) || points < 2) {
+    throw new AaveValidationError('INVALID_OPTION', "'points' must be an integer greater than or equal to 2.", { option: 'points' })
+  }
+
+  const steps = BigInt(points - 1)
+
+  const usageRatios = Array.from({ length: points }, (_, index) => RAY * BigInt(index) / steps)
+
+  if (!usageRatios.includes(reserve.optimalUsageRatio) && reserve.optimalUsageRatio < RAY) {
+    usageRatios.push(reserve.optimalUsageRatio)
+
+    usageRatios.sort((a, b) => a < b ? -1 : a > b ? 1 : 0)
+  }
+
+  return usageRatios.map(usageRatio => calculateInterestRatesAtUsage(reserve, usageRatio))
+}
+
+/**
+ * Projects how an operation would move the rates of a reserve: supplies and repays add liquidity (and repays remove debt), while
+ * withdraws and borrows take liquidity (and borrows add debt).
+ *
+ * @param {Reserve} reserve - The reserve.
+ * @param {InterestRateProjectionOptions} options - The projection's options.
+ * @param {number | bigint} [timestamp] - The timestamp (in seconds) to compute the reserve's debt at. If not set, uses the current time.
+ * @returns {InterestRateProjection} The rates before and after the operation.
+ */
+export function projectInterestRates (reserve, { action, amount }, timestamp = getCurrentTimestamp()) {
+  if (!PROJECTION_ACTIONS.includes(action)) {
+    throw new AaveValidationError('INVALID_OPTION', `'action' must be one of: ${PROJECTION_ACTIONS.map(action => `'${action}'`).join(', ')}.`, { option: 'action' })
+  }
+
+  if (amount <= 0) {
+    throw new AaveValidationError('INVALID_AMOUNT', "'amount' should be greater than zero.", { option: 'amount' })
+  }
+
+  const liquidity = getReserveLiquidity(reserve, timestamp)
+
+  const { totalDebt, availableLiquidity, unbacked } = liquidity
+
+  const value = BigInt(amount)
+
+  if ((action === 'withdraw' || action === 'borrow') && value > availableLiquidity) {
+    throw new AaveReserveError('INSUFFICIENT_LIQUIDITY', `The amount exceeds the reserve's available liquidity (available: ${availableLiquidity}).`, { available: availableLiquidity })
+  }
+
+  const projectedLiquidity = {
+    supply: { totalDebt, availableLiquidity: availableLiquidity + value, unbacked },
+    withdraw: { totalDebt, availableLiquidity: availableLiquidity - value, unbacked },
+    borrow: { totalDebt: totalDebt + value, availableLiquidity: availableLiquidity - value, unbacked },
+    repay: { totalDebt: totalDebt - min(value, totalDebt), availableLiquidity: availableLiquidity + min(value, totalDebt), unbacked }
+  }[action]
+
+  return {
+    current: calculateInterestRates(reserve, liquidity),
+    projected: calculateInterestRates(reserve, projectedLiquidity)
+  }
+}
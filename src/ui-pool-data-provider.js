@@ -273,5 +273,129 @@ export default [
       }
     ],
     id: '0xec489c21'
+  },
+  {
+    type: 'function',
+    name: 'getUserReservesData',
+    stateMutability: 'view',
+    constant: false,
+    inputs: [
+      {
+        type: 'address',
+        name: 'provider',
+        simpleType: 'address'
+      },
+      {
+        type: 'address',
+        name: 'user',
+        simpleType: 'address'
+      }
+    ],
+    outputs: [
+      {
+        type: 'tuple[]',
+        name: '',
+        simpleType: 'slice',
+        nestedType: {
+          type: 'tuple'
+        },
+        components: [
+          {
+            type: 'address',
+            name: 'underlyingAsset',
+            simpleType: 'address'
+          },
+          {
+            type: 'uint256',
+            name: 'scaledATokenBalance',
+            simpleType: 'uint'
+          },
+          {
+            type: 'bool',
+            name: 'usageAsCollateralEnabledOnUser',
+            simpleType: 'bool'
+          },
+          {
+            type: 'uint256',
+            name: 'scaledVariableDebt',
+            simpleType: 'uint'
+          }
+        ]
+      },
+      {
+        type: 'uint8',
+        name: '',
+        simpleType: 'uint'
+      }
+    ],
+    id: '0x51974cc0'
+  },
+  {
+    type: 'function',
+    name: 'getEModes',
+    stateMutability: 'view',
+    constant: false,
+    inputs: [
+      {
+        type: 'address',
+        name: 'provider',
+        simpleType: 'address'
+      }
+    ],
+    outputs: [
+      {
+        type: 'tuple[]',
+        name: '',
+        simpleType: 'slice',
+        nestedType: {
+          type: 'tuple'
+        },
+        components: [
+          {
+            type: 'uint8',
+            name: 'id',
+            simpleType: 'uint'
+          },
+          {
+            type: 'tuple',
+            name: 'eMode',
+            simpleType: 'tuple',
+            components: [
+              {
+                type: 'uint16',
+                name: 'ltv',
+                simpleType: 'uint'
+              },
+              {
+                type: 'uint16',
+                name: 'liquidationThreshold',
+                simpleType: 'uint'
+              },
+              {
+                type: 'uint16',
+                name: 'liquidationBonus',
+                simpleType: 'uint'
+              },
+              {
+                type: 'uint128',
+                name: 'collateralBitmap',
+                simpleType: 'uint'
+              },
+              {
+                type: 'string',
+                name: 'label',
+                simpleType: 'string'
+              },
+              {
+                type: 'uint128',
+                name: 'borrowableBitmap',
+                simpleType: 'uint'
+              }
+            ]
+          }
+        ]
+      }
+    ],
+    id: '0x6f90b9d1'
   }
 ]
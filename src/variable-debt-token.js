@@ -0,0 +1,92 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+/** @internal */
+export default [
+  {
+    type: 'function',
+    name: 'approveDelegation',
+    stateMutability: 'nonpayable',
+    inputs: [
+      {
+        type: 'address',
+        name: 'delegatee'
+      },
+      {
+        type: 'uint256',
+        name: 'amount'
+      }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'delegationWithSig',
+    stateMutability: 'nonpayable',
+    inputs: [
+      {
+        type: 'address',
+        name: 'delegator'
+      },
+      {
+        type: 'address',
+        name: 'delegatee'
+      },
+      {
+        type: 'uint256',
+        name: 'value'
+      },
+      {
+        type: 'uint256',
+        name: 'deadline'
+      },
+      {
+        type: 'uint8',
+        name: 'v'
+      },
+      {
+        type: 'bytes32',
+        name: 'r'
+      },
+      {
+        type: 'bytes32',
+        name: 's'
+      }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'borrowAllowance',
+    stateMutability: 'view',
+    inputs: [
+      {
+        type: 'address',
+        name: 'fromUser'
+      },
+      {
+        type: 'address',
+        name: 'toUser'
+      }
+    ],
+    outputs: [
+      {
+        type: 'uint256',
+        name: ''
+      }
+    ]
+  }
+]
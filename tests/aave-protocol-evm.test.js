@@ -1,48 +1,388 @@
-import { beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
 
-import { WalletAccountEvm } from '@tetherto/wdk-wallet-evm'
+import { WalletAccountEvm, WalletAccountReadOnlyEvm } from '@tetherto/wdk-wallet-evm'
 
 import { WalletAccountEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337'
 
-import { IPool_ABI } from '@bgd-labs/aave-address-book/abis'
+import { IERC20_ABI, IPool_ABI, IRewardsController_ABI, IWrappedTokenGatewayV3_ABI } from '@bgd-labs/aave-address-book/abis'
 
 import * as ethers from 'ethers'
 
 import AAVE_V3_ADDRESS_MAP from '../src/aave-v3-address-map.js'
 
-const { Contract } = ethers
+import FaucetAbi from '../src/faucet.js'
+
+import VariableDebtTokenAbi from '../src/variable-debt-token.js'
+
+const { Contract, MaxUint256, TypedDataEncoder, verifyTypedData } = ethers
 
 const SEED = 'cook voyage document eight skate token alien guide drink uncle term abuse'
 
 const TOKEN = '0x9e6b38E072f624fdC4Fbaf7bB12a7D9e657435ce'
 
-const poolContract = new Contract(AAVE_V3_ADDRESS_MAP[1].pool, IPool_ABI)
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+
+const A_WETH = '0x4d5F47FA6A74757f35C14fD3a6Ef8E3C9BC514E8'
+
+const VARIABLE_DEBT_WETH = '0xeA51d7853EEFb32b6ee06b1C12E6dcCA88Be0fFE'
+
+const RESERVE_IDS = {
+  [TOKEN.toLowerCase()]: 0,
+  [WETH.toLowerCase()]: 1,
+  [USDT.toLowerCase()]: 2
+}
+
+const CUSTOM_POOL = '0xC13e21B648A5Ee794902342038FF3aDAB66BE987'
+
+const CUSTOM_POOL_ADDRESSES_PROVIDER = '0x02C3eA4e34C0cBd694D2adFa2c690EECbC1793eE'
+
+const CUSTOM_UI_POOL_DATA_PROVIDER = '0xF028c2F4b19898718fD0F77b9b881CbfdAa5e8Bb'
+
+const FAUCET = '0xC959483DBa39aa9E78757139af0e9a2EDEb3f42D'
+
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11'
+
+const CUSTOM_PRICE_ORACLE = '0x9f7a5b8b1d63a0d1e0e4ae6a7e5c2d8c1b3a4f50'
+
+const CUSTOM_POOL_DATA_PROVIDER = '0x5b2c9e1f0d8a7c6b4e3d2a1f9e8d7c6b5a4f3e21'
+
+const EMPTY_POOL_ADDRESSES_PROVIDER = '0x1c0a2e3d4b5f6a7e8d9c0b1a2f3e4d5c6b7a8f90'
+
+const POOL_ADDRESSES_PROVIDERS = {
+  [CUSTOM_POOL_ADDRESSES_PROVIDER]: {
+    marketId: 'Custom Market',
+    pool: CUSTOM_POOL,
+    priceOracle: CUSTOM_PRICE_ORACLE,
+    poolDataProvider: CUSTOM_POOL_DATA_PROVIDER
+  },
+  [EMPTY_POOL_ADDRESSES_PROVIDER]: {
+    marketId: 'Empty Market',
+    pool: ethers.ZeroAddress,
+    priceOracle: ethers.ZeroAddress,
+    poolDataProvider: ethers.ZeroAddress
+  },
+  ...Object.fromEntries(['AaveV3Ethereum', 'AaveV3EthereumLido', 'AaveV3EthereumEtherFi'].map(name => {
+    const { poolAddressesProvider, pool, priceOracle, poolDataProvider } = AAVE_V3_ADDRESS_MAP[1][name]
+
+    return [poolAddressesProvider, { marketId: `${name} Market`, pool, priceOracle, poolDataProvider }]
+  }))
+}
+
+const poolContract = new Contract(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.pool, IPool_ABI)
+
+const wrappedTokenGatewayContract = new Contract(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.wrappedTokenGateway, IWrappedTokenGatewayV3_ABI)
+
+const tokenContract = new Contract(TOKEN, IERC20_ABI)
+
+const wethContract = new Contract(WETH, IERC20_ABI)
+
+const usdtContract = new Contract(USDT, IERC20_ABI)
+
+const aWethContract = new Contract(A_WETH, IERC20_ABI)
+
+const variableDebtWethContract = new Contract(VARIABLE_DEBT_WETH, VariableDebtTokenAbi)
+
+const faucetContract = new Contract(FAUCET, FaucetAbi)
+
+const rewardsControllerContract = new Contract(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.rewardsController, IRewardsController_ABI)
+
+const RESERVE_DATA = {
+  underlyingAsset: TOKEN,
+  name: 'Dummy Token',
+  symbol: 'DUMMY',
+  decimals: 6n,
+  baseLTVasCollateral: 7_500n,
+  reserveLiquidationThreshold: 7_800n,
+  reserveLiquidationBonus: 10_450n,
+  reserveFactor: 1_000n,
+  usageAsCollateralEnabled: true,
+  borrowingEnabled: true,
+  isActive: true,
+  isFrozen: false,
+  liquidityIndex: 10n ** 27n,
+  variableBorrowIndex: 10n ** 27n,
+  liquidityRate: 3n * 10n ** 25n,
+  variableBorrowRate: 5n * 10n ** 25n,
+  lastUpdateTimestamp: 1_700_000_000n,
+  aTokenAddress: A_WETH,
+  variableDebtTokenAddress: VARIABLE_DEBT_WETH,
+  interestRateStrategyAddress: '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB',
+  availableLiquidity: 1_000_000n,
+  totalScaledVariableDebt: 500_000n,
+  priceInMarketReferenceCurrency: 100_000_000n,
+  priceOracle: '0x5424384B256154046E9667dDFaaa5e550145215e',
+  variableRateSlope1: 4n * 10n ** 25n,
+  variableRateSlope2: 6n * 10n ** 26n,
+  baseVariableBorrowRate: 0n,
+  optimalUsageRatio: 9n * 10n ** 26n,
+  isPaused: false,
+  isSiloedBorrowing: false,
+  accruedToTreasury: 1n,
+  unbacked: 0n,
+  isolationModeTotalDebt: 0n,
+  flashLoanEnabled: true,
+  debtCeiling: 0n,
+  debtCeilingDecimals: 2n,
+  borrowCap: 1_000_000n,
+  supplyCap: 2_000_000n,
+  borrowableInIsolation: true,
+  virtualAccActive: true,
+  virtualUnderlyingBalance: 1_000_000n
+}
+
+const RESERVE = {
+  token: TOKEN,
+  name: 'Dummy Token',
+  symbol: 'DUMMY',
+  decimals: 6,
+  ltv: 7_500n,
+  liquidationThreshold: 7_800n,
+  liquidationBonus: 10_450n,
+  reserveFactor: 1_000n,
+  usageAsCollateralEnabled: true,
+  borrowingEnabled: true,
+  isActive: true,
+  isFrozen: false,
+  isPaused: false,
+  isSiloedBorrowing: false,
+  flashLoanEnabled: true,
+  borrowableInIsolation: true,
+  liquidityIndex: 10n ** 27n,
+  variableBorrowIndex: 10n ** 27n,
+  liquidityRate: 3n * 10n ** 25n,
+  variableBorrowRate: 5n * 10n ** 25n,
+  supplyAPY: 30_454_533_938_812_881_107_633_482n,
+  borrowAPY: 51_271_096_334_354_554_996_205_899n,
+  lastUpdateTimestamp: 1_700_000_000,
+  aTokenAddress: A_WETH,
+  variableDebtTokenAddress: VARIABLE_DEBT_WETH,
+  interestRateStrategyAddress: '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB',
+  availableLiquidity: 1_000_000n,
+  totalScaledVariableDebt: 500_000n,
+  priceInMarketReferenceCurrency: 100_000_000n,
+  priceOracle: '0x5424384B256154046E9667dDFaaa5e550145215e',
+  variableRateSlope1: 4n * 10n ** 25n,
+  variableRateSlope2: 6n * 10n ** 26n,
+  baseVariableBorrowRate: 0n,
+  optimalUsageRatio: 9n * 10n ** 26n,
+  accruedToTreasury: 1n,
+  unbacked: 0n,
+  isolationModeTotalDebt: 0n,
+  debtCeiling: 0n,
+  debtCeilingDecimals: 2,
+  borrowCap: 1_000_000n,
+  supplyCap: 2_000_000n,
+  virtualAccActive: true,
+  virtualUnderlyingBalance: 1_000_000n
+}
+
+const BASE_CURRENCY_DATA = {
+  marketReferenceCurrencyUnit: 100_000_000n,
+  marketReferenceCurrencyPriceInUsd: 100_000_000n,
+  networkBaseTokenPriceInUsd: 300_000_000_000n,
+  networkBaseTokenPriceDecimals: 8n
+}
+
+const MARKET_TIMESTAMP = 1_700_000_000
+
+const MARKET_RESERVES_DATA = [[{
+  underlyingAsset: TOKEN,
+  decimals: 6n,
+  baseLTVasCollateral: 7_500n,
+  reserveLiquidationThreshold: 8_000n,
+  liquidityIndex: 10n ** 27n,
+  variableBorrowIndex: 10n ** 27n,
+  liquidityRate: 3n * 10n ** 25n,
+  variableBorrowRate: 5n * 10n ** 25n,
+  lastUpdateTimestamp: BigInt(MARKET_TIMESTAMP),
+  priceInMarketReferenceCurrency: 100_000_000n,
+  isActive: true,
+  isPaused: false,
+  isFrozen: false,
+  borrowingEnabled: true,
+  availableLiquidity: 10_000_000_000n,
+  totalScaledVariableDebt: 5_000_000_000n,
+  borrowCap: 0n,
+  virtualAccActive: false,
+  virtualUnderlyingBalance: 0n,
+  debtCeiling: 0n,
+  debtCeilingDecimals: 2n,
+  isolationModeTotalDebt: 0n,
+  borrowableInIsolation: true
+}, {
+  underlyingAsset: WETH,
+  decimals: 18n,
+  baseLTVasCollateral: 8_000n,
+  reserveLiquidationThreshold: 8_250n,
+  liquidityIndex: 10n ** 27n,
+  variableBorrowIndex: 10n ** 27n,
+  liquidityRate: 2n * 10n ** 25n,
+  variableBorrowRate: 4n * 10n ** 25n,
+  lastUpdateTimestamp: BigInt(MARKET_TIMESTAMP),
+  priceInMarketReferenceCurrency: 300_000_000_000n,
+  isActive: true,
+  isPaused: false,
+  isFrozen: false,
+  borrowingEnabled: true,
+  availableLiquidity: 10_000_000_000_000_000_000n,
+  totalScaledVariableDebt: 950_000_000_000_000_000n,
+  borrowCap: 0n,
+  virtualAccActive: false,
+  virtualUnderlyingBalance: 0n,
+  debtCeiling: 0n,
+  debtCeilingDecimals: 2n,
+  isolationModeTotalDebt: 0n,
+  borrowableInIsolation: false
+}]]
+
+const MARKET_USER_RESERVES_DATA = [[{
+  underlyingAsset: TOKEN,
+  scaledATokenBalance: 1_000_000_000n,
+  usageAsCollateralEnabledOnUser: true,
+  scaledVariableDebt: 0n
+}, {
+  underlyingAsset: WETH,
+  scaledATokenBalance: 0n,
+  usageAsCollateralEnabledOnUser: false,
+  scaledVariableDebt: 100_000_000_000_000_000n
+}], 0n]
+
+const MARKET_E_MODES = [{
+  id: 1n,
+  eMode: {
+    ltv: 9_000n,
+    liquidationThreshold: 9_300n,
+    liquidationBonus: 10_100n,
+    collateralBitmap: 1n,
+    label: 'Dummy eMode',
+    borrowableBitmap: 2n
+  }
+}]
 
 const getUserAccountDataMock = jest.fn()
 
+const getReserveDataMock = jest.fn()
+
+const getUserEModeMock = jest.fn()
+
+const flashLoanPremiumTotalMock = jest.fn()
+
 const getReservesDataMock = jest.fn()
 
+const getUserReservesDataMock = jest.fn()
+
+const getEModesMock = jest.fn()
+
+const allowanceMock = jest.fn()
+
+const borrowAllowanceMock = jest.fn()
+
+const variableDebtBalanceOfMock = jest.fn()
+
+const scaledTotalSupplyMock = jest.fn()
+
+const waitForTransactionMock = jest.fn()
+
+const getNetworkMock = jest.fn()
+
+const noncesMock = jest.fn()
+
+const domainSeparatorMock = jest.fn()
+
+const eip712DomainMock = jest.fn()
+
+const getMaximumMintAmountMock = jest.fn()
+
+const getAllUserRewardsMock = jest.fn()
+
+const getUserAccruedRewardsMock = jest.fn()
+
+const getAddressesProvidersListMock = jest.fn()
+
+const getAddressesProviderIdByAddressMock = jest.fn()
+
+const aggregate3Mock = jest.fn()
+
 jest.unstable_mockModule('ethers', () => ({
   ...ethers,
   Contract: jest.fn().mockImplementation((target, abi, runner) => {
     const contract = new Contract(target, abi, runner)
 
-    if (target === AAVE_V3_ADDRESS_MAP[1].pool) {
+    if (target === AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.pool || target === CUSTOM_POOL) {
       contract.getUserAccountData = getUserAccountDataMock
+      contract.getReserveData = getReserveDataMock
+      contract.getUserEMode = getUserEModeMock
+      contract.FLASHLOAN_PREMIUM_TOTAL = flashLoanPremiumTotalMock
     }
 
-    if (target === AAVE_V3_ADDRESS_MAP[1].uiPoolDataProvider) {
+    if (target === AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.uiPoolDataProvider || target === CUSTOM_UI_POOL_DATA_PROVIDER) {
       contract.getReservesData = getReservesDataMock
+      contract.getUserReservesData = getUserReservesDataMock
+      contract.getEModes = getEModesMock
+    }
+
+    if (target === AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.wrappedTokenGateway) {
+      contract.WETH = jest.fn().mockResolvedValue(WETH)
+    }
+
+    if (target === TOKEN || target === USDT || target === WETH || target === A_WETH) {
+      contract.allowance = allowanceMock
+    }
+
+    if (target === A_WETH) {
+      contract.scaledTotalSupply = scaledTotalSupplyMock
+    }
+
+    if (target === TOKEN || target === VARIABLE_DEBT_WETH) {
+      contract.nonces = noncesMock
+      contract.DOMAIN_SEPARATOR = domainSeparatorMock
+      contract.eip712Domain = eip712DomainMock
+    }
+
+    if (target === VARIABLE_DEBT_WETH) {
+      contract.borrowAllowance = borrowAllowanceMock
+      contract.balanceOf = variableDebtBalanceOfMock
+    }
+
+    if (target === FAUCET) {
+      contract.getMaximumMintAmount = getMaximumMintAmountMock
+    }
+
+    if (target === MULTICALL3) {
+      contract.aggregate3 = aggregate3Mock
+    }
+
+    if (target === AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.rewardsController) {
+      contract.getAllUserRewards = getAllUserRewardsMock
+      contract.getUserAccruedRewards = getUserAccruedRewardsMock
+    }
+
+    if (POOL_ADDRESSES_PROVIDERS[target]) {
+      const { marketId, pool, priceOracle, poolDataProvider } = POOL_ADDRESSES_PROVIDERS[target]
+
+      contract.getMarketId = jest.fn().mockResolvedValue(marketId)
+      contract.getPool = jest.fn().mockResolvedValue(pool)
+      contract.getPriceOracle = jest.fn().mockResolvedValue(priceOracle)
+      contract.getPoolDataProvider = jest.fn().mockResolvedValue(poolDataProvider)
+    }
+
+    if (target === AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProviderRegistry ||
+        target === AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido.poolAddressesProviderRegistry) {
+      contract.getAddressesProvidersList = getAddressesProvidersListMock
+      contract.getAddressesProviderIdByAddress = getAddressesProviderIdByAddressMock
     }
 
     return contract
   }),
   JsonRpcProvider: jest.fn().mockImplementation(() => ({
-    getNetwork: jest.fn().mockResolvedValue({ chainId: 1n })
+    getNetwork: getNetworkMock,
+    waitForTransaction: waitForTransactionMock
   }))
 }))
 
-const { default: AaveProtocolEvm } = await import('../index.js')
+const { default: AaveProtocolEvm, AaveError, AavePoolRevertError, AaveReserveError, AaveValidationError } = await import('../index.js')
 
 describe('AaveProtocolEvm', () => {
   const ADDRESS = '0x405005C7c4422390F4B334F64Cf20E0b767131d0'
@@ -57,13 +397,33 @@ describe('AaveProtocolEvm', () => {
 
     protocol = new AaveProtocolEvm(account)
 
-    getReservesDataMock.mockResolvedValue([[{
-      underlyingAsset: TOKEN,
-      isPaused: false,
-      isActive: true,
-      isFrozen: false,
-      borrowingEnabled: true
-    }]])
+    getReservesDataMock.mockResolvedValue([[
+      MARKET_RESERVES_DATA[0][0],
+      { ...MARKET_RESERVES_DATA[0][1], aTokenAddress: A_WETH, variableDebtTokenAddress: VARIABLE_DEBT_WETH }
+    ]])
+
+    getUserReservesDataMock.mockResolvedValue([[], 0n])
+
+    getReserveDataMock.mockImplementation(async asset => ({ id: RESERVE_IDS[asset.toLowerCase()] }))
+
+    allowanceMock.mockResolvedValue(MaxUint256)
+
+    waitForTransactionMock.mockResolvedValue({ status: 1 })
+
+    getNetworkMock.mockResolvedValue({ chainId: 1n })
+
+    // Forwards the batched calls to the pool's mocks.
+    aggregate3Mock.mockImplementation(async (calls) => await Promise.all(calls.map(async ({ callData }) => {
+      const { name, args } = poolContract.interface.parseTransaction({ data: callData })
+
+      try {
+        const result = await getUserAccountDataMock(...args)
+
+        return [true, poolContract.interface.encodeFunctionResult(name, result)]
+      } catch {
+        return [false, '0x']
+      }
+    })))
   })
 
   describe('supply', () => {
@@ -83,7 +443,7 @@ describe('AaveProtocolEvm', () => {
 
       expect(account.getTokenBalance).toHaveBeenCalledWith(TOKEN)
 
-      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].poolAddressesProvider)
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
 
       expect(account.sendTransaction).toHaveBeenCalledWith(SUPPLY_TRANSACTION)
 
@@ -112,7 +472,7 @@ describe('AaveProtocolEvm', () => {
 
       expect(account.getTokenBalance).toHaveBeenCalledWith(TOKEN)
 
-      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].poolAddressesProvider)
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
 
       expect(account.sendTransaction).toHaveBeenCalledWith([SUPPLY_TRANSACTION], undefined)
 
@@ -122,8 +482,104 @@ describe('AaveProtocolEvm', () => {
       })
     })
 
+    test('should approve the pool to spend the tokens first if the allowance is not enough', async () => {
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+        .mockResolvedValueOnce({ hash: 'dummy-supply-hash', fee: 12_345n })
+
+      const result = await protocol.supply({ token: TOKEN, amount: 100_000 })
+
+      expect(allowanceMock).toHaveBeenCalledWith(ADDRESS, poolContract.target)
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(1, {
+        to: TOKEN,
+        value: 0,
+        data: tokenContract.interface.encodeFunctionData('approve', [poolContract.target, 100_000])
+      })
+
+      expect(waitForTransactionMock).toHaveBeenCalledWith('dummy-approve-hash')
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(2, SUPPLY_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-supply-hash',
+        fee: 13_345n,
+        approveHash: 'dummy-approve-hash'
+      })
+    })
+
+    test('should bundle an unlimited approval in the same user operation (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.supply({ token: TOKEN, amount: 100_000, approval: 'unlimited' })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith([{
+        to: TOKEN,
+        value: 0,
+        data: tokenContract.interface.encodeFunctionData('approve', [poolContract.target, MaxUint256])
+      }, SUPPLY_TRANSACTION], undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should compare the max uint256 value with the token balance even if the account has debt', async () => {
+      variableDebtBalanceOfMock.mockResolvedValueOnce(100_000n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+
+      await expect(protocol.supply({ token: TOKEN, amount: MaxUint256 }))
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+
+      expect(variableDebtBalanceOfMock).not.toHaveBeenCalled()
+
+      expect(account.sendTransaction).not.toHaveBeenCalled()
+
+      variableDebtBalanceOfMock.mockReset()
+    })
+
+    test("should throw if the amount exceeds the reserve's supply cap", async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[{ ...tokenReserve, aTokenAddress: A_WETH, supplyCap: 1n, accruedToTreasury: 0n, unbacked: 0n }, wethReserve]])
+
+      scaledTotalSupplyMock.mockResolvedValueOnce(1_000_000n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      await expect(protocol.supply({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The amount exceeds the reserve's supply cap (remaining: 0).")
+    })
+
+    test("should throw if 'approval' is not a valid approval mode", async () => {
+      await expect(protocol.supply({ token: TOKEN, amount: 100_000, approval: 'infinite' }))
+        .rejects.toThrow("'approval' must be either 'exact' or 'unlimited'.")
+    })
+
     test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.supply({ token: 'invalid-token-address', amount: 100_000 }))
+      await expect(protocol.supply({ token: '0xinvalid-token-address', amount: 100_000 }))
         .rejects.toThrow("'token' must be a valid address.")
     })
 
@@ -181,8 +637,36 @@ describe('AaveProtocolEvm', () => {
       })
     })
 
+    test('should include the approval in the quote if the allowance is not enough (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      allowanceMock.mockResolvedValueOnce(50_000n)
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 13_345n })
+
+      const result = await protocol.quoteSupply({ token: TOKEN, amount: 100_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith([{
+        to: TOKEN,
+        value: 0,
+        data: tokenContract.interface.encodeFunctionData('approve', [poolContract.target, 100_000])
+      }, SUPPLY_TRANSACTION], undefined)
+
+      expect(result).toEqual({
+        fee: 13_345n
+      })
+    })
+
     test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.quoteSupply({ token: 'invalid-token-address', amount: 100_000 }))
+      await expect(protocol.quoteSupply({ token: '0xinvalid-token-address', amount: 100_000 }))
         .rejects.toThrow("'token' must be a valid address.")
     })
 
@@ -210,7 +694,7 @@ describe('AaveProtocolEvm', () => {
 
       const result = await protocol.withdraw({ token: TOKEN, amount: 100_000 })
 
-      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].poolAddressesProvider)
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
 
       expect(account.sendTransaction).toHaveBeenCalledWith(WITHDRAW_TRANSACTION)
 
@@ -220,6 +704,24 @@ describe('AaveProtocolEvm', () => {
       })
     })
 
+    test('should withdraw all the supplied tokens if the amount is the max uint256 value', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      const result = await protocol.withdraw({ token: TOKEN, amount: MaxUint256 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('withdraw', [TOKEN, MaxUint256, ADDRESS])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-withdraw-hash',
+        fee: 12_345n
+      })
+    })
+
     test('should successfully perform a withdraw operation (erc-4337)', async () => {
       const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
         chainId: 1,
@@ -235,7 +737,7 @@ describe('AaveProtocolEvm', () => {
 
       const result = await protocol.withdraw({ token: TOKEN, amount: 100_000 })
 
-      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].poolAddressesProvider)
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
 
       expect(account.sendTransaction).toHaveBeenCalledWith(WITHDRAW_TRANSACTION, undefined)
 
@@ -246,7 +748,7 @@ describe('AaveProtocolEvm', () => {
     })
 
     test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.withdraw({ token: 'invalid-token-address', amount: 100_000 }))
+      await expect(protocol.withdraw({ token: '0xinvalid-token-address', amount: 100_000 }))
         .rejects.toThrow("'token' must be a valid address.")
     })
 
@@ -255,6 +757,15 @@ describe('AaveProtocolEvm', () => {
         .rejects.toThrow("'amount' should be greater than zero.")
     })
 
+    test("should throw if the amount exceeds the reserve's available liquidity", async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[{ ...tokenReserve, virtualAccActive: true, virtualUnderlyingBalance: 50_000n }, wethReserve]])
+
+      await expect(protocol.withdraw({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The amount exceeds the reserve's available liquidity (available: 50000).")
+    })
+
     test("should throw if 'to' is not a valid a address", async () => {
       await expect(protocol.withdraw({ token: TOKEN, amount: 100_000, to: 'invalid-address' }))
         .rejects.toThrow("'to' must be a valid address (not zero address).")
@@ -304,7 +815,7 @@ describe('AaveProtocolEvm', () => {
     })
 
     test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.quoteWithdraw({ token: 'invalid-token-address', amount: 100_000 }))
+      await expect(protocol.quoteWithdraw({ token: '0xinvalid-token-address', amount: 100_000 }))
         .rejects.toThrow("'token' must be a valid address.")
     })
 
@@ -332,7 +843,7 @@ describe('AaveProtocolEvm', () => {
 
       const result = await protocol.borrow({ token: TOKEN, amount: 100_000 })
 
-      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].poolAddressesProvider)
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
 
       expect(account.sendTransaction).toHaveBeenCalledWith(BORROW_TRANSACTION)
 
@@ -357,7 +868,7 @@ describe('AaveProtocolEvm', () => {
 
       const result = await protocol.borrow({ token: TOKEN, amount: 100_000 })
 
-      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].poolAddressesProvider)
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
 
       expect(account.sendTransaction).toHaveBeenCalledWith(BORROW_TRANSACTION, undefined)
 
@@ -368,7 +879,7 @@ describe('AaveProtocolEvm', () => {
     })
 
     test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.borrow({ token: 'invalid-token-address', amount: 100_000 }))
+      await expect(protocol.borrow({ token: '0xinvalid-token-address', amount: 100_000 }))
         .rejects.toThrow("'token' must be a valid address.")
     })
 
@@ -377,6 +888,96 @@ describe('AaveProtocolEvm', () => {
         .rejects.toThrow("'amount' should be greater than zero.")
     })
 
+    test('should borrow on behalf of an account that delegated enough borrowing power', async () => {
+      const DELEGATOR = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+      borrowAllowanceMock.mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-borrow-hash', fee: 12_345n })
+
+      await protocol.borrow({ token: WETH, amount: 100_000, onBehalfOf: DELEGATOR })
+
+      expect(borrowAllowanceMock).toHaveBeenCalledWith(DELEGATOR, ADDRESS)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('borrow', [WETH, 100_000, 2, 0, DELEGATOR])
+      })
+    })
+
+    test("should throw if the account set as 'onBehalfOf' hasn't delegated enough borrowing power", async () => {
+      const DELEGATOR = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+      borrowAllowanceMock.mockResolvedValueOnce(99_999n)
+
+      await expect(protocol.borrow({ token: WETH, amount: 100_000, onBehalfOf: DELEGATOR }))
+        .rejects.toThrow(`The account '${DELEGATOR}' hasn't delegated enough borrowing power to the account for token '${WETH}' (borrow allowance: 99999).`)
+    })
+
+    test("should throw if the amount exceeds the reserve's available liquidity", async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[{ ...tokenReserve, availableLiquidity: 50_000n }, wethReserve]])
+
+      await expect(protocol.borrow({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The amount exceeds the reserve's available liquidity (available: 50000).")
+    })
+
+    test("should throw if the amount exceeds the reserve's borrow cap", async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[{ ...tokenReserve, borrowCap: 1n }, wethReserve]])
+
+      await expect(protocol.borrow({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The amount exceeds the reserve's borrow cap (remaining: 0).")
+    })
+
+    test("should throw if the account is in isolation mode and the token isn't borrowable in isolation", async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[{ ...tokenReserve, debtCeiling: 100_000n }, wethReserve]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      await expect(protocol.borrow({ token: WETH, amount: 100_000 }))
+        .rejects.toThrow(`The account is in isolation mode (collateral: '${TOKEN}') and the token '${WETH}' isn't borrowable in isolation.`)
+    })
+
+    test('should throw if the amount exceeds the remaining debt ceiling of the isolated collateral', async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[{ ...tokenReserve, debtCeiling: 100_000n, isolationModeTotalDebt: 99_000n }, wethReserve]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      await expect(protocol.borrow({ token: TOKEN, amount: 20_000_000 }))
+        .rejects.toThrow(`The amount exceeds the remaining debt ceiling of the isolated collateral '${TOKEN}'.`)
+    })
+
+    test('should throw if the account borrows a token with siloed borrowing', async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[tokenReserve, { ...wethReserve, isSiloedBorrowing: true }]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      await expect(protocol.borrow({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow(`The account borrows the token '${WETH}', which has siloed borrowing: it can't borrow other tokens.`)
+    })
+
+    test('should throw if the token has siloed borrowing and the account borrows other tokens', async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[{ ...tokenReserve, isSiloedBorrowing: true }, wethReserve]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      await expect(protocol.borrow({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow(`The token '${TOKEN}' has siloed borrowing: it can't be borrowed together with other tokens.`)
+    })
+
     test("should throw if 'onBehalfOf' is not a valid a address", async () => {
       await expect(protocol.borrow({ token: TOKEN, amount: 100_000, onBehalfOf: 'invalid-address' }))
         .rejects.toThrow("'onBehalfOf' must be a valid address (not zero address).")
@@ -426,7 +1027,7 @@ describe('AaveProtocolEvm', () => {
     })
 
     test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.quoteBorrow({ token: 'invalid-token-address', amount: 100_000 }))
+      await expect(protocol.quoteBorrow({ token: '0xinvalid-token-address', amount: 100_000 }))
         .rejects.toThrow("'token' must be a valid address.")
     })
 
@@ -458,7 +1059,7 @@ describe('AaveProtocolEvm', () => {
 
       expect(account.getTokenBalance).toHaveBeenCalledWith(TOKEN)
 
-      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].poolAddressesProvider)
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
 
       expect(account.sendTransaction).toHaveBeenCalledWith(REPAY_TRANSACTION)
 
@@ -487,7 +1088,7 @@ describe('AaveProtocolEvm', () => {
 
       expect(account.getTokenBalance).toHaveBeenCalledWith(TOKEN)
 
-      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].poolAddressesProvider)
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
 
       expect(account.sendTransaction).toHaveBeenCalledWith([REPAY_TRANSACTION], undefined)
 
@@ -497,8 +1098,111 @@ describe('AaveProtocolEvm', () => {
       })
     })
 
+    test('should reset the allowance before approving usdts on ethereum', async () => {
+      getReservesDataMock.mockResolvedValueOnce([[{
+        underlyingAsset: USDT,
+        isPaused: false,
+        isActive: true,
+        isFrozen: false,
+        borrowingEnabled: true
+      }]])
+
+      allowanceMock.mockResolvedValueOnce(1n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-reset-allowance-hash', fee: 1_000n })
+        .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+        .mockResolvedValueOnce({ hash: 'dummy-repay-hash', fee: 12_345n })
+
+      const result = await protocol.repay({ token: USDT, amount: 100_000 })
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(1, {
+        to: USDT,
+        value: 0,
+        data: usdtContract.interface.encodeFunctionData('approve', [poolContract.target, 0])
+      })
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(2, {
+        to: USDT,
+        value: 0,
+        data: usdtContract.interface.encodeFunctionData('approve', [poolContract.target, 100_000])
+      })
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(3, {
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('repay', [USDT, 100_000, 2, ADDRESS])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-repay-hash',
+        fee: 14_345n,
+        resetAllowanceHash: 'dummy-reset-allowance-hash',
+        approveHash: 'dummy-approve-hash'
+      })
+    })
+
+    test('should repay all the debt if the amount is the max uint256 value', async () => {
+      variableDebtBalanceOfMock.mockResolvedValueOnce(100_000_000_000_000_000n)
+
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(150_000_000_000_000_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+        .mockResolvedValueOnce({ hash: 'dummy-repay-hash', fee: 12_345n })
+
+      const result = await protocol.repay({ token: WETH, amount: MaxUint256 })
+
+      expect(variableDebtBalanceOfMock).toHaveBeenCalledWith(ADDRESS)
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(1, {
+        to: WETH,
+        value: 0,
+        data: wethContract.interface.encodeFunctionData('approve', [poolContract.target, 150_000_000_000_000_000n])
+      })
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(2, {
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('repay', [WETH, MaxUint256, 2, ADDRESS])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-repay-hash',
+        fee: 13_345n,
+        approveHash: 'dummy-approve-hash'
+      })
+    })
+
+    test('should throw if the amount is the max uint256 value and the balance is lower than the debt', async () => {
+      variableDebtBalanceOfMock.mockResolvedValueOnce(100_000_000_000_000_000n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(99_000_000_000_000_000n)
+
+      await expect(protocol.repay({ token: WETH, amount: MaxUint256 }))
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+    })
+
+    test('should throw if the amount is the max uint256 value and the account has no debt', async () => {
+      variableDebtBalanceOfMock.mockResolvedValueOnce(0n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(100_000n)
+
+      await expect(protocol.repay({ token: WETH, amount: MaxUint256 }))
+        .rejects.toThrow(`The account has no debt to repay for token '${WETH}'.`)
+    })
+
+    test('should throw if the amount is the max uint256 value and the debt belongs to another account', async () => {
+      await expect(protocol.repay({ token: WETH, amount: MaxUint256, onBehalfOf: '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB' }))
+        .rejects.toThrow("'amount' can't be the max uint256 value when repaying on behalf of another account.")
+    })
+
     test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.repay({ token: 'invalid-token-address', amount: 100_000 }))
+      await expect(protocol.repay({ token: '0xinvalid-token-address', amount: 100_000 }))
         .rejects.toThrow("'token' must be a valid address.")
     })
 
@@ -556,7 +1260,7 @@ describe('AaveProtocolEvm', () => {
     })
 
     test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.quoteRepay({ token: 'invalid-token-address', amount: 100_000 }))
+      await expect(protocol.quoteRepay({ token: '0xinvalid-token-address', amount: 100_000 }))
         .rejects.toThrow("'token' must be a valid address.")
     })
 
@@ -571,28 +1275,200 @@ describe('AaveProtocolEvm', () => {
     })
   })
 
-  describe('setUseReserveAsCollateral', () => {
-    const SET_USE_RESERVE_AS_COLLATERAL_TRANSACTION = {
-      to: poolContract.target,
-      value: 0,
-      data: poolContract.interface.encodeFunctionData('setUserUseReserveAsCollateral', [TOKEN, true])
-    }
+  describe('supplyWithPermit', () => {
+    const DEADLINE = 4_102_444_800
+
+    const DOMAIN = { name: 'Dummy Token', version: '2', chainId: 1n, verifyingContract: TOKEN }
+
+    const PERMIT_TYPES = {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    }
+
+    beforeEach(() => {
+      noncesMock.mockResolvedValue(7n)
+
+      domainSeparatorMock.mockResolvedValue(TypedDataEncoder.hashDomain(DOMAIN))
+
+      eip712DomainMock.mockResolvedValue({ ...DOMAIN })
+    })
+
+    test('should successfully perform a supply operation with a permit', async () => {
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
 
-    test('should successfully set as a collateral', async () => {
       account.sendTransaction = jest.fn()
-        .mockResolvedValueOnce({ hash: 'dummy-set-use-reserve-as-collateral-hash', fee: 12_345n })
+        .mockResolvedValueOnce({ hash: 'dummy-supply-hash', fee: 12_345n })
 
-      const transaction = await protocol.setUseReserveAsCollateral(TOKEN, true)
+      const result = await protocol.supplyWithPermit({ token: TOKEN, amount: 100_000, deadline: DEADLINE })
 
-      expect(account.sendTransaction).toHaveBeenCalledWith(SET_USE_RESERVE_AS_COLLATERAL_TRANSACTION)
+      expect(noncesMock).toHaveBeenCalledWith(ADDRESS)
 
-      expect(transaction).toEqual({
-        hash: 'dummy-set-use-reserve-as-collateral-hash',
+      const [{ to, value, data }] = account.sendTransaction.mock.calls[0]
+
+      expect(to).toBe(poolContract.target)
+
+      expect(value).toBe(0)
+
+      const [asset, amount, onBehalfOf, referralCode, deadline, v, r, s] = poolContract.interface.decodeFunctionData('supplyWithPermit', data)
+
+      expect([asset, amount, onBehalfOf, referralCode, deadline]).toEqual([TOKEN, 100_000n, ADDRESS, 0n, BigInt(DEADLINE)])
+
+      const message = { owner: ADDRESS, spender: poolContract.target, value: 100_000, nonce: 7n, deadline: DEADLINE }
+
+      expect(verifyTypedData(DOMAIN, PERMIT_TYPES, message, { v, r, s })).toBe(ADDRESS)
+
+      expect(result).toEqual({
+        hash: 'dummy-supply-hash',
         fee: 12_345n
       })
     })
 
-    test('should successfully set as a collateral (erc-4337)', async () => {
+    test("should throw if the token doesn't support eip-2612 permits", async () => {
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      noncesMock.mockRejectedValueOnce(new Error('execution reverted'))
+
+      await expect(protocol.supplyWithPermit({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow(`The token '${TOKEN}' doesn't support eip-2612 permits.`)
+    })
+
+    test("should throw if the token's eip-712 domain can't be resolved", async () => {
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      eip712DomainMock.mockResolvedValueOnce({ ...DOMAIN, version: '1' })
+
+      await expect(protocol.supplyWithPermit({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow(`Unable to resolve the eip-712 domain of the token '${TOKEN}'.`)
+    })
+
+    test('should throw if the protocol has been initialized with an erc-4337 account', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.supplyWithPermit({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The 'supplyWithPermit(options)' method requires the protocol to be initialized with a non read-only, non erc-4337 account.")
+    })
+
+    test("should throw if 'deadline' is in the past", async () => {
+      await expect(protocol.supplyWithPermit({ token: TOKEN, amount: 100_000, deadline: 1 }))
+        .rejects.toThrow("'deadline' must be a timestamp in the future.")
+    })
+  })
+
+  describe('quoteSupplyWithPermit', () => {
+    test('should successfully quote a supply operation with a permit', async () => {
+      const domain = { name: 'Dummy Token', version: '1', chainId: 1n, verifyingContract: TOKEN }
+
+      noncesMock.mockResolvedValueOnce(0n)
+
+      domainSeparatorMock.mockResolvedValueOnce(TypedDataEncoder.hashDomain(domain))
+
+      eip712DomainMock.mockResolvedValueOnce({ ...domain })
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteSupplyWithPermit({ token: TOKEN, amount: 100_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledTimes(1)
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.quoteSupplyWithPermit({ token: '0xinvalid-token-address', amount: 100_000 }))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+  })
+
+  describe('repayWithPermit', () => {
+    const DEADLINE = 4_102_444_800
+
+    const DOMAIN = { name: 'Dummy Token', version: '1', chainId: 1n, verifyingContract: TOKEN }
+
+    test('should successfully perform a repay operation with a permit', async () => {
+      noncesMock.mockResolvedValueOnce(0n)
+
+      domainSeparatorMock.mockResolvedValueOnce(TypedDataEncoder.hashDomain(DOMAIN))
+
+      eip712DomainMock.mockResolvedValueOnce({ ...DOMAIN })
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-repay-hash', fee: 12_345n })
+
+      const result = await protocol.repayWithPermit({ token: TOKEN, amount: 100_000, deadline: DEADLINE })
+
+      const [{ data }] = account.sendTransaction.mock.calls[0]
+
+      const [asset, amount, interestRateMode, onBehalfOf, deadline] = poolContract.interface.decodeFunctionData('repayWithPermit', data)
+
+      expect([asset, amount, interestRateMode, onBehalfOf, deadline]).toEqual([TOKEN, 100_000n, 2n, ADDRESS, BigInt(DEADLINE)])
+
+      expect(result).toEqual({
+        hash: 'dummy-repay-hash',
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.repayWithPermit({ token: TOKEN, amount: -1 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+  })
+
+  describe('quoteRepayWithPermit', () => {
+    test('should throw if the protocol has been initialized with an erc-4337 account', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.quoteRepayWithPermit({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The 'quoteRepayWithPermit(options)' method requires the protocol to be initialized with a non read-only, non erc-4337 account.")
+    })
+  })
+
+  describe('supplyNative', () => {
+    const SUPPLY_NATIVE_TRANSACTION = {
+      to: wrappedTokenGatewayContract.target,
+      value: 100_000,
+      data: wrappedTokenGatewayContract.interface.encodeFunctionData('depositETH', [poolContract.target, ADDRESS, 0])
+    }
+
+    test('should successfully perform a native supply operation', async () => {
+      account.getBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-supply-hash', fee: 12_345n })
+
+      const result = await protocol.supplyNative({ amount: 100_000 })
+
+      expect(account.getBalance).toHaveBeenCalled()
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(SUPPLY_NATIVE_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-supply-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully perform a native supply operation (erc-4337)', async () => {
       const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
         chainId: 1,
         provider: 'https://dummy-rpc-url.com'
@@ -600,47 +1476,125 @@ describe('AaveProtocolEvm', () => {
 
       const protocol = new AaveProtocolEvm(account)
 
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      account.getBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
       account.sendTransaction = jest.fn()
         .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
 
-      const transaction = await protocol.setUseReserveAsCollateral(TOKEN, true)
+      const result = await protocol.supplyNative({ amount: 100_000 })
 
-      expect(account.sendTransaction).toHaveBeenCalledWith(SET_USE_RESERVE_AS_COLLATERAL_TRANSACTION, undefined)
+      expect(account.sendTransaction).toHaveBeenCalledWith(SUPPLY_NATIVE_TRANSACTION, undefined)
 
-      expect(transaction).toEqual({
+      expect(result).toEqual({
         hash: 'dummy-user-operation-hash',
         fee: 12_345n
       })
     })
 
-    test("should throw if 'token' is not a valid address", async () => {
-      await expect(protocol.setUseReserveAsCollateral('invalid-token-address', true))
-        .rejects.toThrow("'token' must be a valid address.")
+    test('should throw if the account does not have enough funds', async () => {
+      account.getBalance = jest.fn().mockResolvedValueOnce(99_999n)
+
+      await expect(protocol.supplyNative({ amount: 100_000 }))
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.supplyNative({ amount: -1 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+
+    test("should throw if 'onBehalfOf' is not a valid a address", async () => {
+      await expect(protocol.supplyNative({ amount: 100_000, onBehalfOf: 'invalid-address' }))
+        .rejects.toThrow("'onBehalfOf' must be a valid address (not zero address).")
     })
   })
 
-  describe('setUserEMode', () => {
-    const SET_USER_E_MODE_TRANSACTION = {
-      to: poolContract.target,
+  describe('quoteSupplyNative', () => {
+    test('should successfully quote a native supply operation', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteSupplyNative({ amount: 100_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: wrappedTokenGatewayContract.target,
+        value: 100_000,
+        data: wrappedTokenGatewayContract.interface.encodeFunctionData('depositETH', [poolContract.target, ADDRESS, 0])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.quoteSupplyNative({ amount: -1 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+  })
+
+  describe('withdrawNative', () => {
+    const WITHDRAW_NATIVE_TRANSACTION = {
+      to: wrappedTokenGatewayContract.target,
       value: 0,
-      data: poolContract.interface.encodeFunctionData('setUserEMode', [128])
+      data: wrappedTokenGatewayContract.interface.encodeFunctionData('withdrawETH', [poolContract.target, 100_000, ADDRESS])
     }
 
-    test('should successfully set efficiency mode', async () => {
+    const APPROVE_TRANSACTION = {
+      to: A_WETH,
+      value: 0,
+      data: aWethContract.interface.encodeFunctionData('approve', [wrappedTokenGatewayContract.target, 100_000])
+    }
+
+    beforeEach(() => {
+      account.getTokenBalance = jest.fn().mockResolvedValue(100_000n)
+    })
+
+    test('should successfully perform a native withdraw operation', async () => {
+      allowanceMock.mockResolvedValueOnce(100_000n)
+
       account.sendTransaction = jest.fn()
-        .mockResolvedValueOnce({ hash: 'dummy-set-user-e-mode-hash', fee: 12_345n })
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
 
-      const transaction = await protocol.setUserEMode(128)
+      const result = await protocol.withdrawNative({ amount: 100_000 })
 
-      expect(account.sendTransaction).toHaveBeenCalledWith(SET_USER_E_MODE_TRANSACTION)
+      expect(allowanceMock).toHaveBeenCalledWith(ADDRESS, wrappedTokenGatewayContract.target)
 
-      expect(transaction).toEqual({
-        hash: 'dummy-set-user-e-mode-hash',
+      expect(account.sendTransaction).toHaveBeenCalledTimes(1)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(WITHDRAW_NATIVE_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-withdraw-hash',
         fee: 12_345n
       })
     })
 
-    test('should successfully set efficiency mode (erc-4337)', async () => {
+    test("should approve the gateway to spend the account's a-tokens first if the allowance is not enough", async () => {
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      const result = await protocol.withdrawNative({ amount: 100_000 })
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(1, APPROVE_TRANSACTION)
+
+      expect(waitForTransactionMock).toHaveBeenCalledWith('dummy-approve-hash')
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(2, WITHDRAW_NATIVE_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-withdraw-hash',
+        fee: 13_345n,
+        approveHash: 'dummy-approve-hash'
+      })
+    })
+
+    test('should bundle the approval in the same user operation (erc-4337)', async () => {
       const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
         chainId: 1,
         provider: 'https://dummy-rpc-url.com'
@@ -648,46 +1602,3579 @@ describe('AaveProtocolEvm', () => {
 
       const protocol = new AaveProtocolEvm(account)
 
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(100_000n)
+
+      allowanceMock.mockResolvedValueOnce(0n)
+
       account.sendTransaction = jest.fn()
         .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
 
-      const transaction = await protocol.setUserEMode(128)
+      const result = await protocol.withdrawNative({ amount: 100_000 })
 
-      expect(account.sendTransaction).toHaveBeenCalledWith(SET_USER_E_MODE_TRANSACTION, undefined)
+      expect(account.sendTransaction).toHaveBeenCalledWith([APPROVE_TRANSACTION, WITHDRAW_NATIVE_TRANSACTION], undefined)
 
-      expect(transaction).toEqual({
+      expect(result).toEqual({
         hash: 'dummy-user-operation-hash',
         fee: 12_345n
       })
     })
 
-    test("should throw if 'categoryId' is not a valid category id", async () => {
-      await expect(protocol.setUserEMode(1_024))
-        .rejects.toThrow("'categoryId' must be a valid category id.")
+    test('should throw if the approval transaction fails', async () => {
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      waitForTransactionMock.mockResolvedValueOnce({ status: 0 })
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+
+      await expect(protocol.withdrawNative({ amount: 100_000 }))
+        .rejects.toThrow("The approval transaction 'dummy-approve-hash' failed.")
+
+      expect(account.sendTransaction).toHaveBeenCalledTimes(1)
+    })
+
+    test("should check the account's a-token balance", async () => {
+      allowanceMock.mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      await protocol.withdrawNative({ amount: 100_000 })
+
+      expect(account.getTokenBalance).toHaveBeenCalledWith(A_WETH)
+    })
+
+    test("should not check the account's a-token balance when withdrawing the max uint256 value", async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      await protocol.withdrawNative({ amount: MaxUint256 })
+
+      expect(account.getTokenBalance).not.toHaveBeenCalled()
+    })
+
+    test("should throw if the account doesn't hold enough a-tokens", async () => {
+      account.getTokenBalance = jest.fn().mockResolvedValue(99_999n)
+
+      account.sendTransaction = jest.fn()
+
+      await expect(protocol.withdrawNative({ amount: 100_000 }))
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+
+      expect(account.sendTransaction).not.toHaveBeenCalled()
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.withdrawNative({ amount: -1 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+
+    test("should throw if 'to' is not a valid a address", async () => {
+      await expect(protocol.withdrawNative({ amount: 100_000, to: 'invalid-address' }))
+        .rejects.toThrow("'to' must be a valid address (not zero address).")
     })
   })
 
-  describe('getAccountData', () => {
-    test('should return the correct account data', async () => {
-      getUserAccountDataMock.mockResolvedValueOnce([0n, 1n, 2n, 3n, 4n, 5n])
+  describe('quoteWithdrawNative', () => {
+    test('should successfully quote a native withdraw operation including the approval', async () => {
+      allowanceMock.mockResolvedValueOnce(0n)
 
-      const accountData = await protocol.getAccountData()
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 1_000n })
+        .mockResolvedValueOnce({ fee: 12_345n })
 
-      expect(getUserAccountDataMock).toHaveBeenCalledWith(ADDRESS)
+      const result = await protocol.quoteWithdrawNative({ amount: 100_000 })
 
-      expect(accountData).toEqual({
-        totalCollateralBase: 0n,
-        totalDebtBase: 1n,
-        availableBorrowsBase: 2n,
-        currentLiquidationThreshold: 3n,
-        ltv: 4n,
-        healthFactor: 5n
+      expect(account.quoteSendTransaction).toHaveBeenCalledTimes(2)
+
+      expect(result).toEqual({
+        fee: 13_345n
       })
     })
 
-    test("should throw if 'address' is not a valid address", async () => {
-      await expect(protocol.getAccountData('invalid-address'))
-        .rejects.toThrow("'account' must be a valid address (not zero address).")
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.quoteWithdrawNative({ amount: -1 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+  })
+
+  describe('borrowNative', () => {
+    const BORROW_NATIVE_TRANSACTION = {
+      to: wrappedTokenGatewayContract.target,
+      value: 0,
+      data: wrappedTokenGatewayContract.interface.encodeFunctionData('borrowETH', [poolContract.target, 100_000, 0])
+    }
+
+    const APPROVE_DELEGATION_TRANSACTION = {
+      to: VARIABLE_DEBT_WETH,
+      value: 0,
+      data: variableDebtWethContract.interface.encodeFunctionData('approveDelegation', [wrappedTokenGatewayContract.target, 100_000])
+    }
+
+    test('should successfully perform a native borrow operation', async () => {
+      borrowAllowanceMock.mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-borrow-hash', fee: 12_345n })
+
+      const result = await protocol.borrowNative({ amount: 100_000 })
+
+      expect(borrowAllowanceMock).toHaveBeenCalledWith(ADDRESS, wrappedTokenGatewayContract.target)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(BORROW_NATIVE_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-borrow-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should delegate credit to the gateway first if the borrow allowance is not enough', async () => {
+      borrowAllowanceMock.mockResolvedValueOnce(0n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-approve-delegation-hash', fee: 1_000n })
+        .mockResolvedValueOnce({ hash: 'dummy-borrow-hash', fee: 12_345n })
+
+      const result = await protocol.borrowNative({ amount: 100_000 })
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(1, APPROVE_DELEGATION_TRANSACTION)
+
+      expect(waitForTransactionMock).toHaveBeenCalledWith('dummy-approve-delegation-hash')
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(2, BORROW_NATIVE_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-borrow-hash',
+        fee: 13_345n,
+        approveDelegationHash: 'dummy-approve-delegation-hash'
+      })
+    })
+
+    test('should bundle the credit delegation in the same user operation (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      borrowAllowanceMock.mockResolvedValueOnce(0n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.borrowNative({ amount: 100_000 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith([APPROVE_DELEGATION_TRANSACTION, BORROW_NATIVE_TRANSACTION], undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.borrowNative({ amount: -1 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+  })
+
+  describe('quoteBorrowNative', () => {
+    test('should successfully quote a native borrow operation (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      borrowAllowanceMock.mockResolvedValueOnce(100_000n)
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteBorrowNative({ amount: 100_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith([{
+        to: wrappedTokenGatewayContract.target,
+        value: 0,
+        data: wrappedTokenGatewayContract.interface.encodeFunctionData('borrowETH', [poolContract.target, 100_000, 0])
+      }], undefined)
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+  })
+
+  describe('repayNative', () => {
+    const REPAY_NATIVE_TRANSACTION = {
+      to: wrappedTokenGatewayContract.target,
+      value: 100_000,
+      data: wrappedTokenGatewayContract.interface.encodeFunctionData('repayETH', [poolContract.target, 100_000, ADDRESS])
+    }
+
+    test('should successfully perform a native repay operation', async () => {
+      account.getBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-repay-hash', fee: 12_345n })
+
+      const result = await protocol.repayNative({ amount: 100_000 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(REPAY_NATIVE_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-repay-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should throw if the account does not have enough funds', async () => {
+      account.getBalance = jest.fn().mockResolvedValueOnce(0n)
+
+      await expect(protocol.repayNative({ amount: 100_000 }))
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+    })
+
+    test("should throw if 'onBehalfOf' is not a valid a address", async () => {
+      await expect(protocol.repayNative({ amount: 100_000, onBehalfOf: 'invalid-address' }))
+        .rejects.toThrow("'onBehalfOf' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('quoteRepayNative', () => {
+    test('should successfully quote a native repay operation', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteRepayNative({ amount: 100_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: wrappedTokenGatewayContract.target,
+        value: 100_000,
+        data: wrappedTokenGatewayContract.interface.encodeFunctionData('repayETH', [poolContract.target, 100_000, ADDRESS])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+  })
+
+  describe('repayWithATokens', () => {
+    const USER_RESERVES_DATA = [[{
+      underlyingAsset: TOKEN,
+      scaledATokenBalance: 1_000_000_000n,
+      usageAsCollateralEnabledOnUser: true,
+      scaledVariableDebt: 200_000_000n
+    }, {
+      underlyingAsset: WETH,
+      scaledATokenBalance: 0n,
+      usageAsCollateralEnabledOnUser: false,
+      scaledVariableDebt: 100_000_000_000_000_000n
+    }], 0n]
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test('should successfully perform a repay operation with a-tokens', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-repay-hash', fee: 12_345n })
+
+      const result = await protocol.repayWithATokens({ token: TOKEN, amount: 100_000_000 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('repayWithATokens', [TOKEN, 100_000_000, 2])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-repay-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should repay as much debt as possible if the amount is the max uint256 value (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.repayWithATokens({ token: TOKEN, amount: MaxUint256 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('repayWithATokens', [TOKEN, MaxUint256, 2])
+      }, undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should throw if the account has no a-tokens of the reserve', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      await expect(protocol.repayWithATokens({ token: WETH, amount: 100_000 }))
+        .rejects.toThrow(`The account has no a-tokens to repay with for token '${WETH}'.`)
+    })
+
+    test('should throw if the account has no debt in the reserve', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      await expect(protocol.repayWithATokens({ token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow(`The account has no debt to repay for token '${TOKEN}'.`)
+    })
+
+    test('should throw if the account has not enough a-tokens', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      await expect(protocol.repayWithATokens({ token: TOKEN, amount: 1_000_000_001n }))
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+    })
+
+    test("should throw if the operation would lower the account's health factor below 1", async () => {
+      const [[tokenUserReserve, wethUserReserve]] = USER_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce([[{
+        ...tokenUserReserve,
+        scaledATokenBalance: 100_000_000n,
+        scaledVariableDebt: 50_000_000n
+      }, wethUserReserve], 0n])
+
+      await expect(protocol.repayWithATokens({ token: TOKEN, amount: MaxUint256 }))
+        .rejects.toThrow("The operation would lower the account's health factor below 1.")
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.repayWithATokens({ token: '0xinvalid-token-address', amount: 100_000 }))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.repayWithATokens({ token: TOKEN, amount: 0 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+  })
+
+  describe('quoteRepayWithATokens', () => {
+    test('should successfully quote a repay operation with a-tokens', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteRepayWithATokens({ token: TOKEN, amount: 100_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('repayWithATokens', [TOKEN, 100_000, 2])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.quoteRepayWithATokens({ token: '0xinvalid-token-address', amount: 100_000 }))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+  })
+
+  describe('closePosition', () => {
+    const REPAY_ALL_TRANSACTION = {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('repay', [WETH, MaxUint256, 2, ADDRESS])
+    }
+
+    const WITHDRAW_ALL_TRANSACTION = {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('withdraw', [TOKEN, MaxUint256, ADDRESS])
+    }
+
+    test('should repay all the debts and then withdraw all the supplied tokens', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      variableDebtBalanceOfMock.mockResolvedValueOnce(100_000_000_000_000_000n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(150_000_000_000_000_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-repay-hash', fee: 12_345n })
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 10_000n })
+
+      const result = await protocol.closePosition()
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(1, REPAY_ALL_TRANSACTION)
+
+      expect(waitForTransactionMock).toHaveBeenCalledWith('dummy-repay-hash')
+
+      expect(account.sendTransaction).toHaveBeenNthCalledWith(2, WITHDRAW_ALL_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-withdraw-hash',
+        fee: 22_345n,
+        hashes: ['dummy-repay-hash', 'dummy-withdraw-hash']
+      })
+    })
+
+    test('should bundle the approvals, repays and withdrawals in the same user operation (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      variableDebtBalanceOfMock.mockResolvedValueOnce(100_000_000_000_000_000n)
+
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(150_000_000_000_000_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.closePosition()
+
+      expect(account.sendTransaction).toHaveBeenCalledWith([{
+        to: WETH,
+        value: 0,
+        data: wethContract.interface.encodeFunctionData('approve', [poolContract.target, 150_000_000_000_000_000n])
+      }, REPAY_ALL_TRANSACTION, WITHDRAW_ALL_TRANSACTION], undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should throw if the account has not enough funds to repay its debts', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      variableDebtBalanceOfMock.mockResolvedValueOnce(100_000_000_000_000_000n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(0n)
+
+      account.sendTransaction = jest.fn()
+
+      await expect(protocol.closePosition())
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+
+      expect(account.sendTransaction).not.toHaveBeenCalled()
+    })
+
+    test('should throw if the account has no position', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce([[], 0n])
+
+      await expect(protocol.closePosition())
+        .rejects.toThrow('The account has no position to close.')
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.closePosition())
+        .rejects.toThrow("The 'closePosition()' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('flashLoanSimple', () => {
+    const RECEIVER = '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24'
+
+    const FLASH_LOAN_SIMPLE_TRANSACTION = {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('flashLoanSimple', [RECEIVER, TOKEN, 100_000, '0x1234', 0])
+    }
+
+    beforeEach(() => {
+      getReservesDataMock.mockResolvedValue([[{
+        underlyingAsset: TOKEN,
+        isPaused: false,
+        isActive: true,
+        isFrozen: false,
+        flashLoanEnabled: true
+      }]])
+    })
+
+    test('should successfully perform a simple flash loan', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-flash-loan-hash', fee: 12_345n })
+
+      const result = await protocol.flashLoanSimple({ receiver: RECEIVER, token: TOKEN, amount: 100_000, params: '0x1234' })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(FLASH_LOAN_SIMPLE_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-flash-loan-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully perform a simple flash loan (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.flashLoanSimple({ receiver: RECEIVER, token: TOKEN, amount: 100_000, params: '0x1234' })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(FLASH_LOAN_SIMPLE_TRANSACTION, undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test("should pass empty params to the receiver if 'params' is not set", async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-flash-loan-hash', fee: 12_345n })
+
+      await protocol.flashLoanSimple({ receiver: RECEIVER, token: TOKEN, amount: 100_000 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('flashLoanSimple', [RECEIVER, TOKEN, 100_000, '0x', 0])
+      })
+    })
+
+    test("should throw if the token's reserve doesn't allow flash loans", async () => {
+      getReservesDataMock.mockResolvedValue([[{
+        underlyingAsset: TOKEN,
+        isPaused: false,
+        isActive: true,
+        isFrozen: false,
+        flashLoanEnabled: false
+      }]])
+
+      await expect(protocol.flashLoanSimple({ receiver: RECEIVER, token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The token's reserve doesn't currently allow flash loans.")
+    })
+
+    test("should throw if 'receiver' is not a valid address", async () => {
+      await expect(protocol.flashLoanSimple({ receiver: 'invalid-address', token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("'receiver' must be a valid address (not zero address).")
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.flashLoanSimple({ receiver: RECEIVER, token: TOKEN, amount: 0 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+
+    test("should throw if 'params' is not a hex string", async () => {
+      await expect(protocol.flashLoanSimple({ receiver: RECEIVER, token: TOKEN, amount: 100_000, params: 'dummy-params' }))
+        .rejects.toThrow("'params' must be a hex string.")
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.flashLoanSimple({ receiver: RECEIVER, token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The 'flashLoanSimple(options)' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('quoteFlashLoanSimple', () => {
+    test('should successfully quote a simple flash loan', async () => {
+      const RECEIVER = '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24'
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteFlashLoanSimple({ receiver: RECEIVER, token: TOKEN, amount: 100_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('flashLoanSimple', [RECEIVER, TOKEN, 100_000, '0x', 0])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+  })
+
+  describe('flashLoan', () => {
+    const RECEIVER = '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24'
+
+    const DELEGATOR = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+    beforeEach(() => {
+      getReservesDataMock.mockResolvedValue([[{
+        underlyingAsset: TOKEN,
+        isPaused: false,
+        isActive: true,
+        isFrozen: false,
+        borrowingEnabled: true,
+        flashLoanEnabled: true
+      }, {
+        underlyingAsset: WETH,
+        variableDebtTokenAddress: VARIABLE_DEBT_WETH,
+        isPaused: false,
+        isActive: true,
+        isFrozen: false,
+        borrowingEnabled: true,
+        flashLoanEnabled: true
+      }]])
+    })
+
+    test('should successfully perform a flash loan', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-flash-loan-hash', fee: 12_345n })
+
+      const result = await protocol.flashLoan({ receiver: RECEIVER, tokens: [TOKEN, WETH], amounts: [100_000, 200_000] })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('flashLoan', [RECEIVER, [TOKEN, WETH], [100_000, 200_000], [0, 0], ADDRESS, '0x', 0])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-flash-loan-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully perform a flash loan (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      await protocol.flashLoan({ receiver: RECEIVER, tokens: [TOKEN], amounts: [100_000], params: '0x1234' })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('flashLoan', [RECEIVER, [TOKEN], [100_000], [0], ADDRESS, '0x1234', 0])
+      }, undefined)
+    })
+
+    test('should keep the tokens borrowed with the interest rate mode 2 as a debt of the delegator', async () => {
+      borrowAllowanceMock.mockResolvedValueOnce(200_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-flash-loan-hash', fee: 12_345n })
+
+      await protocol.flashLoan({ receiver: RECEIVER, tokens: [TOKEN, WETH], amounts: [100_000, 200_000], interestRateModes: [0, 2], onBehalfOf: DELEGATOR })
+
+      expect(borrowAllowanceMock).toHaveBeenCalledWith(DELEGATOR, ADDRESS)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('flashLoan', [RECEIVER, [TOKEN, WETH], [100_000, 200_000], [0, 2], DELEGATOR, '0x', 0])
+      })
+    })
+
+    test("should throw if the delegator hasn't delegated enough borrowing power for the tokens borrowed with the interest rate mode 2", async () => {
+      borrowAllowanceMock.mockResolvedValueOnce(0n)
+
+      await expect(protocol.flashLoan({ receiver: RECEIVER, tokens: [WETH], amounts: [200_000], interestRateModes: [2], onBehalfOf: DELEGATOR }))
+        .rejects.toThrow(`The account '${DELEGATOR}' hasn't delegated enough borrowing power to the account for token '${WETH}' (borrow allowance: 0).`)
+    })
+
+    test("should throw if a token's reserve doesn't allow flash loans", async () => {
+      getReservesDataMock.mockResolvedValue([[{
+        underlyingAsset: TOKEN,
+        isPaused: false,
+        isActive: true,
+        isFrozen: false,
+        flashLoanEnabled: false
+      }]])
+
+      await expect(protocol.flashLoan({ receiver: RECEIVER, tokens: [TOKEN], amounts: [100_000] }))
+        .rejects.toThrow("The token's reserve doesn't currently allow flash loans.")
+    })
+
+    test("should throw if 'tokens' is empty", async () => {
+      await expect(protocol.flashLoan({ receiver: RECEIVER, tokens: [], amounts: [] }))
+        .rejects.toThrow("'tokens' must be a non-empty list of valid addresses.")
+    })
+
+    test("should throw if 'amounts' doesn't match 'tokens'", async () => {
+      await expect(protocol.flashLoan({ receiver: RECEIVER, tokens: [TOKEN, WETH], amounts: [100_000] }))
+        .rejects.toThrow("'amounts' must contain an amount greater than zero for each token.")
+    })
+
+    test("should throw if 'interestRateModes' contains an invalid interest rate mode", async () => {
+      await expect(protocol.flashLoan({ receiver: RECEIVER, tokens: [TOKEN], amounts: [100_000], interestRateModes: [1] }))
+        .rejects.toThrow("'interestRateModes' must contain an interest rate mode (0 or 2) for each token.")
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.flashLoan({ receiver: RECEIVER, tokens: [TOKEN], amounts: [100_000] }))
+        .rejects.toThrow("The 'flashLoan(options)' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('quoteFlashLoan', () => {
+    test('should successfully quote a flash loan', async () => {
+      const RECEIVER = '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24'
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteFlashLoan({ receiver: RECEIVER, tokens: [TOKEN], amounts: [100_000] })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('flashLoan', [RECEIVER, [TOKEN], [100_000], [0], ADDRESS, '0x', 0])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+  })
+
+  describe('getFlashLoanPremium', () => {
+    test('should return the flash loan premium', async () => {
+      flashLoanPremiumTotalMock.mockResolvedValueOnce(5n)
+
+      expect(await protocol.getFlashLoanPremium()).toBe(5n)
+    })
+  })
+
+  describe('approveDelegation', () => {
+    const DELEGATEE = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+    const APPROVE_DELEGATION_TRANSACTION = {
+      to: VARIABLE_DEBT_WETH,
+      value: 0,
+      data: variableDebtWethContract.interface.encodeFunctionData('approveDelegation', [DELEGATEE, 100_000])
+    }
+
+    test('should successfully delegate borrowing power', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-delegation-hash', fee: 12_345n })
+
+      const result = await protocol.approveDelegation({ token: WETH, delegatee: DELEGATEE, amount: 100_000 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(APPROVE_DELEGATION_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-delegation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully delegate borrowing power (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.approveDelegation({ token: WETH, delegatee: DELEGATEE, amount: 100_000 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(APPROVE_DELEGATION_TRANSACTION, undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should revoke the delegation if the amount is zero', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-delegation-hash', fee: 12_345n })
+
+      await protocol.approveDelegation({ token: WETH, delegatee: DELEGATEE, amount: 0 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: VARIABLE_DEBT_WETH,
+        value: 0,
+        data: variableDebtWethContract.interface.encodeFunctionData('approveDelegation', [DELEGATEE, 0])
+      })
+    })
+
+    test("should throw if 'delegatee' is not a valid address", async () => {
+      await expect(protocol.approveDelegation({ token: WETH, delegatee: 'invalid-address', amount: 100_000 }))
+        .rejects.toThrow("'delegatee' must be a valid address (not zero address).")
+    })
+
+    test("should throw if 'amount' is less than zero", async () => {
+      await expect(protocol.approveDelegation({ token: WETH, delegatee: DELEGATEE, amount: -1 }))
+        .rejects.toThrow("'amount' can't be less than zero.")
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.approveDelegation({ token: WETH, delegatee: DELEGATEE, amount: 100_000 }))
+        .rejects.toThrow("The 'approveDelegation(options)' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('quoteApproveDelegation', () => {
+    test('should successfully quote a credit delegation', async () => {
+      const DELEGATEE = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteApproveDelegation({ token: WETH, delegatee: DELEGATEE, amount: 100_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: VARIABLE_DEBT_WETH,
+        value: 0,
+        data: variableDebtWethContract.interface.encodeFunctionData('approveDelegation', [DELEGATEE, 100_000])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+  })
+
+  describe('getBorrowAllowance', () => {
+    const DELEGATOR = '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24'
+
+    const DELEGATEE = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+    test("should return the borrow allowance of the delegatee on the account's borrowing power", async () => {
+      borrowAllowanceMock.mockResolvedValueOnce(100_000n)
+
+      const borrowAllowance = await protocol.getBorrowAllowance({ token: WETH, delegatee: DELEGATEE })
+
+      expect(borrowAllowanceMock).toHaveBeenCalledWith(ADDRESS, DELEGATEE)
+
+      expect(borrowAllowance).toBe(100_000n)
+    })
+
+    test('should return the borrow allowance of the delegatee on the borrowing power of the given delegator', async () => {
+      borrowAllowanceMock.mockResolvedValueOnce(50_000n)
+
+      const borrowAllowance = await protocol.getBorrowAllowance({ token: WETH, delegator: DELEGATOR, delegatee: DELEGATEE })
+
+      expect(borrowAllowanceMock).toHaveBeenCalledWith(DELEGATOR, DELEGATEE)
+
+      expect(borrowAllowance).toBe(50_000n)
+    })
+
+    test("should throw if 'delegator' is not a valid address", async () => {
+      await expect(protocol.getBorrowAllowance({ token: WETH, delegator: 'invalid-address', delegatee: DELEGATEE }))
+        .rejects.toThrow("'delegator' must be a valid address (not zero address).")
+    })
+
+    test("should throw if 'delegatee' is not a valid address", async () => {
+      await expect(protocol.getBorrowAllowance({ token: WETH, delegatee: 'invalid-address' }))
+        .rejects.toThrow("'delegatee' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('signDelegation', () => {
+    const DELEGATEE = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+    const DEADLINE = 4_102_444_800
+
+    const DOMAIN = { name: 'Aave Ethereum Variable Debt WETH', version: '1', chainId: 1n, verifyingContract: VARIABLE_DEBT_WETH }
+
+    const DELEGATION_WITH_SIG_TYPES = {
+      DelegationWithSig: [
+        { name: 'delegatee', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    }
+
+    beforeEach(() => {
+      noncesMock.mockResolvedValue(3n)
+
+      domainSeparatorMock.mockResolvedValue(TypedDataEncoder.hashDomain(DOMAIN))
+
+      eip712DomainMock.mockResolvedValue({ ...DOMAIN })
+    })
+
+    test('should sign a credit delegation', async () => {
+      const delegation = await protocol.signDelegation({ token: WETH, delegatee: DELEGATEE, amount: 100_000, deadline: DEADLINE })
+
+      expect(noncesMock).toHaveBeenCalledWith(ADDRESS)
+
+      const { v, r, s, ...rest } = delegation
+
+      expect(rest).toEqual({ token: WETH, delegator: ADDRESS, delegatee: DELEGATEE, amount: 100_000n, deadline: DEADLINE })
+
+      const message = { delegatee: DELEGATEE, value: 100_000, nonce: 3n, deadline: DEADLINE }
+
+      expect(verifyTypedData(DOMAIN, DELEGATION_WITH_SIG_TYPES, message, { v, r, s })).toBe(ADDRESS)
+    })
+
+    test("should throw if the variable debt token's eip-712 domain can't be resolved", async () => {
+      eip712DomainMock.mockResolvedValueOnce({ ...DOMAIN, version: '2' })
+
+      await expect(protocol.signDelegation({ token: WETH, delegatee: DELEGATEE, amount: 100_000 }))
+        .rejects.toThrow(`Unable to resolve the eip-712 domain of the variable debt token of '${WETH}'.`)
+    })
+
+    test("should throw if 'deadline' is in the past", async () => {
+      await expect(protocol.signDelegation({ token: WETH, delegatee: DELEGATEE, amount: 100_000, deadline: 1 }))
+        .rejects.toThrow("'deadline' must be a timestamp in the future.")
+    })
+
+    test('should throw if the protocol has been initialized with an erc-4337 account', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.signDelegation({ token: WETH, delegatee: DELEGATEE, amount: 100_000 }))
+        .rejects.toThrow("The 'signDelegation(options)' method requires the protocol to be initialized with a non read-only, non erc-4337 account.")
+    })
+  })
+
+  describe('delegationWithSig', () => {
+    const DELEGATION = {
+      token: WETH,
+      delegator: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24',
+      delegatee: ADDRESS,
+      amount: 100_000n,
+      deadline: 4_102_444_800,
+      v: 27,
+      r: '0x' + '11'.repeat(32),
+      s: '0x' + '22'.repeat(32)
+    }
+
+    const DELEGATION_WITH_SIG_TRANSACTION = {
+      to: VARIABLE_DEBT_WETH,
+      value: 0,
+      data: variableDebtWethContract.interface.encodeFunctionData('delegationWithSig', [
+        DELEGATION.delegator,
+        DELEGATION.delegatee,
+        DELEGATION.amount,
+        DELEGATION.deadline,
+        DELEGATION.v,
+        DELEGATION.r,
+        DELEGATION.s
+      ])
+    }
+
+    test('should successfully submit a signed credit delegation', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-delegation-hash', fee: 12_345n })
+
+      const result = await protocol.delegationWithSig(DELEGATION)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(DELEGATION_WITH_SIG_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-delegation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully submit a signed credit delegation (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.delegationWithSig(DELEGATION)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(DELEGATION_WITH_SIG_TRANSACTION, undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should throw if the delegation has expired', async () => {
+      await expect(protocol.delegationWithSig({ ...DELEGATION, deadline: 1 }))
+        .rejects.toThrow('The delegation has expired.')
+    })
+
+    test('should throw if the delegation has no signature', async () => {
+      const { v, r, s, ...delegation } = DELEGATION
+
+      await expect(protocol.delegationWithSig(delegation))
+        .rejects.toThrow("The delegation must include its signature ('v', 'r' and 's').")
+    })
+
+    test("should throw if 'delegator' is not a valid address", async () => {
+      await expect(protocol.delegationWithSig({ ...DELEGATION, delegator: 'invalid-address' }))
+        .rejects.toThrow("'delegator' must be a valid address (not zero address).")
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.delegationWithSig(DELEGATION))
+        .rejects.toThrow("The 'delegationWithSig(delegation)' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('quoteDelegationWithSig', () => {
+    test('should successfully quote the submission of a signed credit delegation', async () => {
+      const delegation = {
+        token: WETH,
+        delegator: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24',
+        delegatee: ADDRESS,
+        amount: 100_000n,
+        deadline: 4_102_444_800,
+        v: 27,
+        r: '0x' + '11'.repeat(32),
+        s: '0x' + '22'.repeat(32)
+      }
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteDelegationWithSig(delegation)
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: VARIABLE_DEBT_WETH,
+        value: 0,
+        data: variableDebtWethContract.interface.encodeFunctionData('delegationWithSig', [
+          delegation.delegator,
+          delegation.delegatee,
+          delegation.amount,
+          delegation.deadline,
+          delegation.v,
+          delegation.r,
+          delegation.s
+        ])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+  })
+
+  describe('mintFromFaucet', () => {
+    const MINT_TRANSACTION = {
+      to: FAUCET,
+      value: 0,
+      data: faucetContract.interface.encodeFunctionData('mint', [TOKEN, ADDRESS, 100_000_000])
+    }
+
+    beforeEach(() => {
+      protocol = new AaveProtocolEvm(account, { addresses: { faucet: FAUCET } })
+
+      getReservesDataMock.mockResolvedValue([[{ underlyingAsset: TOKEN, decimals: 6n }]])
+
+      getMaximumMintAmountMock.mockResolvedValue(10_000n)
+    })
+
+    test('should successfully mint tokens from the faucet', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-mint-hash', fee: 12_345n })
+
+      const result = await protocol.mintFromFaucet({ token: TOKEN, amount: 100_000_000 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(MINT_TRANSACTION)
+
+      expect(result).toEqual({
+        hash: 'dummy-mint-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully mint tokens from the faucet (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account, { addresses: { faucet: FAUCET } })
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.mintFromFaucet({ token: TOKEN, amount: 100_000_000 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(MINT_TRANSACTION, undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test("should send the tokens to 'to' if set", async () => {
+      const RECIPIENT = '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24'
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-mint-hash', fee: 12_345n })
+
+      await protocol.mintFromFaucet({ token: TOKEN, amount: 100_000_000, to: RECIPIENT })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: FAUCET,
+        value: 0,
+        data: faucetContract.interface.encodeFunctionData('mint', [TOKEN, RECIPIENT, 100_000_000])
+      })
+    })
+
+    test('should throw if the amount exceeds the max amount the faucet can mint', async () => {
+      await expect(protocol.mintFromFaucet({ token: TOKEN, amount: 10_000_000_001 }))
+        .rejects.toThrow("The faucet can't mint more than 10000 tokens per transaction.")
+    })
+
+    test('should throw if the market has no faucet', async () => {
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.mintFromFaucet({ token: TOKEN, amount: 100_000_000 }))
+        .rejects.toThrow('The market has no faucet (faucets are only available on some testnet markets).')
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.mintFromFaucet({ token: '0xinvalid-token-address', amount: 100_000_000 }))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.mintFromFaucet({ token: TOKEN, amount: 0 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+
+    test("should throw if 'to' is not a valid a address", async () => {
+      await expect(protocol.mintFromFaucet({ token: TOKEN, amount: 100_000_000, to: 'invalid-address' }))
+        .rejects.toThrow("'to' must be a valid address (not zero address).")
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account, { addresses: { faucet: FAUCET } })
+
+      await expect(protocol.mintFromFaucet({ token: TOKEN, amount: 100_000_000 }))
+        .rejects.toThrow("The 'mintFromFaucet(options)' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('quoteMintFromFaucet', () => {
+    test('should successfully quote a mint from the faucet', async () => {
+      const protocol = new AaveProtocolEvm(account, { addresses: { faucet: FAUCET } })
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteMintFromFaucet({ token: TOKEN, amount: 100_000_000 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: FAUCET,
+        value: 0,
+        data: faucetContract.interface.encodeFunctionData('mint', [TOKEN, ADDRESS, 100_000_000])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.quoteMintFromFaucet({ token: '0xinvalid-token-address', amount: 100_000_000 }))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.quoteMintFromFaucet({ token: TOKEN, amount: 0 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+  })
+
+  describe('getUserRewards', () => {
+    const REWARD_TOKEN = '0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9'
+
+    test("should return the account's unclaimed and accrued rewards for each reward token", async () => {
+      getAllUserRewardsMock.mockResolvedValueOnce([[REWARD_TOKEN, WETH], [1_500_000n, 0n]])
+
+      getUserAccruedRewardsMock.mockResolvedValueOnce(1_000_000n)
+
+      const rewards = await protocol.getUserRewards()
+
+      expect(getAllUserRewardsMock).toHaveBeenCalledWith([A_WETH, VARIABLE_DEBT_WETH], ADDRESS)
+
+      expect(getUserAccruedRewardsMock).toHaveBeenCalledWith(ADDRESS, REWARD_TOKEN)
+
+      expect(rewards).toEqual([
+        { reward: REWARD_TOKEN, unclaimed: 1_500_000n, accrued: 1_000_000n }
+      ])
+    })
+
+    test('should return the rewards of another account', async () => {
+      const OTHER_ADDRESS = '0x636e9c21f27d9401ac180666bf8dc0d3fcebd9d6'
+
+      getAllUserRewardsMock.mockResolvedValueOnce([[REWARD_TOKEN], [0n]])
+
+      const rewards = await protocol.getUserRewards(OTHER_ADDRESS)
+
+      expect(getAllUserRewardsMock).toHaveBeenCalledWith([A_WETH, VARIABLE_DEBT_WETH], OTHER_ADDRESS)
+
+      expect(rewards).toEqual([])
+    })
+
+    test('should throw if the market has no rewards controller', async () => {
+      const protocol = new AaveProtocolEvm(account, {
+        addresses: {
+          pool: CUSTOM_POOL,
+          poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER,
+          uiPoolDataProvider: CUSTOM_UI_POOL_DATA_PROVIDER
+        }
+      })
+
+      await expect(protocol.getUserRewards())
+        .rejects.toThrow("The market has no rewards controller (set the 'addresses.rewardsController' option).")
+    })
+
+    test("should throw if 'account' is not a valid address", async () => {
+      await expect(protocol.getUserRewards('invalid-address'))
+        .rejects.toThrow("'account' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('claimRewards', () => {
+    const REWARD_TOKEN = '0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9'
+
+    test('should successfully claim the rewards of a reward token', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-claim-hash', fee: 12_345n })
+
+      const result = await protocol.claimRewards({ reward: REWARD_TOKEN, amount: MaxUint256 })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.rewardsController,
+        value: 0,
+        data: rewardsControllerContract.interface.encodeFunctionData('claimRewards', [[A_WETH, VARIABLE_DEBT_WETH], MaxUint256, ADDRESS, REWARD_TOKEN])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-claim-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully claim the rewards of the given assets to another address (erc-4337)', async () => {
+      const TO = '0x636e9c21f27d9401ac180666bf8dc0d3fcebd9d6'
+
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.claimRewards({ assets: [A_WETH], reward: REWARD_TOKEN, amount: 100_000, to: TO })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.rewardsController,
+        value: 0,
+        data: rewardsControllerContract.interface.encodeFunctionData('claimRewards', [[A_WETH], 100_000, TO, REWARD_TOKEN])
+      }, undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'reward' is not a valid address", async () => {
+      await expect(protocol.claimRewards({ reward: 'invalid-address', amount: 100_000 }))
+        .rejects.toThrow("'reward' must be a valid address.")
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.claimRewards({ reward: REWARD_TOKEN, amount: 0 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+
+    test("should throw if 'assets' is not a non-empty list of valid addresses", async () => {
+      await expect(protocol.claimRewards({ assets: [], reward: REWARD_TOKEN, amount: 100_000 }))
+        .rejects.toThrow("'assets' must be a non-empty list of valid addresses.")
+    })
+
+    test("should throw if 'to' is not a valid address", async () => {
+      await expect(protocol.claimRewards({ reward: REWARD_TOKEN, amount: 100_000, to: ethers.ZeroAddress }))
+        .rejects.toThrow("'to' must be a valid address (not zero address).")
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.claimRewards({ reward: REWARD_TOKEN, amount: 100_000 }))
+        .rejects.toThrow("The 'claimRewards(options)' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('quoteClaimRewards', () => {
+    const REWARD_TOKEN = '0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9'
+
+    test('should successfully quote a claim of the rewards of a reward token', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteClaimRewards({ reward: REWARD_TOKEN, amount: MaxUint256 })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.rewardsController,
+        value: 0,
+        data: rewardsControllerContract.interface.encodeFunctionData('claimRewards', [[A_WETH, VARIABLE_DEBT_WETH], MaxUint256, ADDRESS, REWARD_TOKEN])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'reward' is not a valid address", async () => {
+      await expect(protocol.quoteClaimRewards({ reward: 'invalid-address', amount: 100_000 }))
+        .rejects.toThrow("'reward' must be a valid address.")
+    })
+  })
+
+  describe('claimAllRewards', () => {
+    test('should successfully claim all the rewards', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-claim-hash', fee: 12_345n })
+
+      const result = await protocol.claimAllRewards()
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.rewardsController,
+        value: 0,
+        data: rewardsControllerContract.interface.encodeFunctionData('claimAllRewards', [[A_WETH, VARIABLE_DEBT_WETH], ADDRESS])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-claim-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully claim all the rewards (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const result = await protocol.claimAllRewards({ assets: [VARIABLE_DEBT_WETH] })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.rewardsController,
+        value: 0,
+        data: rewardsControllerContract.interface.encodeFunctionData('claimAllRewards', [[VARIABLE_DEBT_WETH], ADDRESS])
+      }, undefined)
+
+      expect(result).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'to' is not a valid address", async () => {
+      await expect(protocol.claimAllRewards({ to: 'invalid-address' }))
+        .rejects.toThrow("'to' must be a valid address (not zero address).")
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.claimAllRewards())
+        .rejects.toThrow("The 'claimAllRewards(options)' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('quoteClaimAllRewards', () => {
+    test('should successfully quote a claim of all the rewards', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteClaimAllRewards()
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.rewardsController,
+        value: 0,
+        data: rewardsControllerContract.interface.encodeFunctionData('claimAllRewards', [[A_WETH, VARIABLE_DEBT_WETH], ADDRESS])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'assets' is not a non-empty list of valid addresses", async () => {
+      await expect(protocol.quoteClaimAllRewards({ assets: ['invalid-address'] }))
+        .rejects.toThrow("'assets' must be a non-empty list of valid addresses.")
+    })
+  })
+
+  describe('liquidate', () => {
+    const USER = '0x2f5c1e8d9b0a7c6e5d4f3a2b1c0d9e8f7a6b5c4d'
+
+    const LIQUIDATION_RESERVES_DATA = [MARKET_RESERVES_DATA[0].map(reserve => ({ ...reserve, reserveLiquidationBonus: 10_500n }))]
+
+    const USER_RESERVES_DATA = [[{
+      underlyingAsset: TOKEN,
+      scaledATokenBalance: 1_000_000_000n,
+      usageAsCollateralEnabledOnUser: true,
+      scaledVariableDebt: 0n
+    }, {
+      underlyingAsset: WETH,
+      scaledATokenBalance: 0n,
+      usageAsCollateralEnabledOnUser: false,
+      scaledVariableDebt: 300_000_000_000_000_000n
+    }], 0n]
+
+    const USER_ACCOUNT_DATA = [100_000_000_000n, 90_000_000_000n, 0n, 8_000n, 7_500n, 888_888_888_888_888_889n]
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+
+      getReservesDataMock.mockResolvedValue(LIQUIDATION_RESERVES_DATA)
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test('should successfully liquidate an account', async () => {
+      getUserAccountDataMock.mockResolvedValueOnce(USER_ACCOUNT_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(1_000_000_000_000_000_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-liquidation-hash', fee: 12_345n })
+
+      const result = await protocol.liquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: 100_000_000_000_000_000n })
+
+      expect(getUserAccountDataMock).toHaveBeenCalledWith(USER)
+
+      expect(getUserReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, USER)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('liquidationCall', [TOKEN, WETH, USER, 100_000_000_000_000_000n, false])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-liquidation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test("should approve the account's whole token balance before covering as much debt as possible", async () => {
+      getUserAccountDataMock.mockResolvedValueOnce(USER_ACCOUNT_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(200_000_000_000_000_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+        .mockResolvedValueOnce({ hash: 'dummy-liquidation-hash', fee: 12_345n })
+
+      const result = await protocol.liquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: MaxUint256, receiveAToken: true })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: WETH,
+        value: 0,
+        data: wethContract.interface.encodeFunctionData('approve', [poolContract.target, 200_000_000_000_000_000n])
+      })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('liquidationCall', [TOKEN, WETH, USER, MaxUint256, true])
+      })
+
+      expect(result).toEqual({
+        hash: 'dummy-liquidation-hash',
+        fee: 13_345n,
+        approveHash: 'dummy-approve-hash'
+      })
+    })
+
+    test("should throw if the account's health factor is not below 1", async () => {
+      getUserAccountDataMock.mockResolvedValueOnce([100_000_000_000n, 30_000_000_000n, 45_000_000_000n, 8_000n, 7_500n, 2_666_666_666_666_666_667n])
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      await expect(protocol.liquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: 100_000_000_000_000_000n }))
+        .rejects.toThrow(`The account '${USER}' can't be liquidated: its health factor isn't below 1.`)
+    })
+
+    test('should throw if the account has no collateral to seize in the reserve', async () => {
+      getUserAccountDataMock.mockResolvedValueOnce(USER_ACCOUNT_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      await expect(protocol.liquidate({ collateralToken: WETH, debtToken: WETH, user: USER, debtToCover: 100_000_000_000_000_000n }))
+        .rejects.toThrow(`The account '${USER}' has no collateral to seize for token '${WETH}'.`)
+    })
+
+    test('should throw if the account has no debt to cover in the reserve', async () => {
+      getUserAccountDataMock.mockResolvedValueOnce(USER_ACCOUNT_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      await expect(protocol.liquidate({ collateralToken: TOKEN, debtToken: TOKEN, user: USER, debtToCover: 100_000_000n }))
+        .rejects.toThrow(`The account '${USER}' has no debt to cover for token '${TOKEN}'.`)
+    })
+
+    test('should throw if the account has not enough debt tokens', async () => {
+      getUserAccountDataMock.mockResolvedValueOnce(USER_ACCOUNT_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(50_000_000_000_000_000n)
+
+      await expect(protocol.liquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: 100_000_000_000_000_000n }))
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+    })
+
+    test("should throw if 'collateralToken' is not a valid address", async () => {
+      await expect(protocol.liquidate({ collateralToken: '0xinvalid-token-address', debtToken: WETH, user: USER, debtToCover: 100_000n }))
+        .rejects.toThrow("'collateralToken' must be a valid address.")
+    })
+
+    test("should throw if 'debtToken' is not a valid address", async () => {
+      await expect(protocol.liquidate({ collateralToken: TOKEN, debtToken: '0xinvalid-token-address', user: USER, debtToCover: 100_000n }))
+        .rejects.toThrow("'debtToken' must be a valid address.")
+    })
+
+    test("should throw if 'user' is not a valid address", async () => {
+      await expect(protocol.liquidate({ collateralToken: TOKEN, debtToken: WETH, user: ethers.ZeroAddress, debtToCover: 100_000n }))
+        .rejects.toThrow("'user' must be a valid address (not zero address).")
+    })
+
+    test("should throw if 'debtToCover' is less of equal to zero", async () => {
+      await expect(protocol.liquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: 0 }))
+        .rejects.toThrow("'debtToCover' should be greater than zero.")
+    })
+
+    test("should throw if 'receiveAToken' is not a boolean", async () => {
+      await expect(protocol.liquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: 100_000n, receiveAToken: 'yes' }))
+        .rejects.toThrow("'receiveAToken' must be a boolean.")
+    })
+
+    test('should throw if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      await expect(protocol.liquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: 100_000n }))
+        .rejects.toThrow("The 'liquidate(options)' method requires the protocol to be initialized with a non read-only account.")
+    })
+  })
+
+  describe('quoteLiquidate', () => {
+    const USER = '0x2f5c1e8d9b0a7c6e5d4f3a2b1c0d9e8f7a6b5c4d'
+
+    test('should successfully quote a liquidation', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteLiquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: 100_000_000_000_000_000n })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('liquidationCall', [TOKEN, WETH, USER, 100_000_000_000_000_000n, false])
+      })
+
+      expect(result).toEqual({
+        fee: 12_345n
+      })
+    })
+
+    test('should include the approval in the costs', async () => {
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 1_000n })
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      const result = await protocol.quoteLiquidate({ collateralToken: TOKEN, debtToken: WETH, user: USER, debtToCover: 100_000_000_000_000_000n })
+
+      expect(result).toEqual({
+        fee: 13_345n
+      })
+    })
+
+    test("should throw if 'user' is not a valid address", async () => {
+      await expect(protocol.quoteLiquidate({ collateralToken: TOKEN, debtToken: WETH, user: 'invalid-address', debtToCover: 100_000n }))
+        .rejects.toThrow("'user' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('findLiquidatablePositions', () => {
+    const HEALTHY_USER = '0x2f5c1e8d9b0a7c6e5d4f3a2b1c0d9e8f7a6b5c4d'
+
+    const USER = '0x8e7d6c5b4a3f2e1d0c9b8a7f6e5d4c3b2a1f0e9d'
+
+    const OTHER_USER = '0x1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b'
+
+    const LIQUIDATION_RESERVES_DATA = [MARKET_RESERVES_DATA[0].map(reserve => ({ ...reserve, reserveLiquidationBonus: 10_500n }))]
+
+    const getUserReservesData = (supplied, variableDebt) => [[{
+      underlyingAsset: TOKEN,
+      scaledATokenBalance: supplied,
+      usageAsCollateralEnabledOnUser: true,
+      scaledVariableDebt: 0n
+    }, {
+      underlyingAsset: WETH,
+      scaledATokenBalance: 0n,
+      usageAsCollateralEnabledOnUser: false,
+      scaledVariableDebt: variableDebt
+    }], 0n]
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+
+      getReservesDataMock.mockResolvedValue(LIQUIDATION_RESERVES_DATA)
+
+      aggregate3Mock.mockClear()
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test('should return the accounts whose health factor is below 1, with the whole debt to cover', async () => {
+      getUserAccountDataMock
+        .mockResolvedValueOnce([100_000_000_000n, 30_000_000_000n, 45_000_000_000n, 8_000n, 7_500n, 2_666_666_666_666_666_667n])
+        .mockResolvedValueOnce([100_000_000_000n, 90_000_000_000n, 0n, 8_000n, 7_500n, 888_888_888_888_888_889n])
+
+      getUserReservesDataMock.mockResolvedValueOnce(getUserReservesData(1_000_000_000n, 300_000_000_000_000_000n))
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      const result = await protocol.findLiquidatablePositions([HEALTHY_USER, USER])
+
+      expect(aggregate3Mock).toHaveBeenCalledTimes(1)
+
+      expect(aggregate3Mock).toHaveBeenCalledWith([HEALTHY_USER, USER].map(user => ({
+        target: poolContract.target,
+        allowFailure: true,
+        callData: poolContract.interface.encodeFunctionData('getUserAccountData', [user])
+      })))
+
+      expect(getUserReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, USER)
+
+      expect(result).toEqual({
+        positions: [{
+          user: USER,
+          healthFactor: 888_888_888_888_888_889n,
+          totalCollateralBase: 100_000_000_000n,
+          totalDebtBase: 90_000_000_000n,
+          opportunities: [{
+            collateralToken: TOKEN,
+            debtToken: WETH,
+            debtToCover: 300_000_000_000_000_000n,
+            collateralToReceive: 945_000_000n,
+            liquidationBonus: 10_500n,
+            bonusBase: 4_500_000_000n
+          }]
+        }],
+        failures: []
+      })
+    })
+
+    test('should only cover half of the debt if the health factor is above 0.95', async () => {
+      getUserAccountDataMock
+        .mockResolvedValueOnce([1_000_000_000_000n, 810_000_000_000n, 0n, 8_000n, 7_500n, 987_654_320_987_654_321n])
+
+      getUserReservesDataMock.mockResolvedValueOnce(getUserReservesData(10_000_000_000n, 2_700_000_000_000_000_000n))
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      const { positions: [{ opportunities }] } = await protocol.findLiquidatablePositions([USER])
+
+      expect(opportunities).toEqual([{
+        collateralToken: TOKEN,
+        debtToken: WETH,
+        debtToCover: 1_350_000_000_000_000_000n,
+        collateralToReceive: 4_252_500_000n,
+        liquidationBonus: 10_500n,
+        bonusBase: 20_250_000_000n
+      }])
+    })
+
+    test("should cap the collateral to receive to the account's collateral", async () => {
+      getUserAccountDataMock
+        .mockResolvedValueOnce([50_000_000_000n, 90_000_000_000n, 0n, 8_000n, 7_500n, 444_444_444_444_444_444n])
+
+      getUserReservesDataMock.mockResolvedValueOnce(getUserReservesData(500_000_000n, 300_000_000_000_000_000n))
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      const { positions: [{ opportunities }] } = await protocol.findLiquidatablePositions([USER])
+
+      expect(opportunities).toEqual([{
+        collateralToken: TOKEN,
+        debtToken: WETH,
+        debtToCover: 158_730_158_730_158_730n,
+        collateralToReceive: 500_000_000n,
+        liquidationBonus: 10_500n,
+        bonusBase: 2_380_952_381n
+      }])
+    })
+
+    test('should return an empty list if no account can be liquidated', async () => {
+      getUserAccountDataMock
+        .mockResolvedValueOnce([100_000_000_000n, 30_000_000_000n, 45_000_000_000n, 8_000n, 7_500n, 2_666_666_666_666_666_667n])
+        .mockResolvedValueOnce([0n, 0n, 0n, 0n, 0n, MaxUint256])
+
+      const result = await protocol.findLiquidatablePositions([HEALTHY_USER, USER])
+
+      expect(result).toEqual({ positions: [], failures: [] })
+    })
+
+    test('should return the accounts whose data could not be read as failures', async () => {
+      const error = new Error('The call failed.')
+
+      getUserAccountDataMock
+        .mockRejectedValueOnce(error)
+        .mockResolvedValueOnce([100_000_000_000n, 90_000_000_000n, 0n, 8_000n, 7_500n, 888_888_888_888_888_889n])
+        .mockResolvedValueOnce([100_000_000_000n, 90_000_000_000n, 0n, 8_000n, 7_500n, 888_888_888_888_888_889n])
+
+      getUserReservesDataMock
+        .mockResolvedValueOnce(getUserReservesData(1_000_000_000n, 300_000_000_000_000_000n))
+        .mockRejectedValueOnce(error)
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      const { positions, failures } = await protocol.findLiquidatablePositions([HEALTHY_USER, USER, OTHER_USER])
+
+      expect(positions.map(({ user }) => user)).toEqual([USER])
+
+      expect(failures).toEqual([
+        { user: HEALTHY_USER, error: expect.objectContaining({ code: 'CALL_FAILED' }) },
+        { user: OTHER_USER, error }
+      ])
+    })
+
+    test('should return all the accounts of a batch as failures if the multicall fails', async () => {
+      const error = new Error('Too many requests.')
+
+      aggregate3Mock.mockRejectedValueOnce(error)
+
+      const result = await protocol.findLiquidatablePositions([HEALTHY_USER, USER])
+
+      expect(result).toEqual({
+        positions: [],
+        failures: [{ user: HEALTHY_USER, error }, { user: USER, error }]
+      })
+    })
+
+    test('should batch the accounts in multicalls of 500 calls', async () => {
+      getUserAccountDataMock.mockResolvedValue([0n, 0n, 0n, 0n, 0n, MaxUint256])
+
+      const users = Array.from({ length: 501 }, () => USER)
+
+      await protocol.findLiquidatablePositions(users)
+
+      expect(aggregate3Mock).toHaveBeenCalledTimes(2)
+
+      expect(aggregate3Mock.mock.calls[0][0]).toHaveLength(500)
+
+      expect(aggregate3Mock.mock.calls[1][0]).toHaveLength(1)
+
+      getUserAccountDataMock.mockReset()
+    })
+
+    test("should throw if 'addresses' contains an invalid address", async () => {
+      await expect(protocol.findLiquidatablePositions([USER, 'invalid-address']))
+        .rejects.toThrow("'addresses' must be an array of valid addresses (not zero address).")
+    })
+  })
+
+  describe('setUseReserveAsCollateral', () => {
+    const SET_USE_RESERVE_AS_COLLATERAL_TRANSACTION = {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('setUserUseReserveAsCollateral', [TOKEN, true])
+    }
+
+    test('should successfully set as a collateral', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-set-use-reserve-as-collateral-hash', fee: 12_345n })
+
+      const transaction = await protocol.setUseReserveAsCollateral(TOKEN, true)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(SET_USE_RESERVE_AS_COLLATERAL_TRANSACTION)
+
+      expect(transaction).toEqual({
+        hash: 'dummy-set-use-reserve-as-collateral-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully set as a collateral (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const transaction = await protocol.setUseReserveAsCollateral(TOKEN, true)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(SET_USE_RESERVE_AS_COLLATERAL_TRANSACTION, undefined)
+
+      expect(transaction).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.setUseReserveAsCollateral('0xinvalid-token-address', true))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+
+    test('should throw if the token is an isolated asset and the account has other collaterals', async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      const [[tokenUserReserve, wethUserReserve]] = MARKET_USER_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[tokenReserve, { ...wethReserve, debtCeiling: 100_000n }]])
+
+      getUserReservesDataMock.mockResolvedValueOnce([[tokenUserReserve, { ...wethUserReserve, scaledATokenBalance: 1n }], 0n])
+
+      await expect(protocol.setUseReserveAsCollateral(WETH, true))
+        .rejects.toThrow(`The token '${WETH}' is an isolated asset: it can only be enabled as the account's only collateral.`)
+    })
+
+    test('should throw if the account is in isolation mode', async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      const [[tokenUserReserve, wethUserReserve]] = MARKET_USER_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[{ ...tokenReserve, debtCeiling: 100_000n }, wethReserve]])
+
+      getUserReservesDataMock.mockResolvedValueOnce([[tokenUserReserve, { ...wethUserReserve, scaledATokenBalance: 1n }], 0n])
+
+      await expect(protocol.setUseReserveAsCollateral(WETH, true))
+        .rejects.toThrow(`The account is in isolation mode (collateral: '${TOKEN}'): no other token can be enabled as collateral.`)
+    })
+
+    test("should throw if the token's reserve can't be used as collateral", async () => {
+      const [[tokenReserve, wethReserve]] = MARKET_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValue([[tokenReserve, { ...wethReserve, baseLTVasCollateral: 0n }]])
+
+      await expect(protocol.setUseReserveAsCollateral(WETH, true))
+        .rejects.toThrow("The token's reserve can't be used as collateral.")
+    })
+  })
+
+  describe('setUserEMode', () => {
+    const SET_USER_E_MODE_TRANSACTION = {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('setUserEMode', [1])
+    }
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+
+      getReservesDataMock.mockResolvedValue(MARKET_RESERVES_DATA)
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test('should successfully set efficiency mode', async () => {
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-set-user-e-mode-hash', fee: 12_345n })
+
+      const transaction = await protocol.setUserEMode(1)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(SET_USER_E_MODE_TRANSACTION)
+
+      expect(transaction).toEqual({
+        hash: 'dummy-set-user-e-mode-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully set efficiency mode (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+
+      const transaction = await protocol.setUserEMode(1)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(SET_USER_E_MODE_TRANSACTION, undefined)
+
+      expect(transaction).toEqual({
+        hash: 'dummy-user-operation-hash',
+        fee: 12_345n
+      })
+    })
+
+    test('should successfully leave efficiency mode', async () => {
+      const [userReserves] = MARKET_USER_RESERVES_DATA
+
+      getUserReservesDataMock.mockResolvedValueOnce([userReserves, 1n])
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-set-user-e-mode-hash', fee: 12_345n })
+
+      await protocol.setUserEMode(0)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('setUserEMode', [0])
+      })
+    })
+
+    test("should throw if the eMode category doesn't exist", async () => {
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      await expect(protocol.setUserEMode(2))
+        .rejects.toThrow("The eMode category 2 doesn't exist.")
+    })
+
+    test("should throw if a borrowed token isn't borrowable in the eMode category", async () => {
+      const [{ id, eMode }] = MARKET_E_MODES
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce([{ id, eMode: { ...eMode, borrowableBitmap: 1n } }])
+
+      await expect(protocol.setUserEMode(1))
+        .rejects.toThrow(`The token '${WETH}' is borrowed by the account but isn't borrowable in the eMode category 1.`)
+    })
+
+    test('should read the bits of the eMode bitmaps from the reserve ids of the pool', async () => {
+      // The reserve with id 1 has been dropped: weth is the second reserve of the list, but its id is 2.
+      getReserveDataMock.mockImplementation(async asset => ({ id: asset === WETH ? 2n : 0n }))
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      await expect(protocol.setUserEMode(1))
+        .rejects.toThrow(`The token '${WETH}' is borrowed by the account but isn't borrowable in the eMode category 1.`)
+
+      expect(getReserveDataMock).toHaveBeenCalledWith(WETH)
+    })
+
+    test("should throw if the operation would lower the account's health factor below 1", async () => {
+      const [[tokenUserReserve, wethUserReserve]] = MARKET_USER_RESERVES_DATA
+
+      getUserReservesDataMock.mockResolvedValueOnce([[
+        tokenUserReserve,
+        { ...wethUserReserve, scaledVariableDebt: 300_000_000_000_000_000n }
+      ], 1n])
+
+      await expect(protocol.setUserEMode(0))
+        .rejects.toThrow("The operation would lower the account's health factor below 1.")
+    })
+
+    test("should throw if 'categoryId' is not a valid category id", async () => {
+      await expect(protocol.setUserEMode(1_024))
+        .rejects.toThrow("'categoryId' must be a valid category id.")
+    })
+  })
+
+  describe('getIsolationStatus', () => {
+    const [[TOKEN_RESERVE_DATA, WETH_RESERVE_DATA]] = MARKET_RESERVES_DATA
+
+    test("should return the account's isolation status in isolation mode", async () => {
+      getReservesDataMock.mockResolvedValueOnce([[{
+        ...TOKEN_RESERVE_DATA,
+        debtCeiling: 100_000n,
+        isolationModeTotalDebt: 99_000n
+      }, WETH_RESERVE_DATA]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getIsolationStatus()
+
+      expect(getUserReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, ADDRESS)
+
+      expect(result).toEqual({
+        isolated: true,
+        collateralToken: TOKEN,
+        debtCeiling: 100_000n,
+        isolationModeTotalDebt: 99_000n,
+        remainingDebtCeiling: 1_000n,
+        debtCeilingDecimals: 2,
+        borrowableTokens: [TOKEN]
+      })
+    })
+
+    test('should return the token with siloed borrowing borrowed by another account', async () => {
+      const OTHER_ADDRESS = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+      getReservesDataMock.mockResolvedValueOnce([[TOKEN_RESERVE_DATA, { ...WETH_RESERVE_DATA, isSiloedBorrowing: true }]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getIsolationStatus(OTHER_ADDRESS)
+
+      expect(getUserReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, OTHER_ADDRESS)
+
+      expect(result).toEqual({
+        isolated: false,
+        siloedToken: WETH
+      })
+    })
+
+    test("should throw if 'account' is not a valid address", async () => {
+      await expect(protocol.getIsolationStatus('invalid-address'))
+        .rejects.toThrow("'account' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('getEModeCategories', () => {
+    test("should return the market's eMode categories", async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      const result = await protocol.getEModeCategories()
+
+      expect(getEModesMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
+
+      expect(result).toEqual([{
+        id: 1,
+        label: 'Dummy eMode',
+        ltv: 9_000n,
+        liquidationThreshold: 9_300n,
+        liquidationBonus: 10_100n,
+        collateralBitmap: 1n,
+        borrowableBitmap: 2n,
+        collateralTokens: [TOKEN],
+        borrowableTokens: [WETH]
+      }])
+    })
+    test('should map the bits of the bitmaps to the reserve ids of the pool', async () => {
+      getReserveDataMock.mockImplementation(async asset => ({ id: asset === WETH ? 3n : 0n }))
+
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce([{ id: 1n, eMode: { ...MARKET_E_MODES[0].eMode, borrowableBitmap: 8n } }])
+
+      const [category] = await protocol.getEModeCategories()
+
+      expect(category).toMatchObject({
+        collateralTokens: [TOKEN],
+        borrowableTokens: [WETH]
+      })
+    })
+  })
+
+  describe('getUserEMode', () => {
+    test("should return the account's eMode category", async () => {
+      getUserEModeMock.mockResolvedValueOnce(1n)
+
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce(MARKET_E_MODES)
+
+      const result = await protocol.getUserEMode()
+
+      expect(getUserEModeMock).toHaveBeenCalledWith(ADDRESS)
+
+      expect(result).toMatchObject({
+        categoryId: 1,
+        category: { id: 1, label: 'Dummy eMode', borrowableTokens: [WETH] }
+      })
+    })
+
+    test('should return the eMode category of another account', async () => {
+      const OTHER_ADDRESS = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+      getUserEModeMock.mockResolvedValueOnce(0n)
+
+      const result = await protocol.getUserEMode(OTHER_ADDRESS)
+
+      expect(getUserEModeMock).toHaveBeenCalledWith(OTHER_ADDRESS)
+
+      expect(result).toEqual({ categoryId: 0 })
+    })
+
+    test("should throw if 'account' is not a valid address", async () => {
+      await expect(protocol.getUserEMode('invalid-address'))
+        .rejects.toThrow("'account' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('getAccountData', () => {
+    test('should return the correct account data', async () => {
+      getUserAccountDataMock.mockResolvedValueOnce([0n, 1n, 2n, 3n, 4n, 5n])
+
+      const accountData = await protocol.getAccountData()
+
+      expect(getUserAccountDataMock).toHaveBeenCalledWith(ADDRESS)
+
+      expect(accountData).toEqual({
+        totalCollateralBase: 0n,
+        totalDebtBase: 1n,
+        availableBorrowsBase: 2n,
+        currentLiquidationThreshold: 3n,
+        ltv: 4n,
+        healthFactor: 5n
+      })
+    })
+
+    test("should throw if 'address' is not a valid address", async () => {
+      await expect(protocol.getAccountData('invalid-address'))
+        .rejects.toThrow("'account' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('getAccountSummary', () => {
+    test('should return the account data in usd, percent and decimals', async () => {
+      getUserAccountDataMock.mockResolvedValueOnce([
+        1_234_567_890_000n,
+        50_000_000_000n,
+        25_012_345_678n,
+        8_600n,
+        8_250n,
+        2_123_456_789_000_000_000n
+      ])
+
+      getReservesDataMock.mockResolvedValueOnce([[RESERVE_DATA], BASE_CURRENCY_DATA])
+
+      const summary = await protocol.getAccountSummary()
+
+      expect(getUserAccountDataMock).toHaveBeenCalledWith(ADDRESS)
+
+      expect(summary).toEqual({
+        totalCollateralUsd: '12345.6789',
+        totalDebtUsd: '500.0',
+        availableBorrowsUsd: '250.12345678',
+        ltv: 82.5,
+        liquidationThreshold: 86,
+        healthFactor: '2.12'
+      })
+    })
+
+    test("should convert the values with the price of the market's reference currency", async () => {
+      getUserAccountDataMock.mockResolvedValueOnce([2n * 10n ** 18n, 0n, 10n ** 18n, 8_000n, 7_500n, ethers.MaxUint256])
+
+      getReservesDataMock.mockResolvedValueOnce([[RESERVE_DATA], {
+        ...BASE_CURRENCY_DATA,
+        marketReferenceCurrencyUnit: 10n ** 18n,
+        marketReferenceCurrencyPriceInUsd: 300_000_000_000n
+      }])
+
+      const summary = await protocol.getAccountSummary()
+
+      expect(summary.totalCollateralUsd).toBe('6000.0')
+
+      expect(summary.availableBorrowsUsd).toBe('3000.0')
+    })
+
+    test("should return an 'infinite' health factor if the account has no debt", async () => {
+      getUserAccountDataMock.mockResolvedValueOnce([1_000n, 0n, 800n, 8_000n, 7_500n, ethers.MaxUint256])
+
+      getReservesDataMock.mockResolvedValueOnce([[RESERVE_DATA], BASE_CURRENCY_DATA])
+
+      const summary = await protocol.getAccountSummary()
+
+      expect(summary.healthFactor).toBe('infinite')
+    })
+
+    test("should throw if 'account' is not a valid address", async () => {
+      await expect(protocol.getAccountSummary('invalid-address'))
+        .rejects.toThrow("'account' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('getUserPositions', () => {
+    const USER_RESERVES_DATA = [[{
+      underlyingAsset: TOKEN,
+      scaledATokenBalance: 100_000n,
+      usageAsCollateralEnabledOnUser: true,
+      scaledVariableDebt: 0n
+    }, {
+      underlyingAsset: USDT,
+      scaledATokenBalance: 0n,
+      usageAsCollateralEnabledOnUser: false,
+      scaledVariableDebt: 0n
+    }, {
+      underlyingAsset: WETH,
+      scaledATokenBalance: 0n,
+      usageAsCollateralEnabledOnUser: false,
+      scaledVariableDebt: 1_000n
+    }], 1n]
+
+    const RESERVES_DATA = [[{
+      underlyingAsset: TOKEN,
+      liquidityIndex: 11n * 10n ** 26n,
+      variableBorrowIndex: 12n * 10n ** 26n
+    }, {
+      underlyingAsset: USDT,
+      liquidityIndex: 10n ** 27n,
+      variableBorrowIndex: 10n ** 27n
+    }, {
+      underlyingAsset: WETH,
+      liquidityIndex: 10n ** 27n,
+      variableBorrowIndex: 1_000_500n * 10n ** 21n
+    }]]
+
+    test('should return the correct positions', async () => {
+      getReservesDataMock.mockResolvedValueOnce(RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(USER_RESERVES_DATA)
+
+      const result = await protocol.getUserPositions()
+
+      expect(getUserReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, ADDRESS)
+
+      expect(result).toEqual({
+        positions: [{
+          token: TOKEN,
+          supplied: 110_000n,
+          variableDebt: 0n,
+          usageAsCollateralEnabled: true,
+          scaledATokenBalance: 100_000n,
+          scaledVariableDebt: 0n
+        }, {
+          token: WETH,
+          supplied: 0n,
+          variableDebt: 1_001n,
+          usageAsCollateralEnabled: false,
+          scaledATokenBalance: 0n,
+          scaledVariableDebt: 1_000n
+        }],
+        eModeCategoryId: 1
+      })
+    })
+
+    test('should return the positions of another account (read-only)', async () => {
+      const OTHER_ADDRESS = '0x9ec6F08190DeA04A54f8Afc53Db96134e5E3FdFB'
+
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      getReservesDataMock.mockResolvedValueOnce(RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce([[], 0n])
+
+      const result = await protocol.getUserPositions(OTHER_ADDRESS)
+
+      expect(getUserReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, OTHER_ADDRESS)
+
+      expect(result).toEqual({
+        positions: [],
+        eModeCategoryId: 0
+      })
+    })
+
+    test("should throw if 'account' is not a valid address", async () => {
+      await expect(protocol.getUserPositions('invalid-address'))
+        .rejects.toThrow("'account' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('validate', () => {
+    const [[TOKEN_RESERVE_DATA, WETH_RESERVE_DATA]] = MARKET_RESERVES_DATA
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test('should validate an operation that passes the checks', async () => {
+      const result = await protocol.validate({ action: 'borrow', token: TOKEN, amount: 100_000 })
+
+      expect(result).toEqual({ valid: true })
+    })
+
+    test('should report the remaining supply cap', async () => {
+      getReservesDataMock.mockResolvedValue([[{ ...TOKEN_RESERVE_DATA, aTokenAddress: A_WETH, supplyCap: 15_100n, accruedToTreasury: 1_000_000n, unbacked: 0n }, WETH_RESERVE_DATA]])
+
+      scaledTotalSupplyMock.mockResolvedValueOnce(14_999_000_000n)
+
+      const result = await protocol.validate({ action: 'supply', token: TOKEN, amount: 100_000_001 })
+
+      expect(result).toEqual({
+        valid: false,
+        code: 'SUPPLY_CAP_EXCEEDED',
+        error: "The amount exceeds the reserve's supply cap (remaining: 100000000)."
+      })
+    })
+
+    test("should compute the supply from the a-tokens' scaled supply and the liquidity index, not from the reserve's liquidity and debt", async () => {
+      // The reserve's liquidity and debt add up to 15,000 tokens, but its a-tokens and the treasury's accruals are worth 15,070 tokens.
+      getReservesDataMock.mockResolvedValue([[{
+        ...TOKEN_RESERVE_DATA,
+        aTokenAddress: A_WETH,
+        liquidityIndex: 11n * 10n ** 26n,
+        supplyCap: 15_100n,
+        accruedToTreasury: 100_000_000n,
+        unbacked: 0n
+      }, WETH_RESERVE_DATA]])
+
+      scaledTotalSupplyMock.mockResolvedValueOnce(13_600_000_000n)
+
+      const result = await protocol.validate({ action: 'supply', token: TOKEN, amount: 50_000_000 })
+
+      expect(result).toEqual({
+        valid: false,
+        code: 'SUPPLY_CAP_EXCEEDED',
+        error: "The amount exceeds the reserve's supply cap (remaining: 30000000)."
+      })
+    })
+
+    test('should include the unbacked a-tokens in the supply', async () => {
+      getReservesDataMock.mockResolvedValue([[{ ...TOKEN_RESERVE_DATA, aTokenAddress: A_WETH, supplyCap: 15_100n, accruedToTreasury: 0n, unbacked: 60_000_000n }, WETH_RESERVE_DATA]])
+
+      scaledTotalSupplyMock.mockResolvedValueOnce(15_000_000_000n)
+
+      const result = await protocol.validate({ action: 'supply', token: TOKEN, amount: 50_000_000 })
+
+      expect(result).toEqual({
+        valid: false,
+        code: 'SUPPLY_CAP_EXCEEDED',
+        error: "The amount exceeds the reserve's supply cap (remaining: 40000000)."
+      })
+    })
+
+    test('should report the remaining borrow cap', async () => {
+      getReservesDataMock.mockResolvedValue([[{ ...TOKEN_RESERVE_DATA, borrowCap: 5_001n }, WETH_RESERVE_DATA]])
+
+      const result = await protocol.validate({ action: 'borrow', token: TOKEN, amount: 1_000_001 })
+
+      expect(result).toEqual({
+        valid: false,
+        code: 'BORROW_CAP_EXCEEDED',
+        error: "The amount exceeds the reserve's borrow cap (remaining: 1000000)."
+      })
+    })
+
+    test("should report the reserve's available liquidity", async () => {
+      const result = await protocol.validate({ action: 'withdraw', token: TOKEN, amount: 10_000_000_001 })
+
+      expect(result).toEqual({
+        valid: false,
+        code: 'INSUFFICIENT_LIQUIDITY',
+        error: "The amount exceeds the reserve's available liquidity (available: 10000000000)."
+      })
+    })
+
+    test("should report the reserve's status", async () => {
+      getReservesDataMock.mockResolvedValue([[{ ...TOKEN_RESERVE_DATA, isPaused: true }, WETH_RESERVE_DATA]])
+
+      const result = await protocol.validate({ action: 'repay', token: TOKEN, amount: 100_000 })
+
+      expect(result).toEqual({
+        valid: false,
+        code: 'RESERVE_PAUSED',
+        error: "The token's reserve is currently paused."
+      })
+    })
+
+    test("should throw if 'action' is not a valid action", async () => {
+      await expect(protocol.validate({ action: 'liquidate', token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("'action' must be one of: 'supply', 'withdraw', 'borrow', 'repay'.")
+    })
+
+    test("should throw if 'amount' is less of equal to zero", async () => {
+      await expect(protocol.validate({ action: 'supply', token: TOKEN, amount: 0 }))
+        .rejects.toThrow("'amount' should be greater than zero.")
+    })
+  })
+
+  describe('simulate', () => {
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test('should return the account data after a borrow', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.simulate({ action: 'borrow', token: WETH, amount: 100_000_000_000_000_000n })
+
+      expect(getUserReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, ADDRESS)
+
+      expect(result).toEqual({
+        totalCollateralBase: 100_000_000_000n,
+        totalDebtBase: 60_000_000_000n,
+        availableBorrowsBase: 15_000_000_000n,
+        currentLiquidationThreshold: 8_000n,
+        ltv: 7_500n,
+        healthFactor: 1_333_333_333_333_333_333n
+      })
+    })
+
+    test('should enable a first supply as collateral automatically', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.simulate({ action: 'supply', token: WETH, amount: 100_000_000_000_000_000n })
+
+      expect(result).toEqual({
+        totalCollateralBase: 130_000_000_000n,
+        totalDebtBase: 30_000_000_000n,
+        availableBorrowsBase: 68_995_000_000n,
+        currentLiquidationThreshold: 8_057n,
+        ltv: 7_615n,
+        healthFactor: 3_491_366_666_666_666_667n
+      })
+    })
+
+    test('should return an infinite health factor after a full repay', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.simulate({ action: 'repay', token: WETH, amount: 200_000_000_000_000_000n })
+
+      expect(result).toEqual({
+        totalCollateralBase: 100_000_000_000n,
+        totalDebtBase: 0n,
+        availableBorrowsBase: 75_000_000_000n,
+        currentLiquidationThreshold: 8_000n,
+        ltv: 7_500n,
+        healthFactor: MaxUint256
+      })
+    })
+
+    test('should return the account data after disabling a collateral', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.simulate({ action: 'setUseReserveAsCollateral', token: TOKEN, useAsCollateral: false })
+
+      expect(result).toEqual({
+        totalCollateralBase: 0n,
+        totalDebtBase: 30_000_000_000n,
+        availableBorrowsBase: 0n,
+        currentLiquidationThreshold: 0n,
+        ltv: 0n,
+        healthFactor: 0n
+      })
+    })
+
+    test('should apply the eMode category overrides', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      getEModesMock.mockResolvedValueOnce([{
+        id: 1n,
+        eMode: {
+          ltv: 9_000n,
+          liquidationThreshold: 9_300n,
+          liquidationBonus: 10_100n,
+          collateralBitmap: 1n,
+          label: 'Dummy eMode',
+          borrowableBitmap: 2n
+        }
+      }])
+
+      const result = await protocol.simulate({ action: 'setUserEMode', categoryId: 1 })
+
+      expect(getEModesMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
+
+      expect(result).toEqual({
+        totalCollateralBase: 100_000_000_000n,
+        totalDebtBase: 30_000_000_000n,
+        availableBorrowsBase: 60_000_000_000n,
+        currentLiquidationThreshold: 9_300n,
+        ltv: 9_000n,
+        healthFactor: 3_100_000_000_000_000_000n
+      })
+    })
+
+    test('should accrue the interests since the reserves\' last update', async () => {
+      Date.now.mockReturnValue((MARKET_TIMESTAMP + 31_536_000) * 1_000)
+
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.simulate({ action: 'setUseReserveAsCollateral', token: TOKEN, useAsCollateral: true })
+
+      expect(result.totalCollateralBase).toBe(103_000_000_000n)
+
+      expect(result.totalDebtBase).toBe(31_224_313_630n)
+    })
+
+    test('should throw if the account has not enough funds to withdraw', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      await expect(protocol.simulate({ action: 'withdraw', token: TOKEN, amount: 1_000_000_001n }))
+        .rejects.toThrow('Not enough funds to fulfill the operation.')
+    })
+
+    test("should throw if 'action' is not a valid action", async () => {
+      await expect(protocol.simulate({ action: 'liquidate', token: TOKEN, amount: 100_000 }))
+        .rejects.toThrow("'action' must be one of: 'supply', 'withdraw', 'borrow', 'repay', 'setUseReserveAsCollateral', 'setUserEMode'.")
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.simulate({ action: 'supply', token: '0xinvalid-token-address', amount: 100_000 }))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+
+    test("should throw if 'amount' is not greater than 0", async () => {
+      await expect(protocol.simulate({ action: 'borrow', token: TOKEN, amount: 0 }))
+        .rejects.toThrow("'amount' must be greater than 0.")
+    })
+
+    test("should throw if 'categoryId' is not a valid category id", async () => {
+      await expect(protocol.simulate({ action: 'setUserEMode', categoryId: 256 }))
+        .rejects.toThrow("'categoryId' must be a valid category id.")
+    })
+  })
+
+  describe('getMaxBorrow', () => {
+    const [[TOKEN_RESERVE_DATA, WETH_RESERVE_DATA]] = MARKET_RESERVES_DATA
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test('should return the maximum amount limited by the borrowing power', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(WETH)
+
+      expect(result).toBe(150_000_000_000_000_000n)
+    })
+
+    test('should return the maximum amount limited by the minimum health factor', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(WETH, { minHealthFactor: 2 })
+
+      expect(result).toBe(33_333_333_333_333_333n)
+    })
+
+    test('should return the maximum amount limited by the borrow cap', async () => {
+      getReservesDataMock.mockResolvedValueOnce([[TOKEN_RESERVE_DATA, { ...WETH_RESERVE_DATA, borrowCap: 1n }]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(WETH)
+
+      expect(result).toBe(50_000_000_000_000_000n)
+    })
+
+    test("should return the maximum amount limited by the reserve's liquidity", async () => {
+      getReservesDataMock.mockResolvedValueOnce([[TOKEN_RESERVE_DATA, {
+        ...WETH_RESERVE_DATA,
+        virtualAccActive: true,
+        virtualUnderlyingBalance: 10_000_000_000_000_000n
+      }]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(WETH)
+
+      expect(result).toBe(10_000_000_000_000_000n)
+    })
+
+    test('should return zero if the account borrows a token with siloed borrowing', async () => {
+      getReservesDataMock.mockResolvedValueOnce([[TOKEN_RESERVE_DATA, { ...WETH_RESERVE_DATA, isSiloedBorrowing: true }]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(TOKEN)
+
+      expect(result).toBe(0n)
+    })
+
+    test('should return the maximum amount limited by the debt ceiling in isolation mode', async () => {
+      getReservesDataMock.mockResolvedValueOnce([[{
+        ...TOKEN_RESERVE_DATA,
+        debtCeiling: 100_000n,
+        isolationModeTotalDebt: 99_000n
+      }, WETH_RESERVE_DATA]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(TOKEN)
+
+      expect(result).toBe(10_000_000n)
+    })
+
+    test("should return 0 if the token can't be borrowed in isolation mode", async () => {
+      getReservesDataMock.mockResolvedValueOnce([[{ ...TOKEN_RESERVE_DATA, debtCeiling: 100_000n }, WETH_RESERVE_DATA]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(WETH)
+
+      expect(result).toBe(0n)
+    })
+
+    test("should return 0 if the token's reserve is frozen", async () => {
+      getReservesDataMock.mockResolvedValueOnce([[TOKEN_RESERVE_DATA, { ...WETH_RESERVE_DATA, isFrozen: true }]])
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(WETH)
+
+      expect(result).toBe(0n)
+    })
+
+    test('should work with read-only accounts', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxBorrow(WETH)
+
+      expect(getUserReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, ADDRESS)
+
+      expect(result).toBe(150_000_000_000_000_000n)
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.getMaxBorrow('invalid-token-address'))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+
+    test("should throw if 'minHealthFactor' is lower than 1", async () => {
+      await expect(protocol.getMaxBorrow(WETH, { minHealthFactor: 0.9 }))
+        .rejects.toThrow("'minHealthFactor' must be greater than or equal to 1.")
+    })
+  })
+
+  describe('getMaxWithdraw', () => {
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test('should return the maximum amount limited by the minimum health factor', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxWithdraw(TOKEN)
+
+      expect(result).toBe(621_250_000n)
+    })
+
+    test('should return the whole supplied amount if the account has no debt', async () => {
+      const [[tokenUserReserve]] = MARKET_USER_RESERVES_DATA
+
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce([[tokenUserReserve], 0n])
+
+      const result = await protocol.getMaxWithdraw(TOKEN)
+
+      expect(result).toBe(1_000_000_000n)
+    })
+
+    test('should return 0 if the account has not supplied the token', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      const result = await protocol.getMaxWithdraw(WETH)
+
+      expect(result).toBe(0n)
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.getMaxWithdraw('invalid-token-address'))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+  })
+
+  describe('getMaxRepay', () => {
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(MARKET_TIMESTAMP * 1_000)
+    })
+
+    afterEach(() => {
+      Date.now.mockRestore()
+    })
+
+    test("should return the account's debt if its balance is enough", async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(1_000_000_000_000_000_000n)
+
+      const result = await protocol.getMaxRepay(WETH)
+
+      expect(account.getTokenBalance).toHaveBeenCalledWith(WETH)
+
+      expect(result).toBe(100_000_000_000_000_000n)
+    })
+
+    test("should return the account's balance if it is lower than its debt", async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(50_000_000_000_000_000n)
+
+      const result = await protocol.getMaxRepay(WETH)
+
+      expect(result).toBe(50_000_000_000_000_000n)
+    })
+
+    test('should return 0 if the account has no debt', async () => {
+      getReservesDataMock.mockResolvedValueOnce(MARKET_RESERVES_DATA)
+
+      getUserReservesDataMock.mockResolvedValueOnce(MARKET_USER_RESERVES_DATA)
+
+      account.getTokenBalance = jest.fn()
+
+      const result = await protocol.getMaxRepay(TOKEN)
+
+      expect(account.getTokenBalance).not.toHaveBeenCalled()
+
+      expect(result).toBe(0n)
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.getMaxRepay('invalid-token-address'))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+  })
+
+  describe('getReserves', () => {
+    test('should return the correct reserves', async () => {
+      getReservesDataMock.mockResolvedValueOnce([[RESERVE_DATA], BASE_CURRENCY_DATA])
+
+      const result = await protocol.getReserves()
+
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
+
+      expect(result).toEqual({
+        reserves: [RESERVE],
+        baseCurrency: {
+          marketReferenceCurrencyUnit: 100_000_000n,
+          marketReferenceCurrencyPriceInUsd: 100_000_000n,
+          networkBaseTokenPriceInUsd: 300_000_000_000n,
+          networkBaseTokenPriceDecimals: 8
+        }
+      })
+    })
+  })
+
+  describe('getReserve', () => {
+    test('should return the correct reserve', async () => {
+      getReservesDataMock.mockResolvedValueOnce([[RESERVE_DATA], BASE_CURRENCY_DATA])
+
+      const result = await protocol.getReserve(TOKEN.toLowerCase())
+
+      expect(result).toEqual(RESERVE)
+    })
+
+    test("should throw if 'token' is not a valid address", async () => {
+      await expect(protocol.getReserve('invalid-token-address'))
+        .rejects.toThrow("'token' must be a valid address.")
+    })
+
+    test("should throw if the token's reserve doesn't exist", async () => {
+      getReservesDataMock.mockResolvedValueOnce([[RESERVE_DATA], BASE_CURRENCY_DATA])
+
+      await expect(protocol.getReserve(USDT))
+        .rejects.toThrow(`Token reserve not found for token '${USDT}'.`)
+    })
+  })
+
+  describe('custom markets', () => {
+    const CUSTOM_MARKET = {
+      pool: CUSTOM_POOL,
+      poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER,
+      uiPoolDataProvider: CUSTOM_UI_POOL_DATA_PROVIDER
+    }
+
+    test('should use the addresses of a custom market', async () => {
+      getNetworkMock.mockResolvedValue({ chainId: 31_337n })
+
+      const protocol = new AaveProtocolEvm(account, { addresses: CUSTOM_MARKET })
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      await protocol.withdraw({ token: TOKEN, amount: 100_000 })
+
+      expect(getReservesDataMock).toHaveBeenCalledWith(CUSTOM_POOL_ADDRESSES_PROVIDER)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: CUSTOM_POOL,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('withdraw', [TOKEN, 100_000, ADDRESS])
+      })
+    })
+
+    test('should merge the address overrides into the built-in market', async () => {
+      const protocol = new AaveProtocolEvm(account, { addresses: { uiPoolDataProvider: CUSTOM_UI_POOL_DATA_PROVIDER } })
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      await protocol.withdraw({ token: TOKEN, amount: 100_000 })
+
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.pool,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('withdraw', [TOKEN, 100_000, ADDRESS])
+      })
+    })
+
+    test('should throw if the blockchain is not supported and no custom market is set', async () => {
+      getNetworkMock.mockResolvedValue({ chainId: 31_337n })
+
+      await expect(protocol.getReserves())
+        .rejects.toThrow('The blockchain with id 31337 is not supported yet.')
+    })
+
+    test('should throw if an address is not a valid market address', () => {
+      expect(() => new AaveProtocolEvm(account, { addresses: { lendingPool: CUSTOM_POOL } }))
+        .toThrow("'addresses.lendingPool' is not a valid market address.")
+    })
+
+    test('should throw if an address is not a valid address', () => {
+      expect(() => new AaveProtocolEvm(account, { addresses: { ...CUSTOM_MARKET, uiPoolDataProvider: 'invalid-address' } }))
+        .toThrow("'addresses.uiPoolDataProvider' must be a valid address (not zero address).")
+    })
+
+    test('should throw if a custom market is missing a required address', () => {
+      expect(() => new AaveProtocolEvm(account, { addresses: { pool: CUSTOM_POOL } }))
+        .toThrow("A custom market requires the 'pool', 'poolAddressesProvider' and 'uiPoolDataProvider' addresses.")
+    })
+  })
+
+  describe('markets', () => {
+    test('should use the default (core) market of the blockchain if no market is set', async () => {
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      await protocol.withdraw({ token: TOKEN, amount: 100_000 })
+
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.pool,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('withdraw', [TOKEN, 100_000, ADDRESS])
+      })
+    })
+
+    test('should use the addresses of the given market', async () => {
+      const protocol = new AaveProtocolEvm(account, { market: 'AaveV3EthereumLido' })
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      await protocol.withdraw({ token: TOKEN, amount: 100_000 })
+
+      expect(getReservesDataMock).toHaveBeenCalledWith(AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido.poolAddressesProvider)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido.pool,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('withdraw', [TOKEN, 100_000, ADDRESS])
+      })
+    })
+
+    test('should throw if the market is not available on the blockchain', async () => {
+      const protocol = new AaveProtocolEvm(account, { market: 'AaveV3Arbitrum' })
+
+      await expect(protocol.getReserves())
+        .rejects.toThrow("The market 'AaveV3Arbitrum' is not available on the blockchain with id 1.")
+    })
+
+    test('should throw if the market is not a valid market name', () => {
+      expect(() => new AaveProtocolEvm(account, { market: 'AaveV3Dummy' }))
+        .toThrow("'market' must be a valid market name (e.g., 'AaveV3Ethereum').")
+    })
+
+    test('should throw if the market is set together with a custom market', () => {
+      expect(() => new AaveProtocolEvm(account, {
+        market: 'AaveV3EthereumLido',
+        addresses: {
+          pool: CUSTOM_POOL,
+          poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER,
+          uiPoolDataProvider: CUSTOM_UI_POOL_DATA_PROVIDER
+        }
+      })).toThrow("'market' can't be set together with a custom market ('addresses.pool' or 'addresses.poolAddressesProvider').")
+    })
+  })
+
+  describe('isTestnet', () => {
+    test('should return false for a mainnet market', async () => {
+      expect(await protocol.isTestnet()).toBe(false)
+    })
+
+    test('should return true for a testnet market', async () => {
+      getNetworkMock.mockResolvedValue({ chainId: 84_532n })
+
+      const protocol = new AaveProtocolEvm(account, { market: 'AaveV3BaseSepoliaLido' })
+
+      expect(await protocol.isTestnet()).toBe(true)
+    })
+
+    test('should return false for a custom market', async () => {
+      const protocol = new AaveProtocolEvm(account, {
+        addresses: {
+          pool: CUSTOM_POOL,
+          poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER,
+          uiPoolDataProvider: CUSTOM_UI_POOL_DATA_PROVIDER
+        }
+      })
+
+      expect(await protocol.isTestnet()).toBe(false)
+    })
+  })
+
+  describe('getMarkets', () => {
+    test('should return the markets of the given blockchain', () => {
+      const markets = AaveProtocolEvm.getMarkets(1)
+
+      expect(markets).toEqual([
+        { name: 'AaveV3Ethereum', chainId: 1, testnet: false, addresses: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum },
+        { name: 'AaveV3EthereumLido', chainId: 1, testnet: false, addresses: AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido },
+        { name: 'AaveV3EthereumEtherFi', chainId: 1, testnet: false, addresses: AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumEtherFi }
+      ])
+    })
+
+    test('should return the markets of all the blockchains if no chain id is given', () => {
+      const markets = AaveProtocolEvm.getMarkets()
+
+      expect(markets).toContainEqual({ name: 'AaveV3Arbitrum', chainId: 42_161, testnet: false, addresses: AAVE_V3_ADDRESS_MAP[42_161].AaveV3Arbitrum })
+
+      expect(markets).toHaveLength(Object.values(AAVE_V3_ADDRESS_MAP).reduce((count, markets) => count + Object.keys(markets).length, 0))
+    })
+
+    test('should flag the testnet markets', () => {
+      const { testnet, ...addresses } = AAVE_V3_ADDRESS_MAP[11_155_111].AaveV3Sepolia
+
+      const markets = AaveProtocolEvm.getMarkets(11_155_111)
+
+      expect(testnet).toBe(true)
+
+      expect(addresses.faucet).toBe(FAUCET)
+
+      expect(markets).toEqual([
+        { name: 'AaveV3Sepolia', chainId: 11_155_111, testnet: true, addresses }
+      ])
+    })
+
+    test('should return an empty list if the blockchain is not supported', () => {
+      expect(AaveProtocolEvm.getMarkets(31_337n)).toEqual([])
+    })
+  })
+
+  describe('market discovery', () => {
+    test('should resolve the addresses of the market from its pool addresses provider', async () => {
+      const protocol = new AaveProtocolEvm(account, { addresses: { poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER } })
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-withdraw-hash', fee: 12_345n })
+
+      await protocol.withdraw({ token: TOKEN, amount: 100_000 })
+
+      expect(getReservesDataMock).toHaveBeenCalledWith(CUSTOM_POOL_ADDRESSES_PROVIDER)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: CUSTOM_POOL,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('withdraw', [TOKEN, 100_000, ADDRESS])
+      })
+
+      expect(await protocol.getMarketAddresses()).toEqual({
+        pool: CUSTOM_POOL,
+        poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER,
+        uiPoolDataProvider: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.uiPoolDataProvider,
+        poolDataProvider: CUSTOM_POOL_DATA_PROVIDER,
+        priceOracle: CUSTOM_PRICE_ORACLE
+      })
+    })
+
+    test('should reuse the addresses of the built-in market with the same pool addresses provider', async () => {
+      const { testnet, ...addresses } = AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido
+
+      const protocol = new AaveProtocolEvm(account, { addresses: { poolAddressesProvider: addresses.poolAddressesProvider } })
+
+      expect(testnet).toBeUndefined()
+
+      expect(await protocol.getMarketAddresses()).toEqual(addresses)
+    })
+
+    test('should merge the address overrides into the resolved addresses', async () => {
+      const protocol = new AaveProtocolEvm(account, {
+        addresses: {
+          poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER,
+          uiPoolDataProvider: CUSTOM_UI_POOL_DATA_PROVIDER
+        }
+      })
+
+      const { uiPoolDataProvider } = await protocol.getMarketAddresses()
+
+      expect(uiPoolDataProvider).toBe(CUSTOM_UI_POOL_DATA_PROVIDER)
+    })
+
+    test('should throw if the pool addresses provider has no pool', async () => {
+      const protocol = new AaveProtocolEvm(account, { addresses: { poolAddressesProvider: EMPTY_POOL_ADDRESSES_PROVIDER } })
+
+      await expect(protocol.getReserves())
+        .rejects.toThrow(`The pool addresses provider '${EMPTY_POOL_ADDRESSES_PROVIDER}' has no pool.`)
+    })
+
+    test('should throw if the blockchain is not supported and no ui pool data provider is set', async () => {
+      getNetworkMock.mockResolvedValue({ chainId: 31_337n })
+
+      const protocol = new AaveProtocolEvm(account, { addresses: { poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER } })
+
+      await expect(protocol.getReserves())
+        .rejects.toThrow("The blockchain with id 31337 is not supported yet: the 'addresses.uiPoolDataProvider' option is required to discover its markets.")
+    })
+  })
+
+  describe('getMarketAddresses', () => {
+    test('should return the addresses of the built-in market', async () => {
+      expect(await protocol.getMarketAddresses()).toEqual(AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum)
+    })
+  })
+
+  describe('getRegisteredMarkets', () => {
+    const CORE_REGISTRY = AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProviderRegistry
+
+    const LIDO_REGISTRY = AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido.poolAddressesProviderRegistry
+
+    beforeEach(() => {
+      getAddressesProviderIdByAddressMock.mockImplementation(async (poolAddressesProvider) => {
+        return poolAddressesProvider === CUSTOM_POOL_ADDRESSES_PROVIDER ? 99n : 1n
+      })
+    })
+
+    test('should return the markets registered in the registries of the built-in markets', async () => {
+      getAddressesProvidersListMock
+        .mockResolvedValueOnce([AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.poolAddressesProvider, CUSTOM_POOL_ADDRESSES_PROVIDER])
+        .mockResolvedValueOnce([AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido.poolAddressesProvider, CUSTOM_POOL_ADDRESSES_PROVIDER])
+
+      const markets = await protocol.getRegisteredMarkets()
+
+      const { testnet, ...lidoAddresses } = AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido
+
+      expect(markets).toEqual([{
+        registry: CORE_REGISTRY,
+        id: 1,
+        marketId: 'AaveV3Ethereum Market',
+        name: 'AaveV3Ethereum',
+        testnet: false,
+        addresses: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum
+      }, {
+        registry: CORE_REGISTRY,
+        id: 99,
+        marketId: 'Custom Market',
+        testnet: false,
+        addresses: {
+          pool: CUSTOM_POOL,
+          poolAddressesProvider: CUSTOM_POOL_ADDRESSES_PROVIDER,
+          poolAddressesProviderRegistry: CORE_REGISTRY,
+          uiPoolDataProvider: AAVE_V3_ADDRESS_MAP[1].AaveV3Ethereum.uiPoolDataProvider,
+          poolDataProvider: CUSTOM_POOL_DATA_PROVIDER,
+          priceOracle: CUSTOM_PRICE_ORACLE
+        }
+      }, {
+        registry: LIDO_REGISTRY,
+        id: 1,
+        marketId: 'AaveV3EthereumLido Market',
+        name: 'AaveV3EthereumLido',
+        testnet: false,
+        addresses: lidoAddresses
+      }])
+
+      expect(testnet).toBeUndefined()
+    })
+
+    test('should return the markets registered in the given registry', async () => {
+      getAddressesProvidersListMock
+        .mockResolvedValueOnce([AAVE_V3_ADDRESS_MAP[1].AaveV3EthereumLido.poolAddressesProvider])
+
+      const markets = await protocol.getRegisteredMarkets(LIDO_REGISTRY)
+
+      expect(markets).toHaveLength(1)
+
+      expect(markets[0]).toMatchObject({ registry: LIDO_REGISTRY, name: 'AaveV3EthereumLido' })
+    })
+
+    test('should throw if the blockchain has no built-in registry', async () => {
+      getNetworkMock.mockResolvedValue({ chainId: 11_155_111n })
+
+      await expect(protocol.getRegisteredMarkets())
+        .rejects.toThrow('The blockchain with id 11155111 has no built-in pool addresses provider registry.')
+    })
+
+    test("should throw if 'registry' is not a valid address", async () => {
+      await expect(protocol.getRegisteredMarkets('invalid-address'))
+        .rejects.toThrow("'registry' must be a valid address (not zero address).")
+    })
+  })
+
+  describe('token symbols and decimal amounts', () => {
+    const RESERVES_DATA_WITH_SYMBOLS = [[
+      { ...MARKET_RESERVES_DATA[0][0], symbol: 'DUMMY' },
+      { ...MARKET_RESERVES_DATA[0][1], symbol: 'WETH', aTokenAddress: A_WETH, variableDebtTokenAddress: VARIABLE_DEBT_WETH }
+    ]]
+
+    beforeEach(() => {
+      getReservesDataMock.mockResolvedValue(RESERVES_DATA_WITH_SYMBOLS)
+    })
+
+    test('should resolve the token from its symbol and convert the decimal amount with its decimals', async () => {
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-supply-hash', fee: 12_345n })
+
+      await protocol.supply({ token: 'dummy', amount: '0.1', decimals: true })
+
+      expect(account.getTokenBalance).toHaveBeenCalledWith(TOKEN)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('supply', [TOKEN, 100_000n, ADDRESS, 0])
+      })
+    })
+
+    test('should convert a decimal amount for a token given by address', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      await protocol.quoteBorrow({ token: WETH, amount: '0.5', decimals: true })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('borrow', [WETH, 5n * 10n ** 17n, 2, 0, ADDRESS])
+      })
+    })
+
+    test('should convert a decimal amount of native tokens with 18 decimals', async () => {
+      account.getBalance = jest.fn().mockResolvedValueOnce(2n * 10n ** 18n)
+
+      account.sendTransaction = jest.fn()
+        .mockResolvedValueOnce({ hash: 'dummy-supply-hash', fee: 12_345n })
+
+      await protocol.supplyNative({ amount: '1.5', decimals: true })
+
+      expect(account.sendTransaction).toHaveBeenCalledWith({
+        to: wrappedTokenGatewayContract.target,
+        value: 15n * 10n ** 17n,
+        data: wrappedTokenGatewayContract.interface.encodeFunctionData('depositETH', [poolContract.target, ADDRESS, 0])
+      })
+    })
+
+    test('should resolve the tokens and amounts of a flash loan', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      await protocol.quoteFlashLoan({ receiver: ADDRESS, tokens: ['DUMMY', 'WETH'], amounts: ['1', '0.000000000000000002'], decimals: true })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('flashLoan', [ADDRESS, [TOKEN, WETH], [1_000_000n, 2n], [0, 0], ADDRESS, '0x', 0])
+      })
+    })
+
+    test('should throw if the symbol matches several reserves', async () => {
+      getReservesDataMock.mockResolvedValue([[
+        { ...MARKET_RESERVES_DATA[0][0], symbol: 'USDC' },
+        { ...MARKET_RESERVES_DATA[0][1], symbol: 'USDC' }
+      ]])
+
+      const error = await protocol.quoteSupply({ token: 'USDC', amount: 1n }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AaveValidationError)
+
+      expect(error.code).toBe('AMBIGUOUS_TOKEN')
+
+      expect(error.details).toEqual({ option: 'token', tokens: [TOKEN, WETH] })
+    })
+
+    test('should send a string amount without decimals as a base unit amount', async () => {
+      account.quoteSendTransaction = jest.fn()
+        .mockResolvedValueOnce({ fee: 12_345n })
+
+      await protocol.quoteSupply({ token: 'DUMMY', amount: '1000000' })
+
+      expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+        to: poolContract.target,
+        value: 0,
+        data: poolContract.interface.encodeFunctionData('supply', [TOKEN, 1_000_000n, ADDRESS, 0])
+      })
+    })
+
+    test("should throw if the symbol doesn't match any reserve", async () => {
+      const error = await protocol.quoteSupply({ token: 'USDX', amount: 1n }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AaveValidationError)
+
+      expect(error).toMatchObject({
+        code: 'RESERVE_NOT_FOUND',
+        message: "'token' is neither a valid address nor the symbol of a reserve of the market.",
+        details: { option: 'token', symbol: 'USDX' }
+      })
+    })
+
+    test('should throw if the decimal amount has more decimals than the token', async () => {
+      await expect(protocol.quoteSupply({ token: 'DUMMY', amount: '0.0000001', decimals: true }))
+        .rejects.toThrow("'amount' has more decimals than the token (6).")
+    })
+
+    test("should throw if 'amount' is not a valid decimal string", async () => {
+      const error = await protocol.quoteSupply({ token: 'DUMMY', amount: '1e6', decimals: true }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AaveValidationError)
+
+      expect(error.code).toBe('INVALID_AMOUNT')
+
+      expect(error.message).toBe("'amount' must be a decimal string (e.g., '12.5') if 'decimals' is true.")
+    })
+  })
+
+  describe('errors', () => {
+    const SUPPLY_TRANSACTION = {
+      to: poolContract.target,
+      value: 0,
+      data: poolContract.interface.encodeFunctionData('supply', [TOKEN, 100_000, ADDRESS, 0])
+    }
+
+    test('should throw a validation error with a stable code for invalid options', async () => {
+      const error = await protocol.supply({ token: TOKEN, amount: 0 }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AaveValidationError)
+
+      expect(error).toBeInstanceOf(AaveError)
+
+      expect(error).toMatchObject({
+        name: 'AaveValidationError',
+        code: 'INVALID_AMOUNT',
+        message: "'amount' should be greater than zero.",
+        details: { option: 'amount' }
+      })
+    })
+
+    test('should throw a validation error with a stable code if the account is read-only', async () => {
+      const account = new WalletAccountReadOnlyEvm(ADDRESS, {
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      const error = await protocol.borrow({ token: TOKEN, amount: 100_000 }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AaveValidationError)
+
+      expect(error).toMatchObject({ code: 'READ_ONLY_ACCOUNT', details: { method: 'borrow' } })
+    })
+
+    test("should throw a reserve error with a stable code if the reserve's state doesn't allow the operation", async () => {
+      getReservesDataMock.mockResolvedValue([[{ ...MARKET_RESERVES_DATA[0][0], isPaused: true }, MARKET_RESERVES_DATA[0][1]]])
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      const error = await protocol.supply({ token: TOKEN, amount: 100_000 }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AaveReserveError)
+
+      expect(error).toMatchObject({
+        name: 'AaveReserveError',
+        code: 'RESERVE_PAUSED',
+        message: "The token's reserve is currently paused."
+      })
+    })
+
+    test('should decode the error code of a transaction reverted by the pool', async () => {
+      const revertError = Object.assign(new Error('execution reverted: "50"'), { code: 'CALL_EXCEPTION', reason: '50' })
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockRejectedValueOnce(revertError)
+
+      const error = await protocol.supply({ token: TOKEN, amount: 100_000 }).catch(error => error)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(SUPPLY_TRANSACTION)
+
+      expect(error).toBeInstanceOf(AavePoolRevertError)
+
+      expect(error).toMatchObject({
+        name: 'AavePoolRevertError',
+        code: 'SUPPLY_CAP_EXCEEDED',
+        revertCode: '50',
+        message: 'The supply cap is exceeded.',
+        details: { revertCode: '50' },
+        cause: revertError
+      })
+    })
+
+    test('should decode the error code of a quote reverted by the pool from the raw revert data', async () => {
+      const data = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['29'])])
+
+      account.quoteSendTransaction = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('could not coalesce error'), { error: { code: 3, data } }))
+
+      const error = await protocol.quoteSupply({ token: TOKEN, amount: 100_000 }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AavePoolRevertError)
+
+      expect(error).toMatchObject({ code: 'RESERVE_PAUSED', revertCode: '29' })
+    })
+
+    test('should decode the error code of a user operation reverted by the pool (erc-4337)', async () => {
+      const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://dummy-rpc-url.com'
+      })
+
+      const protocol = new AaveProtocolEvm(account)
+
+      account.getAddress = jest.fn().mockResolvedValue(ADDRESS)
+
+      account.quoteSendTransaction = jest.fn()
+        .mockRejectedValueOnce(new Error('UserOperation reverted during simulation with reason: 59'))
+
+      const error = await protocol.quoteBorrow({ token: TOKEN, amount: 100_000 }).catch(error => error)
+
+      expect(error).toBeInstanceOf(AavePoolRevertError)
+
+      expect(error).toMatchObject({ code: 'ASSET_NOT_BORROWABLE_IN_ISOLATION', revertCode: '59' })
+    })
+
+    test.each([
+      "UserOperation reverted during simulation with reason: AA21 didn't pay prefund",
+      'transaction reverted at block 12 (hash 0xabc)',
+      'execution reverted: "50 tokens max"'
+    ])("should not decode an error code from the message '%s'", async message => {
+      const revertError = new Error(message)
+
+      account.quoteSendTransaction = jest.fn()
+        .mockRejectedValueOnce(revertError)
+
+      await expect(protocol.quoteSupply({ token: TOKEN, amount: 100_000 }))
+        .rejects.toBe(revertError)
+    })
+
+    test("should not decode the error code of a transaction that isn't sent to the pool", async () => {
+      const revertError = Object.assign(new Error('execution reverted: "50"'), { code: 'CALL_EXCEPTION', reason: '50' })
+
+      allowanceMock.mockResolvedValueOnce(0n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockRejectedValueOnce(revertError)
+
+      await expect(protocol.supply({ token: TOKEN, amount: 100_000 }))
+        .rejects.toBe(revertError)
+
+      expect(account.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({ to: TOKEN }))
+    })
+
+    test("should rethrow the original error if the transaction didn't revert with an aave error code", async () => {
+      const networkError = new Error('network error')
+
+      account.getTokenBalance = jest.fn().mockResolvedValueOnce(100_000n)
+
+      account.sendTransaction = jest.fn()
+        .mockRejectedValueOnce(networkError)
+
+      await expect(protocol.supply({ token: TOKEN, amount: 100_000 }))
+        .rejects.toBe(networkError)
     })
   })
 })
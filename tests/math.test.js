@@ -0,0 +1,116 @@
+import { describe, expect, test } from '@jest/globals'
+
+import { MaxUint256 } from 'ethers'
+
+import {
+  aprToApy,
+  bpsToPercent,
+  formatHealthFactor,
+  percentToBps,
+  RAY,
+  rayDiv,
+  rayMul,
+  rayPow,
+  rayToWad,
+  WAD,
+  wadMul,
+  wadToRay
+} from '../src/math.js'
+
+describe('math', () => {
+  describe('rayMul', () => {
+    test('should multiply two ray values, rounding half up', () => {
+      expect(rayMul(3n * RAY, RAY / 2n)).toBe(3n * RAY / 2n)
+
+      expect(rayMul(1n, RAY / 2n)).toBe(1n)
+
+      expect(rayMul(1n, RAY / 2n - 1n)).toBe(0n)
+    })
+  })
+
+  describe('rayDiv', () => {
+    test('should divide a value by a ray value, rounding half up', () => {
+      expect(rayDiv(3n * RAY, 2n * RAY)).toBe(3n * RAY / 2n)
+
+      expect(rayDiv(2n, 3n)).toBe(666_666_666_666_666_666_666_666_667n)
+    })
+  })
+
+  describe('rayPow', () => {
+    test('should raise a ray value to an integer power', () => {
+      expect(rayPow(2n * RAY, 10n)).toBe(1_024n * RAY)
+
+      expect(rayPow(3n * RAY / 2n, 3n)).toBe(3_375n * RAY / 1_000n)
+
+      expect(rayPow(5n * RAY, 0n)).toBe(RAY)
+    })
+  })
+
+  describe('wadMul', () => {
+    test('should multiply two wad values, rounding half up', () => {
+      expect(wadMul(3n * WAD, WAD / 2n)).toBe(3n * WAD / 2n)
+    })
+  })
+
+  describe('wadToRay', () => {
+    test('should convert a wad value to a ray value', () => {
+      expect(wadToRay(15n * 10n ** 17n)).toBe(15n * 10n ** 26n)
+    })
+  })
+
+  describe('rayToWad', () => {
+    test('should convert a ray value to a wad value, rounding half up', () => {
+      expect(rayToWad(15n * 10n ** 26n)).toBe(15n * 10n ** 17n)
+
+      expect(rayToWad(500_000_000n)).toBe(1n)
+
+      expect(rayToWad(499_999_999n)).toBe(0n)
+    })
+  })
+
+  describe('aprToApy', () => {
+    test('should compound the rate every second over a year', () => {
+      const apy = aprToApy(5n * 10n ** 25n)
+
+      expect(Number(apy) / Number(RAY)).toBeCloseTo(Math.exp(0.05) - 1, 6)
+    })
+
+    test('should return zero for a zero rate', () => {
+      expect(aprToApy(0n)).toBe(0n)
+    })
+  })
+
+  describe('formatHealthFactor', () => {
+    test('should format the health factor with two decimals', () => {
+      expect(formatHealthFactor(1_236_000_000_000_000_000n)).toBe('1.23')
+
+      expect(formatHealthFactor(2n * WAD)).toBe('2.00')
+    })
+
+    test('should format the health factor with the given number of decimals', () => {
+      expect(formatHealthFactor(1_050_000_000_000_000_000n, 4)).toBe('1.0500')
+
+      expect(formatHealthFactor(1_999_999_999_999_999_999n, 0)).toBe('1')
+    })
+
+    test("should return 'infinite' if the account has no debt", () => {
+      expect(formatHealthFactor(MaxUint256)).toBe('infinite')
+    })
+  })
+
+  describe('bpsToPercent', () => {
+    test('should convert basis points to a percentage', () => {
+      expect(bpsToPercent(8_250n)).toBe(82.5)
+
+      expect(bpsToPercent(10_000)).toBe(100)
+    })
+  })
+
+  describe('percentToBps', () => {
+    test('should convert a percentage to basis points', () => {
+      expect(percentToBps(82.5)).toBe(8_250n)
+
+      expect(percentToBps(0.015)).toBe(2n)
+    })
+  })
+})
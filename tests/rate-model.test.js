@@ -0,0 +1,204 @@
+import { describe, expect, test } from '@jest/globals'
+
+import { AaveReserveError, AaveValidationError } from '../src/errors.js'
+import { calculateCompoundedInterest, RAY, rayMul } from '../src/math.js'
+import {
+  calculateInterestRates,
+  calculateInterestRatesAtUsage,
+  calculateTotalDebt,
+  getInterestRateCurve,
+  getReserveLiquidity,
+  projectInterestRates
+} from '../src/rate-model.js'
+
+const TIMESTAMP = 1_700_000_000
+
+const RESERVE = {
+  baseVariableBorrowRate: 0n,
+  variableRateSlope1: 4n * 10n ** 25n,
+  variableRateSlope2: 60n * 10n ** 25n,
+  optimalUsageRatio: 80n * 10n ** 25n,
+  reserveFactor: 1_000n,
+  variableBorrowIndex: RAY,
+  variableBorrowRate: 25n * 10n ** 24n,
+  lastUpdateTimestamp: TIMESTAMP,
+  totalScaledVariableDebt: 5_000_000_000n,
+  availableLiquidity: 5_000_000_000n,
+  virtualAccActive: false,
+  virtualUnderlyingBalance: 0n,
+  unbacked: 0n
+}
+
+describe('rate model', () => {
+  describe('calculateTotalDebt', () => {
+    test("should return the reserve's debt at its last update", () => {
+      expect(calculateTotalDebt(RESERVE, TIMESTAMP)).toBe(5_000_000_000n)
+    })
+
+    test('should include the interests accrued since the last update', () => {
+      const timestamp = TIMESTAMP + 86_400
+
+      const interest = calculateCompoundedInterest(RESERVE.variableBorrowRate, BigInt(TIMESTAMP), BigInt(timestamp))
+
+      expect(calculateTotalDebt(RESERVE, timestamp)).toBe(rayMul(5_000_000_000n, interest))
+
+      expect(calculateTotalDebt(RESERVE, timestamp)).toBeGreaterThan(5_000_000_000n)
+    })
+  })
+
+  describe('getReserveLiquidity', () => {
+    test("should return the reserve's debt, available liquidity and unbacked a-tokens", () => {
+      expect(getReserveLiquidity({ ...RESERVE, unbacked: 1_000n }, TIMESTAMP)).toEqual({
+        totalDebt: 5_000_000_000n,
+        availableLiquidity: 5_000_000_000n,
+        unbacked: 1_000n
+      })
+    })
+
+    test('should use the virtual underlying balance if the virtual accounting is active', () => {
+      const reserve = { ...RESERVE, virtualAccActive: true, virtualUnderlyingBalance: 4_000_000_000n }
+
+      expect(getReserveLiquidity(reserve, TIMESTAMP).availableLiquidity).toBe(4_000_000_000n)
+    })
+  })
+
+  describe('calculateInterestRates', () => {
+    test('should compute the rates below the optimal usage ratio', () => {
+      const rates = calculateInterestRates(RESERVE, getReserveLiquidity(RESERVE, TIMESTAMP))
+
+      expect(rates).toEqual({
+        borrowUsageRatio: 50n * 10n ** 25n,
+        supplyUsageRatio: 50n * 10n ** 25n,
+        variableBorrowRate: 25n * 10n ** 24n,
+        liquidityRate: 1_125n * 10n ** 22n
+      })
+    })
+
+    test('should compute the rates above the optimal usage ratio', () => {
+      const rates = calculateInterestRates(RESERVE, { totalDebt: 9_000_000_000n, availableLiquidity: 1_000_000_000n, unbacked: 0n })
+
+      expect(rates.borrowUsageRatio).toBe(90n * 10n ** 25n)
+
+      expect(rates.variableBorrowRate).toBe(34n * 10n ** 25n)
+
+      expect(rates.liquidityRate).toBe(2_754n * 10n ** 23n)
+    })
+
+    test('should return the base rate if the reserve has no debt', () => {
+      const rates = calculateInterestRates({ ...RESERVE, baseVariableBorrowRate: 10n ** 25n }, {
+        totalDebt: 0n,
+        availableLiquidity: 1_000_000_000n,
+        unbacked: 0n
+      })
+
+      expect(rates).toEqual({
+        borrowUsageRatio: 0n,
+        supplyUsageRatio: 0n,
+        variableBorrowRate: 10n ** 25n,
+        liquidityRate: 0n
+      })
+    })
+
+    test('should include the unbacked a-tokens in the supply usage ratio', () => {
+      const rates = calculateInterestRates(RESERVE, { totalDebt: 5_000_000_000n, availableLiquidity: 5_000_000_000n, unbacked: 10_000_000_000n })
+
+      expect(rates.borrowUsageRatio).toBe(50n * 10n ** 25n)
+
+      expect(rates.supplyUsageRatio).toBe(25n * 10n ** 25n)
+    })
+  })
+
+  describe('calculateInterestRatesAtUsage', () => {
+    test('should compute the rates at the given usage ratio', () => {
+      expect(calculateInterestRatesAtUsage(RESERVE, 80n * 10n ** 25n)).toEqual({
+        usageRatio: 80n * 10n ** 25n,
+        variableBorrowRate: 4n * 10n ** 25n,
+        liquidityRate: 288n * 10n ** 23n
+      })
+
+      expect(calculateInterestRatesAtUsage(RESERVE, RAY).variableBorrowRate).toBe(64n * 10n ** 25n)
+    })
+
+    test("should throw if 'usageRatio' is not between 0 and 1 ray", () => {
+      expect(() => calculateInterestRatesAtUsage(RESERVE, RAY + 1n))
+        .toThrow("'usageRatio' must be between 0 and 1 ray.")
+    })
+  })
+
+  describe('getInterestRateCurve', () => {
+    test('should return the rates for each percent of usage', () => {
+      const curve = getInterestRateCurve(RESERVE)
+
+      expect(curve).toHaveLength(101)
+
+      expect(curve[0]).toEqual({ usageRatio: 0n, variableBorrowRate: 0n, liquidityRate: 0n })
+
+      expect(curve[80]).toEqual(calculateInterestRatesAtUsage(RESERVE, 80n * 10n ** 25n))
+
+      expect(curve[100]).toEqual(calculateInterestRatesAtUsage(RESERVE, RAY))
+    })
+
+    test('should include the optimal usage ratio', () => {
+      const curve = getInterestRateCurve(RESERVE, 3)
+
+      expect(curve.map(({ usageRatio }) => usageRatio)).toEqual([0n, 50n * 10n ** 25n, 80n * 10n ** 25n, RAY])
+    })
+
+    test("should throw if 'points' is less than 2", () => {
+      expect(() => getInterestRateCurve(RESERVE, 1))
+        .toThrow(AaveValidationError)
+    })
+  })
+
+  describe('projectInterestRates', () => {
+    test('should project the rates after a borrow', () => {
+      const { current, projected } = projectInterestRates(RESERVE, { action: 'borrow', amount: 3_000_000_000n }, TIMESTAMP)
+
+      expect(current.variableBorrowRate).toBe(25n * 10n ** 24n)
+
+      expect(projected).toEqual({
+        borrowUsageRatio: 80n * 10n ** 25n,
+        supplyUsageRatio: 80n * 10n ** 25n,
+        variableBorrowRate: 4n * 10n ** 25n,
+        liquidityRate: 288n * 10n ** 23n
+      })
+    })
+
+    test('should project the rates after a supply', () => {
+      const { projected } = projectInterestRates(RESERVE, { action: 'supply', amount: 15_000_000_000n }, TIMESTAMP)
+
+      expect(projected.borrowUsageRatio).toBe(20n * 10n ** 25n)
+
+      expect(projected.variableBorrowRate).toBe(10n ** 25n)
+    })
+
+    test('should project the rates after a repay of more than the reserve debt', () => {
+      const { projected } = projectInterestRates(RESERVE, { action: 'repay', amount: 6_000_000_000n }, TIMESTAMP)
+
+      expect(projected.borrowUsageRatio).toBe(0n)
+
+      expect(projected.variableBorrowRate).toBe(0n)
+    })
+
+    test('should project the rates after a withdraw', () => {
+      const { projected } = projectInterestRates(RESERVE, { action: 'withdraw', amount: 2_500_000_000n }, TIMESTAMP)
+
+      expect(projected.borrowUsageRatio).toBe(666_666_666_666_666_666_666_666_667n)
+    })
+
+    test("should throw if the amount exceeds the reserve's available liquidity", () => {
+      expect(() => projectInterestRates(RESERVE, { action: 'borrow', amount: 5_000_000_001n }, TIMESTAMP))
+        .toThrow(AaveReserveError)
+    })
+
+    test("should throw if 'action' is not a valid action", () => {
+      expect(() => projectInterestRates(RESERVE, { action: 'stake', amount: 1n }, TIMESTAMP))
+        .toThrow("'action' must be one of: 'supply', 'withdraw', 'borrow', 'repay'.")
+    })
+
+    test("should throw if 'amount' is less of equal to zero", () => {
+      expect(() => projectInterestRates(RESERVE, { action: 'supply', amount: 0 }, TIMESTAMP))
+        .toThrow("'amount' should be greater than zero.")
+    })
+  })
+})
@@ -8,4 +8,49 @@ export type WithdrawOptions = import("@tetherto/wdk-wallet/protocols").WithdrawO
 export type WithdrawResult = import("@tetherto/wdk-wallet/protocols").WithdrawResult;
 export type RepayOptions = import("@tetherto/wdk-wallet/protocols").RepayOptions;
 export type RepayResult = import("@tetherto/wdk-wallet/protocols").RepayResult;
+export type AaveMarket = import("./src/aave-protocol-evm.js").AaveMarket;
+export type AaveMarketAddresses = import("./src/aave-protocol-evm.js").AaveMarketAddresses;
+export type AaveProtocolConfig = import("./src/aave-protocol-evm.js").AaveProtocolConfig;
 export type AccountData = import("./src/aave-protocol-evm.js").AccountData;
+export type AccountSummary = import("./src/aave-protocol-evm.js").AccountSummary;
+export type ApprovalOptions = import("./src/aave-protocol-evm.js").ApprovalOptions;
+export type ApprovalResult = import("./src/aave-protocol-evm.js").ApprovalResult;
+export type BaseCurrencyInfo = import("./src/aave-protocol-evm.js").BaseCurrencyInfo;
+export type BorrowAllowanceOptions = import("./src/aave-protocol-evm.js").BorrowAllowanceOptions;
+export type ClaimAllRewardsOptions = import("./src/aave-protocol-evm.js").ClaimAllRewardsOptions;
+export type ClaimRewardsOptions = import("./src/aave-protocol-evm.js").ClaimRewardsOptions;
+export type ClosePositionResult = import("./src/aave-protocol-evm.js").ClosePositionResult;
+export type CreditDelegationResult = import("./src/aave-protocol-evm.js").CreditDelegationResult;
+export type DecimalAmountOptions = import("./src/aave-protocol-evm.js").DecimalAmountOptions;
+export type DelegationOptions = import("./src/aave-protocol-evm.js").DelegationOptions;
+export type EModeCategory = import("./src/aave-protocol-evm.js").EModeCategory;
+export type FaucetMintOptions = import("./src/aave-protocol-evm.js").FaucetMintOptions;
+export type FlashLoanOptions = import("./src/aave-protocol-evm.js").FlashLoanOptions;
+export type FlashLoanSimpleOptions = import("./src/aave-protocol-evm.js").FlashLoanSimpleOptions;
+export type IsolationStatus = import("./src/aave-protocol-evm.js").IsolationStatus;
+export type LiquidatablePosition = import("./src/aave-protocol-evm.js").LiquidatablePosition;
+export type LiquidatablePositionsResult = import("./src/aave-protocol-evm.js").LiquidatablePositionsResult;
+export type LiquidationOpportunity = import("./src/aave-protocol-evm.js").LiquidationOpportunity;
+export type LiquidationOptions = import("./src/aave-protocol-evm.js").LiquidationOptions;
+export type LiquidationScanFailure = import("./src/aave-protocol-evm.js").LiquidationScanFailure;
+export type MaxAmountOptions = import("./src/aave-protocol-evm.js").MaxAmountOptions;
+export type PermitOptions = import("./src/aave-protocol-evm.js").PermitOptions;
+export type RegisteredMarket = import("./src/aave-protocol-evm.js").RegisteredMarket;
+export type Reserve = import("./src/aave-protocol-evm.js").Reserve;
+export type ReservesData = import("./src/aave-protocol-evm.js").ReservesData;
+export type SignedDelegation = import("./src/aave-protocol-evm.js").SignedDelegation;
+export type SimulationOptions = import("./src/aave-protocol-evm.js").SimulationOptions;
+export type UserEMode = import("./src/aave-protocol-evm.js").UserEMode;
+export type UserPosition = import("./src/aave-protocol-evm.js").UserPosition;
+export type UserPositions = import("./src/aave-protocol-evm.js").UserPositions;
+export type UserReward = import("./src/aave-protocol-evm.js").UserReward;
+export type ValidationOptions = import("./src/aave-protocol-evm.js").ValidationOptions;
+export type ValidationResult = import("./src/aave-protocol-evm.js").ValidationResult;
+export type InterestRatePoint = import("./src/rate-model.js").InterestRatePoint;
+export type InterestRateProjection = import("./src/rate-model.js").InterestRateProjection;
+export type InterestRateProjectionOptions = import("./src/rate-model.js").InterestRateProjectionOptions;
+export type InterestRates = import("./src/rate-model.js").InterestRates;
+export type ReserveLiquidity = import("./src/rate-model.js").ReserveLiquidity;
+export { AaveError, AavePoolRevertError, AaveReserveError, AaveValidationError } from "./src/errors.js";
+export { calculateInterestRates, calculateInterestRatesAtUsage, calculateTotalDebt, getInterestRateCurve, getReserveLiquidity, projectInterestRates } from "./src/rate-model.js";
+export { aprToApy, bpsToPercent, calculateCompoundedInterest, calculateLinearInterest, formatHealthFactor, PERCENTAGE_FACTOR, percentDiv, percentMul, percentToBps, RAY, rayDiv, rayMul, rayPow, rayToWad, SECONDS_PER_YEAR, WAD, wadDiv, wadMul, wadToRay } from "./src/math.js";
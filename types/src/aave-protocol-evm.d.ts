@@ -1,196 +1,1721 @@
 export default class AaveProtocolEvm extends LendingProtocol {
+    /**
+     * Returns the built-in aave v3 markets, e.g. to let the user pick the 'market' option of the protocol's configuration.
+     *
+     * The first market of each blockchain is its default (core) market.
+     *
+     * @param {number | bigint} [chainId] - If set, only returns the markets of the given blockchain.
+     * @returns {AaveMarket[]} The markets.
+     */
+    static getMarkets(chainId?: number | bigint): AaveMarket[];
     /**
      * Creates a new read-only interface to the aave protocol for evm blockchains.
      *
      * @overload
      * @param {WalletAccountReadOnlyEvm | WalletAccountReadOnlyEvmErc4337} account - The wallet account to use to interact with the protocol.
+     * @param {AaveProtocolConfig} [config] - The aave protocol configuration.
      */
-    constructor(account: WalletAccountReadOnlyEvm | WalletAccountReadOnlyEvmErc4337);
+    constructor(account: WalletAccountReadOnlyEvm | WalletAccountReadOnlyEvmErc4337, config?: AaveProtocolConfig);
     /**
      * Creates a new interface to the aave protocol for evm blockchains.
      *
      * @overload
      * @param {WalletAccountEvm | WalletAccountEvmErc4337} account - The wallet account to use to interact with the protocol.
+     * @param {AaveProtocolConfig} [config] - The aave protocol configuration.
      */
-    constructor(account: WalletAccountEvm | WalletAccountEvmErc4337);
+    constructor(account: WalletAccountEvm | WalletAccountEvmErc4337, config?: AaveProtocolConfig);
+    /** @private */
+    private _config;
     /** @private */
     private _chainId;
     /** @private */
     private _addressMap;
     /** @private */
+    private _testnet;
+    /** @private */
     private _poolContract;
     /** @private */
     private _uiPoolDataProviderContract;
     /** @private */
+    private _wrappedTokenGatewayContract;
+    /** @private */
+    private _wrappedNativeToken;
+    /** @private */
+    private _rewardsControllerContract;
+    /** @private */
+    private _faucetContract;
+    /** @private */
+    private _multicallContract;
+    /** @private */
+    private _reserveIds;
+    /** @private */
     private _provider;
     /**
      * Supplies a specific token amount to the lending pool.
-     * 
-     * Users must first approve the necessary amount of tokens to the aave protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
      *
-     * @param {SupplyOptions} options - The supply's options.
+     * If the aave protocol is not allowed to spend enough of the account's tokens yet, an approval is sent first and awaited
+     * (or, with an erc-4337 account, bundled in the same user operation).
+     *
+     * @param {Omit<SupplyOptions, 'amount'> & DecimalAmountOptions & ApprovalOptions} options - The supply's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
-     * @returns {Promise<SupplyResult>} The supply's result.
+     * @returns {Promise<SupplyResult & ApprovalResult>} The supply's result.
      */
-    supply(options: SupplyOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<SupplyResult>;
+    supply({ token, amount, decimals, onBehalfOf, approval }: Omit<SupplyOptions, "amount"> & DecimalAmountOptions & ApprovalOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<SupplyResult & ApprovalResult>;
     /**
      * Quotes the costs of a supply operation.
-     * 
-     * Users must first approve the necessary amount of tokens to the aave protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
      *
-     * @param {SupplyOptions} options - The supply's options.
+     * If the aave protocol is not allowed to spend enough of the account's tokens yet, the costs include the approval.
+     *
+     * @param {Omit<SupplyOptions, 'amount'> & DecimalAmountOptions & ApprovalOptions} options - The supply's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
      * @returns {Promise<Omit<SupplyResult, 'hash'>>} The supply's costs.
      */
-    quoteSupply(options: SupplyOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<SupplyResult, "hash">>;
+    quoteSupply({ token, amount, decimals, onBehalfOf, approval }: Omit<SupplyOptions, "amount"> & DecimalAmountOptions & ApprovalOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<SupplyResult, "hash">>;
     /** @private */
     private _getSupplyTransaction;
     /**
      * Withdraws a specific token amount from the pool.
      *
-     * @param {WithdrawOptions} options - The withdraw's options.
+     * To withdraw all the supplied tokens, including the interests accrued until the transaction is executed, set 'amount' to
+     * the max uint256 value.
+     *
+     * @param {Omit<WithdrawOptions, 'amount'> & DecimalAmountOptions} options - The withdraw's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
      * @returns {Promise<WithdrawResult>} The withdraw's result.
      */
-    withdraw(options: WithdrawOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<WithdrawResult>;
+    withdraw({ token, amount, decimals, to }: Omit<WithdrawOptions, "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<WithdrawResult>;
     /**
      * Quotes the costs of a withdraw operation.
      *
-     * @param {WithdrawOptions} options - The withdraw's options.
+     * @param {Omit<WithdrawOptions, 'amount'> & DecimalAmountOptions} options - The withdraw's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
      * @returns {Promise<Omit<WithdrawResult, 'hash'>>} The withdraw's result.
      */
-    quoteWithdraw(options: WithdrawOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<WithdrawResult, "hash">>;
+    quoteWithdraw({ token, amount, decimals, to }: Omit<WithdrawOptions, "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<WithdrawResult, "hash">>;
     /** @private */
     private _getWithdrawTransaction;
     /**
      * Borrows a specific token amount.
      *
-     * @param {BorrowOptions} options - The borrow's options.
+     * @param {Omit<BorrowOptions, 'amount'> & DecimalAmountOptions} options - The borrow's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
      * @returns {Promise<BorrowResult>} The borrow's result.
      */
-    borrow(options: BorrowOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<BorrowResult>;
+    borrow({ token, amount, decimals, onBehalfOf }: Omit<BorrowOptions, "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<BorrowResult>;
     /**
      * Quotes the costs of a borrow operation.
      *
-     * @param {BorrowOptions} options - The borrow's options.
+     * @param {Omit<BorrowOptions, 'amount'> & DecimalAmountOptions} options - The borrow's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
      * @returns {Promise<Omit<BorrowResult, 'hash'>>} The borrow's result.
      */
-    quoteBorrow(options: BorrowOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<BorrowResult, "hash">>;
+    quoteBorrow({ token, amount, decimals, onBehalfOf }: Omit<BorrowOptions, "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<BorrowResult, "hash">>;
     /** @private */
     private _getBorrowTransaction;
     /**
      * Repays a specific token amount.
-     * 
-     * Users must first approve the necessary amount of tokens to the aave protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
      *
-     * @param {RepayOptions} options - The borrow's options,
+     * If the aave protocol is not allowed to spend enough of the account's tokens yet, an approval is sent first and awaited
+     * (or, with an erc-4337 account, bundled in the same user operation).
+     *
+     * To repay all the account's debt, including the interests accrued until the transaction is executed, set 'amount' to the
+     * max uint256 value. In this case, the account must hold enough tokens to cover its current debt, and an 'exact' approval
+     * approves its whole token balance.
+     *
+     * @param {Omit<RepayOptions, 'amount'> & DecimalAmountOptions & ApprovalOptions} options - The borrow's options,
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
-     * @returns {Promise<RepayResult>} The repay's result.
+     * @returns {Promise<RepayResult & ApprovalResult>} The repay's result.
      */
-    repay(options: RepayOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<RepayResult>;
+    repay({ token, amount, decimals, onBehalfOf, approval }: Omit<RepayOptions, "amount"> & DecimalAmountOptions & ApprovalOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<RepayResult & ApprovalResult>;
     /**
      * Quotes the costs of a repay operation.
-     * 
-     * Users must first approve the necessary amount of tokens to the aave protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
      *
-     * @param {RepayOptions} options - The repay's options.
+     * If the aave protocol is not allowed to spend enough of the account's tokens yet, the costs include the approval.
+     *
+     * @param {Omit<RepayOptions, 'amount'> & DecimalAmountOptions & ApprovalOptions} options - The repay's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
      * @returns {Promise<Omit<RepayResult, 'hash'>>} The repay's costs.
      */
-    quoteRepay(options: RepayOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<RepayResult, "hash">>;
+    quoteRepay({ token, amount, decimals, onBehalfOf, approval }: Omit<RepayOptions, "amount"> & DecimalAmountOptions & ApprovalOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<RepayResult, "hash">>;
     /** @private */
     private _getRepayTransaction;
     /**
-     * Enables/disables a specific token as a collateral for the account's borrow operations.
+     * Supplies a specific token amount to the lending pool, approving the tokens through an eip-2612 permit signed by the account.
      *
-     * @param {string} token - The token's address.
-     * @param {boolean} useAsCollateral - True if the token should be a valid collateral.
+     * Unlike {@link AaveProtocolEvm#supply}, it doesn't require a previous approval, but the token must support eip-2612 permits.
+     * Erc-4337 accounts are not supported, since the permit must be signed by the owner of the tokens.
+     *
+     * @param {Omit<SupplyOptions, 'amount'> & DecimalAmountOptions & PermitOptions} options - The supply's options.
+     * @returns {Promise<SupplyResult>} The supply's result.
+     */
+    supplyWithPermit({ token, amount, decimals, onBehalfOf, deadline }: Omit<SupplyOptions, "amount"> & DecimalAmountOptions & PermitOptions): Promise<SupplyResult>;
+    /**
+     * Quotes the costs of a supply operation approved through an eip-2612 permit.
+     *
+     * Since the permit must be signed to estimate the costs, the protocol must be initialized with a non read-only, non erc-4337 account.
+     *
+     * @param {Omit<SupplyOptions, 'amount'> & DecimalAmountOptions & PermitOptions} options - The supply's options.
+     * @returns {Promise<Omit<SupplyResult, 'hash'>>} The supply's costs.
+     */
+    quoteSupplyWithPermit({ token, amount, decimals, onBehalfOf, deadline }: Omit<SupplyOptions, "amount"> & DecimalAmountOptions & PermitOptions): Promise<Omit<SupplyResult, "hash">>;
+    /** @private */
+    private _getSupplyWithPermitTransaction;
+    /**
+     * Repays a specific token amount, approving the tokens through an eip-2612 permit signed by the account.
+     *
+     * Unlike {@link AaveProtocolEvm#repay}, it doesn't require a previous approval, but the token must support eip-2612 permits.
+     * Erc-4337 accounts are not supported, since the permit must be signed by the owner of the tokens.
+     *
+     * @param {Omit<RepayOptions, 'amount'> & DecimalAmountOptions & PermitOptions} options - The repay's options.
+     * @returns {Promise<RepayResult>} The repay's result.
+     */
+    repayWithPermit({ token, amount, decimals, onBehalfOf, deadline }: Omit<RepayOptions, "amount"> & DecimalAmountOptions & PermitOptions): Promise<RepayResult>;
+    /**
+     * Quotes the costs of a repay operation approved through an eip-2612 permit.
+     *
+     * Since the permit must be signed to estimate the costs, the protocol must be initialized with a non read-only, non erc-4337 account.
+     *
+     * @param {Omit<RepayOptions, 'amount'> & DecimalAmountOptions & PermitOptions} options - The repay's options.
+     * @returns {Promise<Omit<RepayResult, 'hash'>>} The repay's costs.
+     */
+    quoteRepayWithPermit({ token, amount, decimals, onBehalfOf, deadline }: Omit<RepayOptions, "amount"> & DecimalAmountOptions & PermitOptions): Promise<Omit<RepayResult, "hash">>;
+    /** @private */
+    private _getRepayWithPermitTransaction;
+    /**
+     * Repays a specific token amount using the a-tokens of the same reserve held by the account, without moving any token through
+     * its wallet.
+     *
+     * To repay as much debt as possible, set 'amount' to the max uint256 value: the lowest between the account's debt and its
+     * a-token balance will be repaid.
+     *
+     * @param {Pick<RepayOptions, 'token'> & DecimalAmountOptions} options - The repay's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
-     * @returns {Promise<TransactionResult>} The transaction's result.
+     * @returns {Promise<RepayResult>} The repay's result.
      */
-    setUseReserveAsCollateral(token: string, useAsCollateral: boolean, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    repayWithATokens({ token, amount, decimals }: Pick<RepayOptions, "token"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<RepayResult>;
     /**
-     * Allows user to use the protocol in efficiency mode.
+     * Quotes the costs of a repay operation with a-tokens.
      *
-     * @param {number} categoryId - The eMode category id defined by Risk or Pool Admins (0 - 255). 'categoryId' set to 0 is a non eMode category.
+     * @param {Pick<RepayOptions, 'token'> & DecimalAmountOptions} options - The repay's options.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
      *   overrides the 'paymasterToken' option defined in its configuration.
-     * @returns {Promise<TransactionResult>} The transaction's result.
+     * @returns {Promise<Omit<RepayResult, 'hash'>>} The repay's costs.
      */
-    setUserEMode(categoryId: number, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    quoteRepayWithATokens({ token, amount, decimals }: Pick<RepayOptions, "token"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<RepayResult, "hash">>;
+    /** @private */
+    private _getRepayWithATokensTransaction;
     /**
-     * Returns this or another account's data.
+     * Supplies a specific amount of native tokens (e.g., eth) to the lending pool.
      *
-     * @param {string} [account] - If set, returns the account's data for the given address.
-     * @returns {Promise<AccountData>} The account's data.
+     * The native tokens are wrapped and supplied by the aave's wrapped token gateway.
+     *
+     * @param {Omit<SupplyOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The supply's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<SupplyResult>} The supply's result.
      */
-    getAccountData(account?: string): Promise<AccountData>;
+    supplyNative({ amount, decimals, onBehalfOf }: Omit<SupplyOptions, "token" | "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<SupplyResult>;
+    /**
+     * Quotes the costs of a native supply operation.
+     *
+     * @param {Omit<SupplyOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The supply's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<SupplyResult, 'hash'>>} The supply's costs.
+     */
+    quoteSupplyNative({ amount, decimals, onBehalfOf }: Omit<SupplyOptions, "token" | "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<SupplyResult, "hash">>;
     /** @private */
-    private _getChainId;
+    private _getSupplyNativeTransaction;
+    /**
+     * Withdraws a specific amount of native tokens (e.g., eth) from the pool.
+     *
+     * The wrapped native tokens are withdrawn and unwrapped by the aave's wrapped token gateway. If the gateway is not allowed to
+     * spend enough of the account's a-tokens yet, an approval is sent first (or, with an erc-4337 account, bundled in the same user operation).
+     *
+     * @param {Omit<WithdrawOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The withdraw's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<WithdrawResult & ApprovalResult>} The withdraw's result.
+     */
+    withdrawNative({ amount, decimals, to }: Omit<WithdrawOptions, "token" | "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<WithdrawResult & ApprovalResult>;
+    /**
+     * Quotes the costs of a native withdraw operation.
+     *
+     * @param {Omit<WithdrawOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The withdraw's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<WithdrawResult, 'hash'>>} The withdraw's costs.
+     */
+    quoteWithdrawNative({ amount, decimals, to }: Omit<WithdrawOptions, "token" | "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<WithdrawResult, "hash">>;
     /** @private */
-    private _getAddressMap;
+    private _getWithdrawNativeTransactions;
+    /**
+     * Borrows a specific amount of native tokens (e.g., eth).
+     *
+     * The wrapped native tokens are borrowed and unwrapped by the aave's wrapped token gateway. If the gateway has not been delegated enough
+     * credit yet, a credit delegation is sent first (or, with an erc-4337 account, bundled in the same user operation).
+     *
+     * @param {DecimalAmountOptions} options - The borrow's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<BorrowResult & CreditDelegationResult>} The borrow's result.
+     */
+    borrowNative({ amount, decimals }: DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<BorrowResult & CreditDelegationResult>;
+    /**
+     * Quotes the costs of a native borrow operation.
+     *
+     * @param {DecimalAmountOptions} options - The borrow's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<BorrowResult, 'hash'>>} The borrow's costs.
+     */
+    quoteBorrowNative({ amount, decimals }: DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<BorrowResult, "hash">>;
     /** @private */
-    private _getPoolContract;
+    private _getBorrowNativeTransactions;
+    /**
+     * Repays a specific amount of native tokens (e.g., eth).
+     *
+     * The native tokens are wrapped and repaid by the aave's wrapped token gateway. Any amount exceeding the debt is sent back to the account.
+     *
+     * @param {Omit<RepayOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The repay's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<RepayResult>} The repay's result.
+     */
+    repayNative({ amount, decimals, onBehalfOf }: Omit<RepayOptions, "token" | "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<RepayResult>;
+    /**
+     * Quotes the costs of a native repay operation.
+     *
+     * @param {Omit<RepayOptions, 'token' | 'amount'> & DecimalAmountOptions} options - The repay's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<RepayResult, 'hash'>>} The repay's costs.
+     */
+    quoteRepayNative({ amount, decimals, onBehalfOf }: Omit<RepayOptions, "token" | "amount"> & DecimalAmountOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<RepayResult, "hash">>;
     /** @private */
-    private _getUiPoolDataProviderContract;
+    private _getRepayNativeTransaction;
+    /**
+     * Closes the account's position: repays all its variable debts and then withdraws all its supplied tokens to the account.
+     *
+     * The account must hold enough tokens to repay all its debts. If the aave protocol is not allowed to spend them yet, the
+     * approvals are sent first. With an erc-4337 account, all the transactions are bundled in the same user operation; otherwise,
+     * they are sent one after the other, and each transaction is awaited before sending the next one.
+     *
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<ClosePositionResult>} The result of the last transaction, with the total fee.
+     */
+    closePosition(config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<ClosePositionResult>;
+    /**
+     * Flash-borrows a specific token amount: the tokens are sent to the receiver contract, which must pay them back, plus the flash
+     * loan premium (see {@link AaveProtocolEvm#getFlashLoanPremium}), within the same transaction.
+     *
+     * @param {FlashLoanSimpleOptions} options - The flash loan's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The flash loan's result.
+     */
+    flashLoanSimple({ receiver, token, amount, decimals, params }: FlashLoanSimpleOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    /**
+     * Quotes the costs of a simple flash loan.
+     *
+     * @param {FlashLoanSimpleOptions} options - The flash loan's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<TransactionResult, 'hash'>>} The flash loan's costs.
+     */
+    quoteFlashLoanSimple({ receiver, token, amount, decimals, params }: FlashLoanSimpleOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<TransactionResult, "hash">>;
     /** @private */
-    private _getTokenReserve;
+    private _getFlashLoanSimpleTransaction;
+    /**
+     * Flash-borrows several tokens at once. The tokens borrowed with the interest rate mode 0 must be paid back, plus the flash loan premium
+     * (see {@link AaveProtocolEvm#getFlashLoanPremium}), within the same transaction; the ones borrowed with the interest rate mode 2 are
+     * kept as a variable rate debt of 'onBehalfOf', without premium.
+     *
+     * @param {FlashLoanOptions} options - The flash loan's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The flash loan's result.
+     */
+    flashLoan({ receiver, tokens, amounts, decimals, interestRateModes, onBehalfOf, params }: FlashLoanOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    /**
+     * Quotes the costs of a flash loan.
+     *
+     * @param {FlashLoanOptions} options - The flash loan's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<TransactionResult, 'hash'>>} The flash loan's costs.
+     */
+    quoteFlashLoan({ receiver, tokens, amounts, decimals, interestRateModes, onBehalfOf, params }: FlashLoanOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<TransactionResult, "hash">>;
     /** @private */
-    private _getApproveTransaction;
+    private _getFlashLoanTransaction;
+    /**
+     * Returns the premium of the flash loans, in basis points (e.g., 5n = 0.05%). The fee of a flash loan is 'amount * premium / 10_000'.
+     *
+     * @returns {Promise<bigint>} The flash loan premium.
+     */
+    getFlashLoanPremium(): Promise<bigint>;
+    /**
+     * Delegates the account's borrowing power for a specific token, allowing the delegatee to borrow up to 'amount' tokens on behalf of
+     * the account (see the 'onBehalfOf' option of {@link AaveProtocolEvm#borrow}). The debt is charged to the account.
+     *
+     * @param {DelegationOptions} options - The delegation's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The delegation's result.
+     */
+    approveDelegation({ token, delegatee, amount, decimals }: DelegationOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    /**
+     * Quotes the costs of a credit delegation.
+     *
+     * @param {DelegationOptions} options - The delegation's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<TransactionResult, 'hash'>>} The delegation's costs.
+     */
+    quoteApproveDelegation({ token, delegatee, amount, decimals }: DelegationOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<TransactionResult, "hash">>;
     /** @private */
-    private _assertTokenBalance;
+    private _getApproveDelegationTransaction;
+    /**
+     * Returns the amount of a specific token that the delegatee can still borrow on behalf of the delegator.
+     *
+     * @param {BorrowAllowanceOptions} options - The options.
+     * @returns {Promise<bigint>} The borrow allowance (in base unit).
+     */
+    getBorrowAllowance({ token, delegator, delegatee }: BorrowAllowanceOptions): Promise<bigint>;
+    /**
+     * Signs a credit delegation, so that it can be submitted by anyone (usually the delegatee) through
+     * {@link AaveProtocolEvm#delegationWithSig}, without the account sending a transaction.
+     *
+     * Erc-4337 accounts are not supported, since the delegation must be signed by the owner of the borrowing power.
+     *
+     * @param {DelegationOptions & PermitOptions} options - The delegation's options.
+     * @returns {Promise<SignedDelegation>} The signed delegation.
+     */
+    signDelegation({ token, delegatee, amount, decimals, deadline }: DelegationOptions & PermitOptions): Promise<SignedDelegation>;
+    /**
+     * Submits a credit delegation signed by the delegator through {@link AaveProtocolEvm#signDelegation}.
+     *
+     * @param {SignedDelegation} delegation - The signed delegation.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The delegation's result.
+     */
+    delegationWithSig(delegation: SignedDelegation, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    /**
+     * Quotes the costs of the submission of a signed credit delegation.
+     *
+     * @param {SignedDelegation} delegation - The signed delegation.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<TransactionResult, 'hash'>>} The delegation's costs.
+     */
+    quoteDelegationWithSig(delegation: SignedDelegation, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<TransactionResult, "hash">>;
     /** @private */
-    private _assertTokenReserveStatus;
-}
-export type TransactionResult = import("@tetherto/wdk-wallet").TransactionResult;
-export type BorrowOptions = import("@tetherto/wdk-wallet/protocols").BorrowOptions;
-export type BorrowResult = import("@tetherto/wdk-wallet/protocols").BorrowResult;
-export type SupplyOptions = import("@tetherto/wdk-wallet/protocols").SupplyOptions;
-export type SupplyResult = import("@tetherto/wdk-wallet/protocols").SupplyResult;
-export type WithdrawOptions = import("@tetherto/wdk-wallet/protocols").WithdrawOptions;
-export type WithdrawResult = import("@tetherto/wdk-wallet/protocols").WithdrawResult;
-export type RepayOptions = import("@tetherto/wdk-wallet/protocols").RepayOptions;
-export type RepayResult = import("@tetherto/wdk-wallet/protocols").RepayResult;
-export type WalletAccountReadOnlyEvm = import("@tetherto/wdk-wallet-evm").WalletAccountReadOnlyEvm;
-export type EvmErc4337WalletConfig = import("@tetherto/wdk-wallet-evm-erc-4337").EvmErc4337WalletConfig;
-export type AccountData = {
+    private _getDelegationWithSigTransaction;
     /**
-     * - The account's total collateral base.
+     * Mints a specific token amount from the faucet of a testnet market, e.g. to fund a test account with the market's reserve tokens.
+     *
+     * @param {FaucetMintOptions} options - The mint's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The mint's result.
      */
-    totalCollateralBase: bigint;
+    mintFromFaucet({ token, amount, decimals, to }: FaucetMintOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
     /**
-     * - The account's total debt base.
+     * Quotes the costs of a mint from the faucet of a testnet market.
+     *
+     * @param {FaucetMintOptions} options - The mint's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<TransactionResult, 'hash'>>} The mint's costs.
      */
-    totalDebtBase: bigint;
+    quoteMintFromFaucet({ token, amount, decimals, to }: FaucetMintOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<TransactionResult, "hash">>;
+    /** @private */
+    private _getMintFromFaucetTransaction;
     /**
-     * - The account's available borrowing base.
+     * Returns the liquidity mining rewards of this or another account, for each reward token with unclaimed rewards. The rewards of the
+     * a-tokens and variable debt tokens of all the market's reserves are included.
+     *
+     * @param {string} [account] - If set, returns the rewards of the given address.
+     * @returns {Promise<UserReward[]>} The account's rewards.
      */
-    availableBorrowsBase: bigint;
+    getUserRewards(account?: string): Promise<UserReward[]>;
     /**
-     * - The account's current liquidation threshold.
+     * Claims the liquidity mining rewards of the account for a specific reward token.
+     *
+     * @param {ClaimRewardsOptions} options - The claim's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The claim's result.
      */
-    currentLiquidationThreshold: bigint;
+    claimRewards({ assets, reward, amount, to }: ClaimRewardsOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
     /**
-     * - The account's loan-to-value.
+     * Quotes the costs of a claim of the liquidity mining rewards for a specific reward token.
+     *
+     * @param {ClaimRewardsOptions} options - The claim's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<TransactionResult, 'hash'>>} The claim's costs.
      */
-    ltv: bigint;
+    quoteClaimRewards({ assets, reward, amount, to }: ClaimRewardsOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<TransactionResult, "hash">>;
+    /** @private */
+    private _getClaimRewardsTransaction;
     /**
-     * - The account's health factor.
+     * Claims all the liquidity mining rewards of the account, for every reward token.
+     *
+     * @param {ClaimAllRewardsOptions} [options] - The claim's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The claim's result.
      */
-    healthFactor: bigint;
+    claimAllRewards({ assets, to }?: ClaimAllRewardsOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    /**
+     * Quotes the costs of a claim of all the liquidity mining rewards.
+     *
+     * @param {ClaimAllRewardsOptions} [options] - The claim's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<TransactionResult, 'hash'>>} The claim's costs.
+     */
+    quoteClaimAllRewards({ assets, to }?: ClaimAllRewardsOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<TransactionResult, "hash">>;
+    /** @private */
+    private _getClaimAllRewardsTransaction;
+    /**
+     * Liquidates an account whose health factor is below 1: repays part of its debt and seizes the same value of its collateral, plus the
+     * liquidation bonus (see {@link AaveProtocolEvm#findLiquidatablePositions}).
+     *
+     * If the aave protocol is not allowed to spend enough of the account's debt tokens yet, an approval is sent first and awaited
+     * (or, with an erc-4337 account, bundled in the same user operation). If 'debtToCover' is the max uint256 value, an 'exact'
+     * approval approves the account's whole debt token balance.
+     *
+     * @param {LiquidationOptions & ApprovalOptions} options - The liquidation's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult & ApprovalResult>} The liquidation's result.
+     */
+    liquidate({ collateralToken, debtToken, user, debtToCover, decimals, receiveAToken, approval }: LiquidationOptions & ApprovalOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult & ApprovalResult>;
+    /**
+     * Quotes the costs of a liquidation, to weigh them against its bonus (see {@link AaveProtocolEvm#findLiquidatablePositions}).
+     *
+     * If the aave protocol is not allowed to spend enough of the account's tokens yet, the costs include the approval.
+     *
+     * @param {LiquidationOptions & ApprovalOptions} options - The liquidation's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<Omit<TransactionResult, 'hash'>>} The liquidation's costs.
+     */
+    quoteLiquidate({ collateralToken, debtToken, user, debtToCover, decimals, receiveAToken, approval }: LiquidationOptions & ApprovalOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<TransactionResult, "hash">>;
+    /** @private */
+    private _getLiquidationTransaction;
+    /**
+     * Returns the accounts, among the given ones, whose health factor is below 1, with the debt each of their collateral and debt pairs
+     * allows to cover (according to the close factor) and the collateral it would seize.
+     *
+     * The accounts' data is read in batches through the multicall3 contract. The accounts whose data couldn't be read are returned
+     * as failures, instead of failing the whole scan.
+     *
+     * @param {string[]} addresses - The addresses of the accounts (e.g., the market's borrowers).
+     * @returns {Promise<LiquidatablePositionsResult>} The liquidatable positions and the accounts that couldn't be checked.
+     */
+    findLiquidatablePositions(addresses: string[]): Promise<LiquidatablePositionsResult>;
+    /**
+     * Enables/disables a specific token as a collateral for the account's borrow operations.
+     *
+     * An isolated asset (i.e., a reserve with a debt ceiling) can only be enabled as the account's only collateral, and no other
+     * collateral can be enabled while the account is in isolation mode (see {@link AaveProtocolEvm#getIsolationStatus}).
+     *
+     * @param {string} token - The token's address or its reserve's symbol.
+     * @param {boolean} useAsCollateral - True if the token should be a valid collateral.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The transaction's result.
+     */
+    setUseReserveAsCollateral(token: string, useAsCollateral: boolean, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    /**
+     * Allows user to use the protocol in efficiency mode.
+     *
+     * The category must exist, all the tokens currently borrowed by the account must be borrowable in it, and the account's health
+     * factor must stay above 1 with the category's risk parameters (see {@link AaveProtocolEvm#getEModeCategories}).
+     *
+     * @param {number} categoryId - The eMode category id defined by Risk or Pool Admins (0 - 255). 'categoryId' set to 0 is a non eMode category.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337 wallet account,
+     *   overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<TransactionResult>} The transaction's result.
+     */
+    setUserEMode(categoryId: number, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<TransactionResult>;
+    /**
+     * Returns this or another account's isolation mode and siloed borrowing status, i.e., the restrictions on the tokens it can borrow.
+     *
+     * @param {string} [account] - If set, returns the status of the given address.
+     * @returns {Promise<IsolationStatus>} The account's isolation status.
+     */
+    getIsolationStatus(account?: string): Promise<IsolationStatus>;
+    /**
+     * Returns the market's eMode categories.
+     *
+     * Since aave v3.2, each category lists the reserves that use its risk parameters as collateral and the reserves that can be borrowed
+     * in it. The other collaterals keep their own risk parameters.
+     *
+     * @returns {Promise<EModeCategory[]>} The eMode categories.
+     */
+    getEModeCategories(): Promise<EModeCategory[]>;
+    /**
+     * Returns this or another account's eMode category.
+     *
+     * @param {string} [account] - If set, returns the eMode category of the given address.
+     * @returns {Promise<UserEMode>} The account's eMode category.
+     */
+    getUserEMode(account?: string): Promise<UserEMode>;
+    /**
+     * Returns this or another account's data.
+     *
+     * @param {string} [account] - If set, returns the account's data for the given address.
+     * @returns {Promise<AccountData>} The account's data.
+     */
+    getAccountData(account?: string): Promise<AccountData>;
+    /**
+     * Returns this or another account's data in a human-readable form: values in usd (whatever the market's base currency is),
+     * ratios in percent and the health factor as a decimal.
+     *
+     * @param {string} [account] - If set, returns the summary of the given address.
+     * @returns {Promise<AccountSummary>} The account's summary.
+     */
+    getAccountSummary(account?: string): Promise<AccountSummary>;
+    /**
+     * Returns this or another account's positions, reserve by reserve.
+     *
+     * @param {string} [account] - If set, returns the positions of the given address.
+     * @returns {Promise<UserPositions>} The account's positions.
+     */
+    getUserPositions(account?: string): Promise<UserPositions>;
+    /**
+     * Runs the checks made before an operation (reserve status, supply and borrow caps, available liquidity and, for borrows, isolation
+     * mode and siloed borrowing) without sending any transaction, e.g., to validate a form's input. The account's balance isn't checked.
+     *
+     * @param {ValidationOptions} options - The validation's options.
+     * @returns {Promise<ValidationResult>} The validation's result.
+     */
+    validate({ action, token, amount, decimals, onBehalfOf }: ValidationOptions): Promise<ValidationResult>;
+    /**
+     * Simulates an operation and returns the account's data as it would be after its execution, without sending any transaction.
+     *
+     * The projection applies the same math as the aave protocol, using the current user reserves, reserve parameters, eMode
+     * overrides and oracle prices.
+     *
+     * @param {SimulationOptions} options - The simulation's options.
+     * @returns {Promise<AccountData>} The projected account's data.
+     */
+    simulate({ action, token, amount, decimals, useAsCollateral, categoryId }: SimulationOptions): Promise<AccountData>;
+    /**
+     * Returns the maximum amount of a token that the account can currently borrow.
+     *
+     * The amount is limited by the account's borrowing power, the reserve's available liquidity and borrow cap, the isolation
+     * mode's debt ceiling (if the account is in isolation mode) and the minimum health factor to keep after the borrow.
+     *
+     * @param {string} token - The token's address.
+     * @param {MaxAmountOptions} [options] - The options.
+     * @returns {Promise<bigint>} The maximum amount (in base unit).
+     */
+    getMaxBorrow(token: string, { minHealthFactor }?: MaxAmountOptions): Promise<bigint>;
+    /**
+     * Returns the maximum amount of a token that the account can currently withdraw.
+     *
+     * The amount is limited by the account's supplied balance, the reserve's available liquidity and, if the tokens are used
+     * as collateral, the minimum health factor to keep after the withdrawal.
+     *
+     * @param {string} token - The token's address.
+     * @param {MaxAmountOptions} [options] - The options.
+     * @returns {Promise<bigint>} The maximum amount (in base unit).
+     */
+    getMaxWithdraw(token: string, { minHealthFactor }?: MaxAmountOptions): Promise<bigint>;
+    /**
+     * Returns the maximum amount of a token that the account can currently repay, i.e., the lowest between its debt and its
+     * token balance.
+     *
+     * @param {string} token - The token's address.
+     * @returns {Promise<bigint>} The maximum amount (in base unit).
+     */
+    getMaxRepay(token: string): Promise<bigint>;
+    /**
+     * Returns the reserves of the market, together with its base currency info.
+     *
+     * @returns {Promise<ReservesData>} The market's reserves.
+     */
+    getReserves(): Promise<ReservesData>;
+    /**
+     * Returns the reserve of a token.
+     *
+     * @param {string} token - The token's address.
+     * @returns {Promise<Reserve>} The token's reserve.
+     */
+    getReserve(token: string): Promise<Reserve>;
+    /**
+     * Returns the addresses of the market the protocol is connected to (including the addresses resolved on-chain, if the protocol
+     * has been configured with only a pool addresses provider).
+     *
+     * @returns {Promise<AaveMarketAddresses>} The market's addresses.
+     */
+    getMarketAddresses(): Promise<AaveMarketAddresses>;
+    /**
+     * Returns the markets registered on-chain in a pool addresses provider registry, with their addresses resolved from their pool
+     * addresses providers. Any of them can be used through the 'addresses.poolAddressesProvider' option of the protocol's configuration.
+     *
+     * @param {string} [registry] - The registry's address. If not set, returns the markets of the registries of the blockchain's built-in markets.
+     * @returns {Promise<RegisteredMarket[]>} The registered markets.
+     */
+    getRegisteredMarkets(registry?: string): Promise<RegisteredMarket[]>;
+    /**
+     * Returns true if the protocol is connected to a testnet market. Production code can use it to refuse testnet markets.
+     *
+     * Custom markets (set through the 'addresses.pool' option) are never considered testnet markets.
+     *
+     * @returns {Promise<boolean>} True if the market is a testnet market.
+     */
+    isTestnet(): Promise<boolean>;
+    /** @private */
+    private _getChainId;
+    /** @private */
+    private _getAddressMap;
+    /** @private */
+    private _discoverMarket;
+    /** @private */
+    private _getPoolContract;
+    /** @private */
+    private _getUiPoolDataProviderContract;
+    /** @private */
+    private _getWrappedTokenGatewayContract;
+    /** @private */
+    private _getWrappedNativeToken;
+    /** @private */
+    private _getMulticallContract;
+    /** @private */
+    private _getRewardsControllerContract;
+    /** @private */
+    private _getRewardedAssets;
+    /** @private */
+    private _getFaucetContract;
+    /** @private */
+    private _signPermit;
+    /** @private */
+    private _getPermitDomain;
+    /** @private */
+    private _getApproveTransactions;
+    /** @private */
+    private _sendTransaction;
+    /** @private */
+    private _quoteSendTransaction;
+    /** @private */
+    private _decodeRevert;
+    /** @private */
+    private _sendTransactionWithPrerequisites;
+    /** @private */
+    private _quoteTransactionWithPrerequisites;
+    /** @private */
+    private _aggregate;
+    /** @private */
+    private _mapInChunks;
+    /** @private */
+    private _getReservesData;
+    /** @private */
+    private _getReserveIds;
+    /** @private */
+    private _getEModes;
+    /** @private */
+    private _getUserReservesState;
+    /** @private */
+    private _getPositions;
+    /** @private */
+    private _getEModeCategory;
+    /** @private */
+    private _formatEModeCategory;
+    /** @private */
+    private _findPosition;
+    /** @private */
+    private _getIsolatedCollateral;
+    /** @private */
+    private _getSiloedBorrowingConflict;
+    /** @private */
+    private _canBeAutomaticCollateral;
+    /** @private */
+    private _getRiskParameters;
+    /** @private */
+    private _calculateAccountData;
+    /** @private */
+    private _getLiquidationOpportunities;
+    /** @private */
+    private _getLiquidationOpportunity;
+    /** @private */
+    private _resolveToken;
+    /** @private */
+    private _resolveTokenAddress;
+    /** @private */
+    private _resolveTokenAmount;
+    /** @private */
+    private _resolveNativeAmount;
+    /** @private */
+    private _resolveAmount;
+    /** @private */
+    private _parseAmount;
+    /** @private */
+    private _getTokenReserve;
+    /** @private */
+    private _getVariableDebt;
+    /** @private */
+    private _getRepayApprovalAmount;
+    /** @private */
+    private _formatReserve;
+    /** @private */
+    private _assertFlashLoanSimpleOptions;
+    /** @private */
+    private _assertFlashLoanOptions;
+    /** @private */
+    private _assertClaimRewardsOptions;
+    /** @private */
+    private _assertClaimAllRewardsOptions;
+    /** @private */
+    private _assertLiquidationOptions;
+    /** @private */
+    private _assertLiquidation;
+    /** @private */
+    private _getBorrowAllowance;
+    /** @private */
+    private _assertBorrowAllowance;
+    /** @private */
+    private _assertSignedDelegation;
+    /** @private */
+    private _assertBorrowIsolationAndSiloing;
+    /** @private */
+    private _assertUseAsCollateral;
+    /** @private */
+    private _assertUserEMode;
+    /** @private */
+    private _assertFaucetMintAmount;
+    /** @private */
+    private _assertTokenBalance;
+    /** @private */
+    private _assertWithdrawBalance;
+    /** @private */
+    private _assertRepayBalance;
+    /** @private */
+    private _assertRepayWithATokens;
+    /** @private */
+    private _assertRepayAllOnBehalfOf;
+    /** @private */
+    private _assertNativeBalance;
+    /** @private */
+    private _assertTokenReserveCapacity;
+    /** @private */
+    private _assertTokenReserveStatus;
+}
+export type TransactionResult = import("@tetherto/wdk-wallet").TransactionResult;
+export type BorrowOptions = import("@tetherto/wdk-wallet/protocols").BorrowOptions;
+export type BorrowResult = import("@tetherto/wdk-wallet/protocols").BorrowResult;
+export type SupplyOptions = import("@tetherto/wdk-wallet/protocols").SupplyOptions;
+export type SupplyResult = import("@tetherto/wdk-wallet/protocols").SupplyResult;
+export type WithdrawOptions = import("@tetherto/wdk-wallet/protocols").WithdrawOptions;
+export type WithdrawResult = import("@tetherto/wdk-wallet/protocols").WithdrawResult;
+export type RepayOptions = import("@tetherto/wdk-wallet/protocols").RepayOptions;
+export type RepayResult = import("@tetherto/wdk-wallet/protocols").RepayResult;
+export type WalletAccountReadOnlyEvm = import("@tetherto/wdk-wallet-evm").WalletAccountReadOnlyEvm;
+export type EvmErc4337WalletConfig = import("@tetherto/wdk-wallet-evm-erc-4337").EvmErc4337WalletConfig;
+export type AaveMarketAddresses = {
+    /**
+     * - The address of the market's pool.
+     */
+    pool: string;
+    /**
+     * - The address of the market's pool addresses provider.
+     */
+    poolAddressesProvider: string;
+    /**
+     * - The address of the registry where the market's pool addresses provider is registered.
+     */
+    poolAddressesProviderRegistry?: string;
+    /**
+     * - The address of the ui pool data provider used to read the market's reserves.
+     */
+    uiPoolDataProvider: string;
+    /**
+     * - The address of the market's protocol data provider.
+     */
+    poolDataProvider?: string;
+    /**
+     * - The address of the market's price oracle.
+     */
+    priceOracle?: string;
+    /**
+     * - The address of the market's wrapped token gateway (required by the native token operations).
+     */
+    wrappedTokenGateway?: string;
+    /**
+     * - The address of the market's rewards controller (required by the liquidity mining rewards).
+     */
+    rewardsController?: string;
+    /**
+     * - The address of the faucet that mints the market's reserve tokens (testnet markets only).
+     */
+    faucet?: string;
+    /**
+     * - The address of the multicall3 contract used to batch reads (default: its canonical address).
+     */
+    multicall?: string;
+};
+export type AaveMarket = {
+    /**
+     * - The market's name (e.g., 'AaveV3EthereumLido').
+     */
+    name: string;
+    /**
+     * - The id of the market's blockchain.
+     */
+    chainId: number;
+    /**
+     * - True if the market is deployed on a testnet.
+     */
+    testnet: boolean;
+    /**
+     * - The market's addresses.
+     */
+    addresses: AaveMarketAddresses;
+};
+export type RegisteredMarket = {
+    /**
+     * - The address of the registry where the market is registered.
+     */
+    registry: string;
+    /**
+     * - The market's id in the registry.
+     */
+    id: number;
+    /**
+     * - The market's id, as set in its pool addresses provider (e.g., 'Aave Ethereum Market').
+     */
+    marketId: string;
+    /**
+     * - If the market is a built-in market, its name (e.g., 'AaveV3Ethereum').
+     */
+    name?: string;
+    /**
+     * - True if the market is a built-in testnet market.
+     */
+    testnet: boolean;
+    /**
+     * - The market's addresses, resolved from its pool addresses provider.
+     */
+    addresses: AaveMarketAddresses;
+};
+export type AaveProtocolConfig = {
+    /**
+     * - The name of the built-in market to use (e.g., 'AaveV3EthereumLido'). If not set, the default (core) market
+     * of the blockchain is used.
+     */
+    market?: string;
+    /**
+     * - Overrides the addresses of the built-in market. If 'pool' is set,
+     * the addresses describe a different market (e.g., a fork of aave v3) and must also include 'poolAddressesProvider' and 'uiPoolDataProvider'.
+     * If only 'poolAddressesProvider' is set, the market's pool, price oracle and data provider are resolved on-chain from it at first use.
+     * Otherwise, they are merged into the built-in market's addresses.
+     */
+    addresses?: Partial<AaveMarketAddresses>;
+};
+/**
+ * The amount of an operation, in base unit or as a decimal string. The 'token' option can also be the symbol of the token's reserve
+ * in the market (e.g., 'USDT').
+ */
+export type DecimalAmountOptions = {
+    /**
+     * - The amount of tokens: in base unit, or as a decimal string (e.g., '12.5') if 'decimals' is true.
+     */
+    amount: number | bigint | string;
+    /**
+     * - True if 'amount' is a decimal string to convert with the token's decimals (default: false).
+     */
+    decimals?: boolean;
+};
+export type AccountData = {
+    /**
+     * - The account's total collateral base.
+     */
+    totalCollateralBase: bigint;
+    /**
+     * - The account's total debt base.
+     */
+    totalDebtBase: bigint;
+    /**
+     * - The account's available borrowing base.
+     */
+    availableBorrowsBase: bigint;
+    /**
+     * - The account's current liquidation threshold.
+     */
+    currentLiquidationThreshold: bigint;
+    /**
+     * - The account's loan-to-value.
+     */
+    ltv: bigint;
+    /**
+     * - The account's health factor.
+     */
+    healthFactor: bigint;
+};
+export type AccountSummary = {
+    /**
+     * - The value of the account's collateral (in usd, as a decimal string).
+     */
+    totalCollateralUsd: string;
+    /**
+     * - The value of the account's debt (in usd, as a decimal string).
+     */
+    totalDebtUsd: string;
+    /**
+     * - The value the account can still borrow (in usd, as a decimal string).
+     */
+    availableBorrowsUsd: string;
+    /**
+     * - The account's loan-to-value (in percent, e.g. 82.5).
+     */
+    ltv: number;
+    /**
+     * - The account's liquidation threshold (in percent, e.g. 86).
+     */
+    liquidationThreshold: number;
+    /**
+     * - The account's health factor (as a decimal string, e.g. '1.23'), or 'infinite' if the account has no debt.
+     */
+    healthFactor: string;
+};
+export type Reserve = {
+    /**
+     * - The address of the reserve's underlying token.
+     */
+    token: string;
+    /**
+     * - The underlying token's name.
+     */
+    name: string;
+    /**
+     * - The underlying token's symbol.
+     */
+    symbol: string;
+    /**
+     * - The underlying token's decimals.
+     */
+    decimals: number;
+    /**
+     * - The reserve's loan-to-value as collateral (in basis points).
+     */
+    ltv: bigint;
+    /**
+     * - The reserve's liquidation threshold (in basis points).
+     */
+    liquidationThreshold: bigint;
+    /**
+     * - The reserve's liquidation bonus (in basis points, e.g. 10500 for a 5% bonus).
+     */
+    liquidationBonus: bigint;
+    /**
+     * - The share of the interests that goes to the treasury (in basis points).
+     */
+    reserveFactor: bigint;
+    /**
+     * - True if the reserve can be used as collateral.
+     */
+    usageAsCollateralEnabled: boolean;
+    /**
+     * - True if the reserve can be borrowed.
+     */
+    borrowingEnabled: boolean;
+    /**
+     * - True if the reserve is active.
+     */
+    isActive: boolean;
+    /**
+     * - True if the reserve is frozen.
+     */
+    isFrozen: boolean;
+    /**
+     * - True if the reserve is paused.
+     */
+    isPaused: boolean;
+    /**
+     * - True if the reserve can only be borrowed in isolation from other assets.
+     */
+    isSiloedBorrowing: boolean;
+    /**
+     * - True if the reserve can be flash-loaned.
+     */
+    flashLoanEnabled: boolean;
+    /**
+     * - True if the reserve can be borrowed against an isolated collateral.
+     */
+    borrowableInIsolation: boolean;
+    /**
+     * - The reserve's liquidity index (in ray).
+     */
+    liquidityIndex: bigint;
+    /**
+     * - The reserve's variable borrow index (in ray).
+     */
+    variableBorrowIndex: bigint;
+    /**
+     * - The reserve's current supply rate (in ray).
+     */
+    liquidityRate: bigint;
+    /**
+     * - The reserve's current variable borrow rate (in ray).
+     */
+    variableBorrowRate: bigint;
+    /**
+     * - The reserve's current supply rate, compounded every second over a year (in ray).
+     */
+    supplyAPY: bigint;
+    /**
+     * - The reserve's current variable borrow rate, compounded every second over a year (in ray).
+     */
+    borrowAPY: bigint;
+    /**
+     * - The timestamp (in seconds) of the reserve's last update.
+     */
+    lastUpdateTimestamp: number;
+    /**
+     * - The address of the reserve's a-token.
+     */
+    aTokenAddress: string;
+    /**
+     * - The address of the reserve's variable debt token.
+     */
+    variableDebtTokenAddress: string;
+    /**
+     * - The address of the reserve's interest rate strategy.
+     */
+    interestRateStrategyAddress: string;
+    /**
+     * - The amount of tokens that can currently be borrowed or withdrawn (in base unit).
+     */
+    availableLiquidity: bigint;
+    /**
+     * - The reserve's total scaled variable debt.
+     */
+    totalScaledVariableDebt: bigint;
+    /**
+     * - The underlying token's price in the market's reference currency.
+     */
+    priceInMarketReferenceCurrency: bigint;
+    /**
+     * - The address of the underlying token's price oracle.
+     */
+    priceOracle: string;
+    /**
+     * - The variable rate's slope below the optimal usage ratio (in ray).
+     */
+    variableRateSlope1: bigint;
+    /**
+     * - The variable rate's slope above the optimal usage ratio (in ray).
+     */
+    variableRateSlope2: bigint;
+    /**
+     * - The variable rate at zero usage (in ray).
+     */
+    baseVariableBorrowRate: bigint;
+    /**
+     * - The reserve's optimal usage ratio (in ray).
+     */
+    optimalUsageRatio: bigint;
+    /**
+     * - The amount of scaled a-tokens accrued to the treasury.
+     */
+    accruedToTreasury: bigint;
+    /**
+     * - The amount of unbacked a-tokens.
+     */
+    unbacked: bigint;
+    /**
+     * - The total debt borrowed against the reserve as isolated collateral.
+     */
+    isolationModeTotalDebt: bigint;
+    /**
+     * - The reserve's debt ceiling in isolation mode (0 if the reserve is not isolated).
+     */
+    debtCeiling: bigint;
+    /**
+     * - The debt ceiling's decimals.
+     */
+    debtCeilingDecimals: number;
+    /**
+     * - The reserve's borrow cap (in whole tokens, 0 if there is no cap).
+     */
+    borrowCap: bigint;
+    /**
+     * - The reserve's supply cap (in whole tokens, 0 if there is no cap).
+     */
+    supplyCap: bigint;
+    /**
+     * - True if the reserve's virtual accounting is active.
+     */
+    virtualAccActive: boolean;
+    /**
+     * - The reserve's virtual underlying balance.
+     */
+    virtualUnderlyingBalance: bigint;
+};
+export type BaseCurrencyInfo = {
+    /**
+     * - The unit of the market's reference currency (e.g. 10^8 for usd).
+     */
+    marketReferenceCurrencyUnit: bigint;
+    /**
+     * - The market's reference currency's price in usd.
+     */
+    marketReferenceCurrencyPriceInUsd: bigint;
+    /**
+     * - The blockchain's native token's price in usd.
+     */
+    networkBaseTokenPriceInUsd: bigint;
+    /**
+     * - The decimals of the native token's price in usd.
+     */
+    networkBaseTokenPriceDecimals: number;
+};
+export type ReservesData = {
+    /**
+     * - The market's reserves.
+     */
+    reserves: Reserve[];
+    /**
+     * - The market's base currency info.
+     */
+    baseCurrency: BaseCurrencyInfo;
+};
+export type UserPosition = {
+    /**
+     * - The address of the reserve's underlying token.
+     */
+    token: string;
+    /**
+     * - The amount of tokens supplied to the reserve (in base unit).
+     */
+    supplied: bigint;
+    /**
+     * - The amount of tokens borrowed from the reserve at a variable rate (in base unit).
+     */
+    variableDebt: bigint;
+    /**
+     * - True if the account uses the supplied tokens as collateral.
+     */
+    usageAsCollateralEnabled: boolean;
+    /**
+     * - The account's scaled a-token balance.
+     */
+    scaledATokenBalance: bigint;
+    /**
+     * - The account's scaled variable debt.
+     */
+    scaledVariableDebt: bigint;
+};
+export type UserPositions = {
+    /**
+     * - The account's positions (only the reserves where the account has supplied or borrowed tokens).
+     */
+    positions: UserPosition[];
+    /**
+     * - The account's current eMode category id (0 if the account is not in efficiency mode).
+     */
+    eModeCategoryId: number;
+};
+export type EModeCategory = {
+    /**
+     * - The category id.
+     */
+    id: number;
+    /**
+     * - The category label (e.g., 'ETH correlated').
+     */
+    label: string;
+    /**
+     * - The loan to value of the category's collaterals (in basis points).
+     */
+    ltv: bigint;
+    /**
+     * - The liquidation threshold of the category's collaterals (in basis points).
+     */
+    liquidationThreshold: bigint;
+    /**
+     * - The liquidation bonus of the category's collaterals (in basis points, e.g., 10_100n = 1% bonus).
+     */
+    liquidationBonus: bigint;
+    /**
+     * - The bitmap of the reserves that use the category's risk parameters as collateral (bit i = reserve id i).
+     */
+    collateralBitmap: bigint;
+    /**
+     * - The bitmap of the reserves that can be borrowed in the category (bit i = reserve id i).
+     */
+    borrowableBitmap: bigint;
+    /**
+     * - The addresses of the tokens that use the category's risk parameters as collateral.
+     */
+    collateralTokens: string[];
+    /**
+     * - The addresses of the tokens that can be borrowed in the category.
+     */
+    borrowableTokens: string[];
+};
+export type UserEMode = {
+    /**
+     * - The account's current eMode category id (0 if the account is not in efficiency mode).
+     */
+    categoryId: number;
+    /**
+     * - The account's current eMode category (if the account is in efficiency mode).
+     */
+    category?: EModeCategory;
+};
+export type IsolationStatus = {
+    /**
+     * - True if the account is in isolation mode (its only collateral is an isolated asset, i.e., a reserve with a
+     * debt ceiling). In isolation mode, the account can only borrow the tokens borrowable in isolation, up to the collateral's debt ceiling.
+     */
+    isolated: boolean;
+    /**
+     * - In isolation mode, the address of the isolated collateral.
+     */
+    collateralToken?: string;
+    /**
+     * - In isolation mode, the collateral's debt ceiling (in usd, with 'debtCeilingDecimals' decimals).
+     */
+    debtCeiling?: bigint;
+    /**
+     * - In isolation mode, the total debt backed by the collateral, across all the accounts (in usd, with
+     * 'debtCeilingDecimals' decimals).
+     */
+    isolationModeTotalDebt?: bigint;
+    /**
+     * - In isolation mode, the debt that can still be backed by the collateral (in usd, with
+     * 'debtCeilingDecimals' decimals).
+     */
+    remainingDebtCeiling?: bigint;
+    /**
+     * - In isolation mode, the decimals of the debt ceiling.
+     */
+    debtCeilingDecimals?: number;
+    /**
+     * - In isolation mode, the addresses of the tokens borrowable in isolation.
+     */
+    borrowableTokens?: string[];
+    /**
+     * - If the account borrows a token with siloed borrowing, its address. The account can't borrow other tokens.
+     */
+    siloedToken?: string;
+};
+export type SimulationOptions = {
+    /**
+     * - The operation to simulate.
+     */
+    action: "supply" | "withdraw" | "borrow" | "repay" | "setUseReserveAsCollateral" | "setUserEMode";
+    /**
+     * - The token's address or its reserve's symbol (for all the actions except 'setUserEMode').
+     */
+    token?: string;
+    /**
+     * - The amount of tokens, in base unit or as a decimal string if 'decimals' is true (for
+     * 'supply', 'withdraw', 'borrow' and 'repay').
+     */
+    amount?: number | bigint | string;
+    /**
+     * - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+     */
+    decimals?: boolean;
+    /**
+     * - True if the token should be a valid collateral (for 'setUseReserveAsCollateral').
+     */
+    useAsCollateral?: boolean;
+    /**
+     * - The eMode category id (for 'setUserEMode').
+     */
+    categoryId?: number;
+};
+export type ValidationOptions = {
+    /**
+     * - The operation to validate.
+     */
+    action: "supply" | "withdraw" | "borrow" | "repay";
+    /**
+     * - The token's address or its reserve's symbol.
+     */
+    token: string;
+    /**
+     * - The amount of tokens, in base unit or as a decimal string if 'decimals' is true.
+     */
+    amount: number | bigint | string;
+    /**
+     * - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+     */
+    decimals?: boolean;
+    /**
+     * - For 'borrow', the address of the account that incurs the debt (default: the account's address).
+     */
+    onBehalfOf?: string;
+};
+export type ValidationResult = {
+    /**
+     * - True if the operation passes the checks.
+     */
+    valid: boolean;
+    /**
+     * - If the operation doesn't pass the checks, the code of the error it would fail with (e.g., 'SUPPLY_CAP_EXCEEDED').
+     */
+    code?: string;
+    /**
+     * - If the operation doesn't pass the checks, the reason why.
+     */
+    error?: string;
+};
+export type MaxAmountOptions = {
+    /**
+     * - The minimum health factor to keep after the operation, as a safety buffer against
+     * price moves (default: 1.01).
+     */
+    minHealthFactor?: number;
+};
+export type ClosePositionResult = {
+    /**
+     * - The hash of the last transaction (or of the user operation, with an erc-4337 account).
+     */
+    hash: string;
+    /**
+     * - The total fee of the transactions.
+     */
+    fee: bigint;
+    /**
+     * - If the protocol has been initialized with a non erc-4337 account, the hashes of all the transactions sent, in order.
+     */
+    hashes?: string[];
+};
+export type FlashLoanSimpleOptions = {
+    /**
+     * - The address of the contract receiving the tokens (it must implement aave's IFlashLoanSimpleReceiver interface).
+     */
+    receiver: string;
+    /**
+     * - The address of the token to flash-borrow, or its reserve's symbol.
+     */
+    token: string;
+    /**
+     * - The amount of tokens to flash-borrow, in base unit or as a decimal string if 'decimals' is true.
+     */
+    amount: number | bigint | string;
+    /**
+     * - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+     */
+    decimals?: boolean;
+    /**
+     * - The abi-encoded parameters passed to the receiver (default: '0x').
+     */
+    params?: string;
+};
+export type FlashLoanOptions = {
+    /**
+     * - The address of the contract receiving the tokens (it must implement aave's IFlashLoanReceiver interface).
+     */
+    receiver: string;
+    /**
+     * - The addresses of the tokens to flash-borrow, or their reserves' symbols.
+     */
+    tokens: string[];
+    /**
+     * - The amounts of tokens to flash-borrow, in base unit or as decimal strings if 'decimals'
+     * is true, in the same order as 'tokens'.
+     */
+    amounts: Array<number | bigint | string>;
+    /**
+     * - True if 'amounts' are decimal strings (e.g., '12.5') to convert with the tokens' decimals (default: false).
+     */
+    decimals?: boolean;
+    /**
+     * - For each token, 0 to repay the flash loan within the transaction (plus the premium), or 2 to
+     * keep the borrowed tokens as a variable rate debt of 'onBehalfOf' (default: 0 for all the tokens).
+     */
+    interestRateModes?: Array<0 | 2>;
+    /**
+     * - The address of the account that incurs the debts opened with the interest rate mode 2. If not set,
+     * the account's address is used. Another account must have delegated enough borrowing power to the account.
+     */
+    onBehalfOf?: string;
+    /**
+     * - The abi-encoded parameters passed to the receiver (default: '0x').
+     */
+    params?: string;
+};
+export type DelegationOptions = {
+    /**
+     * - The address of the token whose borrowing power is delegated, or its reserve's symbol.
+     */
+    token: string;
+    /**
+     * - The address of the account allowed to borrow on behalf of the delegator.
+     */
+    delegatee: string;
+    /**
+     * - The max amount of tokens the delegatee can borrow, in base unit or as a decimal string if
+     * 'decimals' is true. Zero revokes the delegation.
+     */
+    amount: number | bigint | string;
+    /**
+     * - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+     */
+    decimals?: boolean;
+};
+export type BorrowAllowanceOptions = {
+    /**
+     * - The address of the token.
+     */
+    token: string;
+    /**
+     * - The address of the account that delegates its borrowing power. If not set, the account's address is used.
+     */
+    delegator?: string;
+    /**
+     * - The address of the account allowed to borrow on behalf of the delegator.
+     */
+    delegatee: string;
+};
+export type SignedDelegation = {
+    /**
+     * - The address of the token whose borrowing power is delegated.
+     */
+    token: string;
+    /**
+     * - The address of the account that signed the delegation.
+     */
+    delegator: string;
+    /**
+     * - The address of the account allowed to borrow on behalf of the delegator.
+     */
+    delegatee: string;
+    /**
+     * - The max amount of tokens the delegatee can borrow (in base unit).
+     */
+    amount: bigint;
+    /**
+     * - The timestamp (in seconds) after which the signature expires.
+     */
+    deadline: number;
+    /**
+     * - The 'v' component of the signature.
+     */
+    v: number;
+    /**
+     * - The 'r' component of the signature.
+     */
+    r: string;
+    /**
+     * - The 's' component of the signature.
+     */
+    s: string;
+};
+export type FaucetMintOptions = {
+    /**
+     * - The address of the token to mint, or its reserve's symbol.
+     */
+    token: string;
+    /**
+     * - The amount of tokens to mint, in base unit or as a decimal string if 'decimals' is true.
+     */
+    amount: number | bigint | string;
+    /**
+     * - True if 'amount' is a decimal string (e.g., '12.5') to convert with the token's decimals (default: false).
+     */
+    decimals?: boolean;
+    /**
+     * - The address that receives the tokens. If not set, the tokens are sent to the account.
+     */
+    to?: string;
+};
+export type UserReward = {
+    /**
+     * - The address of the reward token.
+     */
+    reward: string;
+    /**
+     * - The amount of reward tokens the account can claim (in base unit), including the rewards accrued since
+     * its last interaction with the reserves.
+     */
+    unclaimed: bigint;
+    /**
+     * - The part of the unclaimed rewards already accrued by the rewards controller (in base unit), i.e., at the
+     * account's last interaction with the reserves.
+     */
+    accrued: bigint;
+};
+export type ClaimRewardsOptions = {
+    /**
+     * - The address of the reward token to claim.
+     */
+    reward: string;
+    /**
+     * - The amount of reward tokens to claim (in base unit). Use the max uint256 value to claim all of them.
+     */
+    amount: number | bigint;
+    /**
+     * - The a-tokens and variable debt tokens to claim the rewards of. If not set, claims the rewards of all
+     * the market's reserves.
+     */
+    assets?: string[];
+    /**
+     * - The address that receives the rewards. If not set, the rewards are sent to the account.
+     */
+    to?: string;
+};
+export type ClaimAllRewardsOptions = {
+    /**
+     * - The a-tokens and variable debt tokens to claim the rewards of. If not set, claims the rewards of all
+     * the market's reserves.
+     */
+    assets?: string[];
+    /**
+     * - The address that receives the rewards. If not set, the rewards are sent to the account.
+     */
+    to?: string;
+};
+export type LiquidationOptions = {
+    /**
+     * - The address of the collateral token to seize, or its reserve's symbol.
+     */
+    collateralToken: string;
+    /**
+     * - The address of the debt token to repay on behalf of the user, or its reserve's symbol.
+     */
+    debtToken: string;
+    /**
+     * - The address of the account to liquidate.
+     */
+    user: string;
+    /**
+     * - The amount of debt tokens to repay, in base unit or as a decimal string if 'decimals'
+     * is true. The max uint256 value repays as much debt as the close factor allows.
+     */
+    debtToCover: number | bigint | string;
+    /**
+     * - True if 'debtToCover' is a decimal string (e.g., '12.5') to convert with the debt token's decimals
+     * (default: false).
+     */
+    decimals?: boolean;
+    /**
+     * - True to receive the seized collateral as a-tokens instead of the underlying tokens (default: false).
+     */
+    receiveAToken?: boolean;
+};
+export type LiquidationOpportunity = {
+    /**
+     * - The address of the collateral token to seize.
+     */
+    collateralToken: string;
+    /**
+     * - The address of the debt token to repay.
+     */
+    debtToken: string;
+    /**
+     * - The max amount of debt tokens that can be repaid (in base unit).
+     */
+    debtToCover: bigint;
+    /**
+     * - The amount of collateral tokens seized when repaying 'debtToCover' (in base unit), including the
+     * liquidation bonus but before the protocol fee taken from it.
+     */
+    collateralToReceive: bigint;
+    /**
+     * - The liquidation bonus of the collateral (in basis points, e.g., 10_500n = 5% bonus).
+     */
+    liquidationBonus: bigint;
+    /**
+     * - The value of the liquidation bonus (in the market's base currency).
+     */
+    bonusBase: bigint;
+};
+export type LiquidatablePosition = {
+    /**
+     * - The address of the account.
+     */
+    user: string;
+    /**
+     * - The account's health factor (below 1e18).
+     */
+    healthFactor: bigint;
+    /**
+     * - The account's total collateral (in the market's base currency).
+     */
+    totalCollateralBase: bigint;
+    /**
+     * - The account's total debt (in the market's base currency).
+     */
+    totalDebtBase: bigint;
+    /**
+     * - The account's liquidable collateral and debt pairs, by descending bonus value.
+     */
+    opportunities: LiquidationOpportunity[];
+};
+export type LiquidationScanFailure = {
+    /**
+     * - The address of the account.
+     */
+    user: string;
+    /**
+     * - The error thrown while reading the account's data.
+     */
+    error: Error;
+};
+export type LiquidatablePositionsResult = {
+    /**
+     * - The liquidatable positions, by ascending health factor.
+     */
+    positions: LiquidatablePosition[];
+    /**
+     * - The accounts whose data couldn't be read, which may or may not be liquidatable.
+     */
+    failures: LiquidationScanFailure[];
+};
+export type PermitOptions = {
+    /**
+     * - The timestamp (in seconds) after which the permit expires. If not set, the permit expires after one hour.
+     */
+    deadline?: number;
+};
+export type ApprovalOptions = {
+    /**
+     * - If the aave protocol needs to be approved to spend the account's tokens, whether to approve the exact amount
+     * of the operation or an unlimited amount (default: 'exact').
+     */
+    approval?: "exact" | "unlimited";
+};
+export type CreditDelegationResult = {
+    /**
+     * - If the protocol has been initialized with a non erc-4337 account, the hash of the credit delegation
+     * to the wrapped token gateway sent before the operation (if any).
+     */
+    approveDelegationHash?: string;
+};
+export type ApprovalResult = {
+    /**
+     * - If the protocol has been initialized with a non erc-4337 account, the hash of the approval sent before the operation (if any).
+     */
+    approveHash?: string;
+    /**
+     * - If the protocol has been initialized with a non erc-4337 account, the hash of the transaction that reset the
+     * allowance to zero before the approval (only for usdts on ethereum).
+     */
+    resetAllowanceHash?: string;
 };
 import { LendingProtocol } from '@tetherto/wdk-wallet/protocols';
+import { WalletAccountReadOnlyEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337';
 import { WalletAccountEvm } from '@tetherto/wdk-wallet-evm';
-import { WalletAccountEvmErc4337, WalletAccountReadOnlyEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337';
+import { WalletAccountEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337';
@@ -0,0 +1,77 @@
+/**
+ * Decodes the aave v3 error code a transaction reverted with. Looks for the revert reason in the error (and in the errors
+ * it wraps) as decoded by ethers, as raw Error(string) revert data or in the simulation error of an erc-4337 bundler. The
+ * reason must be exactly one of the numeric codes of aave v3's Errors.sol library. Only use it for transactions sent to the pool.
+ *
+ * @internal
+ * @param {unknown} error - The error thrown while sending or simulating the transaction.
+ * @returns {unknown} The pool revert error, or the original error if it isn't an aave v3 revert.
+ */
+export function decodePoolRevert(error: unknown): unknown;
+/**
+ * The error codes of aave v3's Errors.sol library (v3.0 to v3.3), mapped to their names and messages.
+ *
+ * @internal
+ * @type {Record<string, [string, string]>}
+ */
+export const POOL_ERRORS: Record<string, [string, string]>;
+/**
+ * The base class of all the errors thrown by the protocol.
+ */
+export class AaveError extends Error {
+    /**
+     * Creates a new aave error.
+     *
+     * @param {string} code - A stable, machine-readable code identifying the error (e.g., 'INVALID_AMOUNT').
+     * @param {string} message - The error's message.
+     * @param {Record<string, unknown>} [details] - The values the error refers to (e.g., the name of an invalid option).
+     * @param {{ cause?: unknown }} [options] - The error's options (e.g., the error that caused it).
+     */
+    constructor(code: string, message: string, details?: Record<string, unknown>, options?: {
+        cause?: unknown;
+    });
+    /**
+     * A stable, machine-readable code identifying the error.
+     *
+     * @type {string}
+     */
+    code: string;
+    /**
+     * The values the error refers to (e.g., the name of an invalid option).
+     *
+     * @type {Record<string, unknown>}
+     */
+    details: Record<string, unknown>;
+}
+/**
+ * Thrown when the options or arguments of a method, the configuration of the protocol or the type of its account are invalid.
+ */
+export class AaveValidationError extends AaveError {
+}
+/**
+ * Thrown when the current state of a reserve or of an account doesn't allow an operation (e.g., a paused reserve, a
+ * reached supply cap or a health factor that would drop below 1).
+ */
+export class AaveReserveError extends AaveError {
+}
+/**
+ * Thrown when a transaction sent to (or simulated against) the pool reverts with one of the error codes of aave v3's
+ * Errors.sol library. The error's code is the name of the library's error (e.g., 'HEALTH_FACTOR_LOWER_THAN_LIQUIDATION_THRESHOLD').
+ */
+export class AavePoolRevertError extends AaveError {
+    /**
+     * Creates a new pool revert error.
+     *
+     * @param {string} revertCode - The numeric error code the pool reverted with (e.g., '35').
+     * @param {{ cause?: unknown }} [options] - The error's options (e.g., the error that caused it).
+     */
+    constructor(revertCode: string, options?: {
+        cause?: unknown;
+    });
+    /**
+     * The numeric error code the pool reverted with (e.g., '35').
+     *
+     * @type {string}
+     */
+    revertCode: string;
+}
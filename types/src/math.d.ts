@@ -0,0 +1,167 @@
+/**
+ * Multiplies two ray values, rounding half up (same as aave's WadRayMath.rayMul).
+ *
+ * @param {bigint} a - The first value.
+ * @param {bigint} b - The second value (in ray).
+ * @returns {bigint} The product.
+ */
+export function rayMul(a: bigint, b: bigint): bigint;
+/**
+ * Divides a value by a ray value, rounding half up (same as aave's WadRayMath.rayDiv).
+ *
+ * @param {bigint} a - The dividend.
+ * @param {bigint} b - The divisor (in ray).
+ * @returns {bigint} The quotient (in ray).
+ */
+export function rayDiv(a: bigint, b: bigint): bigint;
+/**
+ * Raises a ray value to an integer power, by squaring and rounding half up at each step.
+ *
+ * @param {bigint} a - The base (in ray).
+ * @param {bigint} exponent - The exponent.
+ * @returns {bigint} The power (in ray).
+ */
+export function rayPow(a: bigint, exponent: bigint): bigint;
+/**
+ * Multiplies two wad values, rounding half up (same as aave's WadRayMath.wadMul).
+ *
+ * @param {bigint} a - The first value.
+ * @param {bigint} b - The second value (in wad).
+ * @returns {bigint} The product.
+ */
+export function wadMul(a: bigint, b: bigint): bigint;
+/**
+ * Divides a value by a wad value, rounding half up (same as aave's WadRayMath.wadDiv).
+ *
+ * @param {bigint} a - The dividend.
+ * @param {bigint} b - The divisor (in wad).
+ * @returns {bigint} The quotient (in wad).
+ */
+export function wadDiv(a: bigint, b: bigint): bigint;
+/**
+ * Converts a wad value to a ray value (same as aave's WadRayMath.wadToRay).
+ *
+ * @param {bigint} a - The value (in wad).
+ * @returns {bigint} The value (in ray).
+ */
+export function wadToRay(a: bigint): bigint;
+/**
+ * Converts a ray value to a wad value, rounding half up (same as aave's WadRayMath.rayToWad).
+ *
+ * @param {bigint} a - The value (in ray).
+ * @returns {bigint} The value (in wad).
+ */
+export function rayToWad(a: bigint): bigint;
+/**
+ * Applies a percentage to a value, rounding half up (same as aave's PercentageMath.percentMul).
+ *
+ * @param {bigint} value - The value.
+ * @param {bigint} percentage - The percentage (in basis points).
+ * @returns {bigint} The result.
+ */
+export function percentMul(value: bigint, percentage: bigint): bigint;
+/**
+ * Divides a value by a percentage, rounding half up (same as aave's PercentageMath.percentDiv).
+ *
+ * @param {bigint} value - The value.
+ * @param {bigint} percentage - The percentage (in basis points).
+ * @returns {bigint} The result.
+ */
+export function percentDiv(value: bigint, percentage: bigint): bigint;
+/**
+ * Converts a value in basis points (e.g., a reserve's ltv or liquidation threshold) to a percentage.
+ *
+ * @example
+ * bpsToPercent(8_250n) // 82.5
+ *
+ * @param {number | bigint} bps - The value (in basis points).
+ * @returns {number} The percentage.
+ */
+export function bpsToPercent(bps: number | bigint): number;
+/**
+ * Converts a percentage to a value in basis points, rounded to the nearest basis point.
+ *
+ * @example
+ * percentToBps(82.5) // 8_250n
+ *
+ * @param {number} percent - The percentage.
+ * @returns {bigint} The value (in basis points).
+ */
+export function percentToBps(percent: number): bigint;
+/**
+ * Computes the interest accumulated at a linear rate between two timestamps (same as aave's MathUtils.calculateLinearInterest).
+ *
+ * @param {bigint} rate - The interest rate (in ray).
+ * @param {bigint} lastUpdateTimestamp - The timestamp (in seconds) of the last update.
+ * @param {bigint} currentTimestamp - The current timestamp (in seconds).
+ * @returns {bigint} The interest factor (in ray).
+ */
+export function calculateLinearInterest(rate: bigint, lastUpdateTimestamp: bigint, currentTimestamp: bigint): bigint;
+/**
+ * Computes the interest accumulated at a compounded rate between two timestamps, using the same binomial approximation as
+ * aave's MathUtils.calculateCompoundedInterest.
+ *
+ * @param {bigint} rate - The interest rate (in ray).
+ * @param {bigint} lastUpdateTimestamp - The timestamp (in seconds) of the last update.
+ * @param {bigint} currentTimestamp - The current timestamp (in seconds).
+ * @returns {bigint} The interest factor (in ray).
+ */
+export function calculateCompoundedInterest(rate: bigint, lastUpdateTimestamp: bigint, currentTimestamp: bigint): bigint;
+/**
+ * Converts a yearly rate (e.g., a reserve's 'liquidityRate' or 'variableBorrowRate') to its annual percentage yield, compounding it
+ * every second like the aave protocol does.
+ *
+ * @example
+ * aprToApy(5n * 10n ** 25n) // ≈ 5.127% (in ray)
+ *
+ * @param {bigint} apr - The yearly rate (in ray).
+ * @returns {bigint} The annual percentage yield (in ray).
+ */
+export function aprToApy(apr: bigint): bigint;
+/**
+ * Formats a health factor as a decimal string, truncated to the given number of decimals so that it never shows an account as
+ * safer than it is. Accounts without debt (whose health factor is the maximum uint256 value) return 'infinite'.
+ *
+ * @example
+ * formatHealthFactor(1_234_567_890_000_000_000n) // '1.23'
+ *
+ * @param {bigint} healthFactor - The health factor (in wad).
+ * @param {number} [decimals] - The number of decimals (default: 2).
+ * @returns {string} The formatted health factor.
+ */
+export function formatHealthFactor(healthFactor: bigint, decimals?: number): string;
+/**
+ * Converts a decimal number to a wad value (with four decimals of precision).
+ *
+ * @internal
+ * @param {number} value - The number.
+ * @returns {bigint} The wad value.
+ */
+export function toWad(value: number): bigint;
+/**
+ * Returns the lowest of two values.
+ *
+ * @internal
+ * @param {bigint} a - The first value.
+ * @param {bigint} b - The second value.
+ * @returns {bigint} The lowest value.
+ */
+export function min(a: bigint, b: bigint): bigint;
+/** One, in ray (27 decimals): the unit of aave's rates, indexes and usage ratios. */
+export const RAY: bigint;
+/** @internal */
+export const HALF_RAY: bigint;
+/** One, in wad (18 decimals): the unit of aave's health factors. */
+export const WAD: bigint;
+/** @internal */
+export const HALF_WAD: bigint;
+/** @internal */
+export const WAD_RAY_RATIO: bigint;
+/** One hundred percent, in basis points: the unit of aave's ltvs, liquidation thresholds and reserve factors. */
+export const PERCENTAGE_FACTOR: 10000n;
+/** @internal */
+export const HALF_PERCENTAGE_FACTOR: bigint;
+/** @internal */
+export const MAX_UINT256: bigint;
+/** The number of seconds in a year, as used by aave to turn its yearly rates into per-second rates. */
+export const SECONDS_PER_YEAR: 31536000n;
@@ -0,0 +1,121 @@
+/**
+ * Computes the total variable debt of a reserve, including the interests accrued since its last update.
+ *
+ * @param {Reserve} reserve - The reserve.
+ * @param {number | bigint} [timestamp] - The timestamp (in seconds) to compute the debt at. If not set, uses the current time.
+ * @returns {bigint} The reserve's total debt (in base unit).
+ */
+export function calculateTotalDebt(reserve: Reserve, timestamp?: number | bigint): bigint;
+/**
+ * Returns the liquidity and the debt of a reserve, as used by its interest rate strategy.
+ *
+ * @param {Reserve} reserve - The reserve.
+ * @param {number | bigint} [timestamp] - The timestamp (in seconds) to compute the debt at. If not set, uses the current time.
+ * @returns {ReserveLiquidity} The reserve's liquidity.
+ */
+export function getReserveLiquidity(reserve: Reserve, timestamp?: number | bigint): ReserveLiquidity;
+/**
+ * Computes the rates of a reserve for a given liquidity and debt, with the same math as aave's default interest rate strategy: the
+ * variable borrow rate grows with 'variableRateSlope1' up to the optimal usage ratio, then with 'variableRateSlope2'; the supply
+ * rate is the share of the borrow interests paid to the suppliers, net of the reserve factor.
+ *
+ * @param {Reserve} reserve - The reserve whose strategy to use ('baseVariableBorrowRate', 'variableRateSlope1', 'variableRateSlope2',
+ *   'optimalUsageRatio' and 'reserveFactor').
+ * @param {ReserveLiquidity} [liquidity] - The reserve's liquidity. If not set, uses the reserve's current liquidity.
+ * @returns {InterestRates} The rates.
+ */
+export function calculateInterestRates(reserve: Reserve, liquidity?: ReserveLiquidity): InterestRates;
+/**
+ * Computes the rates of a reserve at a given usage ratio (assuming no unbacked a-tokens).
+ *
+ * @param {Reserve} reserve - The reserve whose strategy to use.
+ * @param {bigint} usageRatio - The usage ratio (in ray, e.g. 8n * 10n ** 26n for 80%).
+ * @returns {InterestRatePoint} The rates.
+ */
+export function calculateInterestRatesAtUsage(reserve: Reserve, usageRatio: bigint): InterestRatePoint;
+/**
+ * Returns the rate curve of a reserve, e.g. to chart it: its rates at evenly spaced usage ratios from 0% to 100%, plus the optimal
+ * usage ratio (where the curve's slope changes).
+ *
+ * @param {Reserve} reserve - The reserve whose strategy to use.
+ * @param {number} [points] - The number of evenly spaced usage ratios (default: 101, i.e., one per percent).
+ * @returns {InterestRatePoint[]} The curve's points, sorted by usage ratio.
+ */
+export function getInterestRateCurve(reserve: Reserve, points?: number): InterestRatePoint[];
+/**
+ * Projects how an operation would move the rates of a reserve: supplies and repays add liquidity (and repays remove debt), while
+ * withdraws and borrows take liquidity (and borrows add debt).
+ *
+ * @param {Reserve} reserve - The reserve.
+ * @param {InterestRateProjectionOptions} options - The projection's options.
+ * @param {number | bigint} [timestamp] - The timestamp (in seconds) to compute the reserve's debt at. If not set, uses the current time.
+ * @returns {InterestRateProjection} The rates before and after the operation.
+ */
+export function projectInterestRates(reserve: Reserve, { action, amount }: InterestRateProjectionOptions, timestamp?: number | bigint): InterestRateProjection;
+export type Reserve = import("./aave-protocol-evm.js").Reserve;
+export type ReserveLiquidity = {
+    /**
+     * - The reserve's total variable debt (in base unit).
+     */
+    totalDebt: bigint;
+    /**
+     * - The amount of tokens that can be borrowed or withdrawn (in base unit).
+     */
+    availableLiquidity: bigint;
+    /**
+     * - The amount of unbacked a-tokens (in base unit).
+     */
+    unbacked: bigint;
+};
+export type InterestRates = {
+    /**
+     * - The share of the reserve's liquidity that is borrowed (in ray).
+     */
+    borrowUsageRatio: bigint;
+    /**
+     * - The share of the reserve's supply (including the unbacked a-tokens) that is borrowed (in ray).
+     */
+    supplyUsageRatio: bigint;
+    /**
+     * - The variable borrow rate (apr, in ray).
+     */
+    variableBorrowRate: bigint;
+    /**
+     * - The supply rate (apr, in ray).
+     */
+    liquidityRate: bigint;
+};
+export type InterestRatePoint = {
+    /**
+     * - The reserve's usage ratio (in ray).
+     */
+    usageRatio: bigint;
+    /**
+     * - The variable borrow rate at this usage ratio (apr, in ray).
+     */
+    variableBorrowRate: bigint;
+    /**
+     * - The supply rate at this usage ratio (apr, in ray).
+     */
+    liquidityRate: bigint;
+};
+export type InterestRateProjectionOptions = {
+    /**
+     * - The operation to project.
+     */
+    action: "supply" | "withdraw" | "borrow" | "repay";
+    /**
+     * - The operation's amount (in base unit).
+     */
+    amount: number | bigint;
+};
+export type InterestRateProjection = {
+    /**
+     * - The reserve's rates before the operation.
+     */
+    current: InterestRates;
+    /**
+     * - The reserve's rates after the operation.
+     */
+    projected: InterestRates;
+};